@@ -2,10 +2,21 @@
 pragma solidity ^0.8.0;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "./interfaces/IDEXFlashBorrower.sol";
 
-contract DEX is ReentrancyGuard {
+/// @notice Constant product pool whose LP shares are the contract's own ERC-20 token
+/// @dev The deployer receives DEFAULT_ADMIN_ROLE, FEE_MANAGER_ROLE and GUARDIAN_ROLE. Fee
+///      managers can move the swap fee within [MIN_SWAP_FEE, MAX_SWAP_FEE] and configure the
+///      protocol fee, which mints a share of the LP fee growth to a treasury. Guardians can
+///      pause swaps, flash swaps and deposits in an emergency, withdrawals always stay open
+contract DEX is ERC20, ERC20Permit, ReentrancyGuard, Pausable, AccessControl {
     using SafeERC20 for IERC20;
     
     // State variables
@@ -13,66 +24,128 @@ contract DEX is ReentrancyGuard {
     address public tokenB;
     uint256 public reserveA;
     uint256 public reserveB;
-    uint256 public totalLiquidity;
-    mapping(address => uint256) public liquidity;
+    
+    // Oracle accumulators: time-weighted sums of the 1e18-scaled spot prices.
+    // They are meant to overflow, so consumers take differences modulo 2**256
+    uint256 public priceACumulativeLast;
+    uint256 public priceBCumulativeLast;
+    uint256 public blockTimestampLast;
+    
+    // Fees: swapFee is in basis points of the input amount. When the protocol fee
+    // is on, kLast is reserveA * reserveB as of the last liquidity event
+    uint256 public swapFee;
+    address public feeTo;
+    uint256 public protocolFeeShare;
+    bool public protocolFeeEnabled;
+    uint256 public kLast;
+    
+    // Guardian handoff proposed by `guardianHandoffFrom`, executable from `guardianHandoffEta`
+    address public pendingGuardian;
+    address public guardianHandoffFrom;
+    uint256 public guardianHandoffEta;
     
     // Constants
-    uint256 private constant FEE_NUMERATOR = 997;
-    uint256 private constant FEE_DENOMINATOR = 1000;
+    bytes32 public constant FEE_MANAGER_ROLE = keccak256("FEE_MANAGER_ROLE");
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+    uint256 public constant GUARDIAN_HANDOFF_DELAY = 2 days;
+    uint256 public constant FEE_DENOMINATOR = 10000;
+    uint256 public constant MIN_SWAP_FEE = 1;
+    uint256 public constant MAX_SWAP_FEE = 100;
+    uint256 public constant MAX_PROTOCOL_FEE_SHARE = 5000;
+    
+    // LP tokens locked forever on the first deposit, see `_addLiquidity`
+    uint256 public constant MINIMUM_LIQUIDITY = 1000;
+    address private constant LIQUIDITY_LOCK = 0x000000000000000000000000000000000000dEaD;
     
     // Events - MUST emit these
     event LiquidityAdded(address indexed provider, uint256 amountA, uint256 amountB, uint256 liquidityMinted);
     event LiquidityRemoved(address indexed provider, uint256 amountA, uint256 amountB, uint256 liquidityBurned);
     event Swap(address indexed trader, address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOut);
+    event FlashSwap(
+        address indexed sender,
+        address indexed to,
+        uint256 amountAOut,
+        uint256 amountBOut,
+        uint256 amountAIn,
+        uint256 amountBIn
+    );
+    event Sync(uint256 reserveA, uint256 reserveB);
+    event SwapFeeUpdated(uint256 oldFee, uint256 newFee);
+    event ProtocolFeeUpdated(address indexed feeTo, uint256 protocolFeeShare);
+    event ProtocolFeeToggled(bool enabled);
+    event GuardianHandoffProposed(address indexed from, address indexed to, uint256 eta);
+    event GuardianHandoffCancelled(address indexed from, address indexed to);
+    event GuardianHandedOff(address indexed from, address indexed to);
     
-    /// @notice Initialize the DEX with two token addresses
+    /// @notice Reverts once the caller supplied deadline has passed
+    /// @param deadline Unix timestamp after which the transaction is rejected
+    modifier ensure(uint256 deadline) {
+        require(deadline >= block.timestamp, "DEX: expired");
+        _;
+    }
+    
+    /// @notice Initialize the DEX with two token addresses and a swap fee
     /// @param _tokenA Address of first token
     /// @param _tokenB Address of second token
-    constructor(address _tokenA, address _tokenB) {
+    /// @param _swapFee Swap fee in basis points, e.g. 30 for 0.3%
+    constructor(address _tokenA, address _tokenB, uint256 _swapFee) 
+        ERC20(_lpName(_tokenA, _tokenB), _lpSymbol(_tokenA, _tokenB))
+        ERC20Permit(_lpName(_tokenA, _tokenB))
+    {
         require(_tokenA != address(0), "DEX: tokenA is zero address");
         require(_tokenB != address(0), "DEX: tokenB is zero address");
         require(_tokenA != _tokenB, "DEX: identical tokens");
+        require(_swapFee >= MIN_SWAP_FEE && _swapFee <= MAX_SWAP_FEE, "DEX: swap fee out of range");
         
         tokenA = _tokenA;
         tokenB = _tokenB;
+        swapFee = _swapFee;
+        
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(FEE_MANAGER_ROLE, msg.sender);
+        _grantRole(GUARDIAN_ROLE, msg.sender);
     }
     
-    /// @notice Add liquidity to the pool
-    /// @param amountA Amount of token A to add
-    /// @param amountB Amount of token B to add
+    /// @notice Add liquidity at the pool's current ratio
+    /// @dev Only the ratio-matched part of the desired amounts is pulled from the
+    ///      caller, the rest stays in their wallet. The first deposit sets the ratio
+    /// @param amountADesired Maximum amount of token A to add
+    /// @param amountBDesired Maximum amount of token B to add
+    /// @param amountAMin Minimum amount of token A to add
+    /// @param amountBMin Minimum amount of token B to add
+    /// @return amountA Amount of token A added to the reserves
+    /// @return amountB Amount of token B added to the reserves
     /// @return liquidityMinted Amount of LP tokens minted
-    function addLiquidity(uint256 amountA, uint256 amountB) 
+    function addLiquidity(uint256 amountADesired, uint256 amountBDesired, uint256 amountAMin, uint256 amountBMin) 
         external 
         nonReentrant
-        returns (uint256 liquidityMinted) 
+        returns (uint256 amountA, uint256 amountB, uint256 liquidityMinted) 
     {
-        require(amountA > 0 && amountB > 0, "DEX: insufficient amounts");
-        
-        // Transfer tokens from user to contract
-        IERC20(tokenA).safeTransferFrom(msg.sender, address(this), amountA);
-        IERC20(tokenB).safeTransferFrom(msg.sender, address(this), amountB);
-        
-        // Calculate liquidity to mint
-        if (totalLiquidity == 0) {
-            // First liquidity provider
-            liquidityMinted = sqrt(amountA * amountB);
-            require(liquidityMinted > 0, "DEX: insufficient liquidity minted");
-        } else {
-            // Subsequent liquidity providers
-            // Liquidity should be proportional to existing reserves
-            uint256 liquidityA = (amountA * totalLiquidity) / reserveA;
-            uint256 liquidityB = (amountB * totalLiquidity) / reserveB;
-            liquidityMinted = liquidityA < liquidityB ? liquidityA : liquidityB;
-            require(liquidityMinted > 0, "DEX: insufficient liquidity minted");
-        }
-        
-        // Update state
-        liquidity[msg.sender] += liquidityMinted;
-        totalLiquidity += liquidityMinted;
-        reserveA += amountA;
-        reserveB += amountB;
-        
-        emit LiquidityAdded(msg.sender, amountA, amountB, liquidityMinted);
+        (amountA, amountB, liquidityMinted) = _addLiquidity(amountADesired, amountBDesired, amountAMin, amountBMin);
+    }
+    
+    /// @notice `addLiquidity` with a deadline
+    /// @param amountADesired Maximum amount of token A to add
+    /// @param amountBDesired Maximum amount of token B to add
+    /// @param amountAMin Minimum amount of token A to add
+    /// @param amountBMin Minimum amount of token B to add
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountA Amount of token A added to the reserves
+    /// @return amountB Amount of token B added to the reserves
+    /// @return liquidityMinted Amount of LP tokens minted
+    function addLiquidityWithLimits(
+        uint256 amountADesired,
+        uint256 amountBDesired,
+        uint256 amountAMin,
+        uint256 amountBMin,
+        uint256 deadline
+    ) 
+        external 
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 amountA, uint256 amountB, uint256 liquidityMinted) 
+    {
+        (amountA, amountB, liquidityMinted) = _addLiquidity(amountADesired, amountBDesired, amountAMin, amountBMin);
     }
     
     /// @notice Remove liquidity from the pool
@@ -84,27 +157,28 @@ contract DEX is ReentrancyGuard {
         nonReentrant
         returns (uint256 amountA, uint256 amountB) 
     {
-        require(liquidityAmount > 0, "DEX: insufficient liquidity amount");
-        require(liquidity[msg.sender] >= liquidityAmount, "DEX: insufficient liquidity balance");
-        require(totalLiquidity > 0, "DEX: no liquidity");
-        
-        // Calculate amounts to return
-        amountA = (liquidityAmount * reserveA) / totalLiquidity;
-        amountB = (liquidityAmount * reserveB) / totalLiquidity;
-        
-        require(amountA > 0 && amountB > 0, "DEX: insufficient amounts");
-        
-        // Update state
-        liquidity[msg.sender] -= liquidityAmount;
-        totalLiquidity -= liquidityAmount;
-        reserveA -= amountA;
-        reserveB -= amountB;
-        
-        // Transfer tokens back to user
-        IERC20(tokenA).safeTransfer(msg.sender, amountA);
-        IERC20(tokenB).safeTransfer(msg.sender, amountB);
-        
-        emit LiquidityRemoved(msg.sender, amountA, amountB, liquidityAmount);
+        (amountA, amountB) = _removeLiquidity(liquidityAmount, 0, 0);
+    }
+    
+    /// @notice Remove liquidity with slippage bounds and a deadline
+    /// @param liquidityAmount Amount of LP tokens to burn
+    /// @param amountAMin Minimum amount of token A to receive
+    /// @param amountBMin Minimum amount of token B to receive
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountA Amount of token A returned
+    /// @return amountB Amount of token B returned
+    function removeLiquidityWithLimits(
+        uint256 liquidityAmount,
+        uint256 amountAMin,
+        uint256 amountBMin,
+        uint256 deadline
+    ) 
+        external 
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 amountA, uint256 amountB) 
+    {
+        (amountA, amountB) = _removeLiquidity(liquidityAmount, amountAMin, amountBMin);
     }
     
     /// @notice Swap token A for token B
@@ -115,25 +189,21 @@ contract DEX is ReentrancyGuard {
         nonReentrant
         returns (uint256 amountBOut) 
     {
-        require(amountAIn > 0, "DEX: insufficient input amount");
-        require(reserveA > 0 && reserveB > 0, "DEX: insufficient liquidity");
-        
-        // Calculate output amount using constant product formula with fee
-        amountBOut = getAmountOut(amountAIn, reserveA, reserveB);
-        require(amountBOut > 0, "DEX: insufficient output amount");
-        require(amountBOut < reserveB, "DEX: insufficient liquidity for swap");
-        
-        // Transfer token A from user to contract
-        IERC20(tokenA).safeTransferFrom(msg.sender, address(this), amountAIn);
-        
-        // Update reserves
-        reserveA += amountAIn;
-        reserveB -= amountBOut;
-        
-        // Transfer token B to user
-        IERC20(tokenB).safeTransfer(msg.sender, amountBOut);
-        
-        emit Swap(msg.sender, tokenA, tokenB, amountAIn, amountBOut);
+        amountBOut = _swapExactIn(true, amountAIn, 0);
+    }
+    
+    /// @notice Swap an exact amount of token A for at least `amountBOutMin` token B
+    /// @param amountAIn Amount of token A to swap
+    /// @param amountBOutMin Minimum amount of token B to receive
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountBOut Amount of token B received
+    function swapExactAForB(uint256 amountAIn, uint256 amountBOutMin, uint256 deadline) 
+        external 
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 amountBOut) 
+    {
+        amountBOut = _swapExactIn(true, amountAIn, amountBOutMin);
     }
     
     /// @notice Swap token B for token A
@@ -144,25 +214,197 @@ contract DEX is ReentrancyGuard {
         nonReentrant
         returns (uint256 amountAOut) 
     {
-        require(amountBIn > 0, "DEX: insufficient input amount");
-        require(reserveA > 0 && reserveB > 0, "DEX: insufficient liquidity");
+        amountAOut = _swapExactIn(false, amountBIn, 0);
+    }
+    
+    /// @notice Swap an exact amount of token B for at least `amountAOutMin` token A
+    /// @param amountBIn Amount of token B to swap
+    /// @param amountAOutMin Minimum amount of token A to receive
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountAOut Amount of token A received
+    function swapExactBForA(uint256 amountBIn, uint256 amountAOutMin, uint256 deadline) 
+        external 
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 amountAOut) 
+    {
+        amountAOut = _swapExactIn(false, amountBIn, amountAOutMin);
+    }
+    
+    /// @notice Swap at most `amountAInMax` token A for an exact amount of token B
+    /// @dev Not usable with fee-on-transfer input tokens, use `swapExactAForB` instead
+    /// @param amountBOut Amount of token B to receive
+    /// @param amountAInMax Maximum amount of token A to spend
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountAIn Amount of token A spent
+    function swapAForExactB(uint256 amountBOut, uint256 amountAInMax, uint256 deadline) 
+        external 
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 amountAIn) 
+    {
+        amountAIn = _swapExactOut(true, amountBOut, amountAInMax);
+    }
+    
+    /// @notice Swap at most `amountBInMax` token B for an exact amount of token A
+    /// @dev Not usable with fee-on-transfer input tokens, use `swapExactBForA` instead
+    /// @param amountAOut Amount of token A to receive
+    /// @param amountBInMax Maximum amount of token B to spend
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountBIn Amount of token B spent
+    function swapBForExactA(uint256 amountAOut, uint256 amountBInMax, uint256 deadline) 
+        external 
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 amountBIn) 
+    {
+        amountBIn = _swapExactOut(false, amountAOut, amountBInMax);
+    }
+    
+    /// @notice Borrow pool tokens for the duration of a callback
+    /// @dev Tokens are sent to `to` first, then `to.dexFlashCall` runs. When it returns,
+    ///      whatever the pool received back (in either token) is charged the swap fee
+    ///      and the constant product of the fee-adjusted reserves must not be lower
+    ///      than before. Repaying in the other token makes this a regular swap.
+    ///      Tokens the pool held above its reserves beforehand don't count as repayment
+    /// @param amountAOut Amount of token A to send out
+    /// @param amountBOut Amount of token B to send out
+    /// @param to Receiver of the tokens, must implement IDEXFlashBorrower
+    /// @param data Arbitrary data passed to the callback
+    function flashSwap(uint256 amountAOut, uint256 amountBOut, address to, bytes calldata data) 
+        external 
+        nonReentrant
+    {
+        _requireNotPaused();
+        require(amountAOut > 0 || amountBOut > 0, "DEX: insufficient output amount");
+        require(amountAOut < reserveA && amountBOut < reserveB, "DEX: insufficient liquidity");
+        require(to != tokenA && to != tokenB, "DEX: invalid receiver");
         
-        // Calculate output amount using constant product formula with fee
-        amountAOut = getAmountOut(amountBIn, reserveB, reserveA);
-        require(amountAOut > 0, "DEX: insufficient output amount");
-        require(amountAOut < reserveA, "DEX: insufficient liquidity for swap");
+        // What the pool keeps once the loan is out, anything above it afterwards is repayment
+        uint256 balanceALeft = IERC20(tokenA).balanceOf(address(this)) - amountAOut;
+        uint256 balanceBLeft = IERC20(tokenB).balanceOf(address(this)) - amountBOut;
         
-        // Transfer token B from user to contract
-        IERC20(tokenB).safeTransferFrom(msg.sender, address(this), amountBIn);
+        // Optimistically send the tokens and hand control to the receiver
+        if (amountAOut > 0) IERC20(tokenA).safeTransfer(to, amountAOut);
+        if (amountBOut > 0) IERC20(tokenB).safeTransfer(to, amountBOut);
+        IDEXFlashBorrower(to).dexFlashCall(msg.sender, amountAOut, amountBOut, data);
         
-        // Update reserves
-        reserveB += amountBIn;
-        reserveA -= amountAOut;
+        uint256 amountAIn = _amountAbove(tokenA, balanceALeft);
+        uint256 amountBIn = _amountAbove(tokenB, balanceBLeft);
+        require(amountAIn > 0 || amountBIn > 0, "DEX: insufficient input amount");
+        
+        _settleFlashSwap(amountAOut, amountBOut, amountAIn, amountBIn);
+        
+        emit FlashSwap(msg.sender, to, amountAOut, amountBOut, amountAIn, amountBIn);
+    }
+    
+    /// @notice Set the reserves to the pool's actual token balances
+    /// @dev Recovers from balances drifting away from the reserves, e.g. after a
+    ///      rebasing token changed the pool's balance or someone sent tokens directly
+    function sync() external nonReentrant {
+        _update(IERC20(tokenA).balanceOf(address(this)), IERC20(tokenB).balanceOf(address(this)));
+    }
+    
+    /// @notice Send any token balance above the reserves to `to`
+    /// @param to Recipient of the excess tokens
+    function skim(address to) external nonReentrant {
+        IERC20(tokenA).safeTransfer(to, IERC20(tokenA).balanceOf(address(this)) - reserveA);
+        IERC20(tokenB).safeTransfer(to, IERC20(tokenB).balanceOf(address(this)) - reserveB);
+    }
+    
+    /// @notice Change the swap fee
+    /// @param newFee Swap fee in basis points, within [MIN_SWAP_FEE, MAX_SWAP_FEE]
+    function setSwapFee(uint256 newFee) external onlyRole(FEE_MANAGER_ROLE) {
+        require(newFee >= MIN_SWAP_FEE && newFee <= MAX_SWAP_FEE, "DEX: swap fee out of range");
+        
+        emit SwapFeeUpdated(swapFee, newFee);
+        swapFee = newFee;
+    }
+    
+    /// @notice Set the protocol fee recipient and its share of LP fee growth
+    /// @dev Fees accrued under the old settings are minted first
+    /// @param _feeTo Treasury that receives the protocol's LP tokens
+    /// @param _protocolFeeShare Share of LP fee growth in basis points, at most MAX_PROTOCOL_FEE_SHARE
+    function setProtocolFee(address _feeTo, uint256 _protocolFeeShare) 
+        external 
+        nonReentrant
+        onlyRole(FEE_MANAGER_ROLE) 
+    {
+        require(_feeTo != address(0), "DEX: feeTo is zero address");
+        require(_protocolFeeShare > 0 && _protocolFeeShare <= MAX_PROTOCOL_FEE_SHARE, "DEX: protocol fee share out of range");
+        
+        _mintProtocolFee();
+        feeTo = _feeTo;
+        protocolFeeShare = _protocolFeeShare;
+        _updateKLast();
+        
+        emit ProtocolFeeUpdated(_feeTo, _protocolFeeShare);
+    }
+    
+    /// @notice Turn the protocol fee on or off
+    /// @dev Fees accrued so far are minted first. Growth while the switch is off is never charged
+    /// @param enabled Whether the protocol fee should be charged from now on
+    function setProtocolFeeEnabled(bool enabled) external nonReentrant onlyRole(FEE_MANAGER_ROLE) {
+        require(!enabled || feeTo != address(0), "DEX: protocol fee not configured");
+        
+        _mintProtocolFee();
+        protocolFeeEnabled = enabled;
+        _updateKLast();
+        
+        emit ProtocolFeeToggled(enabled);
+    }
+    
+    /// @notice Stop swaps, flash swaps and deposits, e.g. while a pooled token is being exploited
+    /// @dev removeLiquidity and removeLiquidityWithLimits stay open so LPs can always exit
+    function pause() external onlyRole(GUARDIAN_ROLE) {
+        _pause();
+    }
+    
+    /// @notice Resume swaps, flash swaps and deposits
+    function unpause() external onlyRole(GUARDIAN_ROLE) {
+        _unpause();
+    }
+    
+    /// @notice Start handing the caller's guardian role to `newGuardian`
+    /// @dev `newGuardian` can accept after GUARDIAN_HANDOFF_DELAY, which gives the admin time
+    ///      to cancel a handoff made with a stolen key. Replaces any pending handoff
+    /// @param newGuardian Address that will take over the role
+    function proposeGuardianHandoff(address newGuardian) external onlyRole(GUARDIAN_ROLE) {
+        require(newGuardian != address(0), "DEX: guardian is zero address");
+        
+        pendingGuardian = newGuardian;
+        guardianHandoffFrom = msg.sender;
+        guardianHandoffEta = block.timestamp + GUARDIAN_HANDOFF_DELAY;
+        
+        emit GuardianHandoffProposed(msg.sender, newGuardian, guardianHandoffEta);
+    }
+    
+    /// @notice Drop the pending guardian handoff
+    /// @dev Callable by the guardian that proposed it and by the admin
+    function cancelGuardianHandoff() external {
+        require(
+            msg.sender == guardianHandoffFrom || hasRole(DEFAULT_ADMIN_ROLE, msg.sender),
+            "DEX: caller cannot cancel handoff"
+        );
+        require(pendingGuardian != address(0), "DEX: no pending handoff");
+        
+        emit GuardianHandoffCancelled(guardianHandoffFrom, pendingGuardian);
+        _clearGuardianHandoff();
+    }
+    
+    /// @notice Take over the guardian role once the handoff delay has passed
+    /// @dev The proposing guardian loses the role. Fails if it was revoked in the meantime
+    function acceptGuardianHandoff() external {
+        require(msg.sender == pendingGuardian, "DEX: caller is not the pending guardian");
+        require(block.timestamp >= guardianHandoffEta, "DEX: handoff delay not passed");
         
-        // Transfer token A to user
-        IERC20(tokenA).safeTransfer(msg.sender, amountAOut);
+        address from = guardianHandoffFrom;
+        require(hasRole(GUARDIAN_ROLE, from), "DEX: proposer is no longer guardian");
+        _clearGuardianHandoff();
+        _revokeRole(GUARDIAN_ROLE, from);
+        _grantRole(GUARDIAN_ROLE, msg.sender);
         
-        emit Swap(msg.sender, tokenB, tokenA, amountBIn, amountAOut);
+        emit GuardianHandedOff(from, msg.sender);
     }
     
     /// @notice Get current price of token A in terms of token B
@@ -180,26 +422,354 @@ contract DEX is ReentrancyGuard {
         _reserveB = reserveB;
     }
     
+    /// @notice Price accumulators as of the current block
+    /// @dev Extends the stored accumulators by the time since the last update, so
+    ///      observations don't need a state-changing call on the pool
+    /// @return priceACumulative Time-weighted sum of the price of A in B (1e18 scaled)
+    /// @return priceBCumulative Time-weighted sum of the price of B in A (1e18 scaled)
+    /// @return blockTimestamp Current block timestamp
+    function currentCumulativePrices() 
+        external 
+        view 
+        returns (uint256 priceACumulative, uint256 priceBCumulative, uint256 blockTimestamp) 
+    {
+        priceACumulative = priceACumulativeLast;
+        priceBCumulative = priceBCumulativeLast;
+        blockTimestamp = block.timestamp;
+        
+        uint256 timeElapsed = blockTimestamp - blockTimestampLast;
+        if (timeElapsed > 0 && reserveA > 0 && reserveB > 0) {
+            unchecked {
+                priceACumulative += ((reserveB * 1e18) / reserveA) * timeElapsed;
+                priceBCumulative += ((reserveA * 1e18) / reserveB) * timeElapsed;
+            }
+        }
+    }
+    
+    /// @notice LP token balance of a provider
+    /// @dev Alias of `balanceOf` kept for integrations written against the old liquidity mapping
+    /// @param provider Address of the liquidity provider
+    /// @return LP tokens held by `provider`
+    function liquidity(address provider) external view returns (uint256) {
+        return balanceOf(provider);
+    }
+    
+    /// @notice Total LP tokens in circulation
+    /// @dev Alias of `totalSupply` kept for integrations written against the old counter
+    /// @return Total LP token supply
+    function totalLiquidity() external view returns (uint256) {
+        return totalSupply();
+    }
+    
     /// @notice Calculate amount of token B received for given amount of token A
     /// @param amountIn Amount of input token
     /// @param reserveIn Reserve of input token
     /// @param reserveOut Reserve of output token
-    /// @return amountOut Amount of output token (after 0.3% fee)
+    /// @return amountOut Amount of output token (after the pool's swap fee)
     function getAmountOut(uint256 amountIn, uint256 reserveIn, uint256 reserveOut) 
         public 
-        pure 
+        view 
         returns (uint256 amountOut) 
     {
         require(amountIn > 0, "DEX: insufficient input amount");
         require(reserveIn > 0 && reserveOut > 0, "DEX: insufficient liquidity");
         
-        // Apply 0.3% fee (multiply by 997/1000)
-        uint256 amountInWithFee = amountIn * FEE_NUMERATOR;
+        // Apply the swap fee (multiply by (10000 - swapFee) / 10000)
+        uint256 amountInWithFee = amountIn * (FEE_DENOMINATOR - swapFee);
         uint256 numerator = amountInWithFee * reserveOut;
         uint256 denominator = (reserveIn * FEE_DENOMINATOR) + amountInWithFee;
         amountOut = numerator / denominator;
     }
     
+    /// @notice Calculate amount of input token needed to receive a given amount of output token
+    /// @dev Inverse of `getAmountOut`, rounded up so the pool never pays out less than `amountOut`
+    /// @param amountOut Desired amount of output token
+    /// @param reserveIn Reserve of input token
+    /// @param reserveOut Reserve of output token
+    /// @return amountIn Required amount of input token (including the pool's swap fee)
+    function getAmountIn(uint256 amountOut, uint256 reserveIn, uint256 reserveOut) 
+        public 
+        view 
+        returns (uint256 amountIn) 
+    {
+        require(amountOut > 0, "DEX: insufficient output amount");
+        require(reserveIn > 0 && reserveOut > amountOut, "DEX: insufficient liquidity");
+        
+        uint256 numerator = reserveIn * amountOut * FEE_DENOMINATOR;
+        uint256 denominator = (reserveOut - amountOut) * (FEE_DENOMINATOR - swapFee);
+        amountIn = (numerator / denominator) + 1;
+    }
+    
+    /// @notice Shared implementation of the liquidity entry points
+    /// @dev The first deposit locks MINIMUM_LIQUIDITY LP tokens forever. Otherwise the
+    ///      first depositor could burn down to a single share and donate tokens to
+    ///      make each share so expensive that later deposits round down to nothing
+    function _addLiquidity(uint256 amountADesired, uint256 amountBDesired, uint256 amountAMin, uint256 amountBMin) 
+        private 
+        returns (uint256 amountA, uint256 amountB, uint256 liquidityMinted) 
+    {
+        _requireNotPaused();
+        require(amountADesired > 0 && amountBDesired > 0, "DEX: insufficient amounts");
+        (amountA, amountB) = _optimalAmounts(amountADesired, amountBDesired, amountAMin, amountBMin);
+        
+        // Transfer tokens from user to contract, counting only what actually arrived.
+        // Fee-on-transfer tokens can deliver less than the ratio-matched amounts, so
+        // the minimums are checked again on what the pool received
+        amountA = _pull(tokenA, amountA);
+        amountB = _pull(tokenB, amountB);
+        require(amountA >= amountAMin, "DEX: insufficient A amount");
+        require(amountB >= amountBMin, "DEX: insufficient B amount");
+        
+        // Settle the protocol fee before pricing the new shares
+        _mintProtocolFee();
+        
+        // Calculate liquidity to mint
+        uint256 lpSupply = totalSupply();
+        if (lpSupply == 0) {
+            // First liquidity provider
+            liquidityMinted = sqrt(amountA * amountB);
+            require(liquidityMinted > MINIMUM_LIQUIDITY, "DEX: insufficient liquidity minted");
+            liquidityMinted -= MINIMUM_LIQUIDITY;
+            _mint(LIQUIDITY_LOCK, MINIMUM_LIQUIDITY);
+        } else {
+            // Subsequent liquidity providers
+            // Liquidity should be proportional to existing reserves
+            uint256 liquidityA = (amountA * lpSupply) / reserveA;
+            uint256 liquidityB = (amountB * lpSupply) / reserveB;
+            liquidityMinted = liquidityA < liquidityB ? liquidityA : liquidityB;
+            require(liquidityMinted > 0, "DEX: insufficient liquidity minted");
+        }
+        
+        // Update state
+        _mint(msg.sender, liquidityMinted);
+        _update(reserveA + amountA, reserveB + amountB);
+        _updateKLast();
+        
+        emit LiquidityAdded(msg.sender, amountA, amountB, liquidityMinted);
+    }
+    
+    /// @notice Largest amounts up to the desired ones that match the current reserve ratio
+    function _optimalAmounts(uint256 amountADesired, uint256 amountBDesired, uint256 amountAMin, uint256 amountBMin) 
+        private 
+        view 
+        returns (uint256 amountA, uint256 amountB) 
+    {
+        if (reserveA == 0 && reserveB == 0) {
+            return (amountADesired, amountBDesired);
+        }
+        
+        uint256 amountBOptimal = (amountADesired * reserveB) / reserveA;
+        if (amountBOptimal <= amountBDesired) {
+            require(amountBOptimal >= amountBMin, "DEX: insufficient B amount");
+            return (amountADesired, amountBOptimal);
+        }
+        
+        uint256 amountAOptimal = (amountBDesired * reserveA) / reserveB;
+        require(amountAOptimal >= amountAMin, "DEX: insufficient A amount");
+        return (amountAOptimal, amountBDesired);
+    }
+    
+    /// @notice Shared implementation of the liquidity removal entry points
+    function _removeLiquidity(uint256 liquidityAmount, uint256 amountAMin, uint256 amountBMin) 
+        private 
+        returns (uint256 amountA, uint256 amountB) 
+    {
+        require(liquidityAmount > 0, "DEX: insufficient liquidity amount");
+        require(balanceOf(msg.sender) >= liquidityAmount, "DEX: insufficient liquidity balance");
+        
+        // Settle the protocol fee before pricing the burned shares
+        _mintProtocolFee();
+        
+        uint256 lpSupply = totalSupply();
+        require(lpSupply > 0, "DEX: no liquidity");
+        
+        // Calculate amounts to return
+        amountA = (liquidityAmount * reserveA) / lpSupply;
+        amountB = (liquidityAmount * reserveB) / lpSupply;
+        
+        require(amountA > 0 && amountB > 0, "DEX: insufficient amounts");
+        require(amountA >= amountAMin, "DEX: insufficient A amount");
+        require(amountB >= amountBMin, "DEX: insufficient B amount");
+        
+        // Update state
+        _burn(msg.sender, liquidityAmount);
+        _update(reserveA - amountA, reserveB - amountB);
+        _updateKLast();
+        
+        // Transfer tokens back to user
+        IERC20(tokenA).safeTransfer(msg.sender, amountA);
+        IERC20(tokenB).safeTransfer(msg.sender, amountB);
+        
+        emit LiquidityRemoved(msg.sender, amountA, amountB, liquidityAmount);
+    }
+    
+    /// @notice Shared implementation of the exact input swaps
+    /// @dev The output is priced on the input the pool actually received, so
+    ///      fee-on-transfer input tokens are supported
+    /// @param aForB True to sell token A for token B, false for the reverse
+    function _swapExactIn(bool aForB, uint256 amountIn, uint256 amountOutMin) private returns (uint256 amountOut) {
+        _requireNotPaused();
+        require(amountIn > 0, "DEX: insufficient input amount");
+        require(reserveA > 0 && reserveB > 0, "DEX: insufficient liquidity");
+        (address tokenIn, , uint256 reserveIn, uint256 reserveOut) = _orient(aForB);
+        
+        // Transfer input from user to contract and measure what actually arrived
+        uint256 amountReceived = _pull(tokenIn, amountIn);
+        
+        // Calculate output amount using constant product formula with fee
+        amountOut = getAmountOut(amountReceived, reserveIn, reserveOut);
+        require(amountOut > 0, "DEX: insufficient output amount");
+        require(amountOut < reserveOut, "DEX: insufficient liquidity for swap");
+        require(amountOut >= amountOutMin, "DEX: output below minimum");
+        
+        _settleSwap(aForB, amountReceived, amountOut);
+    }
+    
+    /// @notice Shared implementation of the exact output swaps
+    /// @param aForB True to buy token B with token A, false for the reverse
+    function _swapExactOut(bool aForB, uint256 amountOut, uint256 amountInMax) private returns (uint256 amountIn) {
+        _requireNotPaused();
+        require(reserveA > 0 && reserveB > 0, "DEX: insufficient liquidity");
+        (address tokenIn, , uint256 reserveIn, uint256 reserveOut) = _orient(aForB);
+        
+        amountIn = getAmountIn(amountOut, reserveIn, reserveOut);
+        require(amountIn <= amountInMax, "DEX: input above maximum");
+        
+        // A taxed transfer would leave the pool short of the quoted input
+        require(_pull(tokenIn, amountIn) >= amountIn, "DEX: insufficient input received");
+        
+        _settleSwap(aForB, amountIn, amountOut);
+    }
+    
+    /// @notice Update reserves for a swap, pay out the trader and emit the Swap event
+    function _settleSwap(bool aForB, uint256 amountIn, uint256 amountOut) private {
+        (address tokenIn, address tokenOut, , ) = _orient(aForB);
+        
+        // Update reserves
+        if (aForB) {
+            _update(reserveA + amountIn, reserveB - amountOut);
+        } else {
+            _update(reserveA - amountOut, reserveB + amountIn);
+        }
+        
+        // Transfer output token to user
+        IERC20(tokenOut).safeTransfer(msg.sender, amountOut);
+        
+        emit Swap(msg.sender, tokenIn, tokenOut, amountIn, amountOut);
+    }
+    
+    /// @notice Charge the swap fee on a flash swap's repayment, check k did not decrease
+    ///         and update the reserves
+    function _settleFlashSwap(uint256 amountAOut, uint256 amountBOut, uint256 amountAIn, uint256 amountBIn) private {
+        uint256 newReserveA = reserveA + amountAIn - amountAOut;
+        uint256 newReserveB = reserveB + amountBIn - amountBOut;
+        uint256 reserveAAdjusted = (newReserveA * FEE_DENOMINATOR) - (amountAIn * swapFee);
+        uint256 reserveBAdjusted = (newReserveB * FEE_DENOMINATOR) - (amountBIn * swapFee);
+        require(
+            reserveAAdjusted * reserveBAdjusted >= reserveA * reserveB * FEE_DENOMINATOR * FEE_DENOMINATOR,
+            "DEX: k decreased"
+        );
+        
+        _update(newReserveA, newReserveB);
+    }
+    
+    /// @notice Tokens and reserves ordered as (input, output) for a swap direction
+    function _orient(bool aForB) 
+        private 
+        view 
+        returns (address tokenIn, address tokenOut, uint256 reserveIn, uint256 reserveOut) 
+    {
+        return aForB ? (tokenA, tokenB, reserveA, reserveB) : (tokenB, tokenA, reserveB, reserveA);
+    }
+    
+    /// @notice How far the pool's balance of `token` is above `threshold`, or zero
+    function _amountAbove(address token, uint256 threshold) private view returns (uint256) {
+        uint256 balance = IERC20(token).balanceOf(address(this));
+        return balance > threshold ? balance - threshold : 0;
+    }
+    
+    /// @notice Transfer `amount` of `token` from the caller and return how much actually arrived
+    function _pull(address token, uint256 amount) private returns (uint256 received) {
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        received = IERC20(token).balanceOf(address(this)) - balanceBefore;
+    }
+    
+    /// @notice Store new reserves, first crediting the oracle accumulators with the
+    ///         price that held since the previous update
+    /// @param newReserveA Reserve of token A after the operation
+    /// @param newReserveB Reserve of token B after the operation
+    function _update(uint256 newReserveA, uint256 newReserveB) private {
+        uint256 timeElapsed = block.timestamp - blockTimestampLast;
+        if (timeElapsed > 0 && reserveA > 0 && reserveB > 0) {
+            unchecked {
+                priceACumulativeLast += ((reserveB * 1e18) / reserveA) * timeElapsed;
+                priceBCumulativeLast += ((reserveA * 1e18) / reserveB) * timeElapsed;
+            }
+        }
+        
+        reserveA = newReserveA;
+        reserveB = newReserveB;
+        blockTimestampLast = block.timestamp;
+        
+        emit Sync(newReserveA, newReserveB);
+    }
+    
+    /// @notice Mint the protocol's share of LP fee growth since the last liquidity event
+    /// @dev Fee growth shows up as growth of sqrt(k). Minting `s` shares to the treasury
+    ///      gives it `protocolFeeShare` of that growth when
+    ///      s = supply * (rootK - rootKLast) * share / (rootK * (10000 - share) + rootKLast * share)
+    function _mintProtocolFee() private {
+        if (!protocolFeeEnabled || kLast == 0) {
+            return;
+        }
+        
+        uint256 rootK = sqrt(reserveA * reserveB);
+        uint256 rootKLast = sqrt(kLast);
+        if (rootK > rootKLast) {
+            uint256 numerator = totalSupply() * (rootK - rootKLast) * protocolFeeShare;
+            uint256 denominator = (rootK * (FEE_DENOMINATOR - protocolFeeShare)) + (rootKLast * protocolFeeShare);
+            uint256 feeLiquidity = numerator / denominator;
+            if (feeLiquidity > 0) {
+                _mint(feeTo, feeLiquidity);
+            }
+        }
+    }
+    
+    /// @notice Forget the pending guardian handoff
+    function _clearGuardianHandoff() private {
+        pendingGuardian = address(0);
+        guardianHandoffFrom = address(0);
+        guardianHandoffEta = 0;
+    }
+    
+    /// @notice Snapshot k for the next protocol fee calculation, or clear it while the fee is off
+    function _updateKLast() private {
+        kLast = protocolFeeEnabled ? reserveA * reserveB : 0;
+    }
+    
+    /// @notice LP token name, e.g. "DEX LP TKA-TKB"
+    function _lpName(address _tokenA, address _tokenB) private view returns (string memory) {
+        return string(abi.encodePacked("DEX LP ", _tokenSymbol(_tokenA), "-", _tokenSymbol(_tokenB)));
+    }
+    
+    /// @notice LP token symbol, e.g. "TKA-TKB-LP"
+    function _lpSymbol(address _tokenA, address _tokenB) private view returns (string memory) {
+        return string(abi.encodePacked(_tokenSymbol(_tokenA), "-", _tokenSymbol(_tokenB), "-LP"));
+    }
+    
+    /// @notice Symbol of a pooled token, falling back to "?" when it has no metadata
+    function _tokenSymbol(address token) private view returns (string memory) {
+        if (token.code.length == 0) {
+            return "?";
+        }
+        try IERC20Metadata(token).symbol() returns (string memory tokenSymbol) {
+            return tokenSymbol;
+        } catch {
+            return "?";
+        }
+    }
+    
     /// @notice Square root function for initial liquidity calculation
     /// @param y Input value
     /// @return z Square root of y
@@ -0,0 +1,534 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "./libraries/TickMath.sol";
+import "./libraries/TickBitmap.sol";
+import "./libraries/SqrtPriceMath.sol";
+
+/// @notice Pool where each provider concentrates liquidity between a lower and an upper price
+/// @dev Prices are token B per token A, stored as Q64.96 square roots and divided into
+///      ticks of 0.01%. A position only trades, and only earns fees, while the price is
+///      inside its range. Swaps walk from tick to tick, adding or removing the liquidity
+///      of every position boundary they cross. Fees are tracked per unit of liquidity
+///      (feeGrowthGlobal) and split into inside/outside each tick, so every position's
+///      share can be computed without iterating over positions
+contract DEXConcentrated is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+    using TickBitmap for mapping(int16 => uint256);
+
+    struct Tick {
+        uint128 liquidityGross; // Total liquidity of positions using the tick as a bound
+        int128 liquidityNet; // Liquidity added when the price crosses the tick upwards
+        uint256 feeGrowthOutsideAX128; // Fee growth on the other side of the tick from the current price
+        uint256 feeGrowthOutsideBX128;
+    }
+
+    struct Position {
+        uint128 liquidity;
+        uint256 feeGrowthInsideALastX128;
+        uint256 feeGrowthInsideBLastX128;
+        uint256 tokensOwedA; // Fees and burned liquidity waiting to be collected
+        uint256 tokensOwedB;
+    }
+
+    struct SwapState {
+        uint256 amountRemaining;
+        uint256 amountOut;
+        uint256 sqrtPriceX96;
+        int24 tick;
+        uint128 liquidity;
+        uint256 feeGrowthGlobalX128;
+        uint256 ticksAtOrBelow;
+    }
+
+    // Constants
+    uint256 public constant FEE_DENOMINATOR = 10000;
+    uint256 public constant MIN_SWAP_FEE = 1;
+    uint256 public constant MAX_SWAP_FEE = 100;
+    uint256 private constant Q128 = 1 << 128;
+
+    // Pool configuration
+    address public immutable tokenA;
+    address public immutable tokenB;
+    uint256 public immutable swapFee;
+    int24 public immutable tickSpacing;
+
+    // Current price and the liquidity of all positions in range
+    uint160 public sqrtPriceX96;
+    int24 public tick;
+    uint128 public liquidity;
+
+    // Initialized ticks in total and at or below the current tick, so a swap knows
+    // when no liquidity is left in its direction
+    uint256 public initializedTicks;
+    uint256 public initializedTicksAtOrBelow;
+
+    // Fees earned per unit of liquidity over the life of the pool, Q128.128
+    uint256 public feeGrowthGlobalAX128;
+    uint256 public feeGrowthGlobalBX128;
+
+    mapping(int24 => Tick) public ticks;
+    mapping(int16 => uint256) public tickBitmap;
+    mapping(bytes32 => Position) private _positions;
+
+    // Events
+    event Mint(address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 liquidity, uint256 amountA, uint256 amountB);
+    event Burn(address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 liquidity, uint256 amountA, uint256 amountB);
+    event Collect(address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, address to, uint256 amountA, uint256 amountB);
+    event Swap(
+        address indexed trader,
+        address indexed tokenIn,
+        address indexed tokenOut,
+        uint256 amountIn,
+        uint256 amountOut,
+        uint160 sqrtPriceX96,
+        int24 tick
+    );
+
+    /// @notice Reverts once the caller supplied deadline has passed
+    /// @param deadline Unix timestamp after which the transaction is rejected
+    modifier ensure(uint256 deadline) {
+        require(deadline >= block.timestamp, "DEXConcentrated: expired");
+        _;
+    }
+
+    /// @notice Initialize the pool
+    /// @param _tokenA Address of token A
+    /// @param _tokenB Address of token B
+    /// @param _swapFee Swap fee in basis points, between MIN_SWAP_FEE and MAX_SWAP_FEE
+    /// @param _tickSpacing Only multiples of this can be position bounds
+    /// @param _sqrtPriceX96 Starting price as sqrt(token B per token A) * 2^96
+    constructor(address _tokenA, address _tokenB, uint256 _swapFee, int24 _tickSpacing, uint160 _sqrtPriceX96) {
+        require(_tokenA != address(0), "DEXConcentrated: tokenA is zero address");
+        require(_tokenB != address(0), "DEXConcentrated: tokenB is zero address");
+        require(_tokenA != _tokenB, "DEXConcentrated: identical tokens");
+        require(_swapFee >= MIN_SWAP_FEE && _swapFee <= MAX_SWAP_FEE, "DEXConcentrated: swap fee out of range");
+        require(_tickSpacing > 0, "DEXConcentrated: invalid tick spacing");
+
+        tokenA = _tokenA;
+        tokenB = _tokenB;
+        swapFee = _swapFee;
+        tickSpacing = _tickSpacing;
+        sqrtPriceX96 = _sqrtPriceX96;
+        tick = TickMath.getTickAtSqrtRatio(_sqrtPriceX96);
+    }
+
+    /// @notice Open or add to a position between two ticks
+    /// @dev While the price is below the range the position is all token A, above it all
+    ///      token B, and inside it a mix set by the current price
+    /// @param tickLower Lower bound of the range, a multiple of tickSpacing
+    /// @param tickUpper Upper bound of the range, a multiple of tickSpacing
+    /// @param amount Liquidity to add
+    /// @param amountAMax Maximum amount of token A to pay
+    /// @param amountBMax Maximum amount of token B to pay
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountA Amount of token A paid
+    /// @return amountB Amount of token B paid
+    function mint(
+        int24 tickLower,
+        int24 tickUpper,
+        uint128 amount,
+        uint256 amountAMax,
+        uint256 amountBMax,
+        uint256 deadline
+    )
+        external
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 amountA, uint256 amountB)
+    {
+        require(amount > 0, "DEXConcentrated: zero liquidity");
+        (amountA, amountB) = _modifyPosition(msg.sender, tickLower, tickUpper, SafeCast.toInt128(SafeCast.toInt256(amount)));
+        require(amountA <= amountAMax && amountB <= amountBMax, "DEXConcentrated: excessive input amount");
+
+        if (amountA > 0) IERC20(tokenA).safeTransferFrom(msg.sender, address(this), amountA);
+        if (amountB > 0) IERC20(tokenB).safeTransferFrom(msg.sender, address(this), amountB);
+
+        emit Mint(msg.sender, tickLower, tickUpper, amount, amountA, amountB);
+    }
+
+    /// @notice Remove liquidity from a position
+    /// @dev The tokens are credited to the position and sent out by `collect`
+    /// @param tickLower Lower bound of the position
+    /// @param tickUpper Upper bound of the position
+    /// @param amount Liquidity to remove
+    /// @return amountA Amount of token A credited to the position
+    /// @return amountB Amount of token B credited to the position
+    function burn(int24 tickLower, int24 tickUpper, uint128 amount)
+        public
+        nonReentrant
+        returns (uint256 amountA, uint256 amountB)
+    {
+        require(amount > 0, "DEXConcentrated: zero liquidity");
+        require(
+            _positions[_positionKey(msg.sender, tickLower, tickUpper)].liquidity >= amount,
+            "DEXConcentrated: insufficient position liquidity"
+        );
+        (amountA, amountB) = _modifyPosition(msg.sender, tickLower, tickUpper, -SafeCast.toInt128(SafeCast.toInt256(amount)));
+
+        Position storage position = _positions[_positionKey(msg.sender, tickLower, tickUpper)];
+        position.tokensOwedA += amountA;
+        position.tokensOwedB += amountB;
+
+        emit Burn(msg.sender, tickLower, tickUpper, amount, amountA, amountB);
+    }
+
+    /// @notice Send a position's earned fees and burned liquidity to `to`
+    /// @param tickLower Lower bound of the position
+    /// @param tickUpper Upper bound of the position
+    /// @param to Recipient of the tokens
+    /// @return amountA Amount of token A sent
+    /// @return amountB Amount of token B sent
+    function collect(int24 tickLower, int24 tickUpper, address to)
+        public
+        nonReentrant
+        returns (uint256 amountA, uint256 amountB)
+    {
+        bytes32 key = _positionKey(msg.sender, tickLower, tickUpper);
+        if (_positions[key].liquidity > 0) {
+            _updatePosition(key, tickLower, tickUpper, 0);
+        }
+
+        Position storage position = _positions[key];
+        amountA = position.tokensOwedA;
+        amountB = position.tokensOwedB;
+        position.tokensOwedA = 0;
+        position.tokensOwedB = 0;
+
+        if (amountA > 0) IERC20(tokenA).safeTransfer(to, amountA);
+        if (amountB > 0) IERC20(tokenB).safeTransfer(to, amountB);
+
+        emit Collect(msg.sender, tickLower, tickUpper, to, amountA, amountB);
+    }
+
+    /// @notice Burn all of a position's liquidity and collect everything it is owed
+    /// @param tickLower Lower bound of the position
+    /// @param tickUpper Upper bound of the position
+    /// @param to Recipient of the tokens
+    /// @return amountA Amount of token A sent
+    /// @return amountB Amount of token B sent
+    function closePosition(int24 tickLower, int24 tickUpper, address to)
+        external
+        returns (uint256 amountA, uint256 amountB)
+    {
+        uint128 positionLiquidity = _positions[_positionKey(msg.sender, tickLower, tickUpper)].liquidity;
+        if (positionLiquidity > 0) {
+            burn(tickLower, tickUpper, positionLiquidity);
+        }
+        (amountA, amountB) = collect(tickLower, tickUpper, to);
+        delete _positions[_positionKey(msg.sender, tickLower, tickUpper)];
+    }
+
+    /// @notice Swap an exact amount of token A for as much token B as possible
+    /// @param amountAIn Amount of token A to sell
+    /// @param amountBOutMin Minimum amount of token B to receive
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountBOut Amount of token B received
+    function swapExactAForB(uint256 amountAIn, uint256 amountBOutMin, uint256 deadline)
+        external
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 amountBOut)
+    {
+        amountBOut = _swap(true, amountAIn, amountBOutMin);
+    }
+
+    /// @notice Swap an exact amount of token B for as much token A as possible
+    /// @param amountBIn Amount of token B to sell
+    /// @param amountAOutMin Minimum amount of token A to receive
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountAOut Amount of token A received
+    function swapExactBForA(uint256 amountBIn, uint256 amountAOutMin, uint256 deadline)
+        external
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 amountAOut)
+    {
+        amountAOut = _swap(false, amountBIn, amountAOutMin);
+    }
+
+    /// @notice Liquidity, uncollected tokens and fee checkpoints of a position
+    /// @param owner Address that opened the position
+    /// @param tickLower Lower bound of the position
+    /// @param tickUpper Upper bound of the position
+    /// @return The stored position, fees earned since the last update are not included
+    function positions(address owner, int24 tickLower, int24 tickUpper) external view returns (Position memory) {
+        return _positions[_positionKey(owner, tickLower, tickUpper)];
+    }
+
+    /// @notice Token amounts a position of `amount` liquidity holds at the current price
+    /// @param tickLower Lower bound of the range
+    /// @param tickUpper Upper bound of the range
+    /// @param amount Liquidity of the position
+    /// @return amountA Amount of token A, rounded up as `mint` charges it
+    /// @return amountB Amount of token B, rounded up as `mint` charges it
+    function getAmountsForLiquidity(int24 tickLower, int24 tickUpper, uint128 amount)
+        external
+        view
+        returns (uint256 amountA, uint256 amountB)
+    {
+        _checkTicks(tickLower, tickUpper);
+        (amountA, amountB) = _amountsForLiquidity(tickLower, tickUpper, amount, true);
+    }
+
+    /// @notice Price of token A in token B
+    /// @return price Current price scaled by 1e18
+    function getPrice() external view returns (uint256 price) {
+        price = Math.mulDiv(Math.mulDiv(sqrtPriceX96, sqrtPriceX96, 1 << 96), 1e18, 1 << 96);
+    }
+
+    /// @notice Add or remove liquidity from a position and the ticks it spans
+    /// @return amountA Token A owed to the pool when adding, or by it when removing
+    /// @return amountB Token B owed to the pool when adding, or by it when removing
+    function _modifyPosition(address owner, int24 tickLower, int24 tickUpper, int128 liquidityDelta)
+        private
+        returns (uint256 amountA, uint256 amountB)
+    {
+        _checkTicks(tickLower, tickUpper);
+
+        _updateTick(tickLower, liquidityDelta, false);
+        _updateTick(tickUpper, liquidityDelta, true);
+        _updatePosition(_positionKey(owner, tickLower, tickUpper), tickLower, tickUpper, liquidityDelta);
+
+        // Positions in range trade right away
+        if (tick >= tickLower && tick < tickUpper) {
+            liquidity = _addDelta(liquidity, liquidityDelta);
+        }
+
+        // Clear ticks nobody uses anymore so swaps skip them
+        if (liquidityDelta < 0) {
+            _clearTickIfUnused(tickLower);
+            _clearTickIfUnused(tickUpper);
+        }
+
+        uint128 amount = liquidityDelta < 0 ? uint128(-liquidityDelta) : uint128(liquidityDelta);
+        (amountA, amountB) = _amountsForLiquidity(tickLower, tickUpper, amount, liquidityDelta > 0);
+    }
+
+    /// @notice Token amounts for liquidity between two ticks at the current price
+    function _amountsForLiquidity(int24 tickLower, int24 tickUpper, uint128 amount, bool roundUp)
+        private
+        view
+        returns (uint256 amountA, uint256 amountB)
+    {
+        uint256 sqrtLowerX96 = TickMath.getSqrtRatioAtTick(tickLower);
+        uint256 sqrtUpperX96 = TickMath.getSqrtRatioAtTick(tickUpper);
+
+        if (tick < tickLower) {
+            amountA = SqrtPriceMath.getAmountADelta(sqrtLowerX96, sqrtUpperX96, amount, roundUp);
+        } else if (tick < tickUpper) {
+            amountA = SqrtPriceMath.getAmountADelta(sqrtPriceX96, sqrtUpperX96, amount, roundUp);
+            amountB = SqrtPriceMath.getAmountBDelta(sqrtLowerX96, sqrtPriceX96, amount, roundUp);
+        } else {
+            amountB = SqrtPriceMath.getAmountBDelta(sqrtLowerX96, sqrtUpperX96, amount, roundUp);
+        }
+    }
+
+    /// @notice Change a tick's liquidity, initializing it if it was unused
+    /// @param upper Whether the tick is the upper bound of the position
+    function _updateTick(int24 boundary, int128 liquidityDelta, bool upper) private {
+        Tick storage info = ticks[boundary];
+
+        if (info.liquidityGross == 0) {
+            // By convention all fee growth so far happened below the current tick
+            if (boundary <= tick) {
+                info.feeGrowthOutsideAX128 = feeGrowthGlobalAX128;
+                info.feeGrowthOutsideBX128 = feeGrowthGlobalBX128;
+                initializedTicksAtOrBelow++;
+            }
+            initializedTicks++;
+            tickBitmap.flipTick(boundary, tickSpacing);
+        }
+
+        info.liquidityGross = _addDelta(info.liquidityGross, liquidityDelta);
+        // Crossing a lower bound upwards enters the range, crossing an upper bound leaves it
+        info.liquidityNet = upper ? info.liquidityNet - liquidityDelta : info.liquidityNet + liquidityDelta;
+    }
+
+    /// @notice Delete a tick that no position uses anymore
+    function _clearTickIfUnused(int24 boundary) private {
+        if (ticks[boundary].liquidityGross == 0) {
+            delete ticks[boundary];
+            tickBitmap.flipTick(boundary, tickSpacing);
+            initializedTicks--;
+            if (boundary <= tick) {
+                initializedTicksAtOrBelow--;
+            }
+        }
+    }
+
+    /// @notice Credit a position with the fees earned since its last update and change its liquidity
+    function _updatePosition(bytes32 key, int24 tickLower, int24 tickUpper, int128 liquidityDelta) private {
+        Position storage position = _positions[key];
+        (uint256 feeGrowthInsideAX128, uint256 feeGrowthInsideBX128) = _feeGrowthInside(tickLower, tickUpper);
+
+        // Fee growth counters wrap, differences are still correct modulo 2**256
+        unchecked {
+            position.tokensOwedA += Math.mulDiv(
+                feeGrowthInsideAX128 - position.feeGrowthInsideALastX128, position.liquidity, Q128
+            );
+            position.tokensOwedB += Math.mulDiv(
+                feeGrowthInsideBX128 - position.feeGrowthInsideBLastX128, position.liquidity, Q128
+            );
+        }
+
+        position.feeGrowthInsideALastX128 = feeGrowthInsideAX128;
+        position.feeGrowthInsideBLastX128 = feeGrowthInsideBX128;
+        position.liquidity = _addDelta(position.liquidity, liquidityDelta);
+    }
+
+    /// @notice Fee growth per unit of liquidity that happened while the price was inside a range
+    /// @dev global - below(tickLower) - above(tickUpper)
+    function _feeGrowthInside(int24 tickLower, int24 tickUpper)
+        private
+        view
+        returns (uint256 feeGrowthInsideAX128, uint256 feeGrowthInsideBX128)
+    {
+        Tick storage lower = ticks[tickLower];
+        Tick storage upper = ticks[tickUpper];
+
+        unchecked {
+            uint256 belowA = tick >= tickLower ? lower.feeGrowthOutsideAX128 : feeGrowthGlobalAX128 - lower.feeGrowthOutsideAX128;
+            uint256 belowB = tick >= tickLower ? lower.feeGrowthOutsideBX128 : feeGrowthGlobalBX128 - lower.feeGrowthOutsideBX128;
+            uint256 aboveA = tick < tickUpper ? upper.feeGrowthOutsideAX128 : feeGrowthGlobalAX128 - upper.feeGrowthOutsideAX128;
+            uint256 aboveB = tick < tickUpper ? upper.feeGrowthOutsideBX128 : feeGrowthGlobalBX128 - upper.feeGrowthOutsideBX128;
+
+            feeGrowthInsideAX128 = feeGrowthGlobalAX128 - belowA - aboveA;
+            feeGrowthInsideBX128 = feeGrowthGlobalBX128 - belowB - aboveB;
+        }
+    }
+
+    /// @notice Shared implementation of the exact input swaps
+    /// @dev Each step trades up to the next initialized tick (or the end of the bitmap
+    ///      word being searched) at the liquidity active there. The step's fee is added to
+    ///      the fee growth of that liquidity. Crossing a tick flips its outside fee growth
+    ///      and applies its liquidityNet
+    /// @param aForB True to sell token A for token B, false for the reverse
+    function _swap(bool aForB, uint256 amountIn, uint256 amountOutMin) private returns (uint256 amountOut) {
+        require(amountIn > 0, "DEXConcentrated: insufficient input amount");
+
+        SwapState memory state = SwapState({
+            amountRemaining: amountIn,
+            amountOut: 0,
+            sqrtPriceX96: sqrtPriceX96,
+            tick: tick,
+            liquidity: liquidity,
+            feeGrowthGlobalX128: aForB ? feeGrowthGlobalAX128 : feeGrowthGlobalBX128,
+            ticksAtOrBelow: initializedTicksAtOrBelow
+        });
+        uint256 sqrtPriceLimitX96 = aForB ? TickMath.MIN_SQRT_RATIO + 1 : TickMath.MAX_SQRT_RATIO - 1;
+
+        while (state.amountRemaining > 0 && state.sqrtPriceX96 != sqrtPriceLimitX96) {
+            // Out of range liquidity and no tick left to cross: walking the empty bitmap
+            // words up to the price limit would only burn gas
+            bool ticksAhead = aForB ? state.ticksAtOrBelow > 0 : state.ticksAtOrBelow < initializedTicks;
+            if (state.liquidity == 0 && !ticksAhead) {
+                break;
+            }
+            _swapStep(state, aForB, sqrtPriceLimitX96);
+        }
+        require(state.amountRemaining == 0, "DEXConcentrated: insufficient liquidity");
+
+        amountOut = state.amountOut;
+        require(amountOut > 0, "DEXConcentrated: insufficient output amount");
+        require(amountOut >= amountOutMin, "DEXConcentrated: output below minimum");
+
+        sqrtPriceX96 = uint160(state.sqrtPriceX96);
+        tick = state.tick;
+        liquidity = state.liquidity;
+        initializedTicksAtOrBelow = state.ticksAtOrBelow;
+        if (aForB) {
+            feeGrowthGlobalAX128 = state.feeGrowthGlobalX128;
+        } else {
+            feeGrowthGlobalBX128 = state.feeGrowthGlobalX128;
+        }
+
+        (address tokenIn, address tokenOut) = aForB ? (tokenA, tokenB) : (tokenB, tokenA);
+        IERC20(tokenIn).safeTransferFrom(msg.sender, address(this), amountIn);
+        IERC20(tokenOut).safeTransfer(msg.sender, amountOut);
+
+        emit Swap(msg.sender, tokenIn, tokenOut, amountIn, amountOut, uint160(state.sqrtPriceX96), state.tick);
+    }
+
+    /// @notice Advance a swap to the next initialized tick or until its input runs out
+    function _swapStep(SwapState memory state, bool aForB, uint256 sqrtPriceLimitX96) private {
+        (int24 tickNext, bool initialized) = tickBitmap.nextInitializedTickWithinOneWord(state.tick, tickSpacing, aForB);
+        if (tickNext < TickMath.MIN_TICK) {
+            tickNext = TickMath.MIN_TICK;
+        } else if (tickNext > TickMath.MAX_TICK) {
+            tickNext = TickMath.MAX_TICK;
+        }
+
+        uint256 sqrtNextX96 = TickMath.getSqrtRatioAtTick(tickNext);
+        uint256 sqrtTargetX96 = (aForB ? sqrtNextX96 < sqrtPriceLimitX96 : sqrtNextX96 > sqrtPriceLimitX96)
+            ? sqrtPriceLimitX96
+            : sqrtNextX96;
+
+        (uint256 sqrtPriceAfterX96, uint256 stepIn, uint256 stepOut, uint256 feeAmount) = SqrtPriceMath.computeSwapStep(
+            state.sqrtPriceX96, sqrtTargetX96, state.liquidity, state.amountRemaining, swapFee
+        );
+        state.sqrtPriceX96 = sqrtPriceAfterX96;
+        state.amountRemaining -= stepIn + feeAmount;
+        state.amountOut += stepOut;
+
+        if (state.liquidity > 0) {
+            unchecked {
+                state.feeGrowthGlobalX128 += Math.mulDiv(feeAmount, Q128, state.liquidity);
+            }
+        }
+
+        if (sqrtPriceAfterX96 == sqrtNextX96) {
+            if (initialized) {
+                int128 liquidityNet = _crossTick(tickNext, aForB, state.feeGrowthGlobalX128);
+                state.liquidity = _addDelta(state.liquidity, aForB ? -liquidityNet : liquidityNet);
+                if (aForB) {
+                    state.ticksAtOrBelow--;
+                } else {
+                    state.ticksAtOrBelow++;
+                }
+            }
+            // Moving down, the price now sits just below tickNext
+            state.tick = aForB ? tickNext - 1 : tickNext;
+        } else {
+            state.tick = TickMath.getTickAtSqrtRatio(uint160(sqrtPriceAfterX96));
+        }
+    }
+
+    /// @notice Flip a tick's outside fee growth as the price crosses it
+    /// @param feeGrowthGlobalX128 Up to date fee growth of the input token
+    /// @return liquidityNet The tick's liquidityNet
+    function _crossTick(int24 boundary, bool aForB, uint256 feeGrowthGlobalX128) private returns (int128) {
+        Tick storage info = ticks[boundary];
+        (uint256 globalAX128, uint256 globalBX128) = aForB
+            ? (feeGrowthGlobalX128, feeGrowthGlobalBX128)
+            : (feeGrowthGlobalAX128, feeGrowthGlobalX128);
+
+        unchecked {
+            info.feeGrowthOutsideAX128 = globalAX128 - info.feeGrowthOutsideAX128;
+            info.feeGrowthOutsideBX128 = globalBX128 - info.feeGrowthOutsideBX128;
+        }
+        return info.liquidityNet;
+    }
+
+    /// @notice Validate position bounds
+    function _checkTicks(int24 tickLower, int24 tickUpper) private view {
+        require(tickLower < tickUpper, "DEXConcentrated: invalid range");
+        require(tickLower >= TickMath.MIN_TICK && tickUpper <= TickMath.MAX_TICK, "DEXConcentrated: tick out of range");
+        require(tickLower % tickSpacing == 0 && tickUpper % tickSpacing == 0, "DEXConcentrated: tick not spaced");
+    }
+
+    /// @notice Add a signed delta to an unsigned liquidity amount
+    function _addDelta(uint128 x, int128 delta) private pure returns (uint128) {
+        return delta < 0 ? x - uint128(-delta) : x + uint128(delta);
+    }
+
+    /// @notice Storage key of a position
+    function _positionKey(address owner, int24 tickLower, int24 tickUpper) private pure returns (bytes32) {
+        return keccak256(abi.encodePacked(owner, tickLower, tickUpper));
+    }
+}
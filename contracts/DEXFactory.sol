@@ -0,0 +1,106 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./DEX.sol";
+
+/// @notice Deploys one DEX pool per token pair at a deterministic CREATE2 address
+/// @dev New pools are governed by `admin`: the factory hands its deployer roles
+///      over to it right after creation
+contract DEXFactory {
+    // State variables
+    address public admin;
+    mapping(address => mapping(address => address)) public getPair;
+    address[] public allPairs;
+
+    // Events
+    event PairCreated(address indexed tokenA, address indexed tokenB, address pair, uint256 pairCount);
+    event AdminChanged(address indexed previousAdmin, address indexed newAdmin);
+
+    /// @notice Initialize the factory
+    /// @param _admin Address that governs the pools this factory creates
+    constructor(address _admin) {
+        require(_admin != address(0), "DEXFactory: admin is zero address");
+        admin = _admin;
+    }
+
+    /// @notice Deploy a new pool for a token pair
+    /// @dev Tokens are sorted so the pool's tokenA is always the lower address
+    /// @param tokenA Address of one token in the pair
+    /// @param tokenB Address of the other token in the pair
+    /// @param swapFee Swap fee of the pool in basis points
+    /// @return pair Address of the new pool
+    function createPair(address tokenA, address tokenB, uint256 swapFee) external returns (address pair) {
+        (address token0, address token1) = sortTokens(tokenA, tokenB);
+        require(getPair[token0][token1] == address(0), "DEXFactory: pair exists");
+
+        DEX pool = new DEX{salt: _salt(token0, token1)}(token0, token1, swapFee);
+        _handOverRoles(pool);
+        pair = address(pool);
+
+        // Register the pair in both directions
+        getPair[token0][token1] = pair;
+        getPair[token1][token0] = pair;
+        allPairs.push(pair);
+
+        emit PairCreated(token0, token1, pair, allPairs.length);
+    }
+
+    /// @notice Change the admin that future pools are handed to
+    /// @dev Existing pools keep their roles, which are managed on each pool
+    /// @param newAdmin Address of the new admin
+    function setAdmin(address newAdmin) external {
+        require(msg.sender == admin, "DEXFactory: caller is not the admin");
+        require(newAdmin != address(0), "DEXFactory: admin is zero address");
+
+        emit AdminChanged(admin, newAdmin);
+        admin = newAdmin;
+    }
+
+    /// @notice Number of pools created by this factory
+    /// @return Length of `allPairs`
+    function allPairsLength() external view returns (uint256) {
+        return allPairs.length;
+    }
+
+    /// @notice Address a pool for the pair has or will have, whether or not it exists yet
+    /// @param tokenA Address of one token in the pair
+    /// @param tokenB Address of the other token in the pair
+    /// @param swapFee Swap fee the pool is or will be created with
+    /// @return pair CREATE2 address of the pool
+    function pairFor(address tokenA, address tokenB, uint256 swapFee) public view returns (address pair) {
+        (address token0, address token1) = sortTokens(tokenA, tokenB);
+        bytes32 initCodeHash = keccak256(abi.encodePacked(type(DEX).creationCode, abi.encode(token0, token1, swapFee)));
+
+        pair = address(uint160(uint256(keccak256(abi.encodePacked(
+            bytes1(0xff),
+            address(this),
+            _salt(token0, token1),
+            initCodeHash
+        )))));
+    }
+
+    /// @notice Order two token addresses the way pools store them
+    /// @param tokenA Address of one token
+    /// @param tokenB Address of the other token
+    /// @return token0 Lower of the two addresses
+    /// @return token1 Higher of the two addresses
+    function sortTokens(address tokenA, address tokenB) public pure returns (address token0, address token1) {
+        require(tokenA != tokenB, "DEXFactory: identical tokens");
+        (token0, token1) = tokenA < tokenB ? (tokenA, tokenB) : (tokenB, tokenA);
+        require(token0 != address(0), "DEXFactory: zero address");
+    }
+
+    /// @notice Grant the pool's governance roles to `admin` and drop the factory's own
+    function _handOverRoles(DEX pool) private {
+        bytes32[3] memory roles = [pool.FEE_MANAGER_ROLE(), pool.GUARDIAN_ROLE(), pool.DEFAULT_ADMIN_ROLE()];
+        for (uint256 i = 0; i < roles.length; i++) {
+            pool.grantRole(roles[i], admin);
+            pool.renounceRole(roles[i], address(this));
+        }
+    }
+
+    /// @notice CREATE2 salt for a sorted token pair
+    function _salt(address token0, address token1) private pure returns (bytes32) {
+        return keccak256(abi.encodePacked(token0, token1));
+    }
+}
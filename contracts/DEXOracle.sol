@@ -0,0 +1,126 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./DEX.sol";
+
+/// @notice Time-weighted average price oracle built on the DEX price accumulators
+/// @dev Anyone can record an observation for a pool with `update`. `consult` then
+///      averages the price between the newest observation that is at least `window`
+///      seconds old and the current block, so a single-block manipulation only moves
+///      the result in proportion to how long it lasted
+contract DEXOracle {
+    struct Observation {
+        uint256 timestamp;
+        uint256 priceACumulative;
+        uint256 priceBCumulative;
+    }
+
+    // State variables
+    uint256 public immutable minUpdateInterval;
+    mapping(address => Observation[]) private observations;
+
+    // Events
+    event ObservationRecorded(address indexed pool, uint256 timestamp, uint256 priceACumulative, uint256 priceBCumulative);
+
+    /// @notice Initialize the oracle
+    /// @param _minUpdateInterval Minimum number of seconds between two observations of a pool
+    constructor(uint256 _minUpdateInterval) {
+        minUpdateInterval = _minUpdateInterval;
+    }
+
+    /// @notice Record the pool's current accumulators
+    /// @dev Does nothing if the last observation is younger than `minUpdateInterval`
+    /// @param pool Address of the DEX pool
+    /// @return recorded Whether a new observation was stored
+    function update(address pool) external returns (bool recorded) {
+        Observation[] storage history = observations[pool];
+        if (history.length > 0 && block.timestamp - history[history.length - 1].timestamp < minUpdateInterval) {
+            return false;
+        }
+
+        (uint256 priceACumulative, uint256 priceBCumulative, uint256 timestamp) = DEX(pool).currentCumulativePrices();
+        history.push(Observation(timestamp, priceACumulative, priceBCumulative));
+
+        emit ObservationRecorded(pool, timestamp, priceACumulative, priceBCumulative);
+        return true;
+    }
+
+    /// @notice Average prices over at least the last `window` seconds
+    /// @param pool Address of the DEX pool
+    /// @param window Minimum length of the averaging period in seconds
+    /// @return priceAAverage Average price of token A in token B (1e18 scaled)
+    /// @return priceBAverage Average price of token B in token A (1e18 scaled)
+    function getAveragePrices(address pool, uint256 window)
+        public
+        view
+        returns (uint256 priceAAverage, uint256 priceBAverage)
+    {
+        require(window > 0, "DEXOracle: zero window");
+        require(window <= block.timestamp, "DEXOracle: window too long");
+        Observation memory start = _observationBefore(pool, block.timestamp - window);
+
+        (uint256 priceACumulative, uint256 priceBCumulative, uint256 timestamp) = DEX(pool).currentCumulativePrices();
+        uint256 elapsed = timestamp - start.timestamp;
+
+        // Accumulators may have wrapped, differences are still correct modulo 2**256
+        unchecked {
+            priceAAverage = (priceACumulative - start.priceACumulative) / elapsed;
+            priceBAverage = (priceBCumulative - start.priceBCumulative) / elapsed;
+        }
+    }
+
+    /// @notice Value an amount of one pool token in the other at the time-weighted price
+    /// @param pool Address of the DEX pool
+    /// @param tokenIn Token being valued, either tokenA or tokenB of the pool
+    /// @param amountIn Amount of `tokenIn`
+    /// @param window Minimum length of the averaging period in seconds
+    /// @return amountOut Equivalent amount of the other pool token
+    function consult(address pool, address tokenIn, uint256 amountIn, uint256 window)
+        external
+        view
+        returns (uint256 amountOut)
+    {
+        (uint256 priceAAverage, uint256 priceBAverage) = getAveragePrices(pool, window);
+
+        if (tokenIn == DEX(pool).tokenA()) {
+            amountOut = (amountIn * priceAAverage) / 1e18;
+        } else {
+            require(tokenIn == DEX(pool).tokenB(), "DEXOracle: invalid token");
+            amountOut = (amountIn * priceBAverage) / 1e18;
+        }
+    }
+
+    /// @notice Number of observations stored for a pool
+    /// @param pool Address of the DEX pool
+    /// @return Count of observations
+    function observationCount(address pool) external view returns (uint256) {
+        return observations[pool].length;
+    }
+
+    /// @notice Observation stored for a pool at a given index
+    /// @param pool Address of the DEX pool
+    /// @param index Position in the pool's history, oldest first
+    /// @return The stored observation
+    function getObservation(address pool, uint256 index) external view returns (Observation memory) {
+        return observations[pool][index];
+    }
+
+    /// @notice Newest observation taken at or before `target`
+    /// @dev Binary search, observations are stored in timestamp order
+    function _observationBefore(address pool, uint256 target) private view returns (Observation memory) {
+        Observation[] storage history = observations[pool];
+        require(history.length > 0 && history[0].timestamp <= target, "DEXOracle: insufficient history");
+
+        uint256 low = 0;
+        uint256 high = history.length - 1;
+        while (low < high) {
+            uint256 mid = (low + high + 1) / 2;
+            if (history[mid].timestamp <= target) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return history[low];
+    }
+}
@@ -0,0 +1,278 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./DEX.sol";
+
+/// @notice Limit orders and time-weighted long-term orders executed against one DEX pool
+/// @dev Users escrow the token they sell plus a keeper tip in the same token. Anyone can
+///      act as a keeper: limit orders are filled in one go once the pool price reaches the
+///      order's limit, and long-term orders are sold in equal parts per block between their
+///      start and end block, in as many executions as keepers care to make. Every execution
+///      pays the keeper the matching share of the tip. Every order has a limit price that each
+///      execution must meet, so keepers cannot sell into a price they moved themselves. Prices
+///      are token B per token A with 1e18 scaling, the same as `DEX.getPrice`
+contract DEXOrderBook is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    enum OrderStatus { Open, Filled, Cancelled }
+
+    struct Order {
+        address owner;
+        bool sellA;
+        OrderStatus status;
+        uint256 amountIn;
+        uint256 amountSold;
+        uint256 amountOut;
+        uint256 limitPrice;
+        uint256 tip;
+        uint256 tipPaid;
+        uint256 startBlock;
+        uint256 endBlock;
+        uint256 lastExecutionBlock;
+    }
+
+    // Most blocks' worth of a long-term order that one execution sells, so a late keeper
+    // cannot dump a long backlog into a single price
+    uint256 public constant MAX_BACKLOG_BLOCKS = 10;
+
+    // State variables
+    DEX public immutable pool;
+    address public immutable tokenA;
+    address public immutable tokenB;
+    uint256 public orderCount;
+    mapping(uint256 => Order) private orders;
+
+    // Events
+    event OrderPlaced(
+        uint256 indexed orderId,
+        address indexed owner,
+        bool sellA,
+        uint256 amountIn,
+        uint256 limitPrice,
+        uint256 numberOfBlocks,
+        uint256 tip
+    );
+    event OrderFilled(uint256 indexed orderId, address indexed keeper, uint256 amountIn, uint256 amountOut, uint256 tip);
+    event OrderCancelled(uint256 indexed orderId, address indexed owner, uint256 amountRefunded, uint256 tipRefunded);
+
+    /// @notice Initialize the order book for a pool
+    /// @param _pool Address of the DEX pool orders are executed against
+    constructor(address _pool) {
+        require(_pool != address(0), "DEXOrderBook: pool is zero address");
+        pool = DEX(_pool);
+        tokenA = DEX(_pool).tokenA();
+        tokenB = DEX(_pool).tokenB();
+    }
+
+    /// @notice Escrow tokens to sell once the pool price reaches `limitPrice`
+    /// @dev Selling A fills when the price is at or above the limit, selling B when it is at
+    ///      or below. The fill must also pay at least the limit price after the swap fee and
+    ///      price impact, so a keeper may have to wait until the price moves further
+    /// @param sellA True to sell token A for token B, false for the reverse
+    /// @param amountIn Amount of the sold token to escrow, tip excluded
+    /// @param limitPrice Price of token A in token B (1e18 scaled) at which to sell
+    /// @param tip Amount of the sold token paid to the keeper that fills the order
+    /// @return orderId Identifier of the new order
+    function placeLimitOrder(bool sellA, uint256 amountIn, uint256 limitPrice, uint256 tip)
+        external
+        nonReentrant
+        returns (uint256 orderId)
+    {
+        orderId = _placeOrder(sellA, amountIn, limitPrice, 0, tip);
+    }
+
+    /// @notice Escrow tokens to sell in equal parts per block over the next `numberOfBlocks` blocks
+    /// @dev Spreading a large sale over many blocks gives arbitrageurs time to bring the price
+    ///      back between executions, so the order pays far less price impact than one swap.
+    ///      Executions are limited to one per block and MAX_BACKLOG_BLOCKS blocks' worth each
+    /// @param sellA True to sell token A for token B, false for the reverse
+    /// @param amountIn Amount of the sold token to escrow, tip excluded
+    /// @param numberOfBlocks Number of blocks to spread the sale over
+    /// @param limitPrice Worst price of token A in token B (1e18 scaled) any part may sell at
+    /// @param tip Amount of the sold token paid out to keepers in proportion to what they execute
+    /// @return orderId Identifier of the new order
+    function placeLongTermOrder(bool sellA, uint256 amountIn, uint256 numberOfBlocks, uint256 limitPrice, uint256 tip)
+        external
+        nonReentrant
+        returns (uint256 orderId)
+    {
+        require(numberOfBlocks > 0, "DEXOrderBook: zero duration");
+        orderId = _placeOrder(sellA, amountIn, limitPrice, numberOfBlocks, tip);
+    }
+
+    /// @notice Fill a limit order whose price has been reached
+    /// @dev The output goes to the order's owner and the tip to the caller
+    /// @param orderId Identifier of the order
+    /// @return amountOut Amount of the bought token sent to the owner
+    function fillLimitOrder(uint256 orderId) external nonReentrant returns (uint256 amountOut) {
+        Order storage order = orders[orderId];
+        require(order.status == OrderStatus.Open, "DEXOrderBook: order not open");
+        require(order.endBlock == 0, "DEXOrderBook: not a limit order");
+        require(_limitReached(order.sellA, order.limitPrice), "DEXOrderBook: price not reached");
+
+        amountOut = _execute(orderId, order.amountIn);
+    }
+
+    /// @notice Sell the part of a long-term order that has come due since its last execution
+    /// @dev The output goes to the order's owner and the matching share of the tip to the caller
+    /// @param orderId Identifier of the order
+    /// @return amountOut Amount of the bought token sent to the owner
+    function executeLongTermOrder(uint256 orderId) external nonReentrant returns (uint256 amountOut) {
+        Order storage order = orders[orderId];
+        require(order.status == OrderStatus.Open, "DEXOrderBook: order not open");
+        require(order.endBlock != 0, "DEXOrderBook: not a long-term order");
+
+        uint256 due = _amountDue(order);
+        require(due > 0, "DEXOrderBook: nothing due");
+        order.lastExecutionBlock = block.number;
+
+        amountOut = _execute(orderId, due);
+    }
+
+    /// @notice Cancel an open order and get back everything not yet sold or paid out
+    /// @dev Parts of a long-term order that were already executed stay executed
+    /// @param orderId Identifier of the order
+    function cancelOrder(uint256 orderId) external nonReentrant {
+        Order storage order = orders[orderId];
+        require(order.owner == msg.sender, "DEXOrderBook: caller is not the owner");
+        require(order.status == OrderStatus.Open, "DEXOrderBook: order not open");
+
+        uint256 amountRefunded = order.amountIn - order.amountSold;
+        uint256 tipRefunded = order.tip - order.tipPaid;
+        order.status = OrderStatus.Cancelled;
+
+        IERC20(_tokenIn(order.sellA)).safeTransfer(msg.sender, amountRefunded + tipRefunded);
+
+        emit OrderCancelled(orderId, msg.sender, amountRefunded, tipRefunded);
+    }
+
+    /// @notice Stored state of an order
+    /// @param orderId Identifier of the order
+    /// @return The order
+    function getOrder(uint256 orderId) external view returns (Order memory) {
+        return orders[orderId];
+    }
+
+    /// @notice Whether `fillLimitOrder` would pass its price trigger right now
+    /// @dev Keepers should still simulate the fill, which also checks the execution price
+    /// @param orderId Identifier of the order
+    /// @return Whether the order is an open limit order whose price has been reached
+    function canFill(uint256 orderId) external view returns (bool) {
+        Order storage order = orders[orderId];
+        return order.status == OrderStatus.Open && order.endBlock == 0 && _limitReached(order.sellA, order.limitPrice);
+    }
+
+    /// @notice Amount of a long-term order that `executeLongTermOrder` would sell right now
+    /// @param orderId Identifier of the order
+    /// @return Amount of the sold token due
+    function amountDue(uint256 orderId) external view returns (uint256) {
+        Order storage order = orders[orderId];
+        if (order.status != OrderStatus.Open || order.endBlock == 0) {
+            return 0;
+        }
+        return _amountDue(order);
+    }
+
+    /// @notice Shared implementation of the order entry points
+    /// @dev Escrow is measured by balance delta, so fee-on-transfer tokens are supported.
+    ///      The tip is taken out of what arrived
+    function _placeOrder(bool sellA, uint256 amountIn, uint256 limitPrice, uint256 numberOfBlocks, uint256 tip)
+        private
+        returns (uint256 orderId)
+    {
+        require(amountIn > 0, "DEXOrderBook: insufficient input amount");
+        require(limitPrice > 0, "DEXOrderBook: zero limit price");
+        IERC20 tokenIn = IERC20(_tokenIn(sellA));
+
+        uint256 balanceBefore = tokenIn.balanceOf(address(this));
+        tokenIn.safeTransferFrom(msg.sender, address(this), amountIn + tip);
+        uint256 received = tokenIn.balanceOf(address(this)) - balanceBefore;
+        require(received > tip, "DEXOrderBook: insufficient input received");
+
+        orderId = orderCount++;
+        Order storage order = orders[orderId];
+        order.owner = msg.sender;
+        order.sellA = sellA;
+        order.amountIn = received - tip;
+        order.limitPrice = limitPrice;
+        order.tip = tip;
+        if (numberOfBlocks > 0) {
+            order.startBlock = block.number;
+            order.endBlock = block.number + numberOfBlocks;
+            order.lastExecutionBlock = block.number;
+        }
+
+        emit OrderPlaced(orderId, msg.sender, sellA, order.amountIn, limitPrice, numberOfBlocks, tip);
+    }
+
+    /// @notice Sell `amount` of an order on the pool, pay the owner and the keeper
+    /// @dev The limit price is passed to the pool as the minimum output and checked again on
+    ///      the balance delta, which also covers fee-on-transfer output tokens
+    function _execute(uint256 orderId, uint256 amount) private returns (uint256 amountOut) {
+        Order storage order = orders[orderId];
+        IERC20 tokenOut = IERC20(order.sellA ? tokenB : tokenA);
+
+        // Account before any external call
+        order.amountSold += amount;
+        bool done = order.amountSold == order.amountIn;
+        uint256 tipDue = done ? order.tip - order.tipPaid : (order.tip * order.amountSold) / order.amountIn - order.tipPaid;
+        order.tipPaid += tipDue;
+        if (done) {
+            order.status = OrderStatus.Filled;
+        }
+
+        uint256 minimumOut = _minimumOutput(order.sellA, amount, order.limitPrice);
+        uint256 balanceBefore = tokenOut.balanceOf(address(this));
+        IERC20(_tokenIn(order.sellA)).forceApprove(address(pool), amount);
+        if (order.sellA) {
+            pool.swapExactAForB(amount, minimumOut, block.timestamp);
+        } else {
+            pool.swapExactBForA(amount, minimumOut, block.timestamp);
+        }
+        amountOut = tokenOut.balanceOf(address(this)) - balanceBefore;
+        require(amountOut >= minimumOut, "DEXOrderBook: limit price not met");
+        order.amountOut += amountOut;
+
+        tokenOut.safeTransfer(order.owner, amountOut);
+        if (tipDue > 0) {
+            IERC20(_tokenIn(order.sellA)).safeTransfer(msg.sender, tipDue);
+        }
+
+        emit OrderFilled(orderId, msg.sender, amount, amountOut, tipDue);
+    }
+
+    /// @notice Part of a long-term order sold by the current block but not yet executed,
+    ///         capped at MAX_BACKLOG_BLOCKS blocks' worth and zero if it already ran this block
+    function _amountDue(Order storage order) private view returns (uint256) {
+        if (order.lastExecutionBlock == block.number) {
+            return 0;
+        }
+        uint256 duration = order.endBlock - order.startBlock;
+        uint256 blockNumber = block.number < order.endBlock ? block.number : order.endBlock;
+        uint256 vested = (order.amountIn * (blockNumber - order.startBlock)) / duration;
+        uint256 backlogCap = Math.mulDiv(order.amountIn, MAX_BACKLOG_BLOCKS, duration, Math.Rounding.Up);
+        return Math.min(vested - order.amountSold, backlogCap);
+    }
+
+    /// @notice Whether the pool's spot price is at or past `limitPrice` for the order's side
+    function _limitReached(bool sellA, uint256 limitPrice) private view returns (bool) {
+        uint256 price = pool.getPrice();
+        return sellA ? price >= limitPrice : price <= limitPrice;
+    }
+
+    /// @notice Least output that selling `amount` at `limitPrice` must bring, rounded up
+    function _minimumOutput(bool sellA, uint256 amount, uint256 limitPrice) private pure returns (uint256) {
+        return sellA
+            ? Math.mulDiv(amount, limitPrice, 1e18, Math.Rounding.Up)
+            : Math.mulDiv(amount, 1e18, limitPrice, Math.Rounding.Up);
+    }
+
+    /// @notice Token sold by an order
+    function _tokenIn(bool sellA) private view returns (address) {
+        return sellA ? tokenA : tokenB;
+    }
+}
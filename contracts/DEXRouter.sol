@@ -0,0 +1,572 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "./DEX.sol";
+import "./DEXFactory.sol";
+import "./interfaces/IWETH.sol";
+
+/// @notice Routes swaps along a token path through the factory's pools
+/// @dev Tokens are pulled from the caller once and the router trades hop by hop
+///      with its own balance, so users only approve the router. The *ETH functions
+///      wrap and unwrap native ETH through WETH, which pools hold like any other token
+contract DEXRouter is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    // State variables
+    DEXFactory public immutable factory;
+    IWETH public immutable WETH;
+
+    /// @notice Reverts once the caller supplied deadline has passed
+    /// @param deadline Unix timestamp after which the transaction is rejected
+    modifier ensure(uint256 deadline) {
+        require(deadline >= block.timestamp, "DEXRouter: expired");
+        _;
+    }
+
+    /// @notice Initialize the router for a factory's pools
+    /// @param _factory Address of the DEXFactory
+    /// @param _WETH Address of the wrapped ether contract used for the *ETH functions
+    constructor(address _factory, address _WETH) {
+        require(_factory != address(0), "DEXRouter: factory is zero address");
+        require(_WETH != address(0), "DEXRouter: WETH is zero address");
+        factory = DEXFactory(_factory);
+        WETH = IWETH(_WETH);
+    }
+
+    /// @notice Accept ETH only when unwrapping WETH
+    receive() external payable {
+        require(msg.sender == address(WETH), "DEXRouter: only WETH");
+    }
+
+    /// @notice Add liquidity to a token/WETH pool with native ETH
+    /// @dev Like `DEX.addLiquidity`, only the ratio-matched amounts are used. The
+    ///      unused tokens and ETH are refunded to the caller and the LP tokens go to `to`
+    /// @param token The pool's other token
+    /// @param amountTokenDesired Maximum amount of `token` to add
+    /// @param amountTokenMin Minimum amount of `token` to add
+    /// @param amountETHMin Minimum amount of ETH to add, out of `msg.value`
+    /// @param to Recipient of the LP tokens
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountToken Amount of `token` added to the pool
+    /// @return amountETH Amount of ETH added to the pool
+    /// @return liquidity Amount of LP tokens minted
+    function addLiquidityETH(
+        address token,
+        uint256 amountTokenDesired,
+        uint256 amountTokenMin,
+        uint256 amountETHMin,
+        address to,
+        uint256 deadline
+    )
+        external
+        payable
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 amountToken, uint256 amountETH, uint256 liquidity)
+    {
+        DEX pool = _pairFor(token, address(WETH));
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amountTokenDesired);
+        WETH.deposit{value: msg.value}();
+        (amountToken, amountETH, liquidity) = _addLiquidityETH(
+            pool,
+            token,
+            IERC20(token).balanceOf(address(this)) - balanceBefore,
+            amountTokenMin,
+            amountETHMin
+        );
+        IERC20(address(pool)).safeTransfer(to, liquidity);
+
+        // Refund what the pool did not take
+        uint256 tokenLeft = IERC20(token).balanceOf(address(this)) - balanceBefore;
+        if (tokenLeft > 0) {
+            IERC20(token).safeTransfer(msg.sender, tokenLeft);
+        }
+        if (msg.value > amountETH) {
+            WETH.withdraw(msg.value - amountETH);
+            _safeTransferETH(msg.sender, msg.value - amountETH);
+        }
+    }
+
+    /// @notice Remove liquidity from the `tokenA`/`tokenB` pool
+    /// @dev The caller must have approved the router for `liquidity` LP tokens
+    /// @param tokenA One of the pool's tokens, in either order
+    /// @param tokenB The pool's other token
+    /// @param liquidity Amount of LP tokens to burn
+    /// @param amountAMin Minimum amount of `tokenA` to receive
+    /// @param amountBMin Minimum amount of `tokenB` to receive
+    /// @param to Recipient of the tokens
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountA Amount of `tokenA` sent to `to`
+    /// @return amountB Amount of `tokenB` sent to `to`
+    function removeLiquidity(
+        address tokenA,
+        address tokenB,
+        uint256 liquidity,
+        uint256 amountAMin,
+        uint256 amountBMin,
+        address to,
+        uint256 deadline
+    )
+        external
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 amountA, uint256 amountB)
+    {
+        (amountA, amountB) = _removeLiquidity(tokenA, tokenB, liquidity, amountAMin, amountBMin, to);
+    }
+
+    /// @notice `removeLiquidity` authorised by an EIP-2612 permit on the LP token
+    /// @dev Saves the separate approval transaction. The permit is for `liquidity`
+    ///      LP tokens, or for the maximum amount when `approveMax` is set
+    /// @param tokenA One of the pool's tokens, in either order
+    /// @param tokenB The pool's other token
+    /// @param liquidity Amount of LP tokens to burn
+    /// @param amountAMin Minimum amount of `tokenA` to receive
+    /// @param amountBMin Minimum amount of `tokenB` to receive
+    /// @param to Recipient of the tokens
+    /// @param deadline Unix timestamp after which the transaction and the permit expire
+    /// @param approveMax Whether the permit is for the maximum amount
+    /// @param v Permit signature
+    /// @param r Permit signature
+    /// @param s Permit signature
+    /// @return amountA Amount of `tokenA` sent to `to`
+    /// @return amountB Amount of `tokenB` sent to `to`
+    function removeLiquidityWithPermit(
+        address tokenA,
+        address tokenB,
+        uint256 liquidity,
+        uint256 amountAMin,
+        uint256 amountBMin,
+        address to,
+        uint256 deadline,
+        bool approveMax,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    )
+        external
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 amountA, uint256 amountB)
+    {
+        uint256 value = approveMax ? type(uint256).max : liquidity;
+        _pairFor(tokenA, tokenB).permit(msg.sender, address(this), value, deadline, v, r, s);
+        (amountA, amountB) = _removeLiquidity(tokenA, tokenB, liquidity, amountAMin, amountBMin, to);
+    }
+
+    /// @notice Remove liquidity from a token/WETH pool and receive native ETH
+    /// @dev The caller must have approved the router for `liquidity` LP tokens
+    /// @param token The pool's other token
+    /// @param liquidity Amount of LP tokens to burn
+    /// @param amountTokenMin Minimum amount of `token` to receive
+    /// @param amountETHMin Minimum amount of ETH to receive
+    /// @param to Recipient of the tokens and ETH
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountToken Amount of `token` sent to `to`
+    /// @return amountETH Amount of ETH sent to `to`
+    function removeLiquidityETH(
+        address token,
+        uint256 liquidity,
+        uint256 amountTokenMin,
+        uint256 amountETHMin,
+        address to,
+        uint256 deadline
+    )
+        external
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 amountToken, uint256 amountETH)
+    {
+        (amountToken, amountETH) = _removeLiquidityETH(token, liquidity, amountTokenMin, amountETHMin, to);
+    }
+
+    /// @notice `removeLiquidityETH` authorised by an EIP-2612 permit on the LP token
+    /// @dev Saves the separate approval transaction. The permit is for `liquidity`
+    ///      LP tokens, or for the maximum amount when `approveMax` is set
+    /// @param token The pool's other token
+    /// @param liquidity Amount of LP tokens to burn
+    /// @param amountTokenMin Minimum amount of `token` to receive
+    /// @param amountETHMin Minimum amount of ETH to receive
+    /// @param to Recipient of the tokens and ETH
+    /// @param deadline Unix timestamp after which the transaction and the permit expire
+    /// @param approveMax Whether the permit is for the maximum amount
+    /// @param v Permit signature
+    /// @param r Permit signature
+    /// @param s Permit signature
+    /// @return amountToken Amount of `token` sent to `to`
+    /// @return amountETH Amount of ETH sent to `to`
+    function removeLiquidityETHWithPermit(
+        address token,
+        uint256 liquidity,
+        uint256 amountTokenMin,
+        uint256 amountETHMin,
+        address to,
+        uint256 deadline,
+        bool approveMax,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    )
+        external
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 amountToken, uint256 amountETH)
+    {
+        uint256 value = approveMax ? type(uint256).max : liquidity;
+        _pairFor(token, address(WETH)).permit(msg.sender, address(this), value, deadline, v, r, s);
+        (amountToken, amountETH) = _removeLiquidityETH(token, liquidity, amountTokenMin, amountETHMin, to);
+    }
+
+    /// @notice Swap an exact amount of the first token in `path` for as much of the last as possible
+    /// @param amountIn Amount of `path[0]` to sell
+    /// @param amountOutMin Minimum amount of `path[path.length - 1]` to receive
+    /// @param path Token addresses to route through, one pool per adjacent pair
+    /// @param to Recipient of the output tokens
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amounts Input amount followed by the output of every hop
+    function swapExactTokensForTokens(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    )
+        external
+        nonReentrant
+        ensure(deadline)
+        returns (uint256[] memory amounts)
+    {
+        amounts = getAmountsOut(amountIn, path);
+        require(amounts[amounts.length - 1] >= amountOutMin, "DEXRouter: insufficient output amount");
+
+        IERC20(path[0]).safeTransferFrom(msg.sender, address(this), amountIn);
+        _swap(amounts, path, to);
+    }
+
+    /// @notice Receive an exact amount of the last token in `path` for as little of the first as possible
+    /// @dev Intermediate hops may round in the trader's favour, so the final output
+    ///      can exceed `amountOut` by a few wei; all of it is sent to `to`
+    /// @param amountOut Amount of `path[path.length - 1]` to receive
+    /// @param amountInMax Maximum amount of `path[0]` to sell
+    /// @param path Token addresses to route through, one pool per adjacent pair
+    /// @param to Recipient of the output tokens
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amounts Input amount followed by the output of every hop
+    function swapTokensForExactTokens(
+        uint256 amountOut,
+        uint256 amountInMax,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    )
+        external
+        nonReentrant
+        ensure(deadline)
+        returns (uint256[] memory amounts)
+    {
+        amounts = getAmountsIn(amountOut, path);
+        require(amounts[0] <= amountInMax, "DEXRouter: excessive input amount");
+
+        IERC20(path[0]).safeTransferFrom(msg.sender, address(this), amounts[0]);
+        _swap(amounts, path, to);
+    }
+
+    /// @notice Swap all the ETH sent for as much of the last token in `path` as possible
+    /// @param amountOutMin Minimum amount of `path[path.length - 1]` to receive
+    /// @param path Token addresses to route through, starting with WETH
+    /// @param to Recipient of the output tokens
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amounts Input amount followed by the output of every hop
+    function swapExactETHForTokens(
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    )
+        external
+        payable
+        nonReentrant
+        ensure(deadline)
+        returns (uint256[] memory amounts)
+    {
+        require(path[0] == address(WETH), "DEXRouter: invalid path");
+        amounts = getAmountsOut(msg.value, path);
+        require(amounts[amounts.length - 1] >= amountOutMin, "DEXRouter: insufficient output amount");
+
+        WETH.deposit{value: msg.value}();
+        _swap(amounts, path, to);
+    }
+
+    /// @notice Receive an exact amount of the last token in `path` for as little ETH as possible
+    /// @dev ETH sent above the required input is refunded to the caller
+    /// @param amountOut Amount of `path[path.length - 1]` to receive
+    /// @param path Token addresses to route through, starting with WETH
+    /// @param to Recipient of the output tokens
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amounts Input amount followed by the output of every hop
+    function swapETHForExactTokens(
+        uint256 amountOut,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    )
+        external
+        payable
+        nonReentrant
+        ensure(deadline)
+        returns (uint256[] memory amounts)
+    {
+        require(path[0] == address(WETH), "DEXRouter: invalid path");
+        amounts = getAmountsIn(amountOut, path);
+        require(amounts[0] <= msg.value, "DEXRouter: excessive input amount");
+
+        WETH.deposit{value: amounts[0]}();
+        _swap(amounts, path, to);
+
+        if (msg.value > amounts[0]) {
+            _safeTransferETH(msg.sender, msg.value - amounts[0]);
+        }
+    }
+
+    /// @notice Swap an exact amount of the first token in `path` for as much ETH as possible
+    /// @param amountIn Amount of `path[0]` to sell
+    /// @param amountOutMin Minimum amount of ETH to receive
+    /// @param path Token addresses to route through, ending with WETH
+    /// @param to Recipient of the ETH
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amounts Input amount followed by the output of every hop
+    function swapExactTokensForETH(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    )
+        external
+        nonReentrant
+        ensure(deadline)
+        returns (uint256[] memory amounts)
+    {
+        require(path[path.length - 1] == address(WETH), "DEXRouter: invalid path");
+        amounts = getAmountsOut(amountIn, path);
+        require(amounts[amounts.length - 1] >= amountOutMin, "DEXRouter: insufficient output amount");
+
+        IERC20(path[0]).safeTransferFrom(msg.sender, address(this), amountIn);
+        _swap(amounts, path, address(this));
+
+        WETH.withdraw(amounts[amounts.length - 1]);
+        _safeTransferETH(to, amounts[amounts.length - 1]);
+    }
+
+    /// @notice Variant of `swapExactTokensForTokens` for tokens that take a fee on transfer
+    /// @dev Quotes can't account for transfer fees, so every hop trades whatever the
+    ///      router actually holds and only the amount `to` ends up receiving is checked
+    /// @param amountIn Amount of `path[0]` to sell
+    /// @param amountOutMin Minimum amount of `path[path.length - 1]` that `to` must receive
+    /// @param path Token addresses to route through, one pool per adjacent pair
+    /// @param to Recipient of the output tokens
+    /// @param deadline Unix timestamp after which the transaction reverts
+    function swapExactTokensForTokensSupportingFeeOnTransferTokens(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    )
+        external
+        nonReentrant
+        ensure(deadline)
+    {
+        require(path.length >= 2, "DEXRouter: invalid path");
+        IERC20 tokenOut = IERC20(path[path.length - 1]);
+        uint256 balanceBefore = tokenOut.balanceOf(to);
+
+        IERC20(path[0]).safeTransferFrom(msg.sender, address(this), amountIn);
+        for (uint256 i = 0; i < path.length - 1; i++) {
+            DEX pool = _pairFor(path[i], path[i + 1]);
+            uint256 amount = IERC20(path[i]).balanceOf(address(this));
+            IERC20(path[i]).forceApprove(address(pool), amount);
+
+            if (path[i] == pool.tokenA()) {
+                pool.swapExactAForB(amount, 0, block.timestamp);
+            } else {
+                pool.swapExactBForA(amount, 0, block.timestamp);
+            }
+        }
+
+        tokenOut.safeTransfer(to, tokenOut.balanceOf(address(this)));
+        require(tokenOut.balanceOf(to) - balanceBefore >= amountOutMin, "DEXRouter: insufficient output amount");
+    }
+
+    /// @notice Quote the output of every hop for an exact input amount
+    /// @param amountIn Amount of `path[0]` to sell
+    /// @param path Token addresses to route through
+    /// @return amounts Input amount followed by the output of every hop
+    function getAmountsOut(uint256 amountIn, address[] calldata path)
+        public
+        view
+        returns (uint256[] memory amounts)
+    {
+        require(path.length >= 2, "DEXRouter: invalid path");
+        amounts = new uint256[](path.length);
+        amounts[0] = amountIn;
+
+        for (uint256 i = 0; i < path.length - 1; i++) {
+            DEX pool = _pairFor(path[i], path[i + 1]);
+            (uint256 reserveIn, uint256 reserveOut) = _getReserves(pool, path[i]);
+            amounts[i + 1] = pool.getAmountOut(amounts[i], reserveIn, reserveOut);
+        }
+    }
+
+    /// @notice Quote the input needed at every hop for an exact output amount
+    /// @dev Uses each pool's `getAmountIn`, which rounds up
+    /// @param amountOut Amount of `path[path.length - 1]` to receive
+    /// @param path Token addresses to route through
+    /// @return amounts Input amount followed by the output of every hop
+    function getAmountsIn(uint256 amountOut, address[] calldata path)
+        public
+        view
+        returns (uint256[] memory amounts)
+    {
+        require(path.length >= 2, "DEXRouter: invalid path");
+        amounts = new uint256[](path.length);
+        amounts[amounts.length - 1] = amountOut;
+
+        for (uint256 i = path.length - 1; i > 0; i--) {
+            DEX pool = _pairFor(path[i - 1], path[i]);
+            (uint256 reserveIn, uint256 reserveOut) = _getReserves(pool, path[i - 1]);
+            amounts[i - 1] = pool.getAmountIn(amounts[i], reserveIn, reserveOut);
+        }
+    }
+
+    /// @notice Execute the hops of a quoted route and send the final output to `to`
+    /// @dev Each hop's actual output is fed into the next one and written back to `amounts`
+    function _swap(uint256[] memory amounts, address[] calldata path, address to) private {
+        for (uint256 i = 0; i < path.length - 1; i++) {
+            DEX pool = _pairFor(path[i], path[i + 1]);
+            IERC20(path[i]).forceApprove(address(pool), amounts[i]);
+
+            uint256 received = path[i] == pool.tokenA()
+                ? pool.swapExactAForB(amounts[i], amounts[i + 1], block.timestamp)
+                : pool.swapExactBForA(amounts[i], amounts[i + 1], block.timestamp);
+
+            amounts[i + 1] = received;
+        }
+
+        IERC20(path[path.length - 1]).safeTransfer(to, amounts[amounts.length - 1]);
+    }
+
+    /// @notice Deposit the router's `token` and WETH into a token/WETH pool
+    /// @dev Split out of `addLiquidityETH` to keep its stack small
+    function _addLiquidityETH(
+        DEX pool,
+        address token,
+        uint256 amountTokenDesired,
+        uint256 amountTokenMin,
+        uint256 amountETHMin
+    )
+        private
+        returns (uint256 amountToken, uint256 amountETH, uint256 liquidity)
+    {
+        IERC20(token).forceApprove(address(pool), amountTokenDesired);
+        IERC20(address(WETH)).forceApprove(address(pool), msg.value);
+
+        if (token == pool.tokenA()) {
+            (amountToken, amountETH, liquidity) = pool.addLiquidity(
+                amountTokenDesired, msg.value, amountTokenMin, amountETHMin
+            );
+        } else {
+            (amountETH, amountToken, liquidity) = pool.addLiquidity(
+                msg.value, amountTokenDesired, amountETHMin, amountTokenMin
+            );
+        }
+    }
+
+    /// @notice Burn the caller's LP tokens of the `tokenA`/`tokenB` pool and pay out both tokens to `to`
+    /// @dev Shared by `removeLiquidity` and `removeLiquidityWithPermit`
+    function _removeLiquidity(
+        address tokenA,
+        address tokenB,
+        uint256 liquidity,
+        uint256 amountAMin,
+        uint256 amountBMin,
+        address to
+    )
+        private
+        returns (uint256 amountA, uint256 amountB)
+    {
+        (amountA, amountB) = _burnLiquidity(tokenA, tokenB, liquidity, amountAMin, amountBMin);
+        IERC20(tokenA).safeTransfer(to, amountA);
+        IERC20(tokenB).safeTransfer(to, amountB);
+    }
+
+    /// @notice Burn the caller's LP tokens of a token/WETH pool and pay out `token` and ETH to `to`
+    /// @dev Shared by `removeLiquidityETH` and `removeLiquidityETHWithPermit`
+    function _removeLiquidityETH(
+        address token,
+        uint256 liquidity,
+        uint256 amountTokenMin,
+        uint256 amountETHMin,
+        address to
+    )
+        private
+        returns (uint256 amountToken, uint256 amountETH)
+    {
+        (amountToken, amountETH) = _burnLiquidity(token, address(WETH), liquidity, amountTokenMin, amountETHMin);
+        IERC20(token).safeTransfer(to, amountToken);
+        WETH.withdraw(amountETH);
+        _safeTransferETH(to, amountETH);
+    }
+
+    /// @notice Pull the caller's LP tokens of the `tokenA`/`tokenB` pool and burn them,
+    ///         leaving the withdrawn tokens with the router
+    /// @return amountA Amount of `tokenA` withdrawn
+    /// @return amountB Amount of `tokenB` withdrawn
+    function _burnLiquidity(
+        address tokenA,
+        address tokenB,
+        uint256 liquidity,
+        uint256 amountAMin,
+        uint256 amountBMin
+    )
+        private
+        returns (uint256 amountA, uint256 amountB)
+    {
+        DEX pool = _pairFor(tokenA, tokenB);
+        IERC20(address(pool)).safeTransferFrom(msg.sender, address(this), liquidity);
+
+        if (tokenA == pool.tokenA()) {
+            (amountA, amountB) = pool.removeLiquidityWithLimits(liquidity, amountAMin, amountBMin, block.timestamp);
+        } else {
+            (amountB, amountA) = pool.removeLiquidityWithLimits(liquidity, amountBMin, amountAMin, block.timestamp);
+        }
+    }
+
+    /// @notice Send ETH, reverting if the recipient rejects it
+    function _safeTransferETH(address to, uint256 amount) private {
+        (bool success, ) = to.call{value: amount}("");
+        require(success, "DEXRouter: ETH transfer failed");
+    }
+
+    /// @notice Pool for a token pair, reverting if the factory has none
+    function _pairFor(address tokenA, address tokenB) private view returns (DEX pool) {
+        address pair = factory.getPair(tokenA, tokenB);
+        require(pair != address(0), "DEXRouter: pair not found");
+        pool = DEX(pair);
+    }
+
+    /// @notice Pool reserves ordered as (input, output) for a trade selling `tokenIn`
+    function _getReserves(DEX pool, address tokenIn)
+        private
+        view
+        returns (uint256 reserveIn, uint256 reserveOut)
+    {
+        (uint256 reserveA, uint256 reserveB) = pool.getReserves();
+        (reserveIn, reserveOut) = tokenIn == pool.tokenA() ? (reserveA, reserveB) : (reserveB, reserveA);
+    }
+}
@@ -0,0 +1,698 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+/// @notice Pool for pegged pairs that prices swaps with the StableSwap invariant
+/// @dev Has the same liquidity, swap, quote and event surface as DEX, so integrations can
+///      drive either pool the same way. Flash swaps, the protocol fee and the oracle
+///      accumulators are DEX only. Balances are scaled to 18 decimals before they enter
+///      the curve, so the two tokens may have different decimals. The deployer receives
+///      DEFAULT_ADMIN_ROLE, which ramps the amplification coefficient, and FEE_MANAGER_ROLE
+contract DEXStableSwap is ERC20, ERC20Permit, ReentrancyGuard, AccessControl {
+    using SafeERC20 for IERC20;
+
+    // State variables
+    address public tokenA;
+    address public tokenB;
+    uint256 public reserveA;
+    uint256 public reserveB;
+    uint256 public swapFee;
+
+    // Multipliers that scale each token's amounts to 18 decimals
+    uint256 public immutable precisionA;
+    uint256 public immutable precisionB;
+
+    // Amplification ramp: A moves linearly from initialA at initialATime to futureA at
+    // futureATime and stays there. Values are scaled by A_PRECISION
+    uint256 public initialA;
+    uint256 public futureA;
+    uint256 public initialATime;
+    uint256 public futureATime;
+
+    // Constants
+    bytes32 public constant FEE_MANAGER_ROLE = keccak256("FEE_MANAGER_ROLE");
+    uint256 public constant FEE_DENOMINATOR = 10000;
+    uint256 public constant MIN_SWAP_FEE = 1;
+    uint256 public constant MAX_SWAP_FEE = 100;
+    uint256 public constant MINIMUM_LIQUIDITY = 1000;
+    uint256 public constant A_PRECISION = 100;
+    uint256 public constant MAX_A = 1e6;
+    uint256 public constant MAX_A_CHANGE = 10;
+    uint256 public constant MIN_RAMP_TIME = 1 days;
+    uint256 private constant N_COINS = 2;
+    uint256 private constant MAX_ITERATIONS = 255;
+    address private constant LIQUIDITY_LOCK = 0x000000000000000000000000000000000000dEaD;
+
+    // Events
+    event LiquidityAdded(address indexed provider, uint256 amountA, uint256 amountB, uint256 liquidityMinted);
+    event LiquidityRemoved(address indexed provider, uint256 amountA, uint256 amountB, uint256 liquidityBurned);
+    event Swap(address indexed trader, address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOut);
+    event Sync(uint256 reserveA, uint256 reserveB);
+    event SwapFeeUpdated(uint256 oldFee, uint256 newFee);
+    event RampA(uint256 oldA, uint256 newA, uint256 initialTime, uint256 futureTime);
+    event StopRampA(uint256 currentA, uint256 time);
+
+    /// @notice Reverts once the caller supplied deadline has passed
+    /// @param deadline Unix timestamp after which the transaction is rejected
+    modifier ensure(uint256 deadline) {
+        require(deadline >= block.timestamp, "DEXStableSwap: expired");
+        _;
+    }
+
+    /// @notice Initialize the pool with two tokens, a swap fee and an amplification coefficient
+    /// @param _tokenA Address of first token
+    /// @param _tokenB Address of second token
+    /// @param _swapFee Swap fee in basis points, e.g. 4 for 0.04%
+    /// @param _amp Amplification coefficient A, between 1 and MAX_A
+    constructor(address _tokenA, address _tokenB, uint256 _swapFee, uint256 _amp)
+        ERC20(_lpName(_tokenA, _tokenB), _lpSymbol(_tokenA, _tokenB))
+        ERC20Permit(_lpName(_tokenA, _tokenB))
+    {
+        require(_tokenA != address(0), "DEXStableSwap: tokenA is zero address");
+        require(_tokenB != address(0), "DEXStableSwap: tokenB is zero address");
+        require(_tokenA != _tokenB, "DEXStableSwap: identical tokens");
+        require(_swapFee >= MIN_SWAP_FEE && _swapFee <= MAX_SWAP_FEE, "DEXStableSwap: swap fee out of range");
+        require(_amp > 0 && _amp <= MAX_A, "DEXStableSwap: A out of range");
+
+        tokenA = _tokenA;
+        tokenB = _tokenB;
+        swapFee = _swapFee;
+        precisionA = _precision(_tokenA);
+        precisionB = _precision(_tokenB);
+        initialA = _amp * A_PRECISION;
+        futureA = _amp * A_PRECISION;
+
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(FEE_MANAGER_ROLE, msg.sender);
+    }
+
+    /// @notice Add liquidity at the pool's current ratio
+    /// @dev Like DEX, only the ratio-matched part of the desired amounts is pulled from the
+    ///      caller. Unbalanced deposits would otherwise be a fee-free swap. The first deposit
+    ///      sets the ratio and mints the invariant D of the deposit, in 18 decimals
+    /// @param amountADesired Maximum amount of token A to add
+    /// @param amountBDesired Maximum amount of token B to add
+    /// @param amountAMin Minimum amount of token A to add
+    /// @param amountBMin Minimum amount of token B to add
+    /// @return amountA Amount of token A added to the reserves
+    /// @return amountB Amount of token B added to the reserves
+    /// @return liquidityMinted Amount of LP tokens minted
+    function addLiquidity(uint256 amountADesired, uint256 amountBDesired, uint256 amountAMin, uint256 amountBMin)
+        external
+        nonReentrant
+        returns (uint256 amountA, uint256 amountB, uint256 liquidityMinted)
+    {
+        (amountA, amountB, liquidityMinted) = _addLiquidity(amountADesired, amountBDesired, amountAMin, amountBMin);
+    }
+
+    /// @notice `addLiquidity` with a deadline
+    /// @param amountADesired Maximum amount of token A to add
+    /// @param amountBDesired Maximum amount of token B to add
+    /// @param amountAMin Minimum amount of token A to add
+    /// @param amountBMin Minimum amount of token B to add
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountA Amount of token A added to the reserves
+    /// @return amountB Amount of token B added to the reserves
+    /// @return liquidityMinted Amount of LP tokens minted
+    function addLiquidityWithLimits(
+        uint256 amountADesired,
+        uint256 amountBDesired,
+        uint256 amountAMin,
+        uint256 amountBMin,
+        uint256 deadline
+    )
+        external
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 amountA, uint256 amountB, uint256 liquidityMinted)
+    {
+        (amountA, amountB, liquidityMinted) = _addLiquidity(amountADesired, amountBDesired, amountAMin, amountBMin);
+    }
+
+    /// @notice Remove liquidity from the pool
+    /// @param liquidityAmount Amount of LP tokens to burn
+    /// @return amountA Amount of token A returned
+    /// @return amountB Amount of token B returned
+    function removeLiquidity(uint256 liquidityAmount)
+        external
+        nonReentrant
+        returns (uint256 amountA, uint256 amountB)
+    {
+        (amountA, amountB) = _removeLiquidity(liquidityAmount, 0, 0);
+    }
+
+    /// @notice Remove liquidity with slippage bounds and a deadline
+    /// @param liquidityAmount Amount of LP tokens to burn
+    /// @param amountAMin Minimum amount of token A to receive
+    /// @param amountBMin Minimum amount of token B to receive
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountA Amount of token A returned
+    /// @return amountB Amount of token B returned
+    function removeLiquidityWithLimits(
+        uint256 liquidityAmount,
+        uint256 amountAMin,
+        uint256 amountBMin,
+        uint256 deadline
+    )
+        external
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 amountA, uint256 amountB)
+    {
+        (amountA, amountB) = _removeLiquidity(liquidityAmount, amountAMin, amountBMin);
+    }
+
+    /// @notice Swap token A for token B
+    /// @param amountAIn Amount of token A to swap
+    /// @return amountBOut Amount of token B received
+    function swapAForB(uint256 amountAIn) external nonReentrant returns (uint256 amountBOut) {
+        amountBOut = _swapExactIn(true, amountAIn, 0);
+    }
+
+    /// @notice Swap an exact amount of token A for at least `amountBOutMin` token B
+    /// @param amountAIn Amount of token A to swap
+    /// @param amountBOutMin Minimum amount of token B to receive
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountBOut Amount of token B received
+    function swapExactAForB(uint256 amountAIn, uint256 amountBOutMin, uint256 deadline)
+        external
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 amountBOut)
+    {
+        amountBOut = _swapExactIn(true, amountAIn, amountBOutMin);
+    }
+
+    /// @notice Swap token B for token A
+    /// @param amountBIn Amount of token B to swap
+    /// @return amountAOut Amount of token A received
+    function swapBForA(uint256 amountBIn) external nonReentrant returns (uint256 amountAOut) {
+        amountAOut = _swapExactIn(false, amountBIn, 0);
+    }
+
+    /// @notice Swap an exact amount of token B for at least `amountAOutMin` token A
+    /// @param amountBIn Amount of token B to swap
+    /// @param amountAOutMin Minimum amount of token A to receive
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountAOut Amount of token A received
+    function swapExactBForA(uint256 amountBIn, uint256 amountAOutMin, uint256 deadline)
+        external
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 amountAOut)
+    {
+        amountAOut = _swapExactIn(false, amountBIn, amountAOutMin);
+    }
+
+    /// @notice Swap at most `amountAInMax` token A for an exact amount of token B
+    /// @dev Not usable with fee-on-transfer input tokens, use `swapExactAForB` instead
+    /// @param amountBOut Amount of token B to receive
+    /// @param amountAInMax Maximum amount of token A to spend
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountAIn Amount of token A spent
+    function swapAForExactB(uint256 amountBOut, uint256 amountAInMax, uint256 deadline)
+        external
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 amountAIn)
+    {
+        amountAIn = _swapExactOut(true, amountBOut, amountAInMax);
+    }
+
+    /// @notice Swap at most `amountBInMax` token B for an exact amount of token A
+    /// @dev Not usable with fee-on-transfer input tokens, use `swapExactBForA` instead
+    /// @param amountAOut Amount of token A to receive
+    /// @param amountBInMax Maximum amount of token B to spend
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountBIn Amount of token B spent
+    function swapBForExactA(uint256 amountAOut, uint256 amountBInMax, uint256 deadline)
+        external
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 amountBIn)
+    {
+        amountBIn = _swapExactOut(false, amountAOut, amountBInMax);
+    }
+
+    /// @notice Set the reserves to the pool's actual token balances
+    function sync() external nonReentrant {
+        _update(IERC20(tokenA).balanceOf(address(this)), IERC20(tokenB).balanceOf(address(this)));
+    }
+
+    /// @notice Send any token balance above the reserves to `to`
+    /// @param to Recipient of the excess tokens
+    function skim(address to) external nonReentrant {
+        IERC20(tokenA).safeTransfer(to, IERC20(tokenA).balanceOf(address(this)) - reserveA);
+        IERC20(tokenB).safeTransfer(to, IERC20(tokenB).balanceOf(address(this)) - reserveB);
+    }
+
+    /// @notice Change the swap fee
+    /// @param newFee Swap fee in basis points, within [MIN_SWAP_FEE, MAX_SWAP_FEE]
+    function setSwapFee(uint256 newFee) external onlyRole(FEE_MANAGER_ROLE) {
+        require(newFee >= MIN_SWAP_FEE && newFee <= MAX_SWAP_FEE, "DEXStableSwap: swap fee out of range");
+
+        emit SwapFeeUpdated(swapFee, newFee);
+        swapFee = newFee;
+    }
+
+    /// @notice Start moving A linearly from its current value to `futureAmp`
+    /// @dev A sudden jump in A would move the price of an unbalanced pool at once, so
+    ///      ramps take at least MIN_RAMP_TIME, change A by at most a factor of
+    ///      MAX_A_CHANGE and can only start MIN_RAMP_TIME after the previous one did
+    /// @param futureAmp Target amplification coefficient, between 1 and MAX_A
+    /// @param futureTime Unix timestamp at which A reaches `futureAmp`
+    function rampA(uint256 futureAmp, uint256 futureTime) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(block.timestamp >= initialATime + MIN_RAMP_TIME, "DEXStableSwap: ramp too soon");
+        require(futureTime >= block.timestamp + MIN_RAMP_TIME, "DEXStableSwap: ramp too short");
+        require(futureAmp > 0 && futureAmp <= MAX_A, "DEXStableSwap: A out of range");
+
+        uint256 currentA = _A();
+        uint256 futureAPrecise = futureAmp * A_PRECISION;
+        require(
+            futureAPrecise * MAX_A_CHANGE >= currentA && futureAPrecise <= currentA * MAX_A_CHANGE,
+            "DEXStableSwap: A change too large"
+        );
+
+        initialA = currentA;
+        futureA = futureAPrecise;
+        initialATime = block.timestamp;
+        futureATime = futureTime;
+
+        emit RampA(currentA, futureAPrecise, block.timestamp, futureTime);
+    }
+
+    /// @notice Freeze A at its current value, ending any ramp in progress
+    function stopRampA() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        uint256 currentA = _A();
+        initialA = currentA;
+        futureA = currentA;
+        initialATime = block.timestamp;
+        futureATime = block.timestamp;
+
+        emit StopRampA(currentA, block.timestamp);
+    }
+
+    /// @notice Current amplification coefficient
+    /// @return Current A, rounded down
+    function getA() external view returns (uint256) {
+        return _A() / A_PRECISION;
+    }
+
+    /// @notice Current amplification coefficient scaled by A_PRECISION
+    /// @return Current A * A_PRECISION
+    function getAPrecise() external view returns (uint256) {
+        return _A();
+    }
+
+    /// @notice Get current price of token A in terms of token B
+    /// @dev Marginal rate of the curve at the current reserves, before the swap fee. Like
+    ///      `DEX.getPrice` it is 1e18 scaled and in raw token units
+    /// @return price Amount of token B one unit of token A is worth at the margin
+    function getPrice() external view returns (uint256 price) {
+        require(reserveA > 0, "DEXStableSwap: no liquidity");
+
+        uint256 xpA = reserveA * precisionA;
+        uint256 xpB = reserveB * precisionB;
+        uint256 amp = _A();
+        uint256 d = _getD(xpA, xpB, amp);
+
+        // -dB/dA of the invariant: (Ann + D^3 / (4 A^2 B)) / (Ann + D^3 / (4 A B^2)),
+        // with every term 1e18 scaled
+        uint256 ann = (amp * N_COINS * 1e18) / A_PRECISION;
+        uint256 dOverA = (d * 1e18) / xpA;
+        uint256 dOverB = (d * 1e18) / xpB;
+        uint256 termA = (((dOverA * dOverA) / 1e18) * dOverB) / 4e18;
+        uint256 termB = (((dOverB * dOverB) / 1e18) * dOverA) / 4e18;
+
+        price = (((ann + termA) * 1e18) / (ann + termB)) * precisionA / precisionB;
+    }
+
+    /// @notice Get current reserves
+    /// @return _reserveA Current reserve of token A
+    /// @return _reserveB Current reserve of token B
+    function getReserves() external view returns (uint256 _reserveA, uint256 _reserveB) {
+        _reserveA = reserveA;
+        _reserveB = reserveB;
+    }
+
+    /// @notice LP token balance of a provider
+    /// @dev Alias of `balanceOf`, matching DEX
+    /// @param provider Address of the liquidity provider
+    /// @return LP tokens held by `provider`
+    function liquidity(address provider) external view returns (uint256) {
+        return balanceOf(provider);
+    }
+
+    /// @notice Total LP tokens in circulation
+    /// @dev Alias of `totalSupply`, matching DEX
+    /// @return Total LP token supply
+    function totalLiquidity() external view returns (uint256) {
+        return totalSupply();
+    }
+
+    /// @notice Calculate amount of output token received for a given amount of input token
+    /// @dev Like `DEX.getAmountOut` with the input token first: the curve works on balances
+    ///      scaled to 18 decimals, so the quote needs to know which token is sold. The result
+    ///      only depends on the arguments, so any reserves can be quoted, such as a route
+    ///      simulated hop by hop
+    /// @param tokenIn Token sold, tokenA or tokenB
+    /// @param amountIn Amount of input token
+    /// @param reserveIn Reserve of input token
+    /// @param reserveOut Reserve of output token
+    /// @return amountOut Amount of output token (after the pool's swap fee)
+    function getAmountOut(address tokenIn, uint256 amountIn, uint256 reserveIn, uint256 reserveOut)
+        public
+        view
+        returns (uint256 amountOut)
+    {
+        (uint256 precisionIn, uint256 precisionOut) = _precisionsOf(tokenIn);
+        amountOut = _getAmountOut(amountIn, reserveIn, reserveOut, precisionIn, precisionOut);
+    }
+
+    /// @notice Calculate amount of input token needed to receive a given amount of output token
+    /// @dev Inverse of `getAmountOut`, rounded up so the pool never pays out more than the
+    ///      curve allows
+    /// @param tokenIn Token sold, tokenA or tokenB
+    /// @param amountOut Desired amount of output token
+    /// @param reserveIn Reserve of input token
+    /// @param reserveOut Reserve of output token
+    /// @return amountIn Required amount of input token (including the pool's swap fee)
+    function getAmountIn(address tokenIn, uint256 amountOut, uint256 reserveIn, uint256 reserveOut)
+        public
+        view
+        returns (uint256 amountIn)
+    {
+        (uint256 precisionIn, uint256 precisionOut) = _precisionsOf(tokenIn);
+        amountIn = _getAmountIn(amountOut, reserveIn, reserveOut, precisionIn, precisionOut);
+    }
+
+    /// @notice Shared implementation of the liquidity entry points
+    /// @dev The first deposit locks MINIMUM_LIQUIDITY LP tokens forever, as in DEX
+    function _addLiquidity(uint256 amountADesired, uint256 amountBDesired, uint256 amountAMin, uint256 amountBMin)
+        private
+        returns (uint256 amountA, uint256 amountB, uint256 liquidityMinted)
+    {
+        require(amountADesired > 0 && amountBDesired > 0, "DEXStableSwap: insufficient amounts");
+        (amountA, amountB) = _optimalAmounts(amountADesired, amountBDesired, amountAMin, amountBMin);
+
+        // Transfer tokens from user to contract, counting only what actually arrived
+        amountA = _pull(tokenA, amountA);
+        amountB = _pull(tokenB, amountB);
+        // Fee-on-transfer tokens can deliver less than the ratio-matched amounts, and the
+        // first deposit has no ratio to match, so the minimums are checked on what arrived
+        require(amountA >= amountAMin, "DEXStableSwap: insufficient A amount");
+        require(amountB >= amountBMin, "DEXStableSwap: insufficient B amount");
+
+        uint256 lpSupply = totalSupply();
+        if (lpSupply == 0) {
+            liquidityMinted = _getD(amountA * precisionA, amountB * precisionB, _A());
+            require(liquidityMinted > MINIMUM_LIQUIDITY, "DEXStableSwap: insufficient liquidity minted");
+            liquidityMinted -= MINIMUM_LIQUIDITY;
+            _mint(LIQUIDITY_LOCK, MINIMUM_LIQUIDITY);
+        } else {
+            uint256 liquidityA = (amountA * lpSupply) / reserveA;
+            uint256 liquidityB = (amountB * lpSupply) / reserveB;
+            liquidityMinted = liquidityA < liquidityB ? liquidityA : liquidityB;
+            require(liquidityMinted > 0, "DEXStableSwap: insufficient liquidity minted");
+        }
+
+        _mint(msg.sender, liquidityMinted);
+        _update(reserveA + amountA, reserveB + amountB);
+
+        emit LiquidityAdded(msg.sender, amountA, amountB, liquidityMinted);
+    }
+
+    /// @notice Largest amounts up to the desired ones that match the current reserve ratio
+    function _optimalAmounts(uint256 amountADesired, uint256 amountBDesired, uint256 amountAMin, uint256 amountBMin)
+        private
+        view
+        returns (uint256 amountA, uint256 amountB)
+    {
+        if (reserveA == 0 && reserveB == 0) {
+            return (amountADesired, amountBDesired);
+        }
+
+        uint256 amountBOptimal = (amountADesired * reserveB) / reserveA;
+        if (amountBOptimal <= amountBDesired) {
+            require(amountBOptimal >= amountBMin, "DEXStableSwap: insufficient B amount");
+            return (amountADesired, amountBOptimal);
+        }
+
+        uint256 amountAOptimal = (amountBDesired * reserveA) / reserveB;
+        require(amountAOptimal >= amountAMin, "DEXStableSwap: insufficient A amount");
+        return (amountAOptimal, amountBDesired);
+    }
+
+    /// @notice Shared implementation of the liquidity removal entry points
+    function _removeLiquidity(uint256 liquidityAmount, uint256 amountAMin, uint256 amountBMin)
+        private
+        returns (uint256 amountA, uint256 amountB)
+    {
+        require(liquidityAmount > 0, "DEXStableSwap: insufficient liquidity amount");
+        require(balanceOf(msg.sender) >= liquidityAmount, "DEXStableSwap: insufficient liquidity balance");
+
+        uint256 lpSupply = totalSupply();
+        amountA = (liquidityAmount * reserveA) / lpSupply;
+        amountB = (liquidityAmount * reserveB) / lpSupply;
+
+        require(amountA > 0 && amountB > 0, "DEXStableSwap: insufficient amounts");
+        require(amountA >= amountAMin, "DEXStableSwap: insufficient A amount");
+        require(amountB >= amountBMin, "DEXStableSwap: insufficient B amount");
+
+        _burn(msg.sender, liquidityAmount);
+        _update(reserveA - amountA, reserveB - amountB);
+
+        IERC20(tokenA).safeTransfer(msg.sender, amountA);
+        IERC20(tokenB).safeTransfer(msg.sender, amountB);
+
+        emit LiquidityRemoved(msg.sender, amountA, amountB, liquidityAmount);
+    }
+
+    /// @notice Shared implementation of the exact input swaps
+    /// @dev The output is priced on the input the pool actually received
+    /// @param aForB True to sell token A for token B, false for the reverse
+    function _swapExactIn(bool aForB, uint256 amountIn, uint256 amountOutMin) private returns (uint256 amountOut) {
+        require(amountIn > 0, "DEXStableSwap: insufficient input amount");
+        require(reserveA > 0 && reserveB > 0, "DEXStableSwap: insufficient liquidity");
+        (address tokenIn, , uint256 reserveIn, uint256 reserveOut) = _orient(aForB);
+        (uint256 precisionIn, uint256 precisionOut) = aForB ? (precisionA, precisionB) : (precisionB, precisionA);
+
+        uint256 amountReceived = _pull(tokenIn, amountIn);
+
+        amountOut = _getAmountOut(amountReceived, reserveIn, reserveOut, precisionIn, precisionOut);
+        require(amountOut > 0, "DEXStableSwap: insufficient output amount");
+        require(amountOut < reserveOut, "DEXStableSwap: insufficient liquidity for swap");
+        require(amountOut >= amountOutMin, "DEXStableSwap: output below minimum");
+
+        _settleSwap(aForB, amountReceived, amountOut);
+    }
+
+    /// @notice Shared implementation of the exact output swaps
+    /// @param aForB True to buy token B with token A, false for the reverse
+    function _swapExactOut(bool aForB, uint256 amountOut, uint256 amountInMax) private returns (uint256 amountIn) {
+        require(reserveA > 0 && reserveB > 0, "DEXStableSwap: insufficient liquidity");
+        (address tokenIn, , uint256 reserveIn, uint256 reserveOut) = _orient(aForB);
+        (uint256 precisionIn, uint256 precisionOut) = aForB ? (precisionA, precisionB) : (precisionB, precisionA);
+
+        amountIn = _getAmountIn(amountOut, reserveIn, reserveOut, precisionIn, precisionOut);
+        require(amountIn <= amountInMax, "DEXStableSwap: input above maximum");
+
+        // A taxed transfer would leave the pool short of the quoted input
+        require(_pull(tokenIn, amountIn) >= amountIn, "DEXStableSwap: insufficient input received");
+
+        _settleSwap(aForB, amountIn, amountOut);
+    }
+
+    /// @notice Update reserves for a swap, pay out the trader and emit the Swap event
+    function _settleSwap(bool aForB, uint256 amountIn, uint256 amountOut) private {
+        (address tokenIn, address tokenOut, , ) = _orient(aForB);
+
+        if (aForB) {
+            _update(reserveA + amountIn, reserveB - amountOut);
+        } else {
+            _update(reserveA - amountOut, reserveB + amountIn);
+        }
+
+        IERC20(tokenOut).safeTransfer(msg.sender, amountOut);
+
+        emit Swap(msg.sender, tokenIn, tokenOut, amountIn, amountOut);
+    }
+
+    /// @notice Exact input quote for known token precisions
+    /// @dev The fee is taken from the input like `DEX.getAmountOut`, so it stays in the
+    ///      pool and raises D for the liquidity providers
+    function _getAmountOut(
+        uint256 amountIn,
+        uint256 reserveIn,
+        uint256 reserveOut,
+        uint256 precisionIn,
+        uint256 precisionOut
+    ) private view returns (uint256 amountOut) {
+        require(amountIn > 0, "DEXStableSwap: insufficient input amount");
+        require(reserveIn > 0 && reserveOut > 0, "DEXStableSwap: insufficient liquidity");
+
+        uint256 xpIn = reserveIn * precisionIn;
+        uint256 xpOut = reserveOut * precisionOut;
+        uint256 amp = _A();
+        uint256 d = _getD(xpIn, xpOut, amp);
+
+        uint256 amountInWithFee = (amountIn * (FEE_DENOMINATOR - swapFee)) / FEE_DENOMINATOR;
+        uint256 newXpOut = _getY(xpIn + amountInWithFee * precisionIn, d, amp);
+
+        // One unit less so the iteration's rounding never favours the trader
+        amountOut = xpOut > newXpOut + 1 ? (xpOut - newXpOut - 1) / precisionOut : 0;
+    }
+
+    /// @notice Exact output quote for known token precisions
+    function _getAmountIn(
+        uint256 amountOut,
+        uint256 reserveIn,
+        uint256 reserveOut,
+        uint256 precisionIn,
+        uint256 precisionOut
+    ) private view returns (uint256 amountIn) {
+        require(amountOut > 0, "DEXStableSwap: insufficient output amount");
+        require(reserveIn > 0 && reserveOut > amountOut, "DEXStableSwap: insufficient liquidity");
+
+        uint256 xpIn = reserveIn * precisionIn;
+        uint256 xpOut = reserveOut * precisionOut;
+        uint256 amp = _A();
+        uint256 d = _getD(xpIn, xpOut, amp);
+
+        uint256 newXpIn = _getY(xpOut - amountOut * precisionOut, d, amp);
+
+        // Two units more to cover the rounding of both iterations, then gross up for the fee
+        uint256 amountInLessFee = Math.ceilDiv(newXpIn - xpIn + 2, precisionIn);
+        amountIn = Math.ceilDiv(amountInLessFee * FEE_DENOMINATOR, FEE_DENOMINATOR - swapFee);
+    }
+
+    /// @notice StableSwap invariant D of two 18-decimal balances
+    /// @dev Solves Ann * (x + y) + D = Ann * D + D^3 / (4xy) for D by Newton's method,
+    ///      where Ann = A * 2. At high A the curve is flat like x + y = D around the
+    ///      balanced point, at A = 0 it would be the constant product 4xy = D^2
+    function _getD(uint256 x, uint256 y, uint256 amp) private pure returns (uint256) {
+        uint256 s = x + y;
+        if (s == 0) {
+            return 0;
+        }
+
+        uint256 d = s;
+        uint256 ann = amp * N_COINS;
+        for (uint256 i = 0; i < MAX_ITERATIONS; i++) {
+            uint256 dP = (((d * d) / (x * N_COINS)) * d) / (y * N_COINS);
+            uint256 dPrev = d;
+            d = (((ann * s) / A_PRECISION + dP * N_COINS) * d)
+                / ((((ann - A_PRECISION) * d) / A_PRECISION) + (N_COINS + 1) * dP);
+            if (_withinOne(d, dPrev)) {
+                return d;
+            }
+        }
+        revert("DEXStableSwap: D did not converge");
+    }
+
+    /// @notice Balance of one side that keeps the invariant at `d` when the other side is `x`
+    /// @dev Newton's method on y^2 + (b - D) * y = c, with b = x + D / Ann and
+    ///      c = D^3 / (4 * x * Ann)
+    function _getY(uint256 x, uint256 d, uint256 amp) private pure returns (uint256) {
+        uint256 ann = amp * N_COINS;
+        uint256 c = (d * d) / (x * N_COINS);
+        c = (c * d * A_PRECISION) / (ann * N_COINS);
+        uint256 b = x + (d * A_PRECISION) / ann;
+
+        uint256 y = d;
+        for (uint256 i = 0; i < MAX_ITERATIONS; i++) {
+            uint256 yPrev = y;
+            y = (y * y + c) / (2 * y + b - d);
+            if (_withinOne(y, yPrev)) {
+                return y;
+            }
+        }
+        revert("DEXStableSwap: y did not converge");
+    }
+
+    /// @notice Amplification coefficient at the current time, scaled by A_PRECISION
+    function _A() private view returns (uint256) {
+        uint256 endTime = futureATime;
+        if (block.timestamp >= endTime) {
+            return futureA;
+        }
+
+        uint256 elapsed = block.timestamp - initialATime;
+        uint256 duration = endTime - initialATime;
+        return futureA > initialA
+            ? initialA + ((futureA - initialA) * elapsed) / duration
+            : initialA - ((initialA - futureA) * elapsed) / duration;
+    }
+
+    /// @notice Precisions of the input and output token for a trade selling `tokenIn`
+    function _precisionsOf(address tokenIn) private view returns (uint256 precisionIn, uint256 precisionOut) {
+        require(tokenIn == tokenA || tokenIn == tokenB, "DEXStableSwap: invalid token");
+        return tokenIn == tokenA ? (precisionA, precisionB) : (precisionB, precisionA);
+    }
+
+    /// @notice Tokens and reserves ordered as (input, output) for a swap direction
+    function _orient(bool aForB)
+        private
+        view
+        returns (address tokenIn, address tokenOut, uint256 reserveIn, uint256 reserveOut)
+    {
+        return aForB ? (tokenA, tokenB, reserveA, reserveB) : (tokenB, tokenA, reserveB, reserveA);
+    }
+
+    /// @notice Transfer `amount` of `token` from the caller and return how much actually arrived
+    function _pull(address token, uint256 amount) private returns (uint256 received) {
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        received = IERC20(token).balanceOf(address(this)) - balanceBefore;
+    }
+
+    /// @notice Store new reserves
+    function _update(uint256 newReserveA, uint256 newReserveB) private {
+        reserveA = newReserveA;
+        reserveB = newReserveB;
+
+        emit Sync(newReserveA, newReserveB);
+    }
+
+    /// @notice Multiplier that scales `token` amounts to 18 decimals
+    function _precision(address token) private view returns (uint256) {
+        uint8 tokenDecimals = IERC20Metadata(token).decimals();
+        require(tokenDecimals <= 18, "DEXStableSwap: too many decimals");
+        return 10 ** (18 - tokenDecimals);
+    }
+
+    /// @notice Whether two values differ by at most one
+    function _withinOne(uint256 a, uint256 b) private pure returns (bool) {
+        return a > b ? a - b <= 1 : b - a <= 1;
+    }
+
+    /// @notice LP token name, e.g. "DEX Stable LP TKA-TKB"
+    function _lpName(address _tokenA, address _tokenB) private view returns (string memory) {
+        return string(abi.encodePacked("DEX Stable LP ", _tokenSymbol(_tokenA), "-", _tokenSymbol(_tokenB)));
+    }
+
+    /// @notice LP token symbol, e.g. "TKA-TKB-SLP"
+    function _lpSymbol(address _tokenA, address _tokenB) private view returns (string memory) {
+        return string(abi.encodePacked(_tokenSymbol(_tokenA), "-", _tokenSymbol(_tokenB), "-SLP"));
+    }
+
+    /// @notice Symbol of a pooled token, falling back to "?" when it has no metadata
+    function _tokenSymbol(address token) private view returns (string memory) {
+        if (token.code.length == 0) {
+            return "?";
+        }
+        try IERC20Metadata(token).symbol() returns (string memory tokenSymbol) {
+            return tokenSymbol;
+        } catch {
+            return "?";
+        }
+    }
+}
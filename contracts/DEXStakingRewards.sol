@@ -0,0 +1,223 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+/// @notice Liquidity mining: stake a pool's LP tokens to earn a reward token
+/// @dev Rewards are streamed at `rewardRate` per second until `periodFinish` and shared
+///      between stakers in proportion to their stake. `rewardPerTokenStored` accumulates
+///      the reward earned by one staked token since deployment, so each staker's earnings
+///      are their stake times the growth of that value since they last settled. The owner
+///      tops up rewards with `notifyRewardAmount`, which starts a new period of
+///      `rewardsDuration` and rolls whatever was left of the current one into it
+contract DEXStakingRewards is ReentrancyGuard, Ownable {
+    using SafeERC20 for IERC20;
+
+    // State variables
+    IERC20 public immutable stakingToken;
+    IERC20 public immutable rewardsToken;
+    uint256 public rewardsDuration;
+    uint256 public periodFinish;
+    uint256 public rewardRate;
+    uint256 public lastUpdateTime;
+    uint256 public rewardPerTokenStored;
+    uint256 public totalStaked;
+    uint256 public forfeitedRewards;
+    mapping(address => uint256) public balanceOf;
+    mapping(address => uint256) public userRewardPerTokenPaid;
+    mapping(address => uint256) public rewards;
+
+    // Events
+    event RewardAdded(uint256 reward, uint256 rewardRate, uint256 periodFinish);
+    event Staked(address indexed user, uint256 amount);
+    event Withdrawn(address indexed user, uint256 amount);
+    event RewardPaid(address indexed user, uint256 reward);
+    event EmergencyWithdrawn(address indexed user, uint256 amount, uint256 rewardForfeited);
+    event RewardsDurationUpdated(uint256 newDuration);
+
+    /// @notice Settle `account`'s earnings and the global accumulator before its stake changes
+    /// @dev Rewards streamed while nothing is staked belong to nobody, so they are counted
+    ///      in `forfeitedRewards` for the owner to stream again
+    /// @param account Staker to settle, or the zero address to only update the accumulator
+    modifier updateReward(address account) {
+        if (totalStaked == 0) {
+            forfeitedRewards += (lastTimeRewardApplicable() - lastUpdateTime) * rewardRate;
+        }
+        rewardPerTokenStored = rewardPerToken();
+        lastUpdateTime = lastTimeRewardApplicable();
+        if (account != address(0)) {
+            rewards[account] = earned(account);
+            userRewardPerTokenPaid[account] = rewardPerTokenStored;
+        }
+        _;
+    }
+
+    /// @notice Initialize the staking contract
+    /// @param _stakingToken LP token of the pool to incentivize
+    /// @param _rewardsToken Token paid out as rewards
+    /// @param _rewardsDuration Length in seconds of each reward period
+    constructor(address _stakingToken, address _rewardsToken, uint256 _rewardsDuration) {
+        require(_stakingToken != address(0), "DEXStakingRewards: staking token is zero address");
+        require(_rewardsToken != address(0), "DEXStakingRewards: rewards token is zero address");
+        require(_stakingToken != _rewardsToken, "DEXStakingRewards: identical tokens");
+        require(_rewardsDuration > 0, "DEXStakingRewards: zero duration");
+
+        stakingToken = IERC20(_stakingToken);
+        rewardsToken = IERC20(_rewardsToken);
+        rewardsDuration = _rewardsDuration;
+    }
+
+    /// @notice Stake LP tokens
+    /// @dev The stake is measured by balance delta, like the pools' own deposits
+    /// @param amount Amount of LP tokens to transfer in
+    function stake(uint256 amount) external nonReentrant updateReward(msg.sender) {
+        require(amount > 0, "DEXStakingRewards: cannot stake zero");
+
+        uint256 balanceBefore = stakingToken.balanceOf(address(this));
+        stakingToken.safeTransferFrom(msg.sender, address(this), amount);
+        uint256 received = stakingToken.balanceOf(address(this)) - balanceBefore;
+
+        totalStaked += received;
+        balanceOf[msg.sender] += received;
+
+        emit Staked(msg.sender, received);
+    }
+
+    /// @notice Withdraw staked LP tokens, keeping the rewards earned so far claimable
+    /// @param amount Amount of LP tokens to withdraw
+    function withdraw(uint256 amount) public nonReentrant updateReward(msg.sender) {
+        require(amount > 0, "DEXStakingRewards: cannot withdraw zero");
+        require(balanceOf[msg.sender] >= amount, "DEXStakingRewards: insufficient stake");
+
+        totalStaked -= amount;
+        balanceOf[msg.sender] -= amount;
+        stakingToken.safeTransfer(msg.sender, amount);
+
+        emit Withdrawn(msg.sender, amount);
+    }
+
+    /// @notice Claim the rewards earned so far
+    function getReward() public nonReentrant updateReward(msg.sender) {
+        uint256 reward = rewards[msg.sender];
+        if (reward > 0) {
+            rewards[msg.sender] = 0;
+            rewardsToken.safeTransfer(msg.sender, reward);
+
+            emit RewardPaid(msg.sender, reward);
+        }
+    }
+
+    /// @notice Withdraw the whole stake and claim the rewards
+    function exit() external {
+        withdraw(balanceOf[msg.sender]);
+        getReward();
+    }
+
+    /// @notice Withdraw the whole stake without claiming, forfeiting the unclaimed rewards
+    /// @dev For when claiming is impossible, e.g. the reward token is paused. The accumulator
+    ///      is settled first, so the other stakers' earnings up to now are priced on the stake
+    ///      that earned them. The forfeited rewards are counted in `forfeitedRewards` until
+    ///      the owner streams them again with `notifyForfeitedRewards`
+    function emergencyWithdraw() external nonReentrant updateReward(address(0)) {
+        uint256 amount = balanceOf[msg.sender];
+        require(amount > 0, "DEXStakingRewards: nothing staked");
+
+        uint256 rewardForfeited = earned(msg.sender);
+        forfeitedRewards += rewardForfeited;
+        totalStaked -= amount;
+        balanceOf[msg.sender] = 0;
+        rewards[msg.sender] = 0;
+        userRewardPerTokenPaid[msg.sender] = rewardPerTokenStored;
+        stakingToken.safeTransfer(msg.sender, amount);
+
+        emit EmergencyWithdrawn(msg.sender, amount, rewardForfeited);
+    }
+
+    /// @notice Top up rewards and start a new period of `rewardsDuration`
+    /// @dev Pulls `reward` from the owner. If a period is running, its undistributed rewards
+    ///      are added to `reward` and the total is spread over the new period
+    /// @param reward Amount of reward tokens to add
+    function notifyRewardAmount(uint256 reward) external nonReentrant onlyOwner updateReward(address(0)) {
+        require(reward > 0, "DEXStakingRewards: zero reward");
+
+        uint256 balanceBefore = rewardsToken.balanceOf(address(this));
+        rewardsToken.safeTransferFrom(msg.sender, address(this), reward);
+        reward = rewardsToken.balanceOf(address(this)) - balanceBefore;
+
+        _startPeriod(reward);
+    }
+
+    /// @notice Stream the forfeited rewards again
+    /// @dev Works like `notifyRewardAmount` with tokens the contract already holds
+    function notifyForfeitedRewards() external nonReentrant onlyOwner updateReward(address(0)) {
+        uint256 reward = forfeitedRewards;
+        require(reward > 0, "DEXStakingRewards: zero reward");
+        forfeitedRewards = 0;
+
+        _startPeriod(reward);
+    }
+
+    /// @notice Change the length of future reward periods
+    /// @param _rewardsDuration New period length in seconds
+    function setRewardsDuration(uint256 _rewardsDuration) external onlyOwner {
+        require(block.timestamp > periodFinish, "DEXStakingRewards: period not finished");
+        require(_rewardsDuration > 0, "DEXStakingRewards: zero duration");
+
+        rewardsDuration = _rewardsDuration;
+
+        emit RewardsDurationUpdated(_rewardsDuration);
+    }
+
+    /// @notice Start a new period that streams `reward` plus what is left of the current one
+    function _startPeriod(uint256 reward) private {
+        if (block.timestamp >= periodFinish) {
+            rewardRate = reward / rewardsDuration;
+        } else {
+            uint256 leftover = (periodFinish - block.timestamp) * rewardRate;
+            rewardRate = (reward + leftover) / rewardsDuration;
+        }
+        require(rewardRate > 0, "DEXStakingRewards: reward rate is zero");
+
+        // Rates the contract cannot pay would make the last claims fail
+        require(
+            rewardRate * rewardsDuration <= rewardsToken.balanceOf(address(this)),
+            "DEXStakingRewards: reward exceeds balance"
+        );
+
+        lastUpdateTime = block.timestamp;
+        periodFinish = block.timestamp + rewardsDuration;
+
+        emit RewardAdded(reward, rewardRate, periodFinish);
+    }
+
+    /// @notice Latest moment rewards have been streaming for
+    /// @return The current time, or the end of the period once it has passed
+    function lastTimeRewardApplicable() public view returns (uint256) {
+        return block.timestamp < periodFinish ? block.timestamp : periodFinish;
+    }
+
+    /// @notice Reward earned by one staked token since deployment, 1e18 scaled
+    /// @return Current value of the per-token accumulator
+    function rewardPerToken() public view returns (uint256) {
+        if (totalStaked == 0) {
+            return rewardPerTokenStored;
+        }
+        return rewardPerTokenStored + ((lastTimeRewardApplicable() - lastUpdateTime) * rewardRate * 1e18) / totalStaked;
+    }
+
+    /// @notice Rewards `account` could claim right now
+    /// @param account Address of the staker
+    /// @return Claimable reward tokens
+    function earned(address account) public view returns (uint256) {
+        return rewards[account] + (balanceOf[account] * (rewardPerToken() - userRewardPerTokenPaid[account])) / 1e18;
+    }
+
+    /// @notice Rewards streamed over a whole period at the current rate
+    /// @return Reward tokens per period
+    function getRewardForDuration() external view returns (uint256) {
+        return rewardRate * rewardsDuration;
+    }
+}
@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/// @notice Token that burns a fee on every transfer, so receivers get less than was sent
+contract MockFeeOnTransferERC20 is ERC20 {
+    uint256 public immutable feeBps;
+
+    constructor(string memory name, string memory symbol, uint256 _feeBps) ERC20(name, symbol) {
+        require(_feeBps <= 10000, "MockFeeOnTransferERC20: fee too high");
+        feeBps = _feeBps;
+        _mint(msg.sender, 1000000 * 10**18); // Mint 1 million tokens
+    }
+
+    /// @notice Mint tokens for testing
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+
+    /// @notice Burn `feeBps` of every transfer from the sender and move the rest
+    function _transfer(address from, address to, uint256 amount) internal override {
+        uint256 fee = (amount * feeBps) / 10000;
+        if (fee > 0) {
+            _burn(from, fee);
+        }
+        super._transfer(from, to, amount - fee);
+    }
+}
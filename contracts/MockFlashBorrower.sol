@@ -0,0 +1,46 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "./interfaces/IDEXFlashBorrower.sol";
+import "./DEX.sol";
+
+/// @notice Flash borrower for testing that pays back the amounts encoded in `data`
+contract MockFlashBorrower is IDEXFlashBorrower {
+    DEX public immutable dex;
+    
+    // Values seen in the last callback
+    address public lastSender;
+    uint256 public lastAmountA;
+    uint256 public lastAmountB;
+    
+    constructor(address _dex) {
+        dex = DEX(_dex);
+    }
+    
+    /// @notice Start a flash swap that repays `repayA`/`repayB`, optionally re-entering the pool
+    function borrow(uint256 amountA, uint256 amountB, uint256 repayA, uint256 repayB, bool reenter) external {
+        dex.flashSwap(amountA, amountB, address(this), abi.encode(repayA, repayB, reenter));
+    }
+    
+    function dexFlashCall(address sender, uint256 amountA, uint256 amountB, bytes calldata data) external override {
+        require(msg.sender == address(dex), "MockFlashBorrower: untrusted lender");
+        
+        lastSender = sender;
+        lastAmountA = amountA;
+        lastAmountB = amountB;
+        
+        (uint256 repayA, uint256 repayB, bool reenter) = abi.decode(data, (uint256, uint256, bool));
+        if (reenter) {
+            dex.swapAForB(1);
+        }
+        
+        if (repayA > 0) IERC20(dex.tokenA()).transfer(address(dex), repayA);
+        if (repayB > 0) IERC20(dex.tokenB()).transfer(address(dex), repayB);
+    }
+}
+
+/// @notice Flash borrower for testing that keeps everything it borrows
+contract MockDefaultingFlashBorrower is IDEXFlashBorrower {
+    function dexFlashCall(address, uint256, uint256, bytes calldata) external pure override {}
+}
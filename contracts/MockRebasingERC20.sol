@@ -0,0 +1,86 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+
+/// @notice Token whose balances all scale up or down together on `rebase`
+/// @dev Holders own shares; a balance is shares * scalingFactor / 1e18
+contract MockRebasingERC20 is IERC20, IERC20Metadata {
+    string public name;
+    string public symbol;
+    uint8 public constant decimals = 18;
+
+    uint256 public scalingFactor = 1e18;
+    uint256 private totalShares;
+    mapping(address => uint256) private shares;
+    mapping(address => mapping(address => uint256)) public allowance;
+
+    event Rebase(uint256 scalingFactor);
+
+    constructor(string memory _name, string memory _symbol) {
+        name = _name;
+        symbol = _symbol;
+        _mint(msg.sender, 1000000 * 10**18); // Mint 1 million tokens
+    }
+
+    /// @notice Mint tokens for testing
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+
+    /// @notice Scale every balance, 1e18 means one token per share
+    function rebase(uint256 newScalingFactor) external {
+        require(newScalingFactor > 0, "MockRebasingERC20: zero scaling factor");
+        scalingFactor = newScalingFactor;
+        emit Rebase(newScalingFactor);
+    }
+
+    function totalSupply() external view returns (uint256) {
+        return (totalShares * scalingFactor) / 1e18;
+    }
+
+    function balanceOf(address account) public view returns (uint256) {
+        return (shares[account] * scalingFactor) / 1e18;
+    }
+
+    function transfer(address to, uint256 amount) external returns (bool) {
+        _transfer(msg.sender, to, amount);
+        return true;
+    }
+
+    function approve(address spender, uint256 amount) external returns (bool) {
+        allowance[msg.sender][spender] = amount;
+        emit Approval(msg.sender, spender, amount);
+        return true;
+    }
+
+    function transferFrom(address from, address to, uint256 amount) external returns (bool) {
+        if (allowance[from][msg.sender] != type(uint256).max) {
+            require(allowance[from][msg.sender] >= amount, "MockRebasingERC20: insufficient allowance");
+            allowance[from][msg.sender] -= amount;
+        }
+        _transfer(from, to, amount);
+        return true;
+    }
+
+    function _transfer(address from, address to, uint256 amount) private {
+        uint256 shareAmount = _toShares(amount);
+        require(shares[from] >= shareAmount, "MockRebasingERC20: insufficient balance");
+        shares[from] -= shareAmount;
+        shares[to] += shareAmount;
+        emit Transfer(from, to, amount);
+    }
+
+    function _mint(address to, uint256 amount) private {
+        uint256 shareAmount = _toShares(amount);
+        totalShares += shareAmount;
+        shares[to] += shareAmount;
+        emit Transfer(address(0), to, amount);
+    }
+
+    /// @dev Rounds down, so receivers may get a wei less than the transferred amount
+    function _toShares(uint256 amount) private view returns (uint256) {
+        return (amount * 1e18) / scalingFactor;
+    }
+}
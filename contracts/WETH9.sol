@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/// @notice WETH9-style wrapped ether for local networks
+/// @dev Same external behaviour as the canonical mainnet contract: deposit or plain
+///      ETH transfers mint WETH 1:1 and withdraw burns it and sends the ETH back
+contract WETH9 is ERC20 {
+    // Events
+    event Deposit(address indexed account, uint256 amount);
+    event Withdrawal(address indexed account, uint256 amount);
+
+    constructor() ERC20("Wrapped Ether", "WETH") {}
+
+    /// @notice Wrap ETH sent directly to the contract
+    receive() external payable {
+        deposit();
+    }
+
+    /// @notice Wrap the ETH sent with the call into the same amount of WETH
+    function deposit() public payable {
+        _mint(msg.sender, msg.value);
+        emit Deposit(msg.sender, msg.value);
+    }
+
+    /// @notice Burn `amount` WETH and send the same amount of ETH to the caller
+    /// @param amount Amount to unwrap
+    function withdraw(uint256 amount) external {
+        _burn(msg.sender, amount);
+        emit Withdrawal(msg.sender, amount);
+
+        (bool success, ) = msg.sender.call{value: amount}("");
+        require(success, "WETH9: ETH transfer failed");
+    }
+}
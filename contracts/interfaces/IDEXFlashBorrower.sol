@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/// @notice Callback interface for receivers of `DEX.flashSwap`
+interface IDEXFlashBorrower {
+    /// @notice Called by the pool after the requested tokens have been sent
+    /// @dev The pool must hold enough tokens when this returns for the fee-adjusted
+    ///      constant product not to decrease, otherwise the whole flash swap reverts
+    /// @param sender Address that called `flashSwap`
+    /// @param amountA Amount of token A sent to the receiver
+    /// @param amountB Amount of token B sent to the receiver
+    /// @param data Arbitrary data passed through from `flashSwap`
+    function dexFlashCall(address sender, uint256 amountA, uint256 amountB, bytes calldata data) external;
+}
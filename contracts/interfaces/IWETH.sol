@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/// @notice Wrapped ether, an ERC20 backed 1:1 by the ETH it holds
+interface IWETH is IERC20 {
+    /// @notice Wrap the ETH sent with the call into the same amount of WETH
+    function deposit() external payable;
+
+    /// @notice Burn `amount` WETH and send the same amount of ETH to the caller
+    /// @param amount Amount to unwrap
+    function withdraw(uint256 amount) external;
+}
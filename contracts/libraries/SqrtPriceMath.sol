@@ -0,0 +1,133 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+/// @notice Token amounts and price movement for liquidity concentrated between two prices
+/// @dev Inside a price range, liquidity L behaves like a constant product pool with
+///      virtual reserves A = L / sqrtP and B = L * sqrtP. Prices are Q64.96 square roots
+///      of token B per token A. Amounts going into the pool round up and amounts
+///      leaving it round down, so rounding always favours the pool
+library SqrtPriceMath {
+    uint256 internal constant Q96 = 1 << 96;
+    uint256 internal constant FEE_DENOMINATOR = 10000;
+
+    /// @notice Amount of token A between two prices for `liquidity`
+    /// @dev L * (sqrtUpper - sqrtLower) / (sqrtUpper * sqrtLower)
+    function getAmountADelta(uint256 sqrtLowerX96, uint256 sqrtUpperX96, uint128 liquidity, bool roundUp)
+        internal
+        pure
+        returns (uint256)
+    {
+        if (sqrtLowerX96 > sqrtUpperX96) {
+            (sqrtLowerX96, sqrtUpperX96) = (sqrtUpperX96, sqrtLowerX96);
+        }
+        uint256 numerator = uint256(liquidity) << 96;
+        uint256 difference = sqrtUpperX96 - sqrtLowerX96;
+
+        return roundUp
+            ? Math.ceilDiv(Math.mulDiv(numerator, difference, sqrtUpperX96, Math.Rounding.Up), sqrtLowerX96)
+            : Math.mulDiv(numerator, difference, sqrtUpperX96) / sqrtLowerX96;
+    }
+
+    /// @notice Amount of token B between two prices for `liquidity`
+    /// @dev L * (sqrtUpper - sqrtLower)
+    function getAmountBDelta(uint256 sqrtLowerX96, uint256 sqrtUpperX96, uint128 liquidity, bool roundUp)
+        internal
+        pure
+        returns (uint256)
+    {
+        if (sqrtLowerX96 > sqrtUpperX96) {
+            (sqrtLowerX96, sqrtUpperX96) = (sqrtUpperX96, sqrtLowerX96);
+        }
+        return Math.mulDiv(
+            liquidity,
+            sqrtUpperX96 - sqrtLowerX96,
+            Q96,
+            roundUp ? Math.Rounding.Up : Math.Rounding.Down
+        );
+    }
+
+    /// @notice Price after adding `amountIn` to the pool at constant liquidity
+    /// @param aForB Whether token A is added (price goes down) or token B (price goes up)
+    function getNextSqrtPriceFromInput(uint256 sqrtPriceX96, uint128 liquidity, uint256 amountIn, bool aForB)
+        internal
+        pure
+        returns (uint256)
+    {
+        if (amountIn == 0) {
+            return sqrtPriceX96;
+        }
+
+        if (aForB) {
+            // L * sqrtP / (L + amountIn * sqrtP), rounded up so the price moves a little less
+            uint256 numerator = uint256(liquidity) << 96;
+            unchecked {
+                uint256 product = amountIn * sqrtPriceX96;
+                if (product / amountIn == sqrtPriceX96) {
+                    uint256 denominator = numerator + product;
+                    if (denominator >= numerator) {
+                        return Math.mulDiv(numerator, sqrtPriceX96, denominator, Math.Rounding.Up);
+                    }
+                }
+            }
+            // The product overflows for very large inputs, so use the equivalent
+            // L / (L / sqrtP + amountIn), which rounds up a little further
+            return Math.ceilDiv(numerator, numerator / sqrtPriceX96 + amountIn);
+        }
+
+        // sqrtP + amountIn / L, rounded down so the price moves a little less
+        return sqrtPriceX96 + Math.mulDiv(amountIn, Q96, liquidity);
+    }
+
+    /// @notice One step of an exact input swap towards a target price
+    /// @dev The swap fee is charged on the input like `DEX.getAmountOut`: only
+    ///      amountIn * (10000 - fee) / 10000 moves the price
+    /// @param sqrtPriceX96 Current price
+    /// @param sqrtTargetX96 Price the step may not move past, usually the next initialized tick
+    /// @param liquidity Liquidity active over the step
+    /// @param amountRemaining Input left to swap, fee included
+    /// @param swapFee Fee in basis points
+    /// @return sqrtNextX96 Price after the step
+    /// @return amountIn Input used to move the price, without the fee
+    /// @return amountOut Output of the step
+    /// @return feeAmount Fee charged on the step's input
+    function computeSwapStep(
+        uint256 sqrtPriceX96,
+        uint256 sqrtTargetX96,
+        uint128 liquidity,
+        uint256 amountRemaining,
+        uint256 swapFee
+    )
+        internal
+        pure
+        returns (uint256 sqrtNextX96, uint256 amountIn, uint256 amountOut, uint256 feeAmount)
+    {
+        bool aForB = sqrtPriceX96 >= sqrtTargetX96;
+        uint256 amountRemainingLessFee = Math.mulDiv(amountRemaining, FEE_DENOMINATOR - swapFee, FEE_DENOMINATOR);
+
+        // Input needed to reach the target
+        amountIn = aForB
+            ? getAmountADelta(sqrtTargetX96, sqrtPriceX96, liquidity, true)
+            : getAmountBDelta(sqrtPriceX96, sqrtTargetX96, liquidity, true);
+
+        bool reachedTarget = amountRemainingLessFee >= amountIn;
+        if (reachedTarget) {
+            sqrtNextX96 = sqrtTargetX96;
+        } else {
+            sqrtNextX96 = getNextSqrtPriceFromInput(sqrtPriceX96, liquidity, amountRemainingLessFee, aForB);
+            amountIn = aForB
+                ? getAmountADelta(sqrtNextX96, sqrtPriceX96, liquidity, true)
+                : getAmountBDelta(sqrtPriceX96, sqrtNextX96, liquidity, true);
+        }
+
+        amountOut = aForB
+            ? getAmountBDelta(sqrtNextX96, sqrtPriceX96, liquidity, false)
+            : getAmountADelta(sqrtPriceX96, sqrtNextX96, liquidity, false);
+
+        // A step that stops short of the target uses up all the input, so the rest is fee
+        feeAmount = reachedTarget
+            ? Math.mulDiv(amountIn, swapFee, FEE_DENOMINATOR - swapFee, Math.Rounding.Up)
+            : amountRemaining - amountIn;
+    }
+}
@@ -0,0 +1,71 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+/// @notice Bitmap of initialized ticks, used to find the next tick a swap crosses
+/// @dev Ticks are divided by the pool's tick spacing and stored one bit each in
+///      256-bit words, so a search only ever reads a single word
+library TickBitmap {
+    /// @notice Word and bit holding a compressed tick
+    function position(int24 compressed) private pure returns (int16 wordPos, uint8 bitPos) {
+        wordPos = int16(compressed >> 8);
+        bitPos = uint8(int8(compressed % 256));
+    }
+
+    /// @notice Flip a tick between initialized and uninitialized
+    /// @param self The bitmap
+    /// @param tick Tick to flip, a multiple of `tickSpacing`
+    /// @param tickSpacing Spacing between usable ticks
+    function flipTick(mapping(int16 => uint256) storage self, int24 tick, int24 tickSpacing) internal {
+        require(tick % tickSpacing == 0, "TickBitmap: tick not spaced");
+        (int16 wordPos, uint8 bitPos) = position(tick / tickSpacing);
+        self[wordPos] ^= 1 << bitPos;
+    }
+
+    /// @notice Next initialized tick in the same word as `tick`, or the word's last tick
+    /// @param self The bitmap
+    /// @param tick Tick to search from
+    /// @param tickSpacing Spacing between usable ticks
+    /// @param lte Search at and below `tick` (price going down) instead of above it
+    /// @return next The next initialized tick, or the word boundary if there is none
+    /// @return initialized Whether `next` is initialized
+    function nextInitializedTickWithinOneWord(
+        mapping(int16 => uint256) storage self,
+        int24 tick,
+        int24 tickSpacing,
+        bool lte
+    ) internal view returns (int24 next, bool initialized) {
+        int24 compressed = tick / tickSpacing;
+        if (tick < 0 && tick % tickSpacing != 0) {
+            compressed--; // round towards negative infinity
+        }
+
+        if (lte) {
+            (int16 wordPos, uint8 bitPos) = position(compressed);
+            // All bits at or to the right of bitPos
+            uint256 mask = (1 << bitPos) - 1 + (1 << bitPos);
+            uint256 masked = self[wordPos] & mask;
+
+            initialized = masked != 0;
+            next = initialized
+                ? (compressed - int24(uint24(bitPos - uint8(Math.log2(masked))))) * tickSpacing
+                : (compressed - int24(uint24(bitPos))) * tickSpacing;
+        } else {
+            (int16 wordPos, uint8 bitPos) = position(compressed + 1);
+            // All bits at or to the left of bitPos
+            uint256 mask = ~((1 << bitPos) - 1);
+            uint256 masked = self[wordPos] & mask;
+
+            initialized = masked != 0;
+            next = initialized
+                ? (compressed + 1 + int24(uint24(_leastSignificantBit(masked) - bitPos))) * tickSpacing
+                : (compressed + 1 + int24(uint24(type(uint8).max - bitPos))) * tickSpacing;
+        }
+    }
+
+    /// @notice Index of the lowest set bit of a non-zero word
+    function _leastSignificantBit(uint256 x) private pure returns (uint8) {
+        return uint8(Math.log2(x & (~x + 1)));
+    }
+}
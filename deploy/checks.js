@@ -0,0 +1,92 @@
+// Post-deploy sanity checks: the contracts are wired to each other, every configured
+// pool exists with its tokens and fee, and pools seeded in this run hold exactly the
+// configured liquidity at the configured ratio. Pools seeded in an earlier run have
+// been traded since, so their drift from the configured ratio is only reported.
+
+const { parseUnits } = require("./config");
+
+const WAD = 10n ** 18n;
+
+/**
+ * Run every check against the chain.
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} config Config the network was deployed from
+ * @param {object} records Record of the network after `deployNetwork`
+ * @param {object} run Run returned by `deployNetwork`
+ * @returns {Promise<{name: string, ok: boolean, detail: string, info?: boolean}[]>}
+ *          Checks, with `info` set on the ones that only report and never fail
+ */
+async function runChecks(hre, config, records, run) {
+    const { ethers } = hre;
+    const checks = [];
+    const check = (name, ok, detail) => checks.push({ name, ok, detail });
+    const report = (name, detail) => checks.push({ name, ok: true, detail, info: true });
+    const address = (name) => records.contracts[name].address;
+
+    const router = await ethers.getContractAt("DEXRouter", address("DEXRouter"));
+    const factory = await ethers.getContractAt("DEXFactory", address("DEXFactory"));
+    check("router factory", sameAddress(await router.factory(), address("DEXFactory")), await router.factory());
+    check("router WETH", sameAddress(await router.WETH(), address("WETH9")), await router.WETH());
+    const admin = config.admin || run.deployer;
+    check("factory admin", sameAddress(await factory.admin(), admin), await factory.admin());
+
+    const seededNow = new Set(run.actions.filter((action) => action.action === "seed").map((action) => action.name));
+    for (const pool of config.pools) {
+        const record = records.pools[pool.name];
+        const dex = await ethers.getContractAt("DEX", record.address);
+        const pair = await factory.getPair(record.tokenA, record.tokenB);
+        check(`${pool.name} registered`, sameAddress(pair, record.address), pair);
+
+        const tokens = [await dex.tokenA(), await dex.tokenB()];
+        const configured = [record.tokenA, record.tokenB];
+        const reversed = !sameAddress(tokens[0], configured[0]);
+        const [first, second] = reversed ? [configured[1], configured[0]] : configured;
+        check(`${pool.name} tokens`, sameAddress(tokens[0], first) && sameAddress(tokens[1], second), tokens.join(", "));
+
+        const swapFee = Number(await dex.swapFee());
+        check(`${pool.name} swap fee`, swapFee === pool.swapFee, `${swapFee}, expected ${pool.swapFee}`);
+
+        if (!pool.liquidity) {
+            continue;
+        }
+        // Configured amounts in base units, in the pool's token order
+        let expected = [];
+        for (const [index, symbol] of pool.tokens.entries()) {
+            const token = await ethers.getContractAt("IERC20Metadata", address(symbol));
+            expected.push(parseUnits(pool.liquidity[index], Number(await token.decimals())));
+        }
+        if (reversed) {
+            expected = expected.reverse();
+        }
+
+        const reserves = [...(await dex.getReserves())];
+        if (seededNow.has(pool.name)) {
+            const exact = reserves[0] === expected[0] && reserves[1] === expected[1];
+            check(`${pool.name} reserves`, exact, `${reserves.join(", ")}, expected ${expected.join(", ")}`);
+        }
+        if (reserves[0] === 0n) {
+            check(`${pool.name} price`, false, "pool is empty");
+            continue;
+        }
+
+        const price = await dex.getPrice();
+        const expectedPrice = (expected[1] * WAD) / expected[0];
+        const difference = price > expectedPrice ? price - expectedPrice : expectedPrice - price;
+        const drift = (difference * 10000n) / expectedPrice;
+        const detail = `${price}, configured ${expectedPrice} (${drift} bps off`;
+        if (seededNow.has(pool.name)) {
+            check(`${pool.name} price`, drift <= BigInt(config.priceTolerance), `${detail}, ${config.priceTolerance} allowed)`);
+        } else {
+            report(`${pool.name} price`, `${detail}, seeded in an earlier run and traded since)`);
+        }
+    }
+    return checks;
+}
+
+function sameAddress(a, b) {
+    return a.toLowerCase() === b.toLowerCase();
+}
+
+module.exports = {
+    runChecks
+};
@@ -0,0 +1,135 @@
+// Per-network deploy configs. Each network has a module in deploy/config/ named after
+// it that lists the tokens to use or deploy, WETH, the pools with their fee and the
+// liquidity to seed them with. Configs are validated up front so a typo fails before
+// anything is sent.
+
+const path = require("path");
+
+const CONFIG_DIR = path.join(__dirname, "config");
+const ADDRESS = /^0x[0-9a-fA-F]{40}$/;
+const AMOUNT = /^\d+(\.\d+)?$/;
+const MIN_SWAP_FEE = 1;
+const MAX_SWAP_FEE = 100;
+
+function fail(message) {
+    throw new Error(`Deploy config: ${message}`);
+}
+
+/**
+ * Load and validate the config for a network.
+ * @param {string} network Hardhat network name, used to find deploy/config/<network>.js
+ * @param {string} [file] Config module to use instead
+ * @returns {object} Validated config with defaults filled in
+ */
+function loadConfig(network, file) {
+    const configFile = file ? path.resolve(file) : path.join(CONFIG_DIR, `${network}.js`);
+    let config;
+    try {
+        config = require(configFile);
+    } catch (error) {
+        if (error.code === "MODULE_NOT_FOUND" && error.message.includes(configFile)) {
+            fail(`no config for network "${network}" at ${configFile}`);
+        }
+        throw error;
+    }
+    return validateConfig(config);
+}
+
+/**
+ * Check a config and fill in its defaults.
+ * @param {object} config
+ * @returns {object}
+ */
+function validateConfig(config) {
+    if (config.admin !== undefined && !ADDRESS.test(config.admin)) {
+        fail(`admin "${config.admin}" is not an address`);
+    }
+    const weth = validateSource("weth", config.weth || { mock: {} });
+
+    if (!config.tokens || Object.keys(config.tokens).length === 0) {
+        fail("no tokens");
+    }
+    const tokens = {};
+    for (const [symbol, token] of Object.entries(config.tokens)) {
+        tokens[symbol] = validateSource(`token ${symbol}`, token);
+        const mock = tokens[symbol].mock;
+        if (mock) {
+            if (typeof mock.name !== "string" || mock.name === "") {
+                fail(`token ${symbol} mock needs a name`);
+            }
+            if (mock.decimals !== undefined && !(Number.isInteger(mock.decimals) && mock.decimals >= 0 && mock.decimals <= 18)) {
+                fail(`token ${symbol} decimals must be an integer from 0 to 18`);
+            }
+            if (mock.mint !== undefined && !AMOUNT.test(mock.mint)) {
+                fail(`token ${symbol} mint "${mock.mint}" is not an amount`);
+            }
+        }
+    }
+
+    const pools = [];
+    const pairs = new Set();
+    for (const pool of config.pools || []) {
+        const [symbolA, symbolB] = pool.tokens || [];
+        const name = `${symbolA}/${symbolB}`;
+        if (!tokens[symbolA] || !tokens[symbolB] || symbolA === symbolB) {
+            fail(`pool ${name} needs two different configured tokens`);
+        }
+        const pair = [symbolA, symbolB].sort().join("/");
+        if (pairs.has(pair)) {
+            fail(`pool ${name} is configured twice, the factory allows one pool per pair`);
+        }
+        pairs.add(pair);
+        if (!Number.isInteger(pool.swapFee) || pool.swapFee < MIN_SWAP_FEE || pool.swapFee > MAX_SWAP_FEE) {
+            fail(`pool ${name} swap fee must be an integer from ${MIN_SWAP_FEE} to ${MAX_SWAP_FEE} basis points`);
+        }
+        if (pool.liquidity !== undefined) {
+            const valid = Array.isArray(pool.liquidity) && pool.liquidity.length === 2 &&
+                pool.liquidity.every((amount) => AMOUNT.test(amount) && /[1-9]/.test(amount));
+            if (!valid) {
+                fail(`pool ${name} liquidity must be two positive amounts`);
+            }
+        }
+        pools.push({ name, tokens: [symbolA, symbolB], swapFee: pool.swapFee, liquidity: pool.liquidity });
+    }
+
+    const priceTolerance = config.priceTolerance === undefined ? 100 : config.priceTolerance;
+    if (!Number.isInteger(priceTolerance) || priceTolerance < 0) {
+        fail("price tolerance must be a whole number of basis points");
+    }
+
+    return { admin: config.admin, weth, tokens, pools, priceTolerance };
+}
+
+/**
+ * A contract is either used from `address` or deployed from `mock` settings.
+ */
+function validateSource(label, source) {
+    if (!source || (source.address === undefined) === (source.mock === undefined)) {
+        fail(`${label} needs either an address or mock settings`);
+    }
+    if (source.address !== undefined && !ADDRESS.test(source.address)) {
+        fail(`${label} address "${source.address}" is not an address`);
+    }
+    return source;
+}
+
+/**
+ * Decimal amount in whole tokens to base units, e.g. ("1.5", 6) to 1500000n.
+ * @param {string} amount
+ * @param {number} decimals
+ * @returns {bigint}
+ */
+function parseUnits(amount, decimals) {
+    const [whole, fraction = ""] = amount.split(".");
+    if (fraction.length > decimals) {
+        fail(`amount ${amount} has more than ${decimals} decimals`);
+    }
+    return BigInt(whole + fraction.padEnd(decimals, "0"));
+}
+
+module.exports = {
+    CONFIG_DIR,
+    loadConfig,
+    validateConfig,
+    parseUnits
+};
@@ -0,0 +1,20 @@
+// Local test setup: mock tokens, a mock WETH and one pool per token pair, seeded so
+// that TKA trades at 2 TKB and 2 TKC everywhere
+module.exports = {
+    // Account the pools are handed to, the deployer when left out
+    admin: undefined,
+    weth: { mock: {} },
+    tokens: {
+        TKA: { mock: { name: "Token A", mint: "1000000" } },
+        TKB: { mock: { name: "Token B", mint: "1000000" } },
+        TKC: { mock: { name: "Token C", mint: "1000000" } }
+    },
+    // Swap fees in basis points, liquidity in whole tokens in the order of `tokens`
+    pools: [
+        { tokens: ["TKA", "TKB"], swapFee: 30, liquidity: ["10000", "20000"] },
+        { tokens: ["TKB", "TKC"], swapFee: 5, liquidity: ["20000", "20000"] },
+        { tokens: ["TKA", "TKC"], swapFee: 100, liquidity: ["10000", "20000"] }
+    ],
+    // Largest drift of a pool's price from its seeded ratio the sanity checks accept, in basis points
+    priceTolerance: 100
+};
@@ -0,0 +1,2 @@
+// A local `npx hardhat node` gets the same setup as the in-process network
+module.exports = require("./hardhat");
@@ -0,0 +1,10 @@
+// Config-driven, idempotent deployment: scripts/deploy.js runs it for the selected
+// network; see test/deploy.test.js.
+
+module.exports = {
+    ...require("./config"),
+    ...require("./records"),
+    ...require("./pipeline"),
+    ...require("./checks"),
+    ...require("./networks")
+};
@@ -0,0 +1,50 @@
+// Network entries for hardhat.config.js from the environment. NETWORKS lists the
+// names, e.g. "sepolia,holesky", and each one needs <NAME>_RPC_URL. <NAME>_PRIVATE_KEY
+// sets its deployer key, falling back to DEPLOYER_PRIVATE_KEY, and <NAME>_CHAIN_ID
+// pins the chain id so a misconfigured URL fails before anything is sent.
+//
+// A name without its URL still gets an entry, so the config loads and other networks
+// keep working; requireNetworkEnv fails only once --network selects that name.
+
+/**
+ * @param {object} [env=process.env]
+ * @returns {object} Hardhat `networks` entries by name
+ */
+function networksFromEnv(env = process.env) {
+    const networks = {};
+    const names = (env.NETWORKS || "").split(",").map((name) => name.trim()).filter(Boolean);
+    for (const name of names) {
+        const prefix = name.toUpperCase().replace(/[^A-Z0-9]/g, "_");
+        const url = env[`${prefix}_RPC_URL`];
+        if (!url) {
+            networks[name] = { url: "", missingEnv: `${prefix}_RPC_URL` };
+            continue;
+        }
+
+        const network = { url };
+        const key = env[`${prefix}_PRIVATE_KEY`] || env.DEPLOYER_PRIVATE_KEY;
+        if (key) {
+            network.accounts = [key];
+        }
+        if (env[`${prefix}_CHAIN_ID`]) {
+            network.chainId = Number(env[`${prefix}_CHAIN_ID`]);
+        }
+        networks[name] = network;
+    }
+    return networks;
+}
+
+/**
+ * Throw if the selected network came from NETWORKS without its URL.
+ * @param {object} network `hre.network`
+ */
+function requireNetworkEnv(network) {
+    if (network.config.missingEnv) {
+        throw new Error(`Network ${network.name} is listed in NETWORKS but ${network.config.missingEnv} is not set`);
+    }
+}
+
+module.exports = {
+    networksFromEnv,
+    requireNetworkEnv
+};
@@ -0,0 +1,193 @@
+// Brings a network in line with its config. Contracts recorded in a previous run are
+// reused as long as they still have code and were deployed with the same arguments,
+// so a rerun only deploys what is missing or changed: redeploying the factory, for
+// example, also redeploys the router that points at it. Pools are looked up through
+// the factory and only seeded while they are empty.
+
+const { parseUnits } = require("./config");
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+/**
+ * Deploy or reuse everything in a config.
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} config Result of `loadConfig`
+ * @param {object} options
+ * @param {object} options.records Record of the network from `loadRecords`, updated in place
+ * @param {string[]} [options.redeploy=[]] Contracts to deploy again even if they exist, by record name
+ * @param {boolean} [options.setFees=false] Change the fee of existing pools that differ from the config
+ * @param {function} [options.log] Progress logger
+ * @returns {Promise<object>} The run appended to the history, with its actions
+ */
+async function deployNetwork(hre, config, { records, redeploy = [], setFees = false, log = () => {} }) {
+    const [deployer] = await hre.ethers.getSigners();
+    const run = { timestamp: new Date().toISOString(), deployer: deployer.address, actions: [] };
+    const context = { hre, deployer, records, redeploy, setFees, run, log };
+
+    for (const [symbol, token] of Object.entries(config.tokens)) {
+        if (token.address) {
+            await useExisting(context, symbol, token.address);
+        } else {
+            await deployMockToken(context, symbol, token.mock);
+        }
+    }
+
+    if (config.weth.address) {
+        await useExisting(context, "WETH9", config.weth.address);
+    } else {
+        await ensureContract(context, "WETH9", "WETH9", []);
+    }
+
+    const admin = config.admin || deployer.address;
+    const factoryAddress = await ensureContract(context, "DEXFactory", "DEXFactory", [admin]);
+    await ensureContract(context, "DEXRouter", "DEXRouter", [factoryAddress, records.contracts.WETH9.address]);
+
+    const factory = await hre.ethers.getContractAt("DEXFactory", factoryAddress);
+    for (const pool of config.pools) {
+        await ensurePool(context, factory, pool);
+    }
+
+    records.history.push(run);
+    return run;
+}
+
+/**
+ * Record a contract the config points at, after checking it exists.
+ */
+async function useExisting({ hre, records, run, log }, name, address) {
+    if ((await hre.ethers.provider.getCode(address)) === "0x") {
+        throw new Error(`Deploy: no contract at ${address} for ${name}`);
+    }
+    records.contracts[name] = { address, existing: true };
+    run.actions.push({ action: "use", name, address });
+    log(`${name}: using ${address}`);
+}
+
+async function deployMockToken(context, symbol, mock) {
+    const decimals = mock.decimals === undefined ? 18 : mock.decimals;
+    const [contract, args] = decimals === 18
+        ? ["MockERC20", [mock.name, symbol]]
+        : ["MockDecimalsERC20", [mock.name, symbol, decimals]];
+    const before = context.records.contracts[symbol];
+    const address = await ensureContract(context, symbol, contract, args);
+
+    if (mock.mint && (!before || before.address !== address)) {
+        const token = await context.hre.ethers.getContractAt(contract, address);
+        await send(context, `mint ${mock.mint} ${symbol}`, token.mint(context.deployer.address, parseUnits(mock.mint, decimals)));
+    }
+}
+
+/**
+ * Reuse a recorded contract if it still has code and matching arguments, deploy it otherwise.
+ * @returns {Promise<string>} Address of the contract
+ */
+async function ensureContract({ hre, deployer, records, redeploy, run, log }, name, contract, args) {
+    const recorded = records.contracts[name];
+    const reusable = recorded && !recorded.existing && recorded.contract === contract &&
+        JSON.stringify(recorded.args) === JSON.stringify(args) && !redeploy.includes(name) &&
+        (await hre.ethers.provider.getCode(recorded.address)) !== "0x";
+    if (reusable) {
+        run.actions.push({ action: "skip", name, address: recorded.address });
+        log(`${name}: already deployed at ${recorded.address}`);
+        return recorded.address;
+    }
+
+    const factory = await hre.ethers.getContractFactory(contract, deployer);
+    const deployed = await factory.deploy(...args);
+    const receipt = await deployed.deploymentTransaction().wait();
+    const address = await deployed.getAddress();
+    records.contracts[name] = { contract, address, args, txHash: receipt.hash, block: receipt.blockNumber };
+    run.actions.push({ action: "deploy", name, address, txHash: receipt.hash });
+    log(`${name}: deployed to ${address}`);
+    return address;
+}
+
+/**
+ * Create a configured pool if the factory has none for the pair, bring its fee in line
+ * if asked to and seed it if it is empty.
+ */
+async function ensurePool(context, factory, pool) {
+    const { hre, deployer, records, setFees, run, log } = context;
+    const [symbolA, symbolB] = pool.tokens;
+    const tokenA = records.contracts[symbolA].address;
+    const tokenB = records.contracts[symbolB].address;
+
+    let address = await factory.getPair(tokenA, tokenB);
+    if (address === ZERO_ADDRESS) {
+        await send(context, `create ${pool.name}`, factory.createPair(tokenA, tokenB, pool.swapFee));
+        address = await factory.getPair(tokenA, tokenB);
+        run.actions.push({ action: "createPool", name: pool.name, address });
+        log(`${pool.name}: pool created at ${address}`);
+    } else {
+        run.actions.push({ action: "skip", name: pool.name, address });
+        log(`${pool.name}: pool already at ${address}`);
+    }
+    const dex = await hre.ethers.getContractAt("DEX", address);
+    const previous = records.pools[pool.name];
+    records.pools[pool.name] = {
+        address,
+        tokenA,
+        tokenB,
+        swapFee: pool.swapFee,
+        seeded: previous && previous.address === address ? previous.seeded : undefined
+    };
+
+    // A live pool's fee is only changed when asked to; otherwise the checks flag the mismatch
+    const swapFee = Number(await dex.swapFee());
+    if (swapFee !== pool.swapFee) {
+        if (!setFees) {
+            log(`${pool.name}: swap fee is ${swapFee}, config says ${pool.swapFee}, left as is without DEPLOY_SET_FEES`);
+        } else if (await dex.hasRole(await dex.FEE_MANAGER_ROLE(), deployer.address)) {
+            await send(context, `set ${pool.name} fee`, dex.setSwapFee(pool.swapFee));
+            run.actions.push({ action: "setSwapFee", name: pool.name, from: swapFee, to: pool.swapFee });
+            log(`${pool.name}: swap fee changed from ${swapFee} to ${pool.swapFee}`);
+        } else {
+            log(`${pool.name}: swap fee is ${swapFee}, config says ${pool.swapFee}, and the deployer cannot change it`);
+        }
+    }
+
+    if (pool.liquidity && (await dex.totalSupply()) === 0n) {
+        await seedPool(context, dex, pool, tokenA);
+    }
+}
+
+/**
+ * Add the configured liquidity to an empty pool, in the pool's own token order.
+ */
+async function seedPool(context, dex, pool, tokenA) {
+    const { hre, records, run, log } = context;
+    const amounts = [];
+    for (const [index, symbol] of pool.tokens.entries()) {
+        const token = await hre.ethers.getContractAt("IERC20Metadata", records.contracts[symbol].address);
+        const amount = parseUnits(pool.liquidity[index], Number(await token.decimals()));
+        await send(context, `approve ${symbol}`, token.approve(records.pools[pool.name].address, amount));
+        amounts.push(amount);
+    }
+
+    const [amountA, amountB] = sameAddress(await dex.tokenA(), tokenA) ? amounts : [amounts[1], amounts[0]];
+    const tx = await send(context, `seed ${pool.name}`, dex.addLiquidity(amountA, amountB, amountA, amountB));
+    records.pools[pool.name].seeded = { amountA: amountA.toString(), amountB: amountB.toString(), txHash: tx.hash };
+    run.actions.push({ action: "seed", name: pool.name, amountA: amountA.toString(), amountB: amountB.toString(), txHash: tx.hash });
+    log(`${pool.name}: seeded with ${pool.liquidity[0]} ${pool.tokens[0]} and ${pool.liquidity[1]} ${pool.tokens[1]}`);
+}
+
+function sameAddress(a, b) {
+    return a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Wait for a transaction, naming it in the error if it fails.
+ */
+async function send(context, label, pending) {
+    try {
+        const tx = await pending;
+        await tx.wait();
+        return tx;
+    } catch (error) {
+        throw new Error(`Deploy: ${label} failed: ${error.message}`);
+    }
+}
+
+module.exports = {
+    deployNetwork
+};
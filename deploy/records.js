@@ -0,0 +1,79 @@
+// Deployment records, one file per network under deployments/. A record holds the
+// current address of every contract and pool plus the history of every run, so the
+// next run can tell what is already deployed. deployment-info.json is derived from it
+// for the SDK and the indexer.
+
+const fs = require("fs");
+const path = require("path");
+
+const RECORDS_DIR = path.join(__dirname, "..", "deployments");
+
+/**
+ * Path of a network's record file.
+ * @param {string} network
+ * @param {string} [dir] Directory of the records, deployments/ by default
+ * @returns {string}
+ */
+function recordsFile(network, dir = RECORDS_DIR) {
+    return path.join(dir, `${network}.json`);
+}
+
+/**
+ * Read a network's record, or start an empty one.
+ * @param {string} file Record file
+ * @param {string} network Network name
+ * @param {number} chainId Chain the network is on, checked against the record
+ * @returns {object}
+ */
+function loadRecords(file, network, chainId) {
+    if (!fs.existsSync(file)) {
+        return { network, chainId, contracts: {}, pools: {}, history: [] };
+    }
+    const records = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (records.chainId !== chainId) {
+        throw new Error(`Deploy records: ${file} is for chain ${records.chainId}, ${network} is on chain ${chainId}`);
+    }
+    return records;
+}
+
+/**
+ * Write a record, replacing the file atomically.
+ * @param {string} file
+ * @param {object} records
+ */
+function saveRecords(file, records) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(records, null, 2) + "\n");
+    fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Summary in the format of deployment-info.json, which `sdk.loadDeployment` reads.
+ * @param {object} records
+ * @param {object} config Config the record was deployed from
+ * @returns {object}
+ */
+function deploymentInfo(records, config) {
+    const last = records.history[records.history.length - 1];
+    return {
+        network: records.network,
+        deployer: last ? last.deployer : undefined,
+        tokens: Object.fromEntries(Object.keys(config.tokens).map((symbol) => [symbol, records.contracts[symbol].address])),
+        weth: records.contracts.WETH9.address,
+        factory: records.contracts.DEXFactory.address,
+        router: records.contracts.DEXRouter.address,
+        pools: config.pools.map(({ name }) => {
+            const { tokenA, tokenB, swapFee, address } = records.pools[name];
+            return { name, tokenA, tokenB, swapFee, address };
+        }),
+        timestamp: last ? last.timestamp : new Date().toISOString()
+    };
+}
+
+module.exports = {
+    RECORDS_DIR,
+    recordsFile,
+    loadRecords,
+    saveRecords,
+    deploymentInfo
+};
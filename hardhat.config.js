@@ -1,4 +1,16 @@
 require("@nomicfoundation/hardhat-toolbox");
+const path = require("path");
+const { extendEnvironment, task } = require("hardhat/config");
+const { networksFromEnv, requireNetworkEnv } = require("./deploy/networks");
+
+// Only the network --network selects has to be fully configured
+extendEnvironment((hre) => requireNetworkEnv(hre.network));
+
+// npm run gas: the gas baseline test with the gas reporter's table, on any shell
+task("gas", "Runs the gas baseline test with the gas reporter enabled", async (args, hre) => {
+  hre.config.gasReporter.enabled = true;
+  await hre.run("test", { testFiles: [path.join(__dirname, "test", "DEXGas.test.js")] });
+});
 
 module.exports = {
   solidity: {
@@ -13,6 +25,14 @@ module.exports = {
   networks: {
     hardhat: {
       chainId: 31337
-    }
+    },
+    localhost: {
+      url: process.env.LOCALHOST_RPC_URL || "http://127.0.0.1:8545"
+    },
+    // Live networks come from the environment, see deploy/networks.js
+    ...networksFromEnv()
+  },
+  etherscan: {
+    apiKey: process.env.ETHERSCAN_API_KEY || ""
   }
 };
@@ -0,0 +1,156 @@
+// Historical data built from a replayed state: OHLC candles, daily volume and fee
+// summaries and LP positions, written as CSV and JSON. Prices are token B per
+// token A with 1e18 scaling, the same as `DEX.getPrice`; all amounts are in wei.
+
+const fs = require("fs");
+const path = require("path");
+const { WAD, getPrice } = require("../sdk");
+const { positionReport } = require("./replay");
+const { stringify } = require("./store");
+
+const DAY = 86400;
+
+/**
+ * OHLC candles of a pool's price after each swap.
+ * @param {object} pool Pool from `replay`
+ * @param {number} [interval=3600] Candle length in seconds
+ * @returns {object[]} One candle per interval that had at least one swap, oldest first
+ */
+function candles(pool, interval = 3600) {
+    const result = [];
+    for (const swap of pool.swaps) {
+        const time = swap.timestamp - (swap.timestamp % interval);
+        let candle = result[result.length - 1];
+        if (!candle || candle.time !== time) {
+            candle = {
+                time,
+                open: swap.price,
+                high: swap.price,
+                low: swap.price,
+                close: swap.price,
+                volumeA: 0n,
+                volumeB: 0n,
+                swaps: 0
+            };
+            result.push(candle);
+        }
+        if (swap.price > candle.high) candle.high = swap.price;
+        if (swap.price < candle.low) candle.low = swap.price;
+        candle.close = swap.price;
+        candle.volumeA += swap.amountA;
+        candle.volumeB += swap.amountB;
+        candle.swaps++;
+    }
+    return result;
+}
+
+/**
+ * Volume, fees and closing TVL of a pool for every UTC day it had activity.
+ * TVL is both reserves valued in token B at the day's closing price.
+ * @param {object} pool Pool from `replay`
+ * @returns {object[]} One row per day, oldest first
+ */
+function dailySummaries(pool) {
+    const days = new Map();
+    const day = (timestamp) => {
+        const start = timestamp - (timestamp % DAY);
+        if (!days.has(start)) {
+            days.set(start, {
+                date: new Date(start * 1000).toISOString().slice(0, 10),
+                swaps: 0,
+                volumeA: 0n,
+                volumeB: 0n,
+                feesA: 0n,
+                feesB: 0n,
+                liquidityAdds: 0,
+                liquidityRemoves: 0,
+                reserveA: 0n,
+                reserveB: 0n,
+                price: 0n,
+                tvlB: 0n
+            });
+        }
+        return days.get(start);
+    };
+
+    for (const swap of pool.swaps) {
+        const row = day(swap.timestamp);
+        row.swaps++;
+        row.volumeA += swap.amountA;
+        row.volumeB += swap.amountB;
+        row.feesA += swap.feeA;
+        row.feesB += swap.feeB;
+    }
+    for (const event of pool.liquidityEvents) {
+        const row = day(event.timestamp);
+        if (event.type === "add") {
+            row.liquidityAdds++;
+        } else {
+            row.liquidityRemoves++;
+        }
+    }
+    // Syncs are in order, so the last one of each day sets its closing reserves
+    for (const sync of pool.syncs) {
+        const row = day(sync.timestamp);
+        row.reserveA = sync.reserveA;
+        row.reserveB = sync.reserveB;
+        row.price = sync.reserveA > 0n ? getPrice(sync.reserveA, sync.reserveB) : 0n;
+        row.tvlB = (sync.reserveA * row.price) / WAD + sync.reserveB;
+    }
+
+    return [...days.entries()].sort(([a], [b]) => a - b).map(([, row]) => row);
+}
+
+/**
+ * CSV with a header row taken from the first row's keys.
+ * @param {object[]} rows
+ * @returns {string}
+ */
+function toCSV(rows) {
+    if (rows.length === 0) {
+        return "";
+    }
+    const columns = Object.keys(rows[0]);
+    const lines = [columns.join(",")];
+    for (const row of rows) {
+        lines.push(columns.map((column) => String(row[column])).join(","));
+    }
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Write candles, daily summaries and positions of every pool to `dir`, as
+ * `<pool>-candles-<interval>s`, `<pool>-daily` and `<pool>-positions` in both CSV
+ * and JSON. Pool names are made file-safe, e.g. "TKA/TKB" becomes "TKA-TKB".
+ * @param {{pools: object[]}} state Result of `replay`
+ * @param {string} dir Output directory, created if needed
+ * @param {object} [options]
+ * @param {number} [options.interval=3600] Candle length in seconds
+ * @returns {string[]} Paths of the files written
+ */
+function exportState(state, dir, { interval = 3600 } = {}) {
+    fs.mkdirSync(dir, { recursive: true });
+    const written = [];
+    for (const pool of state.pools) {
+        const prefix = pool.name.replace(/[^A-Za-z0-9_.-]+/g, "-");
+        const datasets = {
+            [`candles-${interval}s`]: candles(pool, interval),
+            daily: dailySummaries(pool),
+            positions: positionReport(pool)
+        };
+        for (const [dataset, rows] of Object.entries(datasets)) {
+            const base = path.join(dir, `${prefix}-${dataset}`);
+            fs.writeFileSync(`${base}.json`, stringify(rows));
+            fs.writeFileSync(`${base}.csv`, toCSV(rows));
+            written.push(`${base}.json`, `${base}.csv`);
+        }
+    }
+    return written;
+}
+
+module.exports = {
+    candles,
+    dailySummaries,
+    toCSV,
+    exportState
+};
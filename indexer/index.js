@@ -0,0 +1,10 @@
+// Event indexer for DEX pools: sync events from a node into a JSON store, replay them
+// into reserves and LP positions, and export candles and daily summaries.
+// scripts/index-events.js runs it against a network; see test/indexer.test.js.
+
+module.exports = {
+    ...require("./store"),
+    ...require("./sync"),
+    ...require("./replay"),
+    ...require("./export")
+};
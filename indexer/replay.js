@@ -0,0 +1,220 @@
+// Rebuilds every pool's history from the stored events, block by block. Reserves
+// follow the Sync events, LP balances the pool's own Transfer events, and swaps and
+// liquidity events add volume, fees and each provider's cost basis on top.
+
+const { FEE_DENOMINATOR, WAD, getPrice } = require("../sdk");
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+/**
+ * Replay a store into per-pool state and history.
+ * @param {object} store Store from `initStore` or `loadStore`
+ * @returns {{block: number, pools: object[]}} State as of the store's tip
+ */
+function replay(store) {
+    const pools = new Map();
+    for (const info of store.pools) {
+        const firstFeeUpdate = store.events.find(
+            (event) => sameAddress(event.pool, info.address) && event.event === "SwapFeeUpdated"
+        );
+        pools.set(info.address.toLowerCase(), {
+            ...info,
+            // The fee read at setup is the current one; before the first update it was the update's old fee
+            swapFee: firstFeeUpdate ? BigInt(firstFeeUpdate.args.oldFee) : BigInt(info.swapFee),
+            reserveA: 0n,
+            reserveB: 0n,
+            totalSupply: 0n,
+            positions: {},
+            swaps: [],
+            liquidityEvents: [],
+            syncs: []
+        });
+    }
+
+    for (const event of store.events) {
+        const pool = pools.get(event.pool.toLowerCase());
+        const timestamp = store.blocks[event.block].timestamp;
+        apply(pool, event, timestamp);
+    }
+
+    return { block: store.tip.number, pools: [...pools.values()] };
+}
+
+function apply(pool, { event, args, block, tx }, timestamp) {
+    switch (event) {
+        case "Sync": {
+            pool.reserveA = BigInt(args.reserveA);
+            pool.reserveB = BigInt(args.reserveB);
+            pool.syncs.push({ block, timestamp, reserveA: pool.reserveA, reserveB: pool.reserveB });
+            break;
+        }
+        case "Transfer": {
+            const value = BigInt(args.value);
+            if (args.from === ZERO_ADDRESS) {
+                pool.totalSupply += value;
+            } else {
+                moveCostBasis(pool, args.from, args.to, value);
+                position(pool, args.from).liquidity -= value;
+            }
+            if (args.to === ZERO_ADDRESS) {
+                pool.totalSupply -= value;
+            } else {
+                position(pool, args.to).liquidity += value;
+            }
+            break;
+        }
+        case "Swap": {
+            // Pools emit Sync before Swap, so the reserves already include this trade
+            const aForB = sameAddress(args.tokenIn, pool.tokenA);
+            const amountIn = BigInt(args.amountIn);
+            const amountOut = BigInt(args.amountOut);
+            pool.swaps.push({
+                block,
+                timestamp,
+                tx,
+                trader: args.trader,
+                aForB,
+                amountA: aForB ? amountIn : amountOut,
+                amountB: aForB ? amountOut : amountIn,
+                feeA: aForB ? fee(pool, amountIn) : 0n,
+                feeB: aForB ? 0n : fee(pool, amountIn),
+                price: getPrice(pool.reserveA, pool.reserveB)
+            });
+            break;
+        }
+        case "FlashSwap": {
+            const amountAIn = BigInt(args.amountAIn);
+            const amountBIn = BigInt(args.amountBIn);
+            pool.swaps.push({
+                block,
+                timestamp,
+                tx,
+                trader: args.sender,
+                flash: true,
+                amountA: amountAIn + BigInt(args.amountAOut),
+                amountB: amountBIn + BigInt(args.amountBOut),
+                feeA: fee(pool, amountAIn),
+                feeB: fee(pool, amountBIn),
+                price: getPrice(pool.reserveA, pool.reserveB)
+            });
+            break;
+        }
+        case "LiquidityAdded": {
+            const entry = position(pool, args.provider);
+            entry.costA += BigInt(args.amountA);
+            entry.costB += BigInt(args.amountB);
+            entry.depositedA += BigInt(args.amountA);
+            entry.depositedB += BigInt(args.amountB);
+            pool.liquidityEvents.push({ block, timestamp, tx, type: "add", provider: args.provider, ...amounts(args) });
+            break;
+        }
+        case "LiquidityRemoved": {
+            // The burn's Transfer came first, so the balance before it is balance + burned
+            const entry = position(pool, args.provider);
+            const burned = BigInt(args.liquidityBurned);
+            const before = entry.liquidity + burned;
+            const costA = before > 0n ? (entry.costA * burned) / before : 0n;
+            const costB = before > 0n ? (entry.costB * burned) / before : 0n;
+            entry.costA -= costA;
+            entry.costB -= costB;
+            entry.withdrawnA += BigInt(args.amountA);
+            entry.withdrawnB += BigInt(args.amountB);
+            entry.realizedA += BigInt(args.amountA) - costA;
+            entry.realizedB += BigInt(args.amountB) - costB;
+            pool.liquidityEvents.push({ block, timestamp, tx, type: "remove", provider: args.provider, ...amounts(args) });
+            break;
+        }
+        case "SwapFeeUpdated": {
+            pool.swapFee = BigInt(args.newFee);
+            break;
+        }
+    }
+}
+
+/**
+ * Move the share of the sender's cost basis that goes with transferred LP tokens.
+ */
+function moveCostBasis(pool, from, to, value) {
+    const sender = position(pool, from);
+    if (sender.liquidity <= 0n || to === ZERO_ADDRESS) {
+        return;
+    }
+    const costA = (sender.costA * value) / sender.liquidity;
+    const costB = (sender.costB * value) / sender.liquidity;
+    sender.costA -= costA;
+    sender.costB -= costB;
+    const receiver = position(pool, to);
+    receiver.costA += costA;
+    receiver.costB += costB;
+}
+
+function position(pool, account) {
+    if (!pool.positions[account]) {
+        pool.positions[account] = {
+            liquidity: 0n,
+            costA: 0n,
+            costB: 0n,
+            depositedA: 0n,
+            depositedB: 0n,
+            withdrawnA: 0n,
+            withdrawnB: 0n,
+            realizedA: 0n,
+            realizedB: 0n
+        };
+    }
+    return pool.positions[account];
+}
+
+function amounts(args) {
+    return {
+        amountA: BigInt(args.amountA),
+        amountB: BigInt(args.amountB),
+        liquidity: BigInt(args.liquidityMinted || args.liquidityBurned)
+    };
+}
+
+function fee(pool, amountIn) {
+    return (amountIn * pool.swapFee) / FEE_DENOMINATOR;
+}
+
+function sameAddress(a, b) {
+    return a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Value and profit of every LP position at the pool's current price, in token B.
+ * Profit is the position's value plus what it withdrew, minus what it deposited,
+ * with both sides valued at the current price.
+ * @param {object} pool Pool from `replay`
+ * @returns {object[]} One row per account that ever held LP tokens
+ */
+function positionReport(pool) {
+    const price = pool.reserveA > 0n ? getPrice(pool.reserveA, pool.reserveB) : 0n;
+    const inB = (amountA, amountB) => (amountA * price) / WAD + amountB;
+
+    return Object.entries(pool.positions).map(([account, entry]) => {
+        const valueA = pool.totalSupply > 0n ? (entry.liquidity * pool.reserveA) / pool.totalSupply : 0n;
+        const valueB = pool.totalSupply > 0n ? (entry.liquidity * pool.reserveB) / pool.totalSupply : 0n;
+        const unrealizedB = inB(valueA - entry.costA, valueB - entry.costB);
+        const realizedB = inB(entry.realizedA, entry.realizedB);
+        return {
+            account,
+            liquidity: entry.liquidity,
+            share: pool.totalSupply > 0n ? (entry.liquidity * WAD) / pool.totalSupply : 0n,
+            valueA,
+            valueB,
+            depositedA: entry.depositedA,
+            depositedB: entry.depositedB,
+            withdrawnA: entry.withdrawnA,
+            withdrawnB: entry.withdrawnB,
+            unrealizedB,
+            realizedB,
+            pnlB: unrealizedB + realizedB
+        };
+    });
+}
+
+module.exports = {
+    replay,
+    positionReport
+};
@@ -0,0 +1,78 @@
+// JSON file store of the indexer. It keeps the raw pool events plus the hash and
+// timestamp of every block they came from, which is everything needed to replay
+// the pools' history and to find where a reorg forked off.
+
+const fs = require("fs");
+const path = require("path");
+
+const STORE_VERSION = 1;
+
+/**
+ * Empty store for a set of pools.
+ * @param {{address: string, name?: string, tokenA: string, tokenB: string, swapFee: number}[]} pools
+ * @param {number} chainId Chain the pools live on
+ * @param {number} [startBlock=0] First block to index
+ * @returns {object}
+ */
+function createStore(pools, chainId, startBlock = 0) {
+    return {
+        version: STORE_VERSION,
+        chainId,
+        startBlock,
+        pools,
+        // Last indexed block and its hash, checked for reorgs on every sync
+        tip: { number: startBlock - 1, hash: null },
+        // Hash and timestamp of every block holding an indexed event, by block number
+        blocks: {},
+        events: []
+    };
+}
+
+/**
+ * Read a store written by `saveStore`.
+ * @param {string} file
+ * @returns {object | null} The store, or null when the file does not exist yet
+ */
+function loadStore(file) {
+    if (!fs.existsSync(file)) {
+        return null;
+    }
+    const store = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (store.version !== STORE_VERSION) {
+        throw new Error(`Indexer: unsupported store version ${store.version} in ${file}`);
+    }
+    // The saved state is derived data, it is replayed again from the events
+    delete store.state;
+    return store;
+}
+
+/**
+ * Write a store and the state replayed from it. The file is replaced atomically so
+ * an interrupted write never leaves a truncated store behind.
+ * @param {string} file
+ * @param {object} store
+ * @param {object} [state] Result of `replay`, saved alongside for other consumers
+ */
+function saveStore(file, store, state) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    const temp = `${file}.tmp`;
+    fs.writeFileSync(temp, stringify(state ? { ...store, state } : store));
+    fs.renameSync(temp, file);
+}
+
+/**
+ * JSON with BigInt values written as decimal strings.
+ * @param {*} value
+ * @returns {string}
+ */
+function stringify(value) {
+    return JSON.stringify(value, (key, item) => (typeof item === "bigint" ? item.toString() : item), 2);
+}
+
+module.exports = {
+    STORE_VERSION,
+    createStore,
+    loadStore,
+    saveStore,
+    stringify
+};
@@ -0,0 +1,198 @@
+// Pulls pool events from a JSON-RPC node into a store. Before every sync the stored
+// tip is compared with the node's chain: if its hash changed, the store is rolled
+// back to the newest indexed block the node still has and indexing resumes there.
+// A reorg during a sync is caught by checking every log's block against the node
+// and reading the tips again afterwards; the range is then fetched again.
+
+const { ethers } = require("ethers");
+const { fetchPoolState } = require("../sdk");
+const { createStore } = require("./store");
+
+const EVENTS_ABI = [
+    "event Transfer(address indexed from, address indexed to, uint256 value)",
+    "event Sync(uint256 reserveA, uint256 reserveB)",
+    "event Swap(address indexed trader, address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOut)",
+    "event FlashSwap(address indexed sender, address indexed to, uint256 amountAOut, uint256 amountBOut, uint256 amountAIn, uint256 amountBIn)",
+    "event LiquidityAdded(address indexed provider, uint256 amountA, uint256 amountB, uint256 liquidityMinted)",
+    "event LiquidityRemoved(address indexed provider, uint256 amountA, uint256 amountB, uint256 liquidityBurned)",
+    "event SwapFeeUpdated(uint256 oldFee, uint256 newFee)"
+];
+
+// Syncs in a row that may be cut short by a reorg before syncStore gives up
+const MAX_SYNC_ATTEMPTS = 5;
+
+const eventsInterface = new ethers.Interface(EVENTS_ABI);
+const EVENT_TOPICS = EVENTS_ABI.map((signature) => ethers.EventFragment.from(signature).topicHash);
+
+/**
+ * Store for the pools of a deployment, with token order and fee read from the pools.
+ * @param {{address: string, name?: string}[]} pools Pools to index, e.g. `deployment.pools`
+ * @param {object} provider ethers provider of the node to index
+ * @param {number} [startBlock=0] First block to index
+ * @returns {Promise<object>}
+ */
+async function initStore(pools, provider, startBlock = 0) {
+    const chainId = Number((await provider.getNetwork()).chainId);
+    const poolInfo = [];
+    for (const { address, name } of pools) {
+        const { tokenA, tokenB, swapFee } = await fetchPoolState(address, provider);
+        poolInfo.push({ address, name: name || address, tokenA, tokenB, swapFee: Number(swapFee) });
+    }
+    return createStore(poolInfo, chainId, startBlock);
+}
+
+/**
+ * Bring a store up to date with the node.
+ * @param {object} store Store from `initStore` or `loadStore`, updated in place
+ * @param {object} provider ethers provider of the node to index
+ * @param {object} [options]
+ * @param {number} [options.confirmations=0] Blocks to stay behind the head
+ * @param {number} [options.batchSize=2000] Largest block range per log query
+ * @returns {Promise<{fromBlock: number, toBlock: number, events: number, reorg: {from: number, to: number} | null}>}
+ *          Range indexed, number of new events and the blocks dropped by a reorg, if any
+ */
+async function syncStore(store, provider, { confirmations = 0, batchSize = 2000 } = {}) {
+    const chainId = Number((await provider.getNetwork()).chainId);
+    if (chainId !== store.chainId) {
+        throw new Error(`Indexer: store is for chain ${store.chainId}, node is on chain ${chainId}`);
+    }
+
+    let reorg = null;
+    for (let attempt = 0; attempt < MAX_SYNC_ATTEMPTS; attempt++) {
+        reorg = (await rollBackReorg(store, provider)) || reorg;
+        const fromBlock = store.tip.number + 1;
+        const toBlock = (await provider.getBlockNumber()) - confirmations;
+        if (toBlock < fromBlock) {
+            return { fromBlock, toBlock: store.tip.number, events: 0, reorg };
+        }
+
+        const range = await fetchRange(store, provider, fromBlock, toBlock, batchSize);
+        if (range) {
+            for (const [number, block] of range.blocks) {
+                store.blocks[number] = block;
+            }
+            store.events.push(...range.logs.map(decode));
+            store.tip = range.tip;
+            return { fromBlock, toBlock, events: range.logs.length, reorg };
+        }
+    }
+    throw new Error(`Indexer: the chain reorganized during ${MAX_SYNC_ATTEMPTS} sync attempts in a row`);
+}
+
+/**
+ * Logs of the store's pools in a block range, all from the chain the node had
+ * throughout. The tip of the range is read before the logs, every log's block hash
+ * must match the node's block at that height, and afterwards both the new tip and
+ * the stored one must still be on the node's chain.
+ * @returns {Promise<{logs: object[], blocks: Map, tip: {number: number, hash: string}} | null>}
+ *          Sorted logs, their blocks and the new tip, or null if the chain changed meanwhile
+ */
+async function fetchRange(store, provider, fromBlock, toBlock, batchSize) {
+    const tipBlock = await provider.getBlock(toBlock);
+    if (!tipBlock) {
+        return null;
+    }
+
+    let logs = [];
+    for (let start = fromBlock; start <= toBlock; start += batchSize) {
+        const end = Math.min(start + batchSize - 1, toBlock);
+        for (const pool of store.pools) {
+            logs = logs.concat(await provider.getLogs({
+                address: pool.address,
+                topics: [EVENT_TOPICS],
+                fromBlock: start,
+                toBlock: end
+            }));
+        }
+    }
+    // Nodes flag logs of blocks they have just abandoned
+    if (logs.some((log) => log.removed)) {
+        return null;
+    }
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+    const blocks = new Map();
+    for (const log of logs) {
+        if (!blocks.has(log.blockNumber)) {
+            const block = await provider.getBlock(log.blockNumber);
+            if (!block) {
+                return null;
+            }
+            blocks.set(log.blockNumber, { hash: block.hash, timestamp: block.timestamp });
+        }
+        if (blocks.get(log.blockNumber).hash !== log.blockHash) {
+            return null;
+        }
+    }
+
+    // Block hashes commit to their parents, so a reorg below either tip changes its hash
+    if ((await blockHash(provider, toBlock)) !== tipBlock.hash) {
+        return null;
+    }
+    if (store.tip.hash !== null && (await blockHash(provider, store.tip.number)) !== store.tip.hash) {
+        return null;
+    }
+    return { logs, blocks, tip: { number: toBlock, hash: tipBlock.hash } };
+}
+
+/**
+ * If the stored tip is no longer on the node's chain, drop everything indexed after
+ * the newest stored block that still is.
+ * @returns {Promise<{from: number, to: number} | null>} Dropped block range, if any
+ */
+async function rollBackReorg(store, provider) {
+    if (store.tip.hash === null || (await blockHash(provider, store.tip.number)) === store.tip.hash) {
+        return null;
+    }
+
+    // Block hashes commit to their parents, so the newest match is the fork point
+    let ancestor = store.startBlock - 1;
+    const numbers = Object.keys(store.blocks).map(Number).sort((a, b) => b - a);
+    for (const number of numbers) {
+        if ((await blockHash(provider, number)) === store.blocks[number].hash) {
+            ancestor = number;
+            break;
+        }
+    }
+
+    const dropped = { from: ancestor + 1, to: store.tip.number };
+    store.events = store.events.filter((event) => event.block <= ancestor);
+    for (const number of numbers) {
+        if (number > ancestor) {
+            delete store.blocks[number];
+        }
+    }
+    store.tip = { number: ancestor, hash: ancestor >= store.startBlock ? store.blocks[ancestor].hash : null };
+    return dropped;
+}
+
+async function blockHash(provider, number) {
+    const block = await provider.getBlock(number);
+    return block ? block.hash : null;
+}
+
+/**
+ * Stored form of a log: event name and arguments by name, numbers as decimal strings.
+ */
+function decode(log) {
+    const parsed = eventsInterface.parseLog(log);
+    const args = {};
+    for (const input of parsed.fragment.inputs) {
+        const value = parsed.args[input.name];
+        args[input.name] = typeof value === "string" || typeof value === "boolean" ? value : value.toString();
+    }
+    return {
+        block: log.blockNumber,
+        logIndex: log.index,
+        tx: log.transactionHash,
+        pool: log.address,
+        event: parsed.name,
+        args
+    };
+}
+
+module.exports = {
+    EVENTS_ABI,
+    initStore,
+    syncStore
+};
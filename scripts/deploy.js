@@ -1,69 +1,86 @@
+const fs = require("fs");
 const hre = require("hardhat");
+const {
+    loadConfig,
+    recordsFile,
+    loadRecords,
+    saveRecords,
+    deploymentInfo,
+    deployNetwork,
+    runChecks
+} = require("../deploy");
+
+// Settings, all optional:
+// DEPLOY_CONFIG       config module to use instead of deploy/config/<network>.js
+// DEPLOY_RECORDS_DIR  directory of the per-network records, deployments/ by default
+// DEPLOY_REDEPLOY     comma-separated contracts to deploy again, e.g. "DEXRouter"
+// DEPLOY_SET_FEES     set to change the fee of existing pools that no longer match the config
+// DEPLOY_VERIFY       set to verify what this run deployed on the network's block explorer
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
 
 async function main() {
-    console.log("Starting deployment...");
-    
-    // Get the deployer account
+    const network = hre.network.name;
+    const chainId = (await hre.ethers.provider.getNetwork()).chainId;
+    const config = loadConfig(network, process.env.DEPLOY_CONFIG);
+    const file = recordsFile(network, process.env.DEPLOY_RECORDS_DIR);
+    const records = loadRecords(file, network, Number(chainId));
+    const redeploy = (process.env.DEPLOY_REDEPLOY || "").split(",").map((name) => name.trim()).filter(Boolean);
+
     const [deployer] = await hre.ethers.getSigners();
-    console.log("Deploying contracts with account:", deployer.address);
-    
-    // Get account balance
-    const balance = await hre.ethers.provider.getBalance(deployer.address);
-    console.log("Account balance:", hre.ethers.formatEther(balance), "ETH");
-    
-    // Deploy Mock Token A
-    console.log("\nDeploying Token A...");
-    const MockERC20 = await hre.ethers.getContractFactory("MockERC20");
-    const tokenA = await MockERC20.deploy("Token A", "TKA");
-    await tokenA.waitForDeployment();
-    const tokenAAddress = await tokenA.getAddress();
-    console.log("Token A deployed to:", tokenAAddress);
-    
-    // Deploy Mock Token B
-    console.log("\nDeploying Token B...");
-    const tokenB = await MockERC20.deploy("Token B", "TKB");
-    await tokenB.waitForDeployment();
-    const tokenBAddress = await tokenB.getAddress();
-    console.log("Token B deployed to:", tokenBAddress);
-    
-    // Deploy DEX
-    console.log("\nDeploying DEX...");
-    const DEX = await hre.ethers.getContractFactory("DEX");
-    const dex = await DEX.deploy(tokenAAddress, tokenBAddress);
-    await dex.waitForDeployment();
-    const dexAddress = await dex.getAddress();
-    console.log("DEX deployed to:", dexAddress);
-    
-    // Mint some tokens to deployer for testing
-    console.log("\nMinting test tokens...");
-    const mintAmount = hre.ethers.parseEther("1000000");
-    await tokenA.mint(deployer.address, mintAmount);
-    await tokenB.mint(deployer.address, mintAmount);
-    console.log("Minted", hre.ethers.formatEther(mintAmount), "of each token to deployer");
-    
-    // Display summary
-    console.log("\n=== Deployment Summary ===");
-    console.log("Token A:", tokenAAddress);
-    console.log("Token B:", tokenBAddress);
-    console.log("DEX:", dexAddress);
-    console.log("========================\n");
-    
-    // Save deployment addresses to a file
-    const fs = require("fs");
-    const deploymentInfo = {
-        network: hre.network.name,
-        deployer: deployer.address,
-        tokenA: tokenAAddress,
-        tokenB: tokenBAddress,
-        dex: dexAddress,
-        timestamp: new Date().toISOString()
-    };
-    
-    fs.writeFileSync(
-        "deployment-info.json",
-        JSON.stringify(deploymentInfo, null, 2)
-    );
-    console.log("Deployment info saved to deployment-info.json");
+    console.log(`Deploying to ${network} (chain ${chainId}) with account ${deployer.address}`);
+    console.log(`Records: ${file} (${records.history.length} previous runs)\n`);
+
+    const run = await deployNetwork(hre, config, {
+        records,
+        redeploy,
+        setFees: Boolean(process.env.DEPLOY_SET_FEES),
+        log: console.log
+    });
+    // Record the run before checking it, so a failed check doesn't lose what was deployed
+    saveRecords(file, records);
+
+    console.log("\nChecks:");
+    run.checks = await runChecks(hre, config, records, run);
+    for (const { name, ok, detail, info } of run.checks) {
+        console.log(`${info ? "info" : ok ? "ok  " : "FAIL"} ${name}: ${detail}`);
+    }
+    saveRecords(file, records);
+
+    fs.writeFileSync("deployment-info.json", JSON.stringify(deploymentInfo(records, config), null, 2));
+    console.log(`\nRecords saved to ${file}, deployment info to deployment-info.json`);
+
+    if (process.env.DEPLOY_VERIFY && !LOCAL_NETWORKS.includes(network)) {
+        await verify(run, records);
+    }
+
+    if (run.checks.some((check) => !check.ok)) {
+        throw new Error("Deploy: some checks failed, see above");
+    }
+}
+
+/**
+ * Verify the source of every contract and pool this run deployed.
+ */
+async function verify(run, records) {
+    for (const { action, name, address } of run.actions) {
+        let constructorArguments;
+        if (action === "deploy") {
+            constructorArguments = records.contracts[name].args;
+        } else if (action === "createPool") {
+            const dex = await hre.ethers.getContractAt("DEX", address);
+            constructorArguments = [await dex.tokenA(), await dex.tokenB(), records.pools[name].swapFee];
+        } else {
+            continue;
+        }
+
+        console.log(`\nVerifying ${name} at ${address}...`);
+        try {
+            await hre.run("verify:verify", { address, constructorArguments });
+        } catch (error) {
+            // Already verified contracts and explorer hiccups shouldn't undo a deployment
+            console.log(`Could not verify ${name}: ${error.message}`);
+        }
+    }
 }
 
 main()
@@ -0,0 +1,51 @@
+const hre = require("hardhat");
+const { loadDeployment } = require("../sdk");
+const { initStore, loadStore, saveStore, syncStore, replay, exportState } = require("../indexer");
+
+// Settings, all overridable through the environment since `hardhat run` takes no arguments
+const DEPLOYMENT_FILE = process.env.INDEXER_DEPLOYMENT || "deployment-info.json";
+const STORE_FILE = process.env.INDEXER_STORE || "indexer-data/store.json";
+const EXPORT_DIR = process.env.INDEXER_EXPORT_DIR || "indexer-data/export";
+const CANDLE_INTERVAL = Number(process.env.INDEXER_CANDLE_INTERVAL || 3600);
+const CONFIRMATIONS = Number(process.env.INDEXER_CONFIRMATIONS || 0);
+const START_BLOCK = Number(process.env.INDEXER_START_BLOCK || 0);
+// Seconds between syncs; unset to sync once and exit
+const POLL_INTERVAL = Number(process.env.INDEXER_POLL_INTERVAL || 0);
+
+async function syncOnce(store) {
+    const result = await syncStore(store, hre.ethers.provider, { confirmations: CONFIRMATIONS });
+    if (result.reorg) {
+        console.log(`Reorg: dropped blocks ${result.reorg.from}-${result.reorg.to}`);
+    }
+    console.log(`Indexed blocks ${result.fromBlock}-${result.toBlock}: ${result.events} new events`);
+
+    const state = replay(store);
+    saveStore(STORE_FILE, store, state);
+
+    const files = exportState(state, EXPORT_DIR, { interval: CANDLE_INTERVAL });
+    console.log(`Wrote ${files.length} export files to ${EXPORT_DIR}`);
+}
+
+async function main() {
+    let store = loadStore(STORE_FILE);
+    if (store) {
+        console.log(`Resuming from block ${store.tip.number} with ${store.events.length} events in ${STORE_FILE}`);
+    } else {
+        const deployment = loadDeployment(DEPLOYMENT_FILE);
+        console.log(`Indexing ${deployment.pools.length} pools from ${DEPLOYMENT_FILE} on ${hre.network.name}`);
+        store = await initStore(deployment.pools, hre.ethers.provider, START_BLOCK);
+    }
+
+    await syncOnce(store);
+    while (POLL_INTERVAL > 0) {
+        await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL * 1000));
+        await syncOnce(store);
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
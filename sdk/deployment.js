@@ -0,0 +1,86 @@
+// Addresses from scripts/deploy.js and pool state read from chain, in the BigInt form
+// the math works on (ethers v6 returns uint256 values as bigint).
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const POOL_ABI = [
+    "function tokenA() view returns (address)",
+    "function tokenB() view returns (address)",
+    "function getReserves() view returns (uint256, uint256)",
+    "function swapFee() view returns (uint256)",
+    "function totalSupply() view returns (uint256)",
+    "function kLast() view returns (uint256)",
+    "function protocolFeeEnabled() view returns (bool)",
+    "function protocolFeeShare() view returns (uint256)"
+];
+
+/**
+ * Read the file `scripts/deploy.js` writes.
+ * @param {string} [file] Path to the file, `deployment-info.json` in the working directory by default
+ * @returns {object} Parsed deployment info with `tokens`, `factory`, `router` and `pools`
+ */
+function loadDeployment(file = path.join(process.cwd(), "deployment-info.json")) {
+    const deployment = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (!deployment.pools || !Array.isArray(deployment.pools)) {
+        throw new Error(`SDK: no pools in ${file}`);
+    }
+    return deployment;
+}
+
+/**
+ * Read the state of one pool.
+ * @param {string} address Address of the pool
+ * @param {object} runner ethers provider or signer to read with
+ * @returns {Promise<import("./math").PoolState>}
+ */
+async function fetchPoolState(address, runner) {
+    const pool = new ethers.Contract(address, POOL_ABI, runner);
+    const [tokenA, tokenB, reserves, swapFee, totalSupply, kLast, protocolFeeEnabled, protocolFeeShare] =
+        await Promise.all([
+            pool.tokenA(),
+            pool.tokenB(),
+            pool.getReserves(),
+            pool.swapFee(),
+            pool.totalSupply(),
+            pool.kLast(),
+            pool.protocolFeeEnabled(),
+            pool.protocolFeeShare()
+        ]);
+
+    return {
+        address,
+        tokenA,
+        tokenB,
+        reserveA: reserves[0],
+        reserveB: reserves[1],
+        swapFee,
+        totalSupply,
+        kLast,
+        protocolFeeEnabled,
+        protocolFeeShare
+    };
+}
+
+/**
+ * Read the state of every pool of a deployment. Token order comes from the pools
+ * themselves: deploy.js records pairs as configured, while pools sort their tokens
+ * by address.
+ * @param {object} deployment Result of `loadDeployment`
+ * @param {object} runner ethers provider or signer to read with
+ * @returns {Promise<import("./math").PoolState[]>}
+ */
+async function fetchPoolStates(deployment, runner) {
+    return Promise.all(deployment.pools.map(async (info) => ({
+        name: info.name,
+        ...(await fetchPoolState(info.address, runner))
+    })));
+}
+
+module.exports = {
+    POOL_ABI,
+    loadDeployment,
+    fetchPoolState,
+    fetchPoolStates
+};
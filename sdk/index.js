@@ -0,0 +1,8 @@
+// BigInt replica of the DEX pool math, route search and deployment loading.
+// Quotes match the contracts to the wei; see test/sdk.test.js for the parity fuzz.
+
+module.exports = {
+    ...require("./math"),
+    ...require("./routing"),
+    ...require("./deployment")
+};
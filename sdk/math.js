@@ -0,0 +1,223 @@
+// Pool math of DEX.sol in BigInt. Every function rounds exactly like the contract,
+// so results match on-chain values to the wei, and throws the contract's revert
+// reason where the contract would revert.
+
+const FEE_DENOMINATOR = 10000n;
+const MINIMUM_LIQUIDITY = 1000n;
+const WAD = 10n ** 18n;
+
+function fail(reason) {
+    throw new Error(reason);
+}
+
+/**
+ * Integer square root, rounded down. Same Babylonian method as `DEX.sqrt`.
+ * @param {bigint} y
+ * @returns {bigint}
+ */
+function sqrt(y) {
+    if (y > 3n) {
+        let z = y;
+        let x = y / 2n + 1n;
+        while (x < z) {
+            z = x;
+            x = (y / x + x) / 2n;
+        }
+        return z;
+    }
+    return y === 0n ? 0n : 1n;
+}
+
+/**
+ * Output of an exact input swap, mirrors `DEX.getAmountOut`.
+ * @param {bigint} amountIn Amount of the input token
+ * @param {bigint} reserveIn Reserve of the input token
+ * @param {bigint} reserveOut Reserve of the output token
+ * @param {bigint} swapFee Pool fee in basis points
+ * @returns {bigint} Amount of the output token
+ */
+function getAmountOut(amountIn, reserveIn, reserveOut, swapFee) {
+    if (amountIn <= 0n) fail("DEX: insufficient input amount");
+    if (reserveIn <= 0n || reserveOut <= 0n) fail("DEX: insufficient liquidity");
+
+    const amountInWithFee = amountIn * (FEE_DENOMINATOR - swapFee);
+    return (amountInWithFee * reserveOut) / (reserveIn * FEE_DENOMINATOR + amountInWithFee);
+}
+
+/**
+ * Input of an exact output swap, mirrors `DEX.getAmountIn`.
+ * @param {bigint} amountOut Amount of the output token wanted
+ * @param {bigint} reserveIn Reserve of the input token
+ * @param {bigint} reserveOut Reserve of the output token
+ * @param {bigint} swapFee Pool fee in basis points
+ * @returns {bigint} Amount of the input token needed
+ */
+function getAmountIn(amountOut, reserveIn, reserveOut, swapFee) {
+    if (amountOut <= 0n) fail("DEX: insufficient output amount");
+    if (reserveIn <= 0n || reserveOut <= amountOut) fail("DEX: insufficient liquidity");
+
+    const numerator = reserveIn * amountOut * FEE_DENOMINATOR;
+    const denominator = (reserveOut - amountOut) * (FEE_DENOMINATOR - swapFee);
+    return numerator / denominator + 1n;
+}
+
+/**
+ * Spot price of token A in token B, 1e18 scaled, mirrors `DEX.getPrice`.
+ * @param {bigint} reserveA
+ * @param {bigint} reserveB
+ * @returns {bigint}
+ */
+function getPrice(reserveA, reserveB) {
+    if (reserveA <= 0n) fail("DEX: no liquidity");
+    return (reserveB * WAD) / reserveA;
+}
+
+/**
+ * How much worse than the spot price an exact input swap fills, fee included.
+ * @param {bigint} amountIn Amount of the input token
+ * @param {bigint} reserveIn Reserve of the input token
+ * @param {bigint} reserveOut Reserve of the output token
+ * @param {bigint} swapFee Pool fee in basis points
+ * @returns {bigint} Shortfall against `amountIn` at the spot price, 1e18 = 100%
+ */
+function priceImpact(amountIn, reserveIn, reserveOut, swapFee) {
+    const amountOut = getAmountOut(amountIn, reserveIn, reserveOut, swapFee);
+    const spotOut = (amountIn * reserveOut) / reserveIn;
+    if (spotOut === 0n) {
+        return 0n;
+    }
+    return ((spotOut - amountOut) * WAD) / spotOut;
+}
+
+/**
+ * Swap outcome against a pool state.
+ * @param {PoolState} pool
+ * @param {boolean} aForB True to sell token A, false to sell token B
+ * @param {bigint} amountIn
+ * @returns {{amountOut: bigint, reserveA: bigint, reserveB: bigint}} Output and reserves after the swap
+ */
+function swapExactIn(pool, aForB, amountIn) {
+    if (amountIn <= 0n) fail("DEX: insufficient input amount");
+    if (pool.reserveA <= 0n || pool.reserveB <= 0n) fail("DEX: insufficient liquidity");
+    const [reserveIn, reserveOut] = aForB ? [pool.reserveA, pool.reserveB] : [pool.reserveB, pool.reserveA];
+
+    const amountOut = getAmountOut(amountIn, reserveIn, reserveOut, pool.swapFee);
+    if (amountOut <= 0n) fail("DEX: insufficient output amount");
+    if (amountOut >= reserveOut) fail("DEX: insufficient liquidity for swap");
+
+    return aForB
+        ? { amountOut, reserveA: pool.reserveA + amountIn, reserveB: pool.reserveB - amountOut }
+        : { amountOut, reserveA: pool.reserveA - amountOut, reserveB: pool.reserveB + amountIn };
+}
+
+/**
+ * LP tokens the protocol fee would mint at the next liquidity event, mirrors `DEX._mintProtocolFee`.
+ * @param {PoolState} pool
+ * @returns {bigint}
+ */
+function protocolFeeLiquidity(pool) {
+    if (!pool.protocolFeeEnabled || !pool.kLast) {
+        return 0n;
+    }
+
+    const rootK = sqrt(pool.reserveA * pool.reserveB);
+    const rootKLast = sqrt(pool.kLast);
+    if (rootK <= rootKLast) {
+        return 0n;
+    }
+    const share = pool.protocolFeeShare;
+    const numerator = pool.totalSupply * (rootK - rootKLast) * share;
+    const denominator = rootK * (FEE_DENOMINATOR - share) + rootKLast * share;
+    return numerator / denominator;
+}
+
+/**
+ * Outcome of `DEX.addLiquidity`: ratio-matched amounts and LP tokens minted.
+ * @param {PoolState} pool
+ * @param {bigint} amountADesired
+ * @param {bigint} amountBDesired
+ * @param {bigint} [amountAMin=0n]
+ * @param {bigint} [amountBMin=0n]
+ * @returns {{amountA: bigint, amountB: bigint, liquidity: bigint, protocolFee: bigint}}
+ */
+function quoteAddLiquidity(pool, amountADesired, amountBDesired, amountAMin = 0n, amountBMin = 0n) {
+    if (amountADesired <= 0n || amountBDesired <= 0n) fail("DEX: insufficient amounts");
+
+    let amountA = amountADesired;
+    let amountB = amountBDesired;
+    if (pool.reserveA !== 0n || pool.reserveB !== 0n) {
+        const amountBOptimal = (amountADesired * pool.reserveB) / pool.reserveA;
+        if (amountBOptimal <= amountBDesired) {
+            if (amountBOptimal < amountBMin) fail("DEX: insufficient B amount");
+            amountB = amountBOptimal;
+        } else {
+            amountA = (amountBDesired * pool.reserveA) / pool.reserveB;
+            if (amountA < amountAMin) fail("DEX: insufficient A amount");
+        }
+    }
+
+    const protocolFee = protocolFeeLiquidity(pool);
+    const supply = pool.totalSupply + protocolFee;
+    let liquidity;
+    if (supply === 0n) {
+        liquidity = sqrt(amountA * amountB);
+        if (liquidity <= MINIMUM_LIQUIDITY) fail("DEX: insufficient liquidity minted");
+        liquidity -= MINIMUM_LIQUIDITY;
+    } else {
+        const liquidityA = (amountA * supply) / pool.reserveA;
+        const liquidityB = (amountB * supply) / pool.reserveB;
+        liquidity = liquidityA < liquidityB ? liquidityA : liquidityB;
+        if (liquidity <= 0n) fail("DEX: insufficient liquidity minted");
+    }
+
+    return { amountA, amountB, liquidity, protocolFee };
+}
+
+/**
+ * Outcome of `DEX.removeLiquidity`: tokens returned for burning `liquidity` LP tokens.
+ * @param {PoolState} pool
+ * @param {bigint} liquidity
+ * @returns {{amountA: bigint, amountB: bigint, protocolFee: bigint}}
+ */
+function quoteRemoveLiquidity(pool, liquidity) {
+    if (liquidity <= 0n) fail("DEX: insufficient liquidity amount");
+
+    const protocolFee = protocolFeeLiquidity(pool);
+    const supply = pool.totalSupply + protocolFee;
+    if (supply === 0n) fail("DEX: no liquidity");
+
+    const amountA = (liquidity * pool.reserveA) / supply;
+    const amountB = (liquidity * pool.reserveB) / supply;
+    if (amountA <= 0n || amountB <= 0n) fail("DEX: insufficient amounts");
+
+    return { amountA, amountB, protocolFee };
+}
+
+/**
+ * @typedef {object} PoolState
+ * @property {string} [address]
+ * @property {string} tokenA
+ * @property {string} tokenB
+ * @property {bigint} reserveA
+ * @property {bigint} reserveB
+ * @property {bigint} swapFee Basis points
+ * @property {bigint} [totalSupply] LP token supply
+ * @property {bigint} [kLast]
+ * @property {boolean} [protocolFeeEnabled]
+ * @property {bigint} [protocolFeeShare] Basis points
+ */
+
+module.exports = {
+    FEE_DENOMINATOR,
+    MINIMUM_LIQUIDITY,
+    WAD,
+    sqrt,
+    getAmountOut,
+    getAmountIn,
+    getPrice,
+    priceImpact,
+    swapExactIn,
+    protocolFeeLiquidity,
+    quoteAddLiquidity,
+    quoteRemoveLiquidity
+};
@@ -0,0 +1,204 @@
+// Multi-hop quotes and route search over a set of pool states. A route is a token
+// path plus the pool used for each hop, so several pools for the same pair can be
+// weighed against each other.
+
+const { getAmountOut, getAmountIn, WAD } = require("./math");
+
+function sameAddress(a, b) {
+    return a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Reserves of a pool ordered as (input, output) for a trade selling `tokenIn`.
+ * @param {import("./math").PoolState} pool
+ * @param {string} tokenIn
+ * @returns {[bigint, bigint]}
+ */
+function orientReserves(pool, tokenIn) {
+    if (sameAddress(tokenIn, pool.tokenA)) {
+        return [pool.reserveA, pool.reserveB];
+    }
+    if (sameAddress(tokenIn, pool.tokenB)) {
+        return [pool.reserveB, pool.reserveA];
+    }
+    throw new Error("SDK: token not in pool");
+}
+
+/**
+ * Token a pool pays out when selling `tokenIn`.
+ * @param {import("./math").PoolState} pool
+ * @param {string} tokenIn
+ * @returns {string}
+ */
+function otherToken(pool, tokenIn) {
+    orientReserves(pool, tokenIn);
+    return sameAddress(tokenIn, pool.tokenA) ? pool.tokenB : pool.tokenA;
+}
+
+function checkRoute(path, pools) {
+    if (path.length < 2 || pools.length !== path.length - 1) {
+        throw new Error("SDK: invalid path");
+    }
+}
+
+/**
+ * Output of every hop for an exact input amount, mirrors `DEXRouter.getAmountsOut`.
+ * @param {bigint} amountIn Amount of `path[0]` to sell
+ * @param {string[]} path Token addresses to route through
+ * @param {import("./math").PoolState[]} pools Pool used for each hop
+ * @returns {bigint[]} Input amount followed by the output of every hop
+ */
+function getAmountsOut(amountIn, path, pools) {
+    checkRoute(path, pools);
+    const amounts = [amountIn];
+    for (let i = 0; i < pools.length; i++) {
+        const [reserveIn, reserveOut] = orientReserves(pools[i], path[i]);
+        amounts.push(getAmountOut(amounts[i], reserveIn, reserveOut, pools[i].swapFee));
+    }
+    return amounts;
+}
+
+/**
+ * Input needed at every hop for an exact output amount, mirrors `DEXRouter.getAmountsIn`.
+ * @param {bigint} amountOut Amount of the last token in `path` to receive
+ * @param {string[]} path Token addresses to route through
+ * @param {import("./math").PoolState[]} pools Pool used for each hop
+ * @returns {bigint[]} Input amount followed by the output of every hop
+ */
+function getAmountsIn(amountOut, path, pools) {
+    checkRoute(path, pools);
+    const amounts = new Array(path.length);
+    amounts[path.length - 1] = amountOut;
+    for (let i = pools.length; i > 0; i--) {
+        const [reserveIn, reserveOut] = orientReserves(pools[i - 1], path[i - 1]);
+        amounts[i - 1] = getAmountIn(amounts[i], reserveIn, reserveOut, pools[i - 1].swapFee);
+    }
+    return amounts;
+}
+
+/**
+ * Every route from `tokenIn` to `tokenOut` that visits no token twice.
+ * @param {import("./math").PoolState[]} pools Pools to route through
+ * @param {string} tokenIn
+ * @param {string} tokenOut
+ * @param {number} [maxHops=3] Longest route to consider
+ * @returns {{path: string[], pools: import("./math").PoolState[]}[]}
+ */
+function findRoutes(pools, tokenIn, tokenOut, maxHops = 3) {
+    const routes = [];
+    const path = [tokenIn];
+    const hops = [];
+
+    function visit(token) {
+        for (const pool of pools) {
+            if (!sameAddress(token, pool.tokenA) && !sameAddress(token, pool.tokenB)) {
+                continue;
+            }
+            const next = otherToken(pool, token);
+            if (path.some((visited) => sameAddress(visited, next))) {
+                continue;
+            }
+
+            path.push(next);
+            hops.push(pool);
+            if (sameAddress(next, tokenOut)) {
+                routes.push({ path: [...path], pools: [...hops] });
+            } else if (hops.length < maxHops) {
+                visit(next);
+            }
+            path.pop();
+            hops.pop();
+        }
+    }
+
+    if (!sameAddress(tokenIn, tokenOut)) {
+        visit(tokenIn);
+    }
+    return routes;
+}
+
+/**
+ * Route that pays the most for an exact input amount.
+ * Routes whose quote would revert, e.g. for lack of liquidity, are skipped
+ * @param {import("./math").PoolState[]} pools Pools to route through
+ * @param {string} tokenIn
+ * @param {string} tokenOut
+ * @param {bigint} amountIn
+ * @param {number} [maxHops=3] Longest route to consider
+ * @returns {{path: string[], pools: import("./math").PoolState[], amounts: bigint[], amountOut: bigint} | null}
+ *          Best route, or null when no route can fill the trade
+ */
+function findBestRoute(pools, tokenIn, tokenOut, amountIn, maxHops = 3) {
+    let best = null;
+    for (const route of findRoutes(pools, tokenIn, tokenOut, maxHops)) {
+        let amounts;
+        try {
+            amounts = getAmountsOut(amountIn, route.path, route.pools);
+        } catch {
+            continue;
+        }
+        const amountOut = amounts[amounts.length - 1];
+        if (amountOut > 0n && (best === null || amountOut > best.amountOut)) {
+            best = { ...route, amounts, amountOut };
+        }
+    }
+    return best;
+}
+
+/**
+ * Route that costs the least for an exact output amount.
+ * Routes whose quote would revert, e.g. for lack of liquidity, are skipped
+ * @param {import("./math").PoolState[]} pools Pools to route through
+ * @param {string} tokenIn
+ * @param {string} tokenOut
+ * @param {bigint} amountOut
+ * @param {number} [maxHops=3] Longest route to consider
+ * @returns {{path: string[], pools: import("./math").PoolState[], amounts: bigint[], amountIn: bigint} | null}
+ *          Best route, or null when no route can fill the trade
+ */
+function findBestRouteExactOut(pools, tokenIn, tokenOut, amountOut, maxHops = 3) {
+    let best = null;
+    for (const route of findRoutes(pools, tokenIn, tokenOut, maxHops)) {
+        let amounts;
+        try {
+            amounts = getAmountsIn(amountOut, route.path, route.pools);
+        } catch {
+            continue;
+        }
+        if (best === null || amounts[0] < best.amountIn) {
+            best = { ...route, amounts, amountIn: amounts[0] };
+        }
+    }
+    return best;
+}
+
+/**
+ * Price impact of a quoted route against the product of the hops' spot prices.
+ * @param {string[]} path Token addresses of the route
+ * @param {import("./math").PoolState[]} pools Pool used for each hop
+ * @param {bigint[]} amounts Quoted amounts from `getAmountsOut` or `getAmountsIn`
+ * @returns {bigint} Shortfall against the spot output, 1e18 = 100%
+ */
+function routePriceImpact(path, pools, amounts) {
+    checkRoute(path, pools);
+    let spotOut = amounts[0];
+    for (let i = 0; i < pools.length; i++) {
+        const [reserveIn, reserveOut] = orientReserves(pools[i], path[i]);
+        spotOut = (spotOut * reserveOut) / reserveIn;
+    }
+    const amountOut = amounts[amounts.length - 1];
+    if (spotOut <= amountOut) {
+        return 0n;
+    }
+    return ((spotOut - amountOut) * WAD) / spotOut;
+}
+
+module.exports = {
+    orientReserves,
+    getAmountsOut,
+    getAmountsIn,
+    findRoutes,
+    findBestRoute,
+    findBestRouteExactOut,
+    routePriceImpact
+};
@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("DEX", function() {
     let dex, tokenA, tokenB;
@@ -14,19 +15,51 @@ describe("DEX", function() {
         tokenB = await MockERC20.deploy("Token B", "TKB");
         
         const DEX = await ethers.getContractFactory("DEX");
-        dex = await DEX.deploy(tokenA.address, tokenB.address);
+        dex = await DEX.deploy(tokenA.target, tokenB.target, 30);
         
         // Approve DEX to spend tokens
-        await tokenA.approve(dex.address, ethers.utils.parseEther("1000000"));
-        await tokenB.approve(dex.address, ethers.utils.parseEther("1000000"));
+        await tokenA.approve(dex.target, ethers.parseEther("1000000"));
+        await tokenB.approve(dex.target, ethers.parseEther("1000000"));
     });
     
+    // Revert reason of AccessControl for an account without `role`
+    const missingRole = (account, role) =>
+        `AccessControl: account ${account.address.toLowerCase()} is missing role ${role}`;
+    
+    // Signs an EIP-2612 permit for the pool's LP token
+    async function signPermit(signer, spender, value, deadline) {
+        const domain = {
+            name: await dex.name(),
+            version: "1",
+            chainId: (await ethers.provider.getNetwork()).chainId,
+            verifyingContract: dex.target
+        };
+        const types = {
+            Permit: [
+                { name: "owner", type: "address" },
+                { name: "spender", type: "address" },
+                { name: "value", type: "uint256" },
+                { name: "nonce", type: "uint256" },
+                { name: "deadline", type: "uint256" }
+            ]
+        };
+        const message = {
+            owner: signer.address,
+            spender,
+            value,
+            nonce: await dex.nonces(signer.address),
+            deadline
+        };
+        
+        return ethers.Signature.from(await signer.signTypedData(domain, types, message));
+    }
+    
     describe("Liquidity Management", function() {
         it("should allow initial liquidity provision", async function() {
-            const amountA = ethers.utils.parseEther("100");
-            const amountB = ethers.utils.parseEther("200");
+            const amountA = ethers.parseEther("100");
+            const amountB = ethers.parseEther("200");
             
-            await expect(dex.addLiquidity(amountA, amountB))
+            await expect(dex.addLiquidity(amountA, amountB, 0, 0))
                 .to.not.be.reverted;
             
             const [reserveA, reserveB] = await dex.getReserves();
@@ -35,34 +68,36 @@ describe("DEX", function() {
         });
         
         it("should mint correct LP tokens for first provider", async function() {
-            const amountA = ethers.utils.parseEther("100");
-            const amountB = ethers.utils.parseEther("200");
+            const amountA = ethers.parseEther("100");
+            const amountB = ethers.parseEther("200");
             
-            await dex.addLiquidity(amountA, amountB);
+            await dex.addLiquidity(amountA, amountB, 0, 0);
             
             const liquidity = await dex.liquidity(owner.address);
-            const expectedLiquidity = ethers.utils.parseEther("141.421356237309504880"); // sqrt(100 * 200)
+            const expectedLiquidity = ethers.parseEther("141.421356237309504880"); // sqrt(100 * 200)
             
             // Allow for small rounding differences
-            expect(liquidity).to.be.closeTo(expectedLiquidity, ethers.utils.parseEther("0.1"));
+            expect(liquidity).to.be.closeTo(expectedLiquidity, ethers.parseEther("0.1"));
         });
         
         it("should allow subsequent liquidity additions", async function() {
             // Initial liquidity
-            await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"));
+            await dex.addLiquidity(ethers.parseEther("100"), ethers.parseEther("200"), 0, 0);
             
             // Mint tokens to addr1
-            await tokenA.mint(addr1.address, ethers.utils.parseEther("1000000"));
-            await tokenB.mint(addr1.address, ethers.utils.parseEther("1000000"));
+            await tokenA.mint(addr1.address, ethers.parseEther("1000000"));
+            await tokenB.mint(addr1.address, ethers.parseEther("1000000"));
             
             // Approve from addr1
-            await tokenA.connect(addr1).approve(dex.address, ethers.utils.parseEther("1000000"));
-            await tokenB.connect(addr1).approve(dex.address, ethers.utils.parseEther("1000000"));
+            await tokenA.connect(addr1).approve(dex.target, ethers.parseEther("1000000"));
+            await tokenB.connect(addr1).approve(dex.target, ethers.parseEther("1000000"));
             
             // Subsequent liquidity from addr1
             await expect(dex.connect(addr1).addLiquidity(
-                ethers.utils.parseEther("50"),
-                ethers.utils.parseEther("100")
+                ethers.parseEther("50"),
+                ethers.parseEther("100"),
+                0,
+                0
             )).to.not.be.reverted;
             
             const liquidity = await dex.liquidity(addr1.address);
@@ -70,42 +105,43 @@ describe("DEX", function() {
         });
         
         it("should maintain price ratio on liquidity addition", async function() {
-            await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"));
+            await dex.addLiquidity(ethers.parseEther("100"), ethers.parseEther("200"), 0, 0);
             
             const priceBefore = await dex.getPrice();
             
             // Mint and approve for addr1
-            await tokenA.mint(addr1.address, ethers.utils.parseEther("1000000"));
-            await tokenB.mint(addr1.address, ethers.utils.parseEther("1000000"));
-            await tokenA.connect(addr1).approve(dex.address, ethers.utils.parseEther("1000000"));
-            await tokenB.connect(addr1).approve(dex.address, ethers.utils.parseEther("1000000"));
+            await tokenA.mint(addr1.address, ethers.parseEther("1000000"));
+            await tokenB.mint(addr1.address, ethers.parseEther("1000000"));
+            await tokenA.connect(addr1).approve(dex.target, ethers.parseEther("1000000"));
+            await tokenB.connect(addr1).approve(dex.target, ethers.parseEther("1000000"));
             
-            await dex.connect(addr1).addLiquidity(ethers.utils.parseEther("50"), ethers.utils.parseEther("100"));
+            await dex.connect(addr1).addLiquidity(ethers.parseEther("50"), ethers.parseEther("100"), 0, 0);
             
             const priceAfter = await dex.getPrice();
             expect(priceAfter).to.equal(priceBefore);
         });
         
         it("should allow partial liquidity removal", async function() {
-            await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"));
+            await dex.addLiquidity(ethers.parseEther("100"), ethers.parseEther("200"), 0, 0);
             
             const totalLiquidity = await dex.liquidity(owner.address);
-            const removeAmount = totalLiquidity.div(2);
+            const removeAmount = totalLiquidity / 2n;
             
             await expect(dex.removeLiquidity(removeAmount))
                 .to.not.be.reverted;
             
             const remainingLiquidity = await dex.liquidity(owner.address);
-            expect(remainingLiquidity).to.equal(totalLiquidity.sub(removeAmount));
+            expect(remainingLiquidity).to.equal(totalLiquidity - removeAmount);
         });
         
         it("should return correct token amounts on liquidity removal", async function() {
-            const amountA = ethers.utils.parseEther("100");
-            const amountB = ethers.utils.parseEther("200");
+            const amountA = ethers.parseEther("100");
+            const amountB = ethers.parseEther("200");
             
-            await dex.addLiquidity(amountA, amountB);
+            await dex.addLiquidity(amountA, amountB, 0, 0);
             
             const liquidityAmount = await dex.liquidity(owner.address);
+            const lpSupply = await dex.totalSupply();
             const balanceABefore = await tokenA.balanceOf(owner.address);
             const balanceBBefore = await tokenB.balanceOf(owner.address);
             
@@ -114,20 +150,104 @@ describe("DEX", function() {
             const balanceAAfter = await tokenA.balanceOf(owner.address);
             const balanceBAfter = await tokenB.balanceOf(owner.address);
             
-            expect(balanceAAfter.sub(balanceABefore)).to.equal(amountA);
-            expect(balanceBAfter.sub(balanceBBefore)).to.equal(amountB);
+            // The share of the locked minimum liquidity stays in the pool
+            expect(balanceAAfter - balanceABefore).to.equal((amountA * liquidityAmount) / lpSupply);
+            expect(balanceBAfter - balanceBBefore).to.equal((amountB * liquidityAmount) / lpSupply);
+        });
+        
+        it("should lock MINIMUM_LIQUIDITY on the first deposit", async function() {
+            const minimumLiquidity = await dex.MINIMUM_LIQUIDITY();
+            const lock = "0x000000000000000000000000000000000000dEaD";
+            
+            await expect(dex.addLiquidity(ethers.parseEther("100"), ethers.parseEther("100"), 0, 0))
+                .to.emit(dex, "Transfer")
+                .withArgs(ethers.ZeroAddress, lock, minimumLiquidity);
+            
+            expect(await dex.balanceOf(owner.address)).to.equal(ethers.parseEther("100") - minimumLiquidity);
+            expect(await dex.totalSupply()).to.equal(ethers.parseEther("100"));
+            
+            // Only the first deposit pays for the lock
+            await dex.addLiquidity(ethers.parseEther("100"), ethers.parseEther("100"), 0, 0);
+            expect(await dex.balanceOf(lock)).to.equal(minimumLiquidity);
+        });
+        
+        it("should revert a first deposit that does not cover the locked minimum", async function() {
+            await expect(dex.addLiquidity(1000, 1000, 0, 0))
+                .to.be.revertedWith("DEX: insufficient liquidity minted");
+            
+            await expect(dex.addLiquidity(1001, 1001, 0, 0))
+                .to.emit(dex, "LiquidityAdded")
+                .withArgs(owner.address, 1001, 1001, 1);
+        });
+        
+        it("should make the first depositor inflation attack unprofitable", async function() {
+            // The attacker seeds the pool with dust and inflates the share price with a donation
+            await dex.addLiquidity(1001, 1001, 0, 0);
+            await tokenA.transfer(dex.target, ethers.parseEther("10"));
+            await tokenB.transfer(dex.target, ethers.parseEther("10"));
+            await dex.sync();
+            
+            await tokenA.mint(addr1.address, ethers.parseEther("1"));
+            await tokenB.mint(addr1.address, ethers.parseEther("1"));
+            await tokenA.connect(addr1).approve(dex.target, ethers.MaxUint256);
+            await tokenB.connect(addr1).approve(dex.target, ethers.MaxUint256);
+            await dex.connect(addr1).addLiquidity(ethers.parseEther("1"), ethers.parseEther("1"), 0, 0);
+            
+            // The victim still gets shares and loses at most a rounding share of their deposit
+            await dex.connect(addr1).removeLiquidity(await dex.balanceOf(addr1.address));
+            expect(await tokenA.balanceOf(addr1.address)).to.be.gt(ethers.parseEther("0.99"));
+            
+            // Most of the donation went to the locked shares, not back to the attacker
+            const [attackerA] = await dex.removeLiquidity.staticCall(await dex.balanceOf(owner.address));
+            expect(attackerA).to.be.lt(ethers.parseEther("0.01"));
+        });
+        
+        it("should only pull the amounts that match the pool ratio", async function() {
+            await dex.addLiquidity(ethers.parseEther("100"), ethers.parseEther("200"), 0, 0);
+            
+            await tokenA.mint(addr1.address, ethers.parseEther("1000"));
+            await tokenB.mint(addr1.address, ethers.parseEther("1000"));
+            await tokenA.connect(addr1).approve(dex.target, ethers.MaxUint256);
+            await tokenB.connect(addr1).approve(dex.target, ethers.MaxUint256);
+            
+            // Too much B: all of A and the matching B are used
+            const [amountA, amountB] = await dex.connect(addr1).addLiquidity.staticCall(
+                ethers.parseEther("50"), ethers.parseEther("300"), 0, 0
+            );
+            expect(amountA).to.equal(ethers.parseEther("50"));
+            expect(amountB).to.equal(ethers.parseEther("100"));
+            
+            await dex.connect(addr1).addLiquidity(ethers.parseEther("50"), ethers.parseEther("300"), 0, 0);
+            expect(await tokenA.balanceOf(addr1.address)).to.equal(ethers.parseEther("950"));
+            expect(await tokenB.balanceOf(addr1.address)).to.equal(ethers.parseEther("900"));
+            
+            // Too much A: the matching A and all of B are used
+            await expect(dex.connect(addr1).addLiquidity(ethers.parseEther("300"), ethers.parseEther("100"), 0, 0))
+                .to.emit(dex, "LiquidityAdded");
+            expect(await tokenA.balanceOf(addr1.address)).to.equal(ethers.parseEther("900"));
+            expect(await tokenB.balanceOf(addr1.address)).to.equal(ethers.parseEther("800"));
+        });
+        
+        it("should revert when the ratio-matched amount is below the minimum", async function() {
+            await dex.addLiquidity(ethers.parseEther("100"), ethers.parseEther("200"), 0, 0);
+            
+            await expect(dex.addLiquidity(ethers.parseEther("50"), ethers.parseEther("300"), 0, ethers.parseEther("150")))
+                .to.be.revertedWith("DEX: insufficient B amount");
+            await expect(dex.addLiquidity(ethers.parseEther("300"), ethers.parseEther("100"), ethers.parseEther("60"), 0))
+                .to.be.revertedWith("DEX: insufficient A amount");
         });
+
         
         it("should revert on zero liquidity addition", async function() {
-            await expect(dex.addLiquidity(0, ethers.utils.parseEther("100")))
+            await expect(dex.addLiquidity(0, ethers.parseEther("100"), 0, 0))
                 .to.be.revertedWith("DEX: insufficient amounts");
             
-            await expect(dex.addLiquidity(ethers.utils.parseEther("100"), 0))
+            await expect(dex.addLiquidity(ethers.parseEther("100"), 0, 0, 0))
                 .to.be.revertedWith("DEX: insufficient amounts");
         });
         
         it("should revert when removing more liquidity than owned", async function() {
-            await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"));
+            await dex.addLiquidity(ethers.parseEther("100"), ethers.parseEther("200"), 0, 0);
             
             const liquidity = await dex.liquidity(owner.address);
             
@@ -140,17 +260,19 @@ describe("DEX", function() {
         beforeEach(async function() {
             // Add initial liquidity before swap tests
             await dex.addLiquidity(
-                ethers.utils.parseEther("100"),
-                ethers.utils.parseEther("200")
+                ethers.parseEther("100"),
+                ethers.parseEther("200"),
+                0,
+                0
             );
         });
         
         it("should swap token A for token B", async function() {
-            const swapAmount = ethers.utils.parseEther("10");
+            const swapAmount = ethers.parseEther("10");
             
             // Mint tokens to addr1
-            await tokenA.mint(addr1.address, ethers.utils.parseEther("1000"));
-            await tokenA.connect(addr1).approve(dex.address, swapAmount);
+            await tokenA.mint(addr1.address, ethers.parseEther("1000"));
+            await tokenA.connect(addr1).approve(dex.target, swapAmount);
             
             const balanceBBefore = await tokenB.balanceOf(addr1.address);
             
@@ -161,11 +283,11 @@ describe("DEX", function() {
         });
         
         it("should swap token B for token A", async function() {
-            const swapAmount = ethers.utils.parseEther("20");
+            const swapAmount = ethers.parseEther("20");
             
             // Mint tokens to addr1
-            await tokenB.mint(addr1.address, ethers.utils.parseEther("1000"));
-            await tokenB.connect(addr1).approve(dex.address, swapAmount);
+            await tokenB.mint(addr1.address, ethers.parseEther("1000"));
+            await tokenB.connect(addr1).approve(dex.target, swapAmount);
             
             const balanceABefore = await tokenA.balanceOf(addr1.address);
             
@@ -176,26 +298,26 @@ describe("DEX", function() {
         });
         
         it("should calculate correct output amount with fee", async function() {
-            const amountIn = ethers.utils.parseEther("10");
-            const reserveA = ethers.utils.parseEther("100");
-            const reserveB = ethers.utils.parseEther("200");
+            const amountIn = ethers.parseEther("10");
+            const reserveA = ethers.parseEther("100");
+            const reserveB = ethers.parseEther("200");
             
             const expectedOut = await dex.getAmountOut(amountIn, reserveA, reserveB);
             
             // Manual calculation: (10 * 997 * 200) / (100 * 1000 + 10 * 997)
-            const amountInWithFee = amountIn.mul(997);
-            const numerator = amountInWithFee.mul(reserveB);
-            const denominator = reserveA.mul(1000).add(amountInWithFee);
-            const manualCalc = numerator.div(denominator);
+            const amountInWithFee = amountIn * 997n;
+            const numerator = amountInWithFee * reserveB;
+            const denominator = reserveA * 1000n + amountInWithFee;
+            const manualCalc = numerator / denominator;
             
             expect(expectedOut).to.equal(manualCalc);
         });
         
         it("should update reserves after swap", async function() {
-            const swapAmount = ethers.utils.parseEther("10");
+            const swapAmount = ethers.parseEther("10");
             
-            await tokenA.mint(addr1.address, ethers.utils.parseEther("1000"));
-            await tokenA.connect(addr1).approve(dex.address, swapAmount);
+            await tokenA.mint(addr1.address, ethers.parseEther("1000"));
+            await tokenA.connect(addr1).approve(dex.target, swapAmount);
             
             const [reserveABefore, reserveBBefore] = await dex.getReserves();
             
@@ -211,9 +333,9 @@ describe("DEX", function() {
             const [reserveABefore, reserveBBefore] = await dex.getReserves();
             const kBefore = reserveABefore * reserveBBefore;
             
-            const swapAmount = ethers.utils.parseEther("10");
-            await tokenA.mint(addr1.address, ethers.utils.parseEther("1000"));
-            await tokenA.connect(addr1).approve(dex.address, swapAmount);
+            const swapAmount = ethers.parseEther("10");
+            await tokenA.mint(addr1.address, ethers.parseEther("1000"));
+            await tokenA.connect(addr1).approve(dex.target, swapAmount);
             
             await dex.connect(addr1).swapAForB(swapAmount);
             
@@ -233,53 +355,572 @@ describe("DEX", function() {
         });
         
         it("should handle large swaps with high price impact", async function() {
-            const largeSwap = ethers.utils.parseEther("50"); // 50% of pool
+            const largeSwap = ethers.parseEther("50"); // 50% of pool
             
-            await tokenA.mint(addr1.address, ethers.utils.parseEther("1000"));
-            await tokenA.connect(addr1).approve(dex.address, largeSwap);
+            await tokenA.mint(addr1.address, ethers.parseEther("1000"));
+            await tokenA.connect(addr1).approve(dex.target, largeSwap);
             
             const balanceBBefore = await tokenB.balanceOf(addr1.address);
             await dex.connect(addr1).swapAForB(largeSwap);
             const balanceBAfter = await tokenB.balanceOf(addr1.address);
             
-            const received = balanceBAfter.sub(balanceBBefore);
+            const received = balanceBAfter - balanceBBefore;
             expect(received).to.be.gt(0);
-            expect(received).to.be.lt(ethers.utils.parseEther("100")); // Less than 50% of pool due to slippage
+            expect(received).to.be.lt(ethers.parseEther("100")); // Less than 50% of pool due to slippage
         });
         
         it("should handle multiple consecutive swaps", async function() {
-            await tokenA.mint(addr1.address, ethers.utils.parseEther("1000"));
-            await tokenA.connect(addr1).approve(dex.address, ethers.utils.parseEther("1000"));
+            await tokenA.mint(addr1.address, ethers.parseEther("1000"));
+            await tokenA.connect(addr1).approve(dex.target, ethers.parseEther("1000"));
             
             for (let i = 0; i < 3; i++) {
-                await dex.connect(addr1).swapAForB(ethers.utils.parseEther("5"));
+                await dex.connect(addr1).swapAForB(ethers.parseEther("5"));
             }
             
             const [reserveA, reserveB] = await dex.getReserves();
-            expect(reserveA).to.be.gt(ethers.utils.parseEther("100"));
-            expect(reserveB).to.be.lt(ethers.utils.parseEther("200"));
+            expect(reserveA).to.be.gt(ethers.parseEther("100"));
+            expect(reserveB).to.be.lt(ethers.parseEther("200"));
+        });
+    });
+    
+    describe("Slippage Protection and Deadlines", function() {
+        let deadline;
+        
+        beforeEach(async function() {
+            await dex.addLiquidity(
+                ethers.parseEther("100"),
+                ethers.parseEther("200"),
+                0,
+                0
+            );
+            
+            // Victim (addr1) and front-runner (addr2) both hold tokens
+            for (const signer of [addr1, addr2]) {
+                await tokenA.mint(signer.address, ethers.parseEther("1000"));
+                await tokenB.mint(signer.address, ethers.parseEther("1000"));
+                await tokenA.connect(signer).approve(dex.target, ethers.parseEther("1000"));
+                await tokenB.connect(signer).approve(dex.target, ethers.parseEther("1000"));
+            }
+            
+            deadline = (await time.latest()) + 3600;
+        });
+        
+        it("should swap when output meets the minimum", async function() {
+            const swapAmount = ethers.parseEther("10");
+            const [reserveA, reserveB] = await dex.getReserves();
+            const quote = await dex.getAmountOut(swapAmount, reserveA, reserveB);
+            
+            await expect(dex.connect(addr1).swapExactAForB(swapAmount, quote, deadline))
+                .to.emit(dex, "Swap")
+                .withArgs(addr1.address, tokenA.target, tokenB.target, swapAmount, quote);
+        });
+        
+        it("should revert a swap front-run by a larger trade in the same direction", async function() {
+            const swapAmount = ethers.parseEther("10");
+            const [reserveA, reserveB] = await dex.getReserves();
+            const quote = await dex.getAmountOut(swapAmount, reserveA, reserveB);
+            const amountBOutMin = (quote * 995n) / 1000n; // 0.5% tolerance
+            
+            // Attacker buys B first and moves the price against the victim
+            await dex.connect(addr2).swapAForB(ethers.parseEther("20"));
+            
+            await expect(dex.connect(addr1).swapExactAForB(swapAmount, amountBOutMin, deadline))
+                .to.be.revertedWith("DEX: output below minimum");
+        });
+        
+        it("should tolerate a small front-run within the slippage bound", async function() {
+            const swapAmount = ethers.parseEther("10");
+            const [reserveA, reserveB] = await dex.getReserves();
+            const quote = await dex.getAmountOut(swapAmount, reserveA, reserveB);
+            const amountBOutMin = (quote * 95n) / 100n; // 5% tolerance
+            
+            await dex.connect(addr2).swapAForB(ethers.parseEther("1"));
+            
+            await expect(dex.connect(addr1).swapExactAForB(swapAmount, amountBOutMin, deadline))
+                .to.not.be.reverted;
+        });
+        
+        it("should revert a B for A swap front-run in the same direction", async function() {
+            const swapAmount = ethers.parseEther("20");
+            const [reserveA, reserveB] = await dex.getReserves();
+            const quote = await dex.getAmountOut(swapAmount, reserveB, reserveA);
+            
+            await dex.connect(addr2).swapBForA(ethers.parseEther("40"));
+            
+            await expect(dex.connect(addr1).swapExactBForA(swapAmount, quote, deadline))
+                .to.be.revertedWith("DEX: output below minimum");
+        });
+        
+        it("should leave no profit for a sandwich when the victim sets a tight minimum", async function() {
+            const swapAmount = ethers.parseEther("10");
+            const [reserveA, reserveB] = await dex.getReserves();
+            const quote = await dex.getAmountOut(swapAmount, reserveA, reserveB);
+            
+            const attackerBBefore = await tokenB.balanceOf(addr2.address);
+            await dex.connect(addr2).swapAForB(ethers.parseEther("20"));
+            
+            await expect(dex.connect(addr1).swapExactAForB(swapAmount, quote, deadline))
+                .to.be.revertedWith("DEX: output below minimum");
+            
+            // Attacker unwinds the front-run leg and pays fees on both sides
+            const attackerB = (await tokenB.balanceOf(addr2.address)) - attackerBBefore;
+            const attackerABefore = await tokenA.balanceOf(addr2.address);
+            await dex.connect(addr2).swapBForA(attackerB);
+            const attackerARecovered = (await tokenA.balanceOf(addr2.address)) - attackerABefore;
+            
+            expect(attackerARecovered).to.be.lt(ethers.parseEther("20"));
+        });
+        
+        it("should revert swaps after the deadline", async function() {
+            const expired = (await time.latest()) - 1;
+            
+            await expect(dex.connect(addr1).swapExactAForB(ethers.parseEther("10"), 0, expired))
+                .to.be.revertedWith("DEX: expired");
+            await expect(dex.connect(addr1).swapExactBForA(ethers.parseEther("10"), 0, expired))
+                .to.be.revertedWith("DEX: expired");
+        });
+        
+        it("should reject a stale transaction that lands after its deadline", async function() {
+            const shortDeadline = (await time.latest()) + 60;
+            await time.increase(3600);
+            
+            await expect(dex.connect(addr1).swapExactAForB(ethers.parseEther("10"), 0, shortDeadline))
+                .to.be.revertedWith("DEX: expired");
+        });
+        
+        it("should enforce minimums when adding liquidity", async function() {
+            const amountA = ethers.parseEther("10");
+            const amountB = ethers.parseEther("20");
+            
+            await expect(dex.connect(addr1).addLiquidityWithLimits(amountA, amountB, amountA, amountB, deadline))
+                .to.emit(dex, "LiquidityAdded");
+            
+            // A front-run swap shifts the ratio so part of the deposit is donated to existing LPs
+            await dex.connect(addr2).swapAForB(ethers.parseEther("20"));
+            
+            await expect(dex.connect(addr1).addLiquidityWithLimits(
+                amountA,
+                amountB,
+                (amountA * 99n) / 100n,
+                (amountB * 99n) / 100n,
+                deadline
+            )).to.be.revertedWith("DEX: insufficient B amount");
+        });
+        
+        it("should enforce minimums when removing liquidity", async function() {
+            await dex.connect(addr1).addLiquidity(ethers.parseEther("10"), ethers.parseEther("20"), 0, 0);
+            const liquidityAmount = await dex.liquidity(addr1.address);
+            
+            // Price moves after the LP signed for their expected amounts
+            await dex.connect(addr2).swapBForA(ethers.parseEther("40"));
+            
+            await expect(dex.connect(addr1).removeLiquidityWithLimits(
+                liquidityAmount,
+                ethers.parseEther("10"),
+                0,
+                deadline
+            )).to.be.revertedWith("DEX: insufficient A amount");
+            
+            await expect(dex.connect(addr1).removeLiquidityWithLimits(
+                liquidityAmount,
+                0,
+                ethers.parseEther("30"),
+                deadline
+            )).to.be.revertedWith("DEX: insufficient B amount");
+            
+            await expect(dex.connect(addr1).removeLiquidityWithLimits(liquidityAmount, 0, 0, deadline))
+                .to.emit(dex, "LiquidityRemoved");
+        });
+        
+        it("should revert liquidity changes after the deadline", async function() {
+            const expired = (await time.latest()) - 1;
+            
+            await expect(dex.addLiquidityWithLimits(1000, 2000, 0, 0, expired))
+                .to.be.revertedWith("DEX: expired");
+            await expect(dex.removeLiquidityWithLimits(1000, 0, 0, expired))
+                .to.be.revertedWith("DEX: expired");
+        });
+    });
+    
+    describe("Exact Output Swaps", function() {
+        let deadline;
+        
+        beforeEach(async function() {
+            await dex.addLiquidity(ethers.parseEther("100"), ethers.parseEther("200"), 0, 0);
+            
+            await tokenA.mint(addr1.address, ethers.parseEther("1000"));
+            await tokenB.mint(addr1.address, ethers.parseEther("1000"));
+            await tokenA.connect(addr1).approve(dex.target, ethers.parseEther("1000"));
+            await tokenB.connect(addr1).approve(dex.target, ethers.parseEther("1000"));
+            
+            deadline = (await time.latest()) + 3600;
+        });
+        
+        it("should calculate input amount as the inverse of the fee formula", async function() {
+            const amountOut = ethers.parseEther("10");
+            const reserveIn = ethers.parseEther("100");
+            const reserveOut = ethers.parseEther("200");
+            
+            // Manual calculation: (100 * 10 * 1000) / ((200 - 10) * 997) + 1
+            const manualCalc = (reserveIn * amountOut * 1000n) / ((reserveOut - amountOut) * 997n) + 1n;
+            
+            expect(await dex.getAmountIn(amountOut, reserveIn, reserveOut)).to.equal(manualCalc);
+        });
+        
+        it("should never round-trip to less than the requested amount", async function() {
+            // Deterministic pseudo-random inputs across several orders of magnitude
+            let seed = 12345n;
+            const next = (max) => {
+                seed = (seed * 6364136223846793005n + 1442695040888963407n) % (2n ** 64n);
+                return (seed % max) + 1n;
+            };
+            
+            for (let i = 0; i < 40; i++) {
+                const reserveIn = next(10n ** 24n);
+                const reserveOut = next(10n ** 24n) + 1n;
+                const amountOut = next(reserveOut - 1n);
+                
+                const amountIn = await dex.getAmountIn(amountOut, reserveIn, reserveOut);
+                const roundTrip = await dex.getAmountOut(amountIn, reserveIn, reserveOut);
+                
+                expect(roundTrip).to.be.gte(amountOut);
+            }
+        });
+        
+        it("should revert input quotes for zero or excessive output", async function() {
+            await expect(dex.getAmountIn(0, 100, 200))
+                .to.be.revertedWith("DEX: insufficient output amount");
+            await expect(dex.getAmountIn(200, 100, 200))
+                .to.be.revertedWith("DEX: insufficient liquidity");
+        });
+        
+        it("should swap A for an exact amount of B", async function() {
+            const amountBOut = ethers.parseEther("100");
+            const [reserveA, reserveB] = await dex.getReserves();
+            const amountAIn = await dex.getAmountIn(amountBOut, reserveA, reserveB);
+            
+            await expect(dex.connect(addr1).swapAForExactB(amountBOut, amountAIn, deadline))
+                .to.emit(dex, "Swap")
+                .withArgs(addr1.address, tokenA.target, tokenB.target, amountAIn, amountBOut);
+            
+            expect(await tokenB.balanceOf(addr1.address)).to.equal(ethers.parseEther("1100"));
+            expect(await tokenA.balanceOf(addr1.address)).to.equal(ethers.parseEther("1000") - amountAIn);
+            
+            const [reserveAAfter, reserveBAfter] = await dex.getReserves();
+            expect(reserveAAfter).to.equal(reserveA + amountAIn);
+            expect(reserveBAfter).to.equal(reserveB - amountBOut);
+        });
+        
+        it("should swap B for an exact amount of A", async function() {
+            const amountAOut = ethers.parseEther("10");
+            const [reserveA, reserveB] = await dex.getReserves();
+            const amountBIn = await dex.getAmountIn(amountAOut, reserveB, reserveA);
+            
+            await expect(dex.connect(addr1).swapBForExactA(amountAOut, amountBIn, deadline))
+                .to.emit(dex, "Swap")
+                .withArgs(addr1.address, tokenB.target, tokenA.target, amountBIn, amountAOut);
+            
+            expect(await tokenA.balanceOf(addr1.address)).to.equal(ethers.parseEther("1010"));
+        });
+        
+        it("should not decrease k on exact output swaps", async function() {
+            const [reserveABefore, reserveBBefore] = await dex.getReserves();
+            
+            await dex.connect(addr1).swapAForExactB(ethers.parseEther("37"), ethers.MaxUint256, deadline);
+            await dex.connect(addr1).swapBForExactA(ethers.parseEther("13"), ethers.MaxUint256, deadline);
+            
+            const [reserveAAfter, reserveBAfter] = await dex.getReserves();
+            expect(reserveAAfter * reserveBAfter).to.be.gt(reserveABefore * reserveBBefore);
+        });
+        
+        it("should revert when the required input exceeds the maximum", async function() {
+            const amountBOut = ethers.parseEther("10");
+            const [reserveA, reserveB] = await dex.getReserves();
+            const amountAIn = await dex.getAmountIn(amountBOut, reserveA, reserveB);
+            
+            await expect(dex.connect(addr1).swapAForExactB(amountBOut, amountAIn - 1n, deadline))
+                .to.be.revertedWith("DEX: input above maximum");
+            await expect(dex.connect(addr1).swapBForExactA(amountBOut, 0, deadline))
+                .to.be.revertedWith("DEX: input above maximum");
+        });
+        
+        it("should revert when the output would drain the pool", async function() {
+            await expect(dex.connect(addr1).swapAForExactB(ethers.parseEther("200"), ethers.MaxUint256, deadline))
+                .to.be.revertedWith("DEX: insufficient liquidity");
+        });
+        
+        it("should revert after the deadline", async function() {
+            const expired = (await time.latest()) - 1;
+            
+            await expect(dex.connect(addr1).swapAForExactB(1000, ethers.MaxUint256, expired))
+                .to.be.revertedWith("DEX: expired");
+            await expect(dex.connect(addr1).swapBForExactA(1000, ethers.MaxUint256, expired))
+                .to.be.revertedWith("DEX: expired");
+        });
+    });
+    
+    describe("Flash Swaps", function() {
+        let borrower;
+        
+        // Smallest repayment in the borrowed token that covers the 0.3% fee
+        const flashFee = (amount) => (amount * 1000n + 996n) / 997n - amount;
+        
+        beforeEach(async function() {
+            await dex.addLiquidity(ethers.parseEther("100"), ethers.parseEther("200"), 0, 0);
+            
+            const MockFlashBorrower = await ethers.getContractFactory("MockFlashBorrower");
+            borrower = await MockFlashBorrower.deploy(dex.target);
+            
+            // The borrower needs its own funds to pay the fee
+            await tokenA.mint(borrower.target, ethers.parseEther("10"));
+            await tokenB.mint(borrower.target, ethers.parseEther("10"));
+        });
+        
+        it("should lend tokens to a borrower that repays with the fee", async function() {
+            const amountA = ethers.parseEther("50");
+            const repayA = amountA + flashFee(amountA);
+            
+            await expect(borrower.connect(addr1).borrow(amountA, 0, repayA, 0, false))
+                .to.emit(dex, "FlashSwap")
+                .withArgs(borrower.target, borrower.target, amountA, 0, repayA, 0);
+            
+            expect(await borrower.lastSender()).to.equal(borrower.target);
+            expect(await borrower.lastAmountA()).to.equal(amountA);
+            
+            const [reserveA, reserveB] = await dex.getReserves();
+            expect(reserveA).to.equal(ethers.parseEther("100") + flashFee(amountA));
+            expect(reserveB).to.equal(ethers.parseEther("200"));
+        });
+        
+        it("should lend both tokens at once", async function() {
+            const amountA = ethers.parseEther("10");
+            const amountB = ethers.parseEther("20");
+            
+            await expect(borrower.borrow(
+                amountA,
+                amountB,
+                amountA + flashFee(amountA),
+                amountB + flashFee(amountB),
+                false
+            )).to.emit(dex, "FlashSwap");
+        });
+        
+        it("should increase k by the fee paid", async function() {
+            const [reserveABefore, reserveBBefore] = await dex.getReserves();
+            const amountB = ethers.parseEther("100");
+            
+            await borrower.borrow(0, amountB, 0, amountB + flashFee(amountB), false);
+            
+            const [reserveAAfter, reserveBAfter] = await dex.getReserves();
+            expect(reserveAAfter * reserveBAfter).to.be.gt(reserveABefore * reserveBBefore);
+        });
+        
+        it("should accept repayment in the other token like a swap", async function() {
+            const amountB = ethers.parseEther("10");
+            const [reserveA, reserveB] = await dex.getReserves();
+            const repayA = await dex.getAmountIn(amountB, reserveA, reserveB);
+            
+            await expect(borrower.borrow(0, amountB, repayA, 0, false))
+                .to.emit(dex, "FlashSwap")
+                .withArgs(borrower.target, borrower.target, 0, amountB, repayA, 0);
+        });
+        
+        it("should revert when the repayment does not cover the fee", async function() {
+            const amountA = ethers.parseEther("50");
+            
+            await expect(borrower.borrow(amountA, 0, amountA + flashFee(amountA) - 1n, 0, false))
+                .to.be.revertedWith("DEX: k decreased");
+            await expect(borrower.borrow(amountA, 0, amountA, 0, false))
+                .to.be.revertedWith("DEX: k decreased");
+        });
+        
+        it("should revert when the borrower defaults", async function() {
+            const MockDefaultingFlashBorrower = await ethers.getContractFactory("MockDefaultingFlashBorrower");
+            const defaulter = await MockDefaultingFlashBorrower.deploy();
+            
+            await expect(dex.flashSwap(ethers.parseEther("50"), 0, defaulter.target, "0x"))
+                .to.be.revertedWith("DEX: insufficient input amount");
+            
+            // Nothing left the pool
+            expect(await tokenA.balanceOf(dex.target)).to.equal(ethers.parseEther("100"));
+            expect(await tokenA.balanceOf(defaulter.target)).to.equal(0);
+        });
+        
+        it("should not allow re-entering the pool from the callback", async function() {
+            const amountA = ethers.parseEther("1");
+            
+            await expect(borrower.borrow(amountA, 0, amountA + flashFee(amountA), 0, true))
+                .to.be.revertedWith("ReentrancyGuard: reentrant call");
+        });
+        
+        it("should revert for zero or excessive amounts", async function() {
+            await expect(dex.flashSwap(0, 0, borrower.target, "0x"))
+                .to.be.revertedWith("DEX: insufficient output amount");
+            await expect(dex.flashSwap(ethers.parseEther("100"), 0, borrower.target, "0x"))
+                .to.be.revertedWith("DEX: insufficient liquidity");
+        });
+        
+        it("should not count tokens sent to the pool beforehand as repayment", async function() {
+            const amountA = ethers.parseEther("50");
+            await tokenA.transfer(dex.target, ethers.parseEther("1"));
+            
+            await expect(borrower.borrow(amountA, 0, amountA, 0, false))
+                .to.be.revertedWith("DEX: k decreased");
+        });
+        
+        it("should reject a pool token as the receiver", async function() {
+            await expect(dex.flashSwap(1000, 0, tokenA.target, "0x"))
+                .to.be.revertedWith("DEX: invalid receiver");
+        });
+    });
+    
+    describe("Fee-On-Transfer and Rebasing Tokens", function() {
+        let taxed, rebasing, taxedPool, rebasingPool;
+        
+        beforeEach(async function() {
+            const MockFeeOnTransferERC20 = await ethers.getContractFactory("MockFeeOnTransferERC20");
+            taxed = await MockFeeOnTransferERC20.deploy("Taxed Token", "TAX", 100); // 1% per transfer
+            
+            const MockRebasingERC20 = await ethers.getContractFactory("MockRebasingERC20");
+            rebasing = await MockRebasingERC20.deploy("Rebasing Token", "REB");
+            
+            const DEX = await ethers.getContractFactory("DEX");
+            taxedPool = await DEX.deploy(taxed.target, tokenB.target, 30);
+            rebasingPool = await DEX.deploy(rebasing.target, tokenB.target, 30);
+            
+            await taxed.approve(taxedPool.target, ethers.MaxUint256);
+            await tokenB.approve(taxedPool.target, ethers.MaxUint256);
+            await rebasing.approve(rebasingPool.target, ethers.MaxUint256);
+            await tokenB.approve(rebasingPool.target, ethers.MaxUint256);
+            
+            await taxedPool.addLiquidity(ethers.parseEther("100"), ethers.parseEther("100"), 0, 0);
+            await rebasingPool.addLiquidity(ethers.parseEther("100"), ethers.parseEther("100"), 0, 0);
+        });
+        
+        it("should credit liquidity with the amount actually received", async function() {
+            const [reserveA, reserveB] = await taxedPool.getReserves();
+            expect(reserveA).to.equal(ethers.parseEther("99"));
+            expect(reserveB).to.equal(ethers.parseEther("100"));
+            expect(await taxed.balanceOf(taxedPool.target)).to.equal(reserveA);
+        });
+        
+        it("should check deposit minimums against the amount actually received", async function() {
+            // The ratio-matched amount meets the minimum, but 1% of it is lost in transfer
+            await expect(taxedPool.addLiquidity(
+                ethers.parseEther("10"), ethers.parseEther("100"), ethers.parseEther("10"), 0
+            )).to.be.revertedWith("DEX: insufficient A amount");
+            
+            await expect(taxedPool.addLiquidity(
+                ethers.parseEther("10"), ethers.parseEther("100"), ethers.parseEther("9.9"), 0
+            )).to.emit(taxedPool, "LiquidityAdded");
+        });
+        
+        it("should price exact input swaps on the amount actually received", async function() {
+            const amountIn = ethers.parseEther("10");
+            const received = ethers.parseEther("9.9");
+            const expectedOut = await taxedPool.getAmountOut(
+                received, ethers.parseEther("99"), ethers.parseEther("100")
+            );
+            
+            await expect(taxedPool.swapExactAForB(amountIn, expectedOut, ethers.MaxUint256))
+                .to.emit(taxedPool, "Swap")
+                .withArgs(owner.address, taxed.target, tokenB.target, received, expectedOut);
+            
+            const [reserveA] = await taxedPool.getReserves();
+            expect(reserveA).to.equal(await taxed.balanceOf(taxedPool.target));
+        });
+        
+        it("should revert when the received amount falls below the minimum output", async function() {
+            const amountIn = ethers.parseEther("10");
+            const untaxedQuote = await taxedPool.getAmountOut(
+                amountIn, ethers.parseEther("99"), ethers.parseEther("100")
+            );
+            
+            await expect(taxedPool.swapExactAForB(amountIn, untaxedQuote, ethers.MaxUint256))
+                .to.be.revertedWith("DEX: output below minimum");
+        });
+        
+        it("should reject exact output swaps paid in a taxed token", async function() {
+            await expect(taxedPool.swapAForExactB(ethers.parseEther("1"), ethers.parseEther("2"), ethers.MaxUint256))
+                .to.be.revertedWith("DEX: insufficient input received");
+            
+            // Paying with the untaxed side still works
+            await expect(taxedPool.swapBForExactA(ethers.parseEther("1"), ethers.parseEther("2"), ethers.MaxUint256))
+                .to.emit(taxedPool, "Swap");
+        });
+        
+        it("should sync reserves to balances after a positive rebase", async function() {
+            await rebasing.rebase(ethers.parseEther("1.1"));
+            
+            await expect(rebasingPool.sync())
+                .to.emit(rebasingPool, "Sync")
+                .withArgs(ethers.parseEther("110"), ethers.parseEther("100"));
+            
+            const [reserveA] = await rebasingPool.getReserves();
+            expect(reserveA).to.equal(ethers.parseEther("110"));
+        });
+        
+        it("should sync reserves to balances after a negative rebase", async function() {
+            await rebasing.rebase(ethers.parseEther("0.5"));
+            await rebasingPool.sync();
+            
+            const [reserveA] = await rebasingPool.getReserves();
+            expect(reserveA).to.equal(ethers.parseEther("50"));
+            
+            // LPs redeem the rebased balance, only the locked minimum liquidity's share stays
+            await rebasingPool.removeLiquidity(await rebasingPool.balanceOf(owner.address));
+            const [reserveAAfter] = await rebasingPool.getReserves();
+            expect(reserveAAfter).to.be.lt(1000);
+            expect(await rebasing.balanceOf(rebasingPool.target)).to.equal(reserveAAfter);
+        });
+        
+        it("should skim the excess over the reserves to a recipient", async function() {
+            await rebasing.rebase(ethers.parseEther("1.1"));
+            await tokenB.transfer(rebasingPool.target, ethers.parseEther("5"));
+            
+            await rebasingPool.skim(addr1.address);
+            
+            // Share rounding in the rebasing token can add a wei
+            expect(await rebasing.balanceOf(addr1.address)).to.be.closeTo(ethers.parseEther("10"), 1);
+            expect(await tokenB.balanceOf(addr1.address)).to.equal(ethers.parseEther("5"));
+            
+            const [reserveA, reserveB] = await rebasingPool.getReserves();
+            expect(reserveA).to.equal(ethers.parseEther("100"));
+            expect(reserveB).to.equal(ethers.parseEther("100"));
+            expect(await rebasing.balanceOf(rebasingPool.target)).to.be.gte(reserveA);
+        });
+        
+        it("should not count donations as swap input", async function() {
+            await tokenB.transfer(rebasingPool.target, ethers.parseEther("5"));
+            
+            // The output is priced on the transferred amount only, the donation stays skimmable
+            const amountIn = ethers.parseEther("1");
+            const expectedOut = await rebasingPool.getAmountOut(amountIn, ethers.parseEther("100"), ethers.parseEther("100"));
+            await expect(rebasingPool.swapBForA(amountIn))
+                .to.emit(rebasingPool, "Swap")
+                .withArgs(owner.address, tokenB.target, rebasing.target, amountIn, expectedOut);
         });
     });
     
     describe("Price Calculations", function() {
         it("should return correct initial price", async function() {
-            await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"));
+            await dex.addLiquidity(ethers.parseEther("100"), ethers.parseEther("200"), 0, 0);
             
             const price = await dex.getPrice();
             // Price = reserveB / reserveA = 200 / 100 = 2 (scaled by 1e18)
-            const expectedPrice = ethers.utils.parseEther("2");
+            const expectedPrice = ethers.parseEther("2");
             
             expect(price).to.equal(expectedPrice);
         });
         
         it("should update price after swaps", async function() {
-            await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"));
+            await dex.addLiquidity(ethers.parseEther("100"), ethers.parseEther("200"), 0, 0);
             
             const priceBefore = await dex.getPrice();
             
-            await tokenA.mint(addr1.address, ethers.utils.parseEther("1000"));
-            await tokenA.connect(addr1).approve(dex.address, ethers.utils.parseEther("10"));
-            await dex.connect(addr1).swapAForB(ethers.utils.parseEther("10"));
+            await tokenA.mint(addr1.address, ethers.parseEther("1000"));
+            await tokenA.connect(addr1).approve(dex.target, ethers.parseEther("10"));
+            await dex.connect(addr1).swapAForB(ethers.parseEther("10"));
             
             const priceAfter = await dex.getPrice();
             
@@ -293,19 +934,56 @@ describe("DEX", function() {
         });
     });
     
+    describe("Price Accumulators", function() {
+        it("should start accumulating after the first deposit", async function() {
+            expect(await dex.priceACumulativeLast()).to.equal(0);
+            
+            await dex.addLiquidity(ethers.parseEther("100"), ethers.parseEther("200"), 0, 0);
+            
+            expect(await dex.priceACumulativeLast()).to.equal(0);
+            expect(await dex.blockTimestampLast()).to.equal(await time.latest());
+        });
+        
+        it("should add the previous price times elapsed time on every reserve change", async function() {
+            await dex.addLiquidity(ethers.parseEther("100"), ethers.parseEther("200"), 0, 0);
+            const start = await dex.blockTimestampLast();
+            
+            await time.increase(99);
+            await dex.swapAForB(ethers.parseEther("10"));
+            
+            const elapsed = (await dex.blockTimestampLast()) - start;
+            expect(elapsed).to.equal(100);
+            expect(await dex.priceACumulativeLast()).to.equal(ethers.parseEther("2") * elapsed);
+            expect(await dex.priceBCumulativeLast()).to.equal(ethers.parseEther("0.5") * elapsed);
+        });
+        
+        it("should extend the accumulators to the current block in views", async function() {
+            await dex.addLiquidity(ethers.parseEther("100"), ethers.parseEther("200"), 0, 0);
+            await time.increase(500);
+            await ethers.provider.send("evm_mine", []);
+            
+            const [priceACumulative, priceBCumulative, timestamp] = await dex.currentCumulativePrices();
+            const elapsed = timestamp - await dex.blockTimestampLast();
+            
+            expect(elapsed).to.be.gt(0);
+            expect(priceACumulative).to.equal(ethers.parseEther("2") * elapsed);
+            expect(priceBCumulative).to.equal(ethers.parseEther("0.5") * elapsed);
+        });
+    });
+    
     describe("Fee Distribution", function() {
         it("should accumulate fees for liquidity providers", async function() {
-            await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"));
+            await dex.addLiquidity(ethers.parseEther("100"), ethers.parseEther("200"), 0, 0);
             
             const [reserveABefore, reserveBBefore] = await dex.getReserves();
             const kBefore = reserveABefore * reserveBBefore;
             
             // Perform swaps to accumulate fees
-            await tokenA.mint(addr1.address, ethers.utils.parseEther("1000"));
-            await tokenA.connect(addr1).approve(dex.address, ethers.utils.parseEther("50"));
+            await tokenA.mint(addr1.address, ethers.parseEther("1000"));
+            await tokenA.connect(addr1).approve(dex.target, ethers.parseEther("50"));
             
             for (let i = 0; i < 5; i++) {
-                await dex.connect(addr1).swapAForB(ethers.utils.parseEther("5"));
+                await dex.connect(addr1).swapAForB(ethers.parseEther("5"));
             }
             
             const [reserveAAfter, reserveBAfter] = await dex.getReserves();
@@ -317,20 +995,20 @@ describe("DEX", function() {
         
         it("should distribute fees proportionally to LP share", async function() {
             // Owner adds liquidity
-            await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"));
+            await dex.addLiquidity(ethers.parseEther("100"), ethers.parseEther("200"), 0, 0);
             const ownerLiquidityBefore = await dex.liquidity(owner.address);
             
             // addr1 adds equal liquidity
-            await tokenA.mint(addr1.address, ethers.utils.parseEther("1000"));
-            await tokenB.mint(addr1.address, ethers.utils.parseEther("1000"));
-            await tokenA.connect(addr1).approve(dex.address, ethers.utils.parseEther("100"));
-            await tokenB.connect(addr1).approve(dex.address, ethers.utils.parseEther("200"));
-            await dex.connect(addr1).addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"));
+            await tokenA.mint(addr1.address, ethers.parseEther("1000"));
+            await tokenB.mint(addr1.address, ethers.parseEther("1000"));
+            await tokenA.connect(addr1).approve(dex.target, ethers.parseEther("100"));
+            await tokenB.connect(addr1).approve(dex.target, ethers.parseEther("200"));
+            await dex.connect(addr1).addLiquidity(ethers.parseEther("100"), ethers.parseEther("200"), 0, 0);
             
             // Perform swaps to generate fees
-            await tokenA.mint(addr2.address, ethers.utils.parseEther("1000"));
-            await tokenA.connect(addr2).approve(dex.address, ethers.utils.parseEther("50"));
-            await dex.connect(addr2).swapAForB(ethers.utils.parseEther("20"));
+            await tokenA.mint(addr2.address, ethers.parseEther("1000"));
+            await tokenA.connect(addr2).approve(dex.target, ethers.parseEther("50"));
+            await dex.connect(addr2).swapAForB(ethers.parseEther("20"));
             
             // Remove liquidity and check proportional returns
             const ownerBalanceABefore = await tokenA.balanceOf(owner.address);
@@ -339,35 +1017,364 @@ describe("DEX", function() {
             
             const ownerBalanceAAfter = await tokenA.balanceOf(owner.address);
             
-            const ownerReceivedA = ownerBalanceAAfter.sub(ownerBalanceABefore);
+            const ownerReceivedA = ownerBalanceAAfter - ownerBalanceABefore;
             
             // Owner should receive more than initial 100 ETH due to fees
-            expect(ownerReceivedA).to.be.gt(ethers.utils.parseEther("100"));
+            expect(ownerReceivedA).to.be.gt(ethers.parseEther("100"));
+        });
+    });
+    
+    describe("Fee Configuration", function() {
+        // Value of an LP position measured in sqrt(k) units
+        async function rootKShare(account) {
+            const [reserveA, reserveB] = await dex.getReserves();
+            const rootK = reserveA * reserveB;
+            const share = await dex.balanceOf(account);
+            const supply = await dex.totalSupply();
+            let root = rootK;
+            let next = (root + 1n) / 2n;
+            while (next < root) {
+                root = next;
+                next = (root + rootK / root) / 2n;
+            }
+            return (root * share) / supply;
+        }
+        
+        beforeEach(async function() {
+            await tokenA.mint(addr1.address, ethers.parseEther("1000"));
+            await tokenA.connect(addr1).approve(dex.target, ethers.MaxUint256);
+        });
+        
+        it("should grant governance roles to the deployer", async function() {
+            expect(await dex.swapFee()).to.equal(30);
+            expect(await dex.hasRole(await dex.DEFAULT_ADMIN_ROLE(), owner.address)).to.equal(true);
+            expect(await dex.hasRole(await dex.FEE_MANAGER_ROLE(), owner.address)).to.equal(true);
+        });
+        
+        it("should reject a swap fee outside the allowed range at creation", async function() {
+            const DEX = await ethers.getContractFactory("DEX");
+            
+            await expect(DEX.deploy(tokenA.target, tokenB.target, 0))
+                .to.be.revertedWith("DEX: swap fee out of range");
+            await expect(DEX.deploy(tokenA.target, tokenB.target, 101))
+                .to.be.revertedWith("DEX: swap fee out of range");
+        });
+        
+        it("should let the fee manager change the swap fee", async function() {
+            await expect(dex.setSwapFee(5))
+                .to.emit(dex, "SwapFeeUpdated")
+                .withArgs(30, 5);
+            
+            // Manual calculation for a 0.05% fee: (10 * 9995 * 200) / (100 * 10000 + 10 * 9995)
+            const amountIn = ethers.parseEther("10");
+            const reserveIn = ethers.parseEther("100");
+            const reserveOut = ethers.parseEther("200");
+            const amountInWithFee = amountIn * 9995n;
+            const manualCalc = (amountInWithFee * reserveOut) / (reserveIn * 10000n + amountInWithFee);
+            
+            expect(await dex.getAmountOut(amountIn, reserveIn, reserveOut)).to.equal(manualCalc);
+        });
+        
+        it("should keep getAmountIn the inverse of getAmountOut for any fee", async function() {
+            const reserveIn = ethers.parseEther("100");
+            const reserveOut = ethers.parseEther("200");
+            const amountOut = ethers.parseEther("10");
+            
+            for (const fee of [1, 5, 30, 100]) {
+                await dex.setSwapFee(fee);
+                const amountIn = await dex.getAmountIn(amountOut, reserveIn, reserveOut);
+                expect(await dex.getAmountOut(amountIn, reserveIn, reserveOut)).to.be.gte(amountOut);
+            }
+        });
+        
+        it("should pay out less on a higher fee pool", async function() {
+            await dex.addLiquidity(ethers.parseEther("100"), ethers.parseEther("200"), 0, 0);
+            const [reserveA, reserveB] = await dex.getReserves();
+            const amountIn = ethers.parseEther("10");
+            
+            const outAtDefault = await dex.getAmountOut(amountIn, reserveA, reserveB);
+            await dex.setSwapFee(100);
+            const outAtOnePercent = await dex.getAmountOut(amountIn, reserveA, reserveB);
+            
+            expect(outAtOnePercent).to.be.lt(outAtDefault);
+            await expect(dex.connect(addr1).swapAForB(amountIn))
+                .to.emit(dex, "Swap")
+                .withArgs(addr1.address, tokenA.target, tokenB.target, amountIn, outAtOnePercent);
+        });
+        
+        it("should reject out of range or unauthorized fee changes", async function() {
+            await expect(dex.setSwapFee(0))
+                .to.be.revertedWith("DEX: swap fee out of range");
+            await expect(dex.setSwapFee(101))
+                .to.be.revertedWith("DEX: swap fee out of range");
+            
+            const role = await dex.FEE_MANAGER_ROLE();
+            await expect(dex.connect(addr1).setSwapFee(10))
+                .to.be.revertedWith(missingRole(addr1, role));
+            await expect(dex.connect(addr1).setProtocolFee(addr1.address, 1000))
+                .to.be.revertedWith(missingRole(addr1, role));
+            await expect(dex.connect(addr1).setProtocolFeeEnabled(true))
+                .to.be.revertedWith(missingRole(addr1, role));
+        });
+        
+        it("should let the admin delegate fee management", async function() {
+            await dex.grantRole(await dex.FEE_MANAGER_ROLE(), addr1.address);
+            
+            await expect(dex.connect(addr1).setSwapFee(10))
+                .to.emit(dex, "SwapFeeUpdated");
+        });
+        
+        it("should validate the protocol fee settings", async function() {
+            await expect(dex.setProtocolFeeEnabled(true))
+                .to.be.revertedWith("DEX: protocol fee not configured");
+            await expect(dex.setProtocolFee(ethers.ZeroAddress, 1000))
+                .to.be.revertedWith("DEX: feeTo is zero address");
+            await expect(dex.setProtocolFee(addr2.address, 0))
+                .to.be.revertedWith("DEX: protocol fee share out of range");
+            await expect(dex.setProtocolFee(addr2.address, 5001))
+                .to.be.revertedWith("DEX: protocol fee share out of range");
+            
+            await expect(dex.setProtocolFee(addr2.address, 1667))
+                .to.emit(dex, "ProtocolFeeUpdated")
+                .withArgs(addr2.address, 1667);
+            await expect(dex.setProtocolFeeEnabled(true))
+                .to.emit(dex, "ProtocolFeeToggled")
+                .withArgs(true);
+        });
+        
+        it("should mint the protocol's share of fee growth to the treasury", async function() {
+            await dex.setProtocolFee(addr2.address, 1667);
+            await dex.setProtocolFeeEnabled(true);
+            await dex.addLiquidity(ethers.parseEther("100"), ethers.parseEther("200"), 0, 0);
+            
+            const [reserveA0, reserveB0] = await dex.getReserves();
+            const rootKBefore = await rootKShare(owner.address);
+            expect(await dex.kLast()).to.equal(reserveA0 * reserveB0);
+            
+            for (let i = 0; i < 5; i++) {
+                await dex.connect(addr1).swapAForB(ethers.parseEther("20"));
+                await dex.swapBForA(ethers.parseEther("30"));
+            }
+            
+            // The protocol fee is only settled on the next liquidity event
+            expect(await dex.balanceOf(addr2.address)).to.equal(0);
+            const growth = (await rootKShare(owner.address)) - rootKBefore;
+            
+            await dex.addLiquidity(1000, 2000, 0, 0);
+            
+            const treasuryShare = await rootKShare(addr2.address);
+            const expected = (growth * 1667n) / 10000n;
+            expect(treasuryShare).to.be.closeTo(expected, expected / 1000n);
+        });
+        
+        it("should not charge fee growth from while the switch was off", async function() {
+            await dex.setProtocolFee(addr2.address, 1667);
+            await dex.addLiquidity(ethers.parseEther("100"), ethers.parseEther("200"), 0, 0);
+            
+            await dex.connect(addr1).swapAForB(ethers.parseEther("20"));
+            expect(await dex.kLast()).to.equal(0);
+            
+            await dex.setProtocolFeeEnabled(true);
+            await dex.addLiquidity(1000, 2000, 0, 0);
+            expect(await dex.balanceOf(addr2.address)).to.equal(0);
+        });
+        
+        it("should settle accrued protocol fees when switched off", async function() {
+            await dex.setProtocolFee(addr2.address, 1667);
+            await dex.setProtocolFeeEnabled(true);
+            await dex.addLiquidity(ethers.parseEther("100"), ethers.parseEther("200"), 0, 0);
+            await dex.connect(addr1).swapAForB(ethers.parseEther("20"));
+            
+            await dex.setProtocolFeeEnabled(false);
+            const treasuryBalance = await dex.balanceOf(addr2.address);
+            expect(treasuryBalance).to.be.gt(0);
+            expect(await dex.kLast()).to.equal(0);
+            
+            // Later growth goes entirely to LPs
+            await dex.connect(addr1).swapAForB(ethers.parseEther("20"));
+            await dex.addLiquidity(1000, 2000, 0, 0);
+            expect(await dex.balanceOf(addr2.address)).to.equal(treasuryBalance);
+        });
+        
+        it("should let the treasury redeem its LP tokens", async function() {
+            await dex.setProtocolFee(addr2.address, 5000);
+            await dex.setProtocolFeeEnabled(true);
+            await dex.addLiquidity(ethers.parseEther("100"), ethers.parseEther("200"), 0, 0);
+            await dex.connect(addr1).swapAForB(ethers.parseEther("50"));
+            await dex.addLiquidity(1000, 2000, 0, 0);
+            
+            await expect(dex.connect(addr2).removeLiquidity(await dex.balanceOf(addr2.address)))
+                .to.emit(dex, "LiquidityRemoved");
+            expect(await tokenA.balanceOf(addr2.address)).to.be.gt(0);
+        });
+    });
+    
+    describe("Emergency Pause", function() {
+        const deadline = () => time.latest().then((now) => now + 3600);
+        
+        beforeEach(async function() {
+            await dex.addLiquidity(ethers.parseEther("100"), ethers.parseEther("200"), 0, 0);
+        });
+        
+        it("should emit events on pause and unpause", async function() {
+            await expect(dex.pause())
+                .to.emit(dex, "Paused")
+                .withArgs(owner.address);
+            expect(await dex.paused()).to.equal(true);
+            
+            await expect(dex.unpause())
+                .to.emit(dex, "Unpaused")
+                .withArgs(owner.address);
+            expect(await dex.paused()).to.equal(false);
+        });
+        
+        it("should reject pausing twice or unpausing an active pool", async function() {
+            await expect(dex.unpause()).to.be.revertedWith("Pausable: not paused");
+            await dex.pause();
+            await expect(dex.pause()).to.be.revertedWith("Pausable: paused");
+        });
+        
+        it("should stop every swap while paused", async function() {
+            const amount = ethers.parseEther("1");
+            await dex.pause();
+            
+            await expect(dex.swapAForB(amount)).to.be.revertedWith("Pausable: paused");
+            await expect(dex.swapBForA(amount)).to.be.revertedWith("Pausable: paused");
+            await expect(dex.swapExactAForB(amount, 0, await deadline())).to.be.revertedWith("Pausable: paused");
+            await expect(dex.swapExactBForA(amount, 0, await deadline())).to.be.revertedWith("Pausable: paused");
+            await expect(dex.swapAForExactB(amount, amount * 10n, await deadline())).to.be.revertedWith("Pausable: paused");
+            await expect(dex.swapBForExactA(amount, amount * 10n, await deadline())).to.be.revertedWith("Pausable: paused");
+            
+            const MockFlashBorrower = await ethers.getContractFactory("MockFlashBorrower");
+            const borrower = await MockFlashBorrower.deploy(dex.target);
+            await expect(borrower.borrow(amount, 0, amount * 2n, 0, false)).to.be.revertedWith("Pausable: paused");
+        });
+        
+        it("should stop new deposits while paused", async function() {
+            const amount = ethers.parseEther("1");
+            await dex.pause();
+            
+            await expect(dex.addLiquidity(amount, amount * 2n, 0, 0))
+                .to.be.revertedWith("Pausable: paused");
+            await expect(dex.addLiquidityWithLimits(amount, amount * 2n, 0, 0, await deadline()))
+                .to.be.revertedWith("Pausable: paused");
+        });
+        
+        it("should keep withdrawals open while paused", async function() {
+            const liquidity = await dex.balanceOf(owner.address);
+            await dex.pause();
+            
+            await expect(dex.removeLiquidity(liquidity / 2n))
+                .to.emit(dex, "LiquidityRemoved");
+            await expect(dex.removeLiquidityWithLimits(liquidity / 2n, 0, 0, await deadline()))
+                .to.emit(dex, "LiquidityRemoved");
+            expect(await dex.balanceOf(owner.address)).to.equal(0);
+        });
+        
+        it("should resume trading after unpause", async function() {
+            await dex.pause();
+            await dex.unpause();
+            
+            await expect(dex.swapAForB(ethers.parseEther("1"))).to.emit(dex, "Swap");
+        });
+        
+        describe("Guardian Handoff", function() {
+            const DELAY = 2 * 24 * 60 * 60;
+            
+            it("should hand the role over after the delay", async function() {
+                const guardianRole = await dex.GUARDIAN_ROLE();
+                expect(await dex.GUARDIAN_HANDOFF_DELAY()).to.equal(DELAY);
+                
+                const tx = await dex.proposeGuardianHandoff(addr1.address);
+                const eta = (await time.latest()) + DELAY;
+                await expect(tx)
+                    .to.emit(dex, "GuardianHandoffProposed")
+                    .withArgs(owner.address, addr1.address, eta);
+                expect(await dex.pendingGuardian()).to.equal(addr1.address);
+                expect(await dex.guardianHandoffEta()).to.equal(eta);
+                
+                await expect(dex.connect(addr1).acceptGuardianHandoff())
+                    .to.be.revertedWith("DEX: handoff delay not passed");
+                
+                await time.increaseTo(eta);
+                await expect(dex.connect(addr2).acceptGuardianHandoff())
+                    .to.be.revertedWith("DEX: caller is not the pending guardian");
+                await expect(dex.connect(addr1).acceptGuardianHandoff())
+                    .to.emit(dex, "GuardianHandedOff")
+                    .withArgs(owner.address, addr1.address);
+                
+                expect(await dex.hasRole(guardianRole, addr1.address)).to.equal(true);
+                expect(await dex.hasRole(guardianRole, owner.address)).to.equal(false);
+                expect(await dex.pendingGuardian()).to.equal(ethers.ZeroAddress);
+                
+                await expect(dex.pause()).to.be.revertedWith(missingRole(owner, guardianRole));
+                await expect(dex.connect(addr1).pause()).to.emit(dex, "Paused");
+            });
+            
+            it("should reject a zero address handoff", async function() {
+                await expect(dex.proposeGuardianHandoff(ethers.ZeroAddress))
+                    .to.be.revertedWith("DEX: guardian is zero address");
+            });
+            
+            it("should let the proposer or the admin cancel a handoff", async function() {
+                const guardianRole = await dex.GUARDIAN_ROLE();
+                await dex.grantRole(guardianRole, addr2.address);
+                
+                await expect(dex.cancelGuardianHandoff())
+                    .to.be.revertedWith("DEX: no pending handoff");
+                
+                await dex.connect(addr2).proposeGuardianHandoff(addr1.address);
+                await expect(dex.connect(addr1).cancelGuardianHandoff())
+                    .to.be.revertedWith("DEX: caller cannot cancel handoff");
+                await expect(dex.connect(addr2).cancelGuardianHandoff())
+                    .to.emit(dex, "GuardianHandoffCancelled")
+                    .withArgs(addr2.address, addr1.address);
+                
+                // The admin can stop a handoff started with a stolen guardian key
+                await dex.connect(addr2).proposeGuardianHandoff(addr1.address);
+                await expect(dex.cancelGuardianHandoff())
+                    .to.emit(dex, "GuardianHandoffCancelled");
+                
+                await time.increase(DELAY);
+                await expect(dex.connect(addr1).acceptGuardianHandoff())
+                    .to.be.revertedWith("DEX: caller is not the pending guardian");
+            });
+            
+            it("should fail if the proposer lost the role in the meantime", async function() {
+                const guardianRole = await dex.GUARDIAN_ROLE();
+                await dex.grantRole(guardianRole, addr2.address);
+                await dex.connect(addr2).proposeGuardianHandoff(addr1.address);
+                
+                await dex.revokeRole(guardianRole, addr2.address);
+                await time.increase(DELAY);
+                await expect(dex.connect(addr1).acceptGuardianHandoff())
+                    .to.be.revertedWith("DEX: proposer is no longer guardian");
+            });
         });
     });
     
     describe("Edge Cases", function() {
         it("should handle very small liquidity amounts", async function() {
-            const smallAmount = ethers.utils.parseEther("0.001");
+            const smallAmount = ethers.parseEther("0.001");
             
-            await expect(dex.addLiquidity(smallAmount, smallAmount))
+            await expect(dex.addLiquidity(smallAmount, smallAmount, 0, 0))
                 .to.not.be.reverted;
         });
         
         it("should handle very large liquidity amounts", async function() {
-            const largeAmount = ethers.utils.parseEther("100000");
+            const largeAmount = ethers.parseEther("100000");
             
             await tokenA.mint(owner.address, largeAmount);
             await tokenB.mint(owner.address, largeAmount);
-            await tokenA.approve(dex.address, largeAmount);
-            await tokenB.approve(dex.address, largeAmount);
+            await tokenA.approve(dex.target, largeAmount);
+            await tokenB.approve(dex.target, largeAmount);
             
-            await expect(dex.addLiquidity(largeAmount, largeAmount))
+            await expect(dex.addLiquidity(largeAmount, largeAmount, 0, 0))
                 .to.not.be.reverted;
         });
         
-        it("should prevent unauthorized access", async function() {
-            await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"));
+        it("should not let anyone remove another provider's liquidity", async function() {
+            await dex.addLiquidity(ethers.parseEther("100"), ethers.parseEther("200"), 0, 0);
             
             const ownerLiquidity = await dex.liquidity(owner.address);
             
@@ -375,19 +1382,141 @@ describe("DEX", function() {
             await expect(dex.connect(addr1).removeLiquidity(ownerLiquidity))
                 .to.be.revertedWith("DEX: insufficient liquidity balance");
         });
+        
+        it("should prevent unauthorized access", async function() {
+            const adminRole = await dex.DEFAULT_ADMIN_ROLE();
+            const feeManagerRole = await dex.FEE_MANAGER_ROLE();
+            const guardianRole = await dex.GUARDIAN_ROLE();
+            
+            // The deployer holds every role, nobody else holds any
+            for (const role of [adminRole, feeManagerRole, guardianRole]) {
+                expect(await dex.hasRole(role, owner.address)).to.equal(true);
+                expect(await dex.hasRole(role, addr1.address)).to.equal(false);
+            }
+            
+            await expect(dex.connect(addr1).setSwapFee(10))
+                .to.be.revertedWith(missingRole(addr1, feeManagerRole));
+            await expect(dex.connect(addr1).pause())
+                .to.be.revertedWith(missingRole(addr1, guardianRole));
+            await expect(dex.connect(addr1).unpause())
+                .to.be.revertedWith(missingRole(addr1, guardianRole));
+            await expect(dex.connect(addr1).proposeGuardianHandoff(addr1.address))
+                .to.be.revertedWith(missingRole(addr1, guardianRole));
+            await expect(dex.connect(addr1).grantRole(guardianRole, addr1.address))
+                .to.be.revertedWith(missingRole(addr1, adminRole));
+        });
+        
+        it("should let roles act only within their own scope", async function() {
+            const guardianRole = await dex.GUARDIAN_ROLE();
+            const feeManagerRole = await dex.FEE_MANAGER_ROLE();
+            await dex.grantRole(guardianRole, addr1.address);
+            await dex.grantRole(feeManagerRole, addr2.address);
+            
+            // A guardian cannot touch fees and a fee manager cannot pause
+            await expect(dex.connect(addr1).setSwapFee(10))
+                .to.be.revertedWith(missingRole(addr1, feeManagerRole));
+            await expect(dex.connect(addr2).pause())
+                .to.be.revertedWith(missingRole(addr2, guardianRole));
+            
+            await expect(dex.connect(addr1).pause()).to.emit(dex, "Paused").withArgs(addr1.address);
+            await expect(dex.connect(addr2).setSwapFee(10)).to.emit(dex, "SwapFeeUpdated");
+            
+            // Revoked roles stop working at once
+            await dex.revokeRole(guardianRole, addr1.address);
+            await expect(dex.connect(addr1).unpause())
+                .to.be.revertedWith(missingRole(addr1, guardianRole));
+        });
+    });
+    
+    describe("LP Token", function() {
+        beforeEach(async function() {
+            await dex.addLiquidity(ethers.parseEther("100"), ethers.parseEther("200"), 0, 0);
+        });
+        
+        it("should derive name and symbol from the pooled tokens", async function() {
+            expect(await dex.name()).to.equal("DEX LP TKA-TKB");
+            expect(await dex.symbol()).to.equal("TKA-TKB-LP");
+            expect(await dex.decimals()).to.equal(18);
+        });
+        
+        it("should mint and burn LP tokens with Transfer events", async function() {
+            const liquidityAmount = await dex.balanceOf(owner.address);
+            const minimumLiquidity = await dex.MINIMUM_LIQUIDITY();
+            expect(await dex.totalSupply()).to.equal(liquidityAmount + minimumLiquidity);
+            expect(await dex.totalLiquidity()).to.equal(liquidityAmount + minimumLiquidity);
+            
+            await expect(dex.removeLiquidity(liquidityAmount))
+                .to.emit(dex, "Transfer")
+                .withArgs(owner.address, ethers.ZeroAddress, liquidityAmount);
+            
+            expect(await dex.totalSupply()).to.equal(minimumLiquidity);
+        });
+        
+        it("should let a new holder remove transferred liquidity", async function() {
+            const half = (await dex.balanceOf(owner.address)) / 2n;
+            
+            await dex.transfer(addr1.address, half);
+            expect(await dex.liquidity(addr1.address)).to.equal(half);
+            
+            await expect(dex.connect(addr1).removeLiquidity(half))
+                .to.emit(dex, "LiquidityRemoved");
+            
+            const lpSupply = (await dex.totalSupply()) + half;
+            expect(await tokenA.balanceOf(addr1.address)).to.equal((ethers.parseEther("100") * half) / lpSupply);
+            expect(await tokenB.balanceOf(addr1.address)).to.equal((ethers.parseEther("200") * half) / lpSupply);
+        });
+        
+        it("should not let the previous holder remove transferred liquidity", async function() {
+            const liquidityAmount = await dex.balanceOf(owner.address);
+            await dex.transfer(addr1.address, liquidityAmount);
+            
+            await expect(dex.removeLiquidity(liquidityAmount))
+                .to.be.revertedWith("DEX: insufficient liquidity balance");
+        });
+        
+        it("should set allowance from an EIP-2612 permit signature", async function() {
+            const liquidityAmount = await dex.balanceOf(owner.address);
+            const deadline = (await time.latest()) + 3600;
+            const { v, r, s } = await signPermit(owner, addr1.address, liquidityAmount, deadline);
+            
+            // addr1 submits the permit, so owner never sends an approval transaction
+            await dex.connect(addr1).permit(owner.address, addr1.address, liquidityAmount, deadline, v, r, s);
+            expect(await dex.allowance(owner.address, addr1.address)).to.equal(liquidityAmount);
+            expect(await dex.nonces(owner.address)).to.equal(1);
+            
+            await dex.connect(addr1).transferFrom(owner.address, addr1.address, liquidityAmount);
+            await expect(dex.connect(addr1).removeLiquidity(liquidityAmount))
+                .to.emit(dex, "LiquidityRemoved");
+        });
+        
+        it("should reject expired or replayed permits", async function() {
+            const liquidityAmount = await dex.balanceOf(owner.address);
+            const expired = (await time.latest()) - 1;
+            let sig = await signPermit(owner, addr1.address, liquidityAmount, expired);
+            
+            await expect(dex.permit(owner.address, addr1.address, liquidityAmount, expired, sig.v, sig.r, sig.s))
+                .to.be.revertedWith("ERC20Permit: expired deadline");
+            
+            const deadline = (await time.latest()) + 3600;
+            sig = await signPermit(owner, addr1.address, liquidityAmount, deadline);
+            await dex.permit(owner.address, addr1.address, liquidityAmount, deadline, sig.v, sig.r, sig.s);
+            
+            await expect(dex.permit(owner.address, addr1.address, liquidityAmount, deadline, sig.v, sig.r, sig.s))
+                .to.be.revertedWith("ERC20Permit: invalid signature");
+        });
     });
     
     describe("Events", function() {
         it("should emit LiquidityAdded event", async function() {
-            const amountA = ethers.utils.parseEther("100");
-            const amountB = ethers.utils.parseEther("200");
+            const amountA = ethers.parseEther("100");
+            const amountB = ethers.parseEther("200");
             
-            await expect(dex.addLiquidity(amountA, amountB))
+            await expect(dex.addLiquidity(amountA, amountB, 0, 0))
                 .to.emit(dex, "LiquidityAdded");
         });
         
         it("should emit LiquidityRemoved event", async function() {
-            await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"));
+            await dex.addLiquidity(ethers.parseEther("100"), ethers.parseEther("200"), 0, 0);
             
             const liquidityAmount = await dex.liquidity(owner.address);
             
@@ -396,20 +1525,20 @@ describe("DEX", function() {
         });
         
         it("should emit Swap event", async function() {
-            await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"));
+            await dex.addLiquidity(ethers.parseEther("100"), ethers.parseEther("200"), 0, 0);
             
-            const swapAmount = ethers.utils.parseEther("10");
-            await tokenA.mint(addr1.address, ethers.utils.parseEther("1000"));
-            await tokenA.connect(addr1).approve(dex.address, swapAmount);
+            const swapAmount = ethers.parseEther("10");
+            await tokenA.mint(addr1.address, ethers.parseEther("1000"));
+            await tokenA.connect(addr1).approve(dex.target, swapAmount);
             
             await expect(dex.connect(addr1).swapAForB(swapAmount))
                 .to.emit(dex, "Swap")
                 .withArgs(
                     addr1.address,
-                    tokenA.address,
-                    tokenB.address,
+                    tokenA.target,
+                    tokenB.target,
                     swapAmount,
-                    await dex.getAmountOut(swapAmount, ethers.utils.parseEther("100"), ethers.utils.parseEther("200"))
+                    await dex.getAmountOut(swapAmount, ethers.parseEther("100"), ethers.parseEther("200"))
                 );
         });
     });
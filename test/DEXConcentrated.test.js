@@ -0,0 +1,400 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { parse } = require("./helpers");
+
+const SWAP_FEE = 30;
+const TICK_SPACING = 60;
+const Q96 = 2n ** 96n;
+
+describe("DEXConcentrated", function() {
+    let pool, tokenA, tokenB;
+    let owner, lp1, lp2, trader;
+    let deadline;
+
+    async function fund(account) {
+        await tokenA.mint(account.address, parse("100000"));
+        await tokenB.mint(account.address, parse("100000"));
+        await tokenA.connect(account).approve(pool.target, ethers.MaxUint256);
+        await tokenB.connect(account).approve(pool.target, ethers.MaxUint256);
+    }
+
+    function mint(account, tickLower, tickUpper, amount) {
+        return pool.connect(account).mint(
+            tickLower, tickUpper, amount, ethers.MaxUint256, ethers.MaxUint256, deadline
+        );
+    }
+
+    beforeEach(async function() {
+        [owner, lp1, lp2, trader] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        tokenA = await MockERC20.deploy("Token A", "TKA");
+        tokenB = await MockERC20.deploy("Token B", "TKB");
+
+        // Start at a price of 1, which is tick 0
+        const DEXConcentrated = await ethers.getContractFactory("DEXConcentrated");
+        pool = await DEXConcentrated.deploy(tokenA.target, tokenB.target, SWAP_FEE, TICK_SPACING, Q96);
+
+        for (const account of [lp1, lp2, trader]) {
+            await fund(account);
+        }
+        deadline = (await time.latest()) + 3600;
+    });
+
+    describe("Deployment", function() {
+        it("should start at the given price", async function() {
+            expect(await pool.sqrtPriceX96()).to.equal(Q96);
+            expect(await pool.tick()).to.equal(0);
+            expect(await pool.getPrice()).to.equal(parse("1"));
+            expect(await pool.liquidity()).to.equal(0);
+        });
+
+        it("should derive the tick from the starting price", async function() {
+            // sqrt(2) * 2^96 is price 2, log(2) / log(1.0001) = 6931.8
+            const DEXConcentrated = await ethers.getContractFactory("DEXConcentrated");
+            const sqrtTwo = (Q96 * 1414213562373095048n) / parse("1");
+            const other = await DEXConcentrated.deploy(tokenA.target, tokenB.target, SWAP_FEE, TICK_SPACING, sqrtTwo);
+
+            expect(await other.tick()).to.equal(6931);
+            expect(await other.getPrice()).to.be.closeTo(parse("2"), parse("0.000001"));
+        });
+
+        it("should reject invalid configuration", async function() {
+            const DEXConcentrated = await ethers.getContractFactory("DEXConcentrated");
+
+            await expect(DEXConcentrated.deploy(tokenA.target, tokenB.target, 101, TICK_SPACING, Q96))
+                .to.be.revertedWith("DEXConcentrated: swap fee out of range");
+            await expect(DEXConcentrated.deploy(tokenA.target, tokenB.target, SWAP_FEE, 0, Q96))
+                .to.be.revertedWith("DEXConcentrated: invalid tick spacing");
+            await expect(DEXConcentrated.deploy(tokenA.target, tokenA.target, SWAP_FEE, TICK_SPACING, Q96))
+                .to.be.revertedWith("DEXConcentrated: identical tokens");
+            await expect(DEXConcentrated.deploy(tokenA.target, tokenB.target, SWAP_FEE, TICK_SPACING, 1))
+                .to.be.revertedWith("TickMath: price out of range");
+        });
+    });
+
+    describe("Positions", function() {
+        it("should charge both tokens for a range around the current price", async function() {
+            const amount = parse("1000");
+            const [amountA, amountB] = await pool.getAmountsForLiquidity(-600, 600, amount);
+
+            await expect(mint(lp1, -600, 600, amount))
+                .to.emit(pool, "Mint")
+                .withArgs(lp1.address, -600, 600, amount, amountA, amountB);
+
+            // Symmetric range around price 1, so both sides are equal
+            expect(amountA).to.equal(amountB);
+            expect(amountA).to.be.gt(0);
+            expect(await tokenA.balanceOf(pool.target)).to.equal(amountA);
+            expect(await pool.liquidity()).to.equal(amount);
+            expect((await pool.positions(lp1.address, -600, 600)).liquidity).to.equal(amount);
+        });
+
+        it("should charge only token A for a range above the price and only B below it", async function() {
+            await mint(lp1, 600, 1200, parse("1000"));
+            expect(await tokenB.balanceOf(pool.target)).to.equal(0);
+            expect(await tokenA.balanceOf(pool.target)).to.be.gt(0);
+
+            await mint(lp2, -1200, -600, parse("1000"));
+            expect(await tokenB.balanceOf(pool.target)).to.be.gt(0);
+
+            // Neither position is active at the current price
+            expect(await pool.liquidity()).to.equal(0);
+        });
+
+        it("should need less capital for a narrower range", async function() {
+            const [wideA] = await pool.getAmountsForLiquidity(-6000, 6000, parse("1000"));
+            const [narrowA] = await pool.getAmountsForLiquidity(-600, 600, parse("1000"));
+
+            expect(narrowA * 5n).to.be.lt(wideA);
+        });
+
+        it("should validate ranges and maximum amounts", async function() {
+            await expect(mint(lp1, 600, -600, parse("1")))
+                .to.be.revertedWith("DEXConcentrated: invalid range");
+            await expect(mint(lp1, -600, 610, parse("1")))
+                .to.be.revertedWith("DEXConcentrated: tick not spaced");
+            await expect(mint(lp1, -887280, 600, parse("1")))
+                .to.be.revertedWith("DEXConcentrated: tick out of range");
+            await expect(mint(lp1, -600, 600, 0))
+                .to.be.revertedWith("DEXConcentrated: zero liquidity");
+            // Above the int128 range the liquidity delta would wrap negative
+            await expect(mint(lp1, -600, 600, 2n ** 127n))
+                .to.be.revertedWith("SafeCast: value doesn't fit in 128 bits");
+
+            const [amountA, amountB] = await pool.getAmountsForLiquidity(-600, 600, parse("1000"));
+            await expect(pool.connect(lp1).mint(-600, 600, parse("1000"), amountA - 1n, amountB, deadline))
+                .to.be.revertedWith("DEXConcentrated: excessive input amount");
+
+            const expired = (await time.latest()) - 1;
+            await expect(pool.connect(lp1).mint(-600, 600, parse("1000"), amountA, amountB, expired))
+                .to.be.revertedWith("DEXConcentrated: expired");
+        });
+
+        it("should return the deposit when a position is burned and collected", async function() {
+            const amount = parse("1000");
+            const [amountA, amountB] = await pool.getAmountsForLiquidity(-600, 600, amount);
+            await mint(lp1, -600, 600, amount);
+
+            await expect(pool.connect(lp1).burn(-600, 600, amount))
+                .to.emit(pool, "Burn");
+            expect(await pool.liquidity()).to.equal(0);
+
+            // Burning only credits the position, collect sends the tokens
+            const before = await tokenA.balanceOf(lp1.address);
+            await pool.connect(lp1).collect(-600, 600, lp1.address);
+
+            // Deposits round up and withdrawals round down, by a wei at most
+            expect((await tokenA.balanceOf(lp1.address)) - before).to.be.closeTo(amountA, 1);
+            expect(await tokenB.balanceOf(pool.target)).to.be.lte(1);
+            expect(await tokenB.balanceOf(lp1.address)).to.be.closeTo(parse("100000"), 1);
+            expect(amountB).to.be.gt(0);
+        });
+
+        it("should not let anyone burn more than their position", async function() {
+            await mint(lp1, -600, 600, parse("1000"));
+
+            await expect(pool.connect(lp2).burn(-600, 600, 1))
+                .to.be.revertedWith("DEXConcentrated: insufficient position liquidity");
+            await expect(pool.connect(lp1).burn(-600, 600, parse("1000") + 1n))
+                .to.be.revertedWith("DEXConcentrated: insufficient position liquidity");
+        });
+
+        it("should clear ticks once the last position using them is gone", async function() {
+            await mint(lp1, -600, 600, parse("1000"));
+            await mint(lp2, -600, 1200, parse("500"));
+            expect((await pool.ticks(-600)).liquidityGross).to.equal(parse("1500"));
+
+            await pool.connect(lp1).closePosition(-600, 600, lp1.address);
+            expect((await pool.ticks(-600)).liquidityGross).to.equal(parse("500"));
+            expect((await pool.ticks(600)).liquidityGross).to.equal(0);
+
+            await pool.connect(lp2).closePosition(-600, 1200, lp2.address);
+            expect((await pool.ticks(-600)).liquidityGross).to.equal(0);
+            expect(await pool.tickBitmap(-1)).to.equal(0);
+            expect(await pool.tickBitmap(0)).to.equal(0);
+        });
+    });
+
+    describe("Swaps", function() {
+        it("should price swaps inside a range like the constant product formula", async function() {
+            const amount = parse("1000");
+            await mint(lp1, -6000, 6000, amount);
+
+            // At price 1, liquidity L behaves like reserves of L on both sides
+            const DEX = await ethers.getContractFactory("DEX");
+            const dex = await DEX.deploy(tokenA.target, tokenB.target, SWAP_FEE);
+            const amountIn = parse("10");
+            const expected = await dex.getAmountOut(amountIn, amount, amount);
+
+            const out = await pool.connect(trader).swapExactAForB.staticCall(amountIn, 0, deadline);
+            expect(out).to.be.closeTo(expected, 1000);
+        });
+
+        it("should give less price impact than a full range pool with the same capital", async function() {
+            const [amountA, amountB] = await pool.getAmountsForLiquidity(-600, 600, parse("1000"));
+            await mint(lp1, -600, 600, parse("1000"));
+
+            const DEX = await ethers.getContractFactory("DEX");
+            const dex = await DEX.deploy(tokenA.target, tokenB.target, SWAP_FEE);
+            const amountIn = parse("1");
+            const fullRangeOut = await dex.getAmountOut(amountIn, amountA, amountB);
+
+            const concentratedOut = await pool.connect(trader).swapExactAForB.staticCall(amountIn, 0, deadline);
+            expect(concentratedOut).to.be.gt(fullRangeOut);
+        });
+
+        it("should move the price and tick in the direction of the trade", async function() {
+            await mint(lp1, -6000, 6000, parse("1000"));
+
+            await expect(pool.connect(trader).swapExactAForB(parse("10"), 0, deadline))
+                .to.emit(pool, "Swap");
+            expect(await pool.sqrtPriceX96()).to.be.lt(Q96);
+            expect(await pool.tick()).to.be.lt(0);
+
+            await pool.connect(trader).swapExactBForA(parse("20"), 0, deadline);
+            expect(await pool.sqrtPriceX96()).to.be.gt(Q96);
+            expect(await pool.tick()).to.be.gte(0);
+        });
+
+        it("should cross initialized ticks and change the active liquidity", async function() {
+            await mint(lp1, -1200, 1200, parse("1000"));
+            await mint(lp2, -120, 120, parse("5000"));
+            expect(await pool.liquidity()).to.equal(parse("6000"));
+
+            // Push the price below -120, out of lp2's range
+            await pool.connect(trader).swapExactAForB(parse("50"), 0, deadline);
+
+            expect(await pool.tick()).to.be.lt(-120);
+            expect(await pool.liquidity()).to.equal(parse("1000"));
+
+            // And back up through both of lp2's ticks
+            await pool.connect(trader).swapExactBForA(parse("100"), 0, deadline);
+
+            expect(await pool.tick()).to.be.gte(120);
+            expect(await pool.liquidity()).to.equal(parse("1000"));
+        });
+
+        it("should trade through gaps with no liquidity", async function() {
+            await mint(lp1, -120, 120, parse("1000"));
+            await mint(lp2, -3000, -1800, parse("1000"));
+
+            // Sell enough A to exhaust lp1's range and continue in lp2's
+            await pool.connect(trader).swapExactAForB(parse("20"), 0, deadline);
+
+            const tick = await pool.tick();
+            expect(tick).to.be.lt(-1800);
+            expect(tick).to.be.gte(-3000);
+            expect(await pool.liquidity()).to.equal(parse("1000"));
+        });
+
+        it("should revert when the pool runs out of liquidity", async function() {
+            await mint(lp1, -120, 120, parse("1000"));
+
+            await expect(pool.connect(trader).swapExactAForB(parse("100"), 0, deadline))
+                .to.be.revertedWith("DEXConcentrated: insufficient liquidity");
+        });
+
+        it("should stop at the last initialized tick once liquidity runs out", async function() {
+            // With a tick spacing of 1 the empty bitmap words down to the minimum price
+            // would take far more gas than the cap below
+            const DEXConcentrated = await ethers.getContractFactory("DEXConcentrated");
+            pool = await DEXConcentrated.deploy(tokenA.target, tokenB.target, SWAP_FEE, 1, Q96);
+            for (const account of [lp1, lp2, trader]) {
+                await fund(account);
+            }
+            await mint(lp1, -10, 10, parse("1000"));
+            expect(await pool.initializedTicks()).to.equal(2);
+            expect(await pool.initializedTicksAtOrBelow()).to.equal(1);
+
+            await expect(pool.connect(trader).swapExactAForB(parse("100"), 0, deadline, { gasLimit: 1000000 }))
+                .to.be.revertedWith("DEXConcentrated: insufficient liquidity");
+            await expect(pool.connect(trader).swapExactBForA(parse("100"), 0, deadline, { gasLimit: 1000000 }))
+                .to.be.revertedWith("DEXConcentrated: insufficient liquidity");
+
+            // Crossing ticks on the way down moves them above the price
+            await mint(lp2, -100, -50, parse("1000"));
+            await pool.connect(trader).swapExactAForB(parse("3"), 0, deadline);
+            expect(await pool.tick()).to.be.lt(-50);
+            expect(await pool.initializedTicks()).to.equal(4);
+            expect(await pool.initializedTicksAtOrBelow()).to.equal(1);
+            await expect(pool.connect(trader).swapExactAForB(parse("100"), 0, deadline, { gasLimit: 1000000 }))
+                .to.be.revertedWith("DEXConcentrated: insufficient liquidity");
+        });
+
+        it("should price exact inputs too large for the direct formula without overflowing", async function() {
+            // A full range position in a pool whose bitmap word spans the whole range, so
+            // one step of a 2^161 input swap reaches amountIn * sqrtPrice >= 2^256
+            const DEXConcentrated = await ethers.getContractFactory("DEXConcentrated");
+            pool = await DEXConcentrated.deploy(tokenA.target, tokenB.target, SWAP_FEE, 8000, Q96);
+            const liquidity = 2n ** 100n;
+            const amountIn = 2n ** 161n;
+            await tokenA.mint(lp1.address, 2n ** 101n);
+            await tokenB.mint(lp1.address, 2n ** 101n);
+            await tokenA.mint(trader.address, amountIn);
+            await fund(lp1);
+            await fund(trader);
+            await mint(lp1, -880000, 880000, liquidity);
+
+            await pool.connect(trader).swapExactAForB(amountIn, 0, deadline);
+
+            // L / (L / sqrtP + amountIn), rounded up
+            const numerator = liquidity * Q96;
+            const denominator = numerator / Q96 + (amountIn * BigInt(10000 - SWAP_FEE)) / 10000n;
+            expect(await pool.sqrtPriceX96()).to.equal((numerator + denominator - 1n) / denominator);
+            expect(await pool.liquidity()).to.equal(liquidity);
+        });
+
+        it("should enforce the minimum output and the deadline", async function() {
+            await mint(lp1, -6000, 6000, parse("1000"));
+            const out = await pool.connect(trader).swapExactAForB.staticCall(parse("10"), 0, deadline);
+
+            await expect(pool.connect(trader).swapExactAForB(parse("10"), out + 1n, deadline))
+                .to.be.revertedWith("DEXConcentrated: output below minimum");
+
+            const expired = (await time.latest()) - 1;
+            await expect(pool.connect(trader).swapExactAForB(parse("10"), 0, expired))
+                .to.be.revertedWith("DEXConcentrated: expired");
+            await expect(pool.connect(trader).swapExactAForB(0, 0, deadline))
+                .to.be.revertedWith("DEXConcentrated: insufficient input amount");
+        });
+    });
+
+    describe("Fees", function() {
+        it("should split fees between in-range positions by liquidity", async function() {
+            await mint(lp1, -600, 600, parse("2000"));
+            await mint(lp2, -600, 600, parse("1000"));
+
+            const amountIn = parse("10");
+            await pool.connect(trader).swapExactAForB(amountIn, 0, deadline);
+
+            const [feesA1] = await pool.connect(lp1).collect.staticCall(-600, 600, lp1.address);
+            const [feesA2, feesB2] = await pool.connect(lp2).collect.staticCall(-600, 600, lp2.address);
+
+            // 0.3% of the input, two thirds to lp1 and one third to lp2
+            const totalFee = (amountIn * BigInt(SWAP_FEE)) / 10000n;
+            expect(feesA1 + feesA2).to.be.closeTo(totalFee, 10);
+            expect(feesA1).to.be.closeTo(feesA2 * 2n, 10);
+            expect(feesB2).to.equal(0);
+        });
+
+        it("should not pay fees to positions out of range", async function() {
+            await mint(lp1, -600, 600, parse("1000"));
+            await mint(lp2, 1200, 1800, parse("1000"));
+
+            await pool.connect(trader).swapExactAForB(parse("10"), 0, deadline);
+            await pool.connect(trader).swapExactBForA(parse("10"), 0, deadline);
+
+            const [feesA, feesB] = await pool.connect(lp2).collect.staticCall(1200, 1800, lp2.address);
+            expect(feesA).to.equal(0);
+            expect(feesB).to.equal(0);
+        });
+
+        it("should only pay a position for the part of a swap inside its range", async function() {
+            await mint(lp1, -6000, 6000, parse("1000"));
+            await mint(lp2, -60, 60, parse("1000"));
+
+            // Most of this swap happens below -60, where only lp1 is active
+            await pool.connect(trader).swapExactAForB(parse("50"), 0, deadline);
+
+            const [feesA1] = await pool.connect(lp1).collect.staticCall(-6000, 6000, lp1.address);
+            const [feesA2] = await pool.connect(lp2).collect.staticCall(-60, 60, lp2.address);
+            expect(feesA2).to.be.gt(0);
+            expect(feesA1).to.be.gt(feesA2 * 2n);
+        });
+
+        it("should let a position collect fees and keep earning", async function() {
+            await mint(lp1, -600, 600, parse("1000"));
+            await pool.connect(trader).swapExactAForB(parse("10"), 0, deadline);
+
+            const before = await tokenA.balanceOf(lp1.address);
+            await expect(pool.connect(lp1).collect(-600, 600, lp1.address))
+                .to.emit(pool, "Collect");
+            const firstFees = (await tokenA.balanceOf(lp1.address)) - before;
+            expect(firstFees).to.be.closeTo(parse("0.03"), 10);
+
+            // Nothing left right after collecting
+            const [again] = await pool.connect(lp1).collect.staticCall(-600, 600, lp1.address);
+            expect(again).to.equal(0);
+
+            await pool.connect(trader).swapExactBForA(parse("10"), 0, deadline);
+            const [, feesB] = await pool.connect(lp1).collect.staticCall(-600, 600, lp1.address);
+            expect(feesB).to.be.closeTo(parse("0.03"), 10);
+        });
+
+        it("should pay out liquidity and fees when a position is closed", async function() {
+            await mint(lp1, -600, 600, parse("1000"));
+            await pool.connect(trader).swapExactAForB(parse("10"), 0, deadline);
+            await pool.connect(trader).swapExactBForA(parse("10"), 0, deadline);
+
+            await pool.connect(lp1).closePosition(-600, 600, lp1.address);
+
+            // The only LP ends up with everything the traders left behind, less rounding dust
+            expect(await tokenA.balanceOf(pool.target)).to.be.lte(10);
+            expect(await tokenB.balanceOf(pool.target)).to.be.lte(10);
+            expect((await pool.positions(lp1.address, -600, 600)).liquidity).to.equal(0);
+            expect(await pool.liquidity()).to.equal(0);
+        });
+    });
+});
@@ -0,0 +1,144 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const SWAP_FEE = 30;
+
+describe("DEXFactory", function() {
+    let factory, tokenA, tokenB, tokenC;
+    let owner, addr1;
+
+    beforeEach(async function() {
+        [owner, addr1] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        tokenA = await MockERC20.deploy("Token A", "TKA");
+        tokenB = await MockERC20.deploy("Token B", "TKB");
+        tokenC = await MockERC20.deploy("Token C", "TKC");
+
+        const DEXFactory = await ethers.getContractFactory("DEXFactory");
+        factory = await DEXFactory.deploy(owner.address);
+    });
+
+    function sorted(a, b) {
+        return a.target.toLowerCase() < b.target.toLowerCase() ? [a, b] : [b, a];
+    }
+
+    describe("Pair Creation", function() {
+        it("should create a pool at the predicted CREATE2 address", async function() {
+            const predicted = await factory.pairFor(tokenA.target, tokenB.target, SWAP_FEE);
+            const [token0, token1] = sorted(tokenA, tokenB);
+
+            await expect(factory.createPair(tokenA.target, tokenB.target, SWAP_FEE))
+                .to.emit(factory, "PairCreated")
+                .withArgs(token0.target, token1.target, predicted, 1);
+
+            expect(await factory.getPair(tokenA.target, tokenB.target)).to.equal(predicted);
+            expect(await factory.getPair(tokenB.target, tokenA.target)).to.equal(predicted);
+        });
+
+        it("should store tokens in sorted order in the pool", async function() {
+            await factory.createPair(tokenB.target, tokenA.target, SWAP_FEE);
+            const [token0, token1] = sorted(tokenA, tokenB);
+
+            const pair = await ethers.getContractAt("DEX", await factory.getPair(tokenA.target, tokenB.target));
+            expect(await pair.tokenA()).to.equal(token0.target);
+            expect(await pair.tokenB()).to.equal(token1.target);
+        });
+
+        it("should give the same address regardless of argument order", async function() {
+            expect(await factory.pairFor(tokenA.target, tokenB.target, SWAP_FEE))
+                .to.equal(await factory.pairFor(tokenB.target, tokenA.target, SWAP_FEE));
+        });
+
+        it("should reject duplicate pairs in either order", async function() {
+            await factory.createPair(tokenA.target, tokenB.target, SWAP_FEE);
+
+            await expect(factory.createPair(tokenA.target, tokenB.target, SWAP_FEE))
+                .to.be.revertedWith("DEXFactory: pair exists");
+            await expect(factory.createPair(tokenB.target, tokenA.target, SWAP_FEE))
+                .to.be.revertedWith("DEXFactory: pair exists");
+        });
+
+        it("should reject identical and zero address tokens", async function() {
+            await expect(factory.createPair(tokenA.target, tokenA.target, SWAP_FEE))
+                .to.be.revertedWith("DEXFactory: identical tokens");
+            await expect(factory.createPair(tokenA.target, ethers.ZeroAddress, SWAP_FEE))
+                .to.be.revertedWith("DEXFactory: zero address");
+        });
+
+        it("should let anyone create a pair", async function() {
+            await expect(factory.connect(addr1).createPair(tokenA.target, tokenB.target, SWAP_FEE))
+                .to.emit(factory, "PairCreated");
+        });
+    });
+
+    describe("Governance", function() {
+        it("should create pools with the requested fee", async function() {
+            await factory.createPair(tokenA.target, tokenB.target, 5);
+            const pair = await ethers.getContractAt("DEX", await factory.getPair(tokenA.target, tokenB.target));
+
+            expect(await pair.swapFee()).to.equal(5);
+            await expect(factory.createPair(tokenA.target, tokenC.target, 101))
+                .to.be.revertedWith("DEX: swap fee out of range");
+        });
+
+        it("should hand pool roles to the factory admin", async function() {
+            await factory.connect(addr1).createPair(tokenA.target, tokenB.target, SWAP_FEE);
+            const pair = await ethers.getContractAt("DEX", await factory.getPair(tokenA.target, tokenB.target));
+
+            for (const role of [await pair.DEFAULT_ADMIN_ROLE(), await pair.FEE_MANAGER_ROLE(), await pair.GUARDIAN_ROLE()]) {
+                expect(await pair.hasRole(role, owner.address)).to.equal(true);
+                expect(await pair.hasRole(role, factory.target)).to.equal(false);
+                expect(await pair.hasRole(role, addr1.address)).to.equal(false);
+            }
+        });
+
+        it("should let only the admin change the admin for future pools", async function() {
+            await expect(factory.connect(addr1).setAdmin(addr1.address))
+                .to.be.revertedWith("DEXFactory: caller is not the admin");
+
+            await expect(factory.setAdmin(addr1.address))
+                .to.emit(factory, "AdminChanged")
+                .withArgs(owner.address, addr1.address);
+
+            await factory.createPair(tokenA.target, tokenB.target, SWAP_FEE);
+            const pair = await ethers.getContractAt("DEX", await factory.getPair(tokenA.target, tokenB.target));
+            expect(await pair.hasRole(await pair.FEE_MANAGER_ROLE(), addr1.address)).to.equal(true);
+        });
+    });
+
+    describe("Registry", function() {
+        it("should enumerate all pairs", async function() {
+            expect(await factory.allPairsLength()).to.equal(0);
+
+            await factory.createPair(tokenA.target, tokenB.target, SWAP_FEE);
+            await factory.createPair(tokenB.target, tokenC.target, SWAP_FEE);
+            await factory.createPair(tokenA.target, tokenC.target, SWAP_FEE);
+
+            expect(await factory.allPairsLength()).to.equal(3);
+            expect(await factory.allPairs(0)).to.equal(await factory.getPair(tokenA.target, tokenB.target));
+            expect(await factory.allPairs(1)).to.equal(await factory.getPair(tokenB.target, tokenC.target));
+            expect(await factory.allPairs(2)).to.equal(await factory.getPair(tokenA.target, tokenC.target));
+        });
+
+        it("should return the zero address for unknown pairs", async function() {
+            expect(await factory.getPair(tokenA.target, tokenC.target))
+                .to.equal(ethers.ZeroAddress);
+        });
+    });
+
+    describe("Created Pools", function() {
+        it("should be fully functional pools", async function() {
+            await factory.createPair(tokenA.target, tokenB.target, SWAP_FEE);
+            const pair = await ethers.getContractAt("DEX", await factory.getPair(tokenA.target, tokenB.target));
+
+            await tokenA.approve(pair.target, ethers.parseEther("1000"));
+            await tokenB.approve(pair.target, ethers.parseEther("1000"));
+            await pair.addLiquidity(ethers.parseEther("100"), ethers.parseEther("100"), 0, 0);
+
+            await expect(pair.swapAForB(ethers.parseEther("10")))
+                .to.emit(pair, "Swap");
+            expect(await pair.balanceOf(owner.address)).to.equal(ethers.parseEther("100") - await pair.MINIMUM_LIQUIDITY());
+        });
+    });
+});
@@ -0,0 +1,112 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { parse, sortedAmounts, createPool } = require("./helpers");
+
+const { ethers } = hre;
+
+// Gas used by the everyday pool and router calls, checked against gas-baseline.json.
+// A call that costs more than GAS_TOLERANCE percent (1 by default) above its baseline
+// fails the test, and one that got cheaper by more than that is only logged. After an
+// intended change, rewrite the baseline with GAS_BASELINE_UPDATE=1 and commit it with
+// the change.
+const BASELINE_FILE = path.join(__dirname, "gas-baseline.json");
+const TOLERANCE = Number(process.env.GAS_TOLERANCE || 1);
+const SWAP_FEE = 30;
+
+describe("DEX gas", function() {
+    let factory, router, tokenX, tokenY, tokenZ, poolXY, poolYZ;
+    let owner, trader;
+
+    async function gasUsed(pending) {
+        return (await (await pending).wait()).gasUsed;
+    }
+
+    before(async function() {
+        // Instrumented contracts cost more, so the numbers are meaningless under coverage
+        if (hre.__SOLIDITY_COVERAGE_RUNNING) {
+            this.skip();
+        }
+        [owner, trader] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        tokenX = await MockERC20.deploy("Token X", "TKX");
+        tokenY = await MockERC20.deploy("Token Y", "TKY");
+        tokenZ = await MockERC20.deploy("Token Z", "TKZ");
+        for (const token of [tokenX, tokenY, tokenZ]) {
+            await token.mint(owner.address, parse("1000000"));
+            await token.mint(trader.address, parse("1000"));
+        }
+
+        const DEXFactory = await ethers.getContractFactory("DEXFactory");
+        factory = await DEXFactory.deploy(owner.address);
+        const WETH9 = await ethers.getContractFactory("WETH9");
+        const weth = await WETH9.deploy();
+        const DEXRouter = await ethers.getContractFactory("DEXRouter");
+        router = await DEXRouter.deploy(factory.target, weth.target);
+
+        poolXY = await createPool(tokenX, tokenY, { factory, swapFee: SWAP_FEE, approvers: [owner, trader] });
+        poolYZ = await createPool(tokenY, tokenZ, { factory, swapFee: SWAP_FEE, approvers: [owner, trader] });
+        await poolYZ.addLiquidity(parse("10000"), parse("10000"), 0, 0);
+        for (const token of [tokenX, tokenY, tokenZ]) {
+            await token.connect(trader).approve(router.target, ethers.MaxUint256);
+        }
+    });
+
+    it("should not regress the cost of swaps and liquidity changes", async function() {
+        const deadline = ethers.MaxUint256;
+        const gas = {};
+
+        // The same sequence every run, so storage is warm or cold in the same places
+        const [firstA, firstB] = await sortedAmounts(poolXY, tokenX, parse("10000"), parse("20000"));
+        gas["DEX.addLiquidity (first deposit)"] = await gasUsed(poolXY.addLiquidity(firstA, firstB, 0, 0));
+        const [moreA, moreB] = await sortedAmounts(poolXY, tokenX, parse("100"), parse("200"));
+        gas["DEX.addLiquidity"] = await gasUsed(poolXY.connect(trader).addLiquidity(moreA, moreB, 0, 0));
+        gas["DEX.swapExactAForB"] = await gasUsed(poolXY.connect(trader).swapExactAForB(parse("10"), 0, deadline));
+        gas["DEX.swapExactBForA"] = await gasUsed(poolXY.connect(trader).swapExactBForA(parse("10"), 0, deadline));
+        gas["DEX.swapAForExactB"] = await gasUsed(poolXY.connect(trader).swapAForExactB(parse("5"), ethers.MaxUint256, deadline));
+        const shares = await poolXY.balanceOf(trader.address);
+        gas["DEX.removeLiquidity (part)"] = await gasUsed(poolXY.connect(trader).removeLiquidity(shares / 2n));
+        gas["DEX.removeLiquidity (rest)"] = await gasUsed(poolXY.connect(trader).removeLiquidity(shares - shares / 2n));
+
+        const oneHop = [tokenX.target, tokenY.target];
+        const twoHops = [tokenX.target, tokenY.target, tokenZ.target];
+        gas["DEXRouter.swapExactTokensForTokens (1 hop)"] = await gasUsed(
+            router.connect(trader).swapExactTokensForTokens(parse("10"), 0, oneHop, trader.address, deadline)
+        );
+        gas["DEXRouter.swapExactTokensForTokens (2 hops)"] = await gasUsed(
+            router.connect(trader).swapExactTokensForTokens(parse("10"), 0, twoHops, trader.address, deadline)
+        );
+        gas["DEXRouter.swapTokensForExactTokens (2 hops)"] = await gasUsed(
+            router.connect(trader).swapTokensForExactTokens(parse("5"), ethers.MaxUint256, twoHops, trader.address, deadline)
+        );
+
+        if (process.env.GAS_BASELINE_UPDATE) {
+            const baseline = Object.fromEntries(Object.entries(gas).map(([name, used]) => [name, Number(used)]));
+            fs.writeFileSync(BASELINE_FILE, JSON.stringify(baseline, null, 2) + "\n");
+            return;
+        }
+
+        const baseline = JSON.parse(fs.readFileSync(BASELINE_FILE, "utf8"));
+        const regressions = [];
+        for (const [name, used] of Object.entries(gas)) {
+            if (baseline[name] === undefined) {
+                regressions.push(`${name}: ${used} gas, not in the baseline`);
+                continue;
+            }
+            const change = ((Number(used) - baseline[name]) * 100) / baseline[name];
+            const summary = `${name}: ${used} gas, baseline ${baseline[name]} (${change.toFixed(2)}%)`;
+            if (change > TOLERANCE) {
+                regressions.push(summary);
+            } else if (change < -TOLERANCE) {
+                console.log(`      Cheaper than the baseline, ${summary}`);
+            }
+        }
+        expect(regressions, [
+            `Gas went up by more than ${TOLERANCE}%:`,
+            ...regressions,
+            "Rerun with GAS_BASELINE_UPDATE=1 if the change is intended"
+        ].join("\n  ")).to.deep.equal([]);
+    });
+});
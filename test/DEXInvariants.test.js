@@ -0,0 +1,389 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { parse, random } = require("./helpers");
+
+// Runs are reproducible: INVARIANT_SEED picks the sequences, INVARIANT_RUNS and
+// INVARIANT_STEPS set how many there are and how long they get
+const SEED = Number(process.env.INVARIANT_SEED || 7);
+const RUNS = Number(process.env.INVARIANT_RUNS || 6);
+const STEPS = Number(process.env.INVARIANT_STEPS || 30);
+
+const ACTORS = 4;
+const SWAP_FEE = 30;
+const BPS = 10000n;
+const LIQUIDITY_LOCK = "0x000000000000000000000000000000000000dEaD";
+// Replays a failing sequence may use while shrinking it
+const SHRINK_BUDGET = 300;
+
+// What must hold after every step. `before` and `after` are observations of the pool
+// and every actor around the step, `step` is the step with `step.ok` set if it went through
+const INVARIANTS = [
+    {
+        name: "k never decreases on a swap",
+        check: (before, after, step) => !step.ok || !step.type.startsWith("swap") ||
+            after.reserveA * after.reserveB >= before.reserveA * before.reserveB
+    },
+    {
+        // sqrt(k) / supply is what one LP share is worth, compared squared to stay in integers
+        name: "k per LP share never decreases",
+        check: (before, after) => before.supply === 0n || after.supply === 0n ||
+            after.reserveA * after.reserveB * before.supply * before.supply >=
+            before.reserveA * before.reserveB * after.supply * after.supply
+    },
+    {
+        name: "reserves equal the pool's token balances",
+        check: (before, after) => after.reserveA === after.poolBalanceA && after.reserveB === after.poolBalanceB
+    },
+    {
+        name: "LP shares sum to totalLiquidity",
+        check: (before, after) => after.totalLiquidity === after.supply &&
+            after.actors.reduce((sum, actor) => sum + actor.shares, after.lockedShares) === after.supply &&
+            after.actors.every((actor) => actor.liquidity === actor.shares)
+    },
+    {
+        name: "tokens are neither created nor destroyed",
+        check: (before, after) =>
+            after.poolBalanceA + after.actors.reduce((sum, actor) => sum + actor.balanceA, 0n) ===
+                before.poolBalanceA + before.actors.reduce((sum, actor) => sum + actor.balanceA, 0n) &&
+            after.poolBalanceB + after.actors.reduce((sum, actor) => sum + actor.balanceB, 0n) ===
+                before.poolBalanceB + before.actors.reduce((sum, actor) => sum + actor.balanceB, 0n)
+    },
+    {
+        // Withdrawing every share pays at most the pro-rata part of the reserves, and
+        // all withdrawals together fit in the pool
+        name: "nobody can withdraw more than their share",
+        check: (before, after) => {
+            let claimedA = 0n;
+            let claimedB = 0n;
+            for (const actor of after.actors) {
+                if (actor.claim === null) {
+                    continue;
+                }
+                if (actor.claim[0] * after.supply > actor.shares * after.reserveA ||
+                    actor.claim[1] * after.supply > actor.shares * after.reserveB) {
+                    return false;
+                }
+                claimedA += actor.claim[0];
+                claimedB += actor.claim[1];
+            }
+            return claimedA <= after.reserveA && claimedB <= after.reserveB;
+        }
+    },
+    {
+        name: "a swap pays no more than the quote and takes no less",
+        check: (before, after, step) => {
+            if (!step.ok || !step.type.startsWith("swap")) {
+                return true;
+            }
+            const trader = (observation) => observation.actors[step.actor];
+            const [spentA, spentB] = [
+                trader(before).balanceA - trader(after).balanceA,
+                trader(before).balanceB - trader(after).balanceB
+            ];
+            const [spent, received] = step.aForB ? [spentA, -spentB] : [spentB, -spentA];
+            return step.type === "swapExactIn"
+                ? spent === step.amount && received <= step.quote
+                : received === step.amountOut && spent >= step.quote;
+        }
+    }
+];
+
+describe("DEX invariants", function() {
+    let dex, tokenA, tokenB;
+    let actors;
+    let snapshot;
+
+    // A deep pool is only built up by the sequences themselves, so tiny and empty pools
+    // come up as often as busy ones
+    before(async function() {
+        const signers = await ethers.getSigners();
+        actors = signers.slice(1, 1 + ACTORS);
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        tokenA = await MockERC20.deploy("Token A", "TKA");
+        tokenB = await MockERC20.deploy("Token B", "TKB");
+        const DEX = await ethers.getContractFactory("DEX");
+        dex = await DEX.deploy(tokenA.target, tokenB.target, SWAP_FEE);
+
+        for (const actor of actors) {
+            for (const token of [tokenA, tokenB]) {
+                await token.mint(actor.address, parse("10000000"));
+                await token.connect(actor).approve(dex.target, ethers.MaxUint256);
+            }
+        }
+        snapshot = await takeSnapshot();
+    });
+
+    after(async function() {
+        await snapshot.restore();
+    });
+
+    // Random amount below 2^maxBits, spread evenly over orders of magnitude so dust,
+    // ordinary and pool-draining amounts all come up
+    function randomAmount(rand, maxBits = 80) {
+        const bits = 1 + Math.floor(rand() * maxBits);
+        let value = 1n;
+        for (let i = 1; i < bits; i++) {
+            value = (value << 1n) | (rand() < 0.5 ? 1n : 0n);
+        }
+        return value;
+    }
+
+    // Fractions are in basis points of the actor's shares or the pool's output reserve
+    function randomStep(rand) {
+        const actor = Math.floor(rand() * ACTORS);
+        const roll = rand();
+        const bps = () => 1 + Math.floor(rand() * Number(BPS));
+        if (roll < 0.3) {
+            return { type: "add", actor, amountA: randomAmount(rand), amountB: randomAmount(rand) };
+        }
+        if (roll < 0.45) {
+            return { type: "remove", actor, fraction: bps() };
+        }
+        if (roll < 0.7) {
+            return { type: "swapExactIn", actor, aForB: rand() < 0.5, amount: randomAmount(rand) };
+        }
+        if (roll < 0.9) {
+            return { type: "swapExactOut", actor, aForB: rand() < 0.5, fraction: bps() };
+        }
+        return { type: "transfer", actor, to: Math.floor(rand() * ACTORS), fraction: bps() };
+    }
+
+    function randomSequence(rand, length) {
+        // Start with a deposit so most sequences have a pool to trade against
+        const steps = [{ type: "add", actor: 0, amountA: randomAmount(rand), amountB: randomAmount(rand) }];
+        while (steps.length < length) {
+            steps.push(randomStep(rand));
+        }
+        return steps;
+    }
+
+    function describeStep(step) {
+        const side = step.aForB ? "A for B" : "B for A";
+        switch (step.type) {
+        case "add":
+            return `actor ${step.actor} adds ${step.amountA} A and ${step.amountB} B`;
+        case "remove":
+            return `actor ${step.actor} removes ${step.fraction} bps of their shares`;
+        case "swapExactIn":
+            return `actor ${step.actor} swaps ${step.amount} ${side}`;
+        case "swapExactOut":
+            return `actor ${step.actor} swaps ${side} for ${step.fraction} bps of the output reserve`;
+        default:
+            return `actor ${step.actor} sends ${step.fraction} bps of their shares to actor ${step.to}`;
+        }
+    }
+
+    // Everything the invariants look at, for the pool and every actor
+    async function observe() {
+        const [reserveA, reserveB] = await dex.getReserves();
+        const supply = await dex.totalSupply();
+        const observation = {
+            reserveA,
+            reserveB,
+            supply,
+            totalLiquidity: await dex.totalLiquidity(),
+            lockedShares: await dex.balanceOf(LIQUIDITY_LOCK),
+            poolBalanceA: await tokenA.balanceOf(dex.target),
+            poolBalanceB: await tokenB.balanceOf(dex.target),
+            actors: []
+        };
+        for (const actor of actors) {
+            const shares = await dex.balanceOf(actor.address);
+            let claim = null;
+            if (shares > 0n) {
+                try {
+                    claim = [...(await dex.connect(actor).removeLiquidity.staticCall(shares))];
+                } catch (error) {
+                    // Dust positions that would withdraw nothing of one token revert
+                    expect(error.message).to.include("DEX: insufficient amounts");
+                }
+            }
+            observation.actors.push({
+                shares,
+                liquidity: await dex.liquidity(actor.address),
+                balanceA: await tokenA.balanceOf(actor.address),
+                balanceB: await tokenB.balanceOf(actor.address),
+                claim
+            });
+        }
+        return observation;
+    }
+
+    // Send one step, recording on it whether it went through and what it was quoted
+    async function send(step, before) {
+        const signer = actors[step.actor];
+        const pool = dex.connect(signer);
+        const [reserveIn, reserveOut] = step.aForB ? [before.reserveA, before.reserveB] : [before.reserveB, before.reserveA];
+        const shares = (fraction) => (before.actors[step.actor].shares * BigInt(fraction)) / BPS;
+
+        switch (step.type) {
+        case "add":
+            return pool.addLiquidity(step.amountA, step.amountB, 0, 0);
+        case "remove":
+            return pool.removeLiquidity(shares(step.fraction));
+        case "swapExactIn":
+            step.quote = reserveIn > 0n ? await dex.getAmountOut(step.amount, reserveIn, reserveOut) : 0n;
+            return step.aForB
+                ? pool.swapExactAForB(step.amount, 0, ethers.MaxUint256)
+                : pool.swapExactBForA(step.amount, 0, ethers.MaxUint256);
+        case "swapExactOut":
+            step.amountOut = (reserveOut * BigInt(step.fraction)) / BPS;
+            step.quote = reserveOut > step.amountOut ? await dex.getAmountIn(step.amountOut, reserveIn, reserveOut) : 0n;
+            return step.aForB
+                ? pool.swapAForExactB(step.amountOut, ethers.MaxUint256, ethers.MaxUint256)
+                : pool.swapBForExactA(step.amountOut, ethers.MaxUint256, ethers.MaxUint256);
+        default:
+            return pool.transfer(actors[step.to].address, shares(step.fraction));
+        }
+    }
+
+    // Replay a sequence on a fresh pool and return the first broken invariant, if any
+    async function runSequence(steps, invariants = INVARIANTS) {
+        await snapshot.restore();
+        let executed = 0;
+        let before = await observe();
+        for (const [index, template] of steps.entries()) {
+            const step = { ...template };
+            try {
+                await send(step, before);
+                step.ok = true;
+                executed++;
+            } catch (error) {
+                // Rejected steps are part of the sequence: whatever the pool refuses must leave it intact
+                if (!error.message.includes("reverted")) {
+                    throw error;
+                }
+                step.ok = false;
+            }
+
+            const after = await observe();
+            for (const invariant of invariants) {
+                if (!invariant.check(before, after, step)) {
+                    return { index, name: invariant.name, executed };
+                }
+            }
+            before = after;
+        }
+        return { index: null, executed };
+    }
+
+    // Shrink a failing sequence: drop chunks of steps, largest first, then make the
+    // remaining steps simpler, for as long as the same invariant still breaks
+    async function shrink(steps, failure, invariants = INVARIANTS) {
+        let best = steps.slice(0, failure.index + 1);
+        let budget = SHRINK_BUDGET;
+        async function attempt(candidate) {
+            if (budget-- <= 0 || candidate.length === 0) {
+                return false;
+            }
+            const result = await runSequence(candidate, invariants);
+            if (result.name !== failure.name) {
+                return false;
+            }
+            // Steps after the new failure point never ran
+            best = candidate.slice(0, result.index + 1);
+            return true;
+        }
+
+        let progress = true;
+        while (progress && budget > 0) {
+            progress = false;
+            for (let size = Math.ceil(best.length / 2); size >= 1; size = Math.floor(size / 2)) {
+                for (let start = 0; start + size <= best.length;) {
+                    if (await attempt([...best.slice(0, start), ...best.slice(start + size)])) {
+                        progress = true;
+                    } else {
+                        start += size;
+                    }
+                }
+            }
+            for (let i = 0; i < best.length; i++) {
+                for (const simpler of simplify(best[i])) {
+                    if (await attempt([...best.slice(0, i), simpler, ...best.slice(i + 1)])) {
+                        progress = true;
+                        break;
+                    }
+                }
+            }
+        }
+        return best;
+    }
+
+    // Simpler versions of a step: the first actor, smaller amounts, whole positions
+    function simplify(step) {
+        const candidates = [];
+        if (step.actor !== 0) {
+            candidates.push({ ...step, actor: 0, to: step.to === 0 ? step.actor : step.to });
+        }
+        for (const field of ["amount", "amountA", "amountB"]) {
+            if (step[field] > 1n) {
+                candidates.push({ ...step, [field]: step[field] / 2n });
+            }
+        }
+        if (step.fraction !== undefined && step.fraction !== Number(BPS)) {
+            candidates.push({ ...step, fraction: Number(BPS) });
+        }
+        if (step.fraction > 1) {
+            candidates.push({ ...step, fraction: Math.ceil(step.fraction / 2) });
+        }
+        return candidates;
+    }
+
+    // Run random sequences and fail with the shrunk reproduction of the first broken one
+    async function checkInvariants(seed, invariants = INVARIANTS) {
+        const rand = random(seed);
+        let executed = 0;
+        for (let run = 0; run < RUNS; run++) {
+            const steps = randomSequence(rand, STEPS);
+            const result = await runSequence(steps, invariants);
+            executed += result.executed;
+            if (result.index !== null) {
+                const shrunk = await shrink(steps, result, invariants);
+                const error = new Error([
+                    `Invariant "${result.name}" broken in run ${run} of seed ${seed}, ` +
+                        `shrunk from ${result.index + 1} to ${shrunk.length} steps:`,
+                    ...shrunk.map((step, index) => `  ${index + 1}. ${describeStep(step)}`),
+                    `Replay with INVARIANT_SEED=${seed} INVARIANT_STEPS=${STEPS}`
+                ].join("\n"));
+                error.shrunk = shrunk;
+                throw error;
+            }
+        }
+        return executed;
+    }
+
+    it("should hold every invariant through random sequences of deposits, withdrawals, swaps and transfers", async function() {
+        const executed = await checkInvariants(SEED);
+
+        // Guard against sessions where nearly everything reverted and nothing was tested
+        expect(executed).to.be.greaterThan((RUNS * STEPS) / 2);
+    });
+
+    it("should shrink a failing sequence to a minimal reproduction", async function() {
+        // A property the pool does not have: no swap moves more than 1% of the output reserve
+        const smallSwaps = {
+            name: "swaps take at most 1% of the output reserve",
+            check: (before, after, step) => !step.ok || !step.type.startsWith("swap") ||
+                (step.aForB ? (before.reserveB - after.reserveB) * 100n <= before.reserveB
+                    : (before.reserveA - after.reserveA) * 100n <= before.reserveA)
+        };
+
+        let failure;
+        try {
+            await checkInvariants(SEED, [...INVARIANTS, smallSwaps]);
+        } catch (error) {
+            failure = error;
+        }
+        expect(failure, "the made-up invariant should break").to.not.equal(undefined);
+        expect(failure.message).to.include(`Invariant "${smallSwaps.name}" broken`);
+        expect(failure.message).to.include(`INVARIANT_SEED=${SEED}`);
+
+        // A deposit to trade against and one big swap, both by the first actor
+        expect(failure.shrunk.map((step) => step.type)[0]).to.equal("add");
+        expect(failure.shrunk.length).to.equal(2);
+        expect(failure.shrunk[1].type).to.match(/^swap/);
+        expect(failure.shrunk.every((step) => step.actor === 0)).to.equal(true);
+    });
+});
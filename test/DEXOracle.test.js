@@ -0,0 +1,157 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("DEXOracle", function() {
+    let dex, oracle, tokenA, tokenB;
+    let owner, attacker;
+
+    const HOUR = 3600;
+
+    beforeEach(async function() {
+        [owner, attacker] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        tokenA = await MockERC20.deploy("Token A", "TKA");
+        tokenB = await MockERC20.deploy("Token B", "TKB");
+
+        const DEX = await ethers.getContractFactory("DEX");
+        dex = await DEX.deploy(tokenA.target, tokenB.target, 30);
+
+        const DEXOracle = await ethers.getContractFactory("DEXOracle");
+        oracle = await DEXOracle.deploy(60);
+
+        await tokenA.approve(dex.target, ethers.parseEther("1000000"));
+        await tokenB.approve(dex.target, ethers.parseEther("1000000"));
+        await dex.addLiquidity(ethers.parseEther("100"), ethers.parseEther("200"), 0, 0);
+
+        await tokenA.mint(attacker.address, ethers.parseEther("100000"));
+        await tokenA.connect(attacker).approve(dex.target, ethers.MaxUint256);
+    });
+
+    describe("Observations", function() {
+        it("should record accumulator snapshots", async function() {
+            await time.increase(HOUR);
+
+            await expect(oracle.update(dex.target))
+                .to.emit(oracle, "ObservationRecorded");
+
+            const observation = await oracle.getObservation(dex.target, 0);
+            expect(observation.timestamp).to.equal(await time.latest());
+            expect(observation.priceACumulative).to.equal(
+                ethers.parseEther("2") * (observation.timestamp - await dex.blockTimestampLast())
+            );
+        });
+
+        it("should skip updates inside the minimum interval", async function() {
+            await oracle.update(dex.target);
+            await oracle.update(dex.target);
+            expect(await oracle.observationCount(dex.target)).to.equal(1);
+
+            await time.increase(60);
+            await oracle.update(dex.target);
+            expect(await oracle.observationCount(dex.target)).to.equal(2);
+        });
+
+        it("should revert without enough history for the window", async function() {
+            await expect(oracle.getAveragePrices(dex.target, HOUR))
+                .to.be.revertedWith("DEXOracle: insufficient history");
+
+            await oracle.update(dex.target);
+            await expect(oracle.getAveragePrices(dex.target, HOUR))
+                .to.be.revertedWith("DEXOracle: insufficient history");
+        });
+
+        it("should reject a window reaching back before the chain started", async function() {
+            await oracle.update(dex.target);
+            const now = await time.latest();
+
+            // The view runs at the latest block, so a window of exactly its timestamp is still allowed
+            await expect(oracle.getAveragePrices(dex.target, now + 1))
+                .to.be.revertedWith("DEXOracle: window too long");
+            await expect(oracle.consult(dex.target, tokenA.target, ethers.parseEther("1"), now + 1))
+                .to.be.revertedWith("DEXOracle: window too long");
+            await expect(oracle.getAveragePrices(dex.target, now))
+                .to.be.revertedWith("DEXOracle: insufficient history");
+        });
+    });
+
+    describe("Average Prices", function() {
+        it("should equal the spot price while the price is stable", async function() {
+            await oracle.update(dex.target);
+            await time.increase(HOUR);
+
+            const [priceAAverage, priceBAverage] = await oracle.getAveragePrices(dex.target, HOUR);
+            expect(priceAAverage).to.equal(ethers.parseEther("2"));
+            expect(priceBAverage).to.equal(ethers.parseEther("0.5"));
+        });
+
+        it("should weight each price by how long it lasted", async function() {
+            await oracle.update(dex.target);
+            await time.increase(HOUR - 1);
+
+            // Move the price of A down for the second hour
+            await dex.connect(attacker).swapAForB(ethers.parseEther("41.5"));
+            const spot = await dex.getPrice();
+            await time.increase(HOUR);
+
+            const [priceAAverage] = await oracle.getAveragePrices(dex.target, 2 * HOUR);
+            const expected = (ethers.parseEther("2") + spot) / 2n;
+            expect(priceAAverage).to.be.closeTo(expected, ethers.parseEther("0.001"));
+        });
+
+        it("should pick the newest observation older than the window", async function() {
+            await oracle.update(dex.target);
+            await time.increase(HOUR);
+            await dex.connect(attacker).swapAForB(ethers.parseEther("50"));
+            await oracle.update(dex.target);
+            await time.increase(HOUR);
+
+            // A one hour window starts at the second observation, after the price moved
+            const [priceAAverage] = await oracle.getAveragePrices(dex.target, HOUR);
+            expect(priceAAverage).to.be.closeTo(await dex.getPrice(), ethers.parseEther("0.0001"));
+        });
+
+        it("should value amounts in either direction", async function() {
+            await oracle.update(dex.target);
+            await time.increase(HOUR);
+
+            expect(await oracle.consult(dex.target, tokenA.target, ethers.parseEther("10"), HOUR))
+                .to.equal(ethers.parseEther("20"));
+            expect(await oracle.consult(dex.target, tokenB.target, ethers.parseEther("10"), HOUR))
+                .to.equal(ethers.parseEther("5"));
+            await expect(oracle.consult(dex.target, oracle.target, 1, HOUR))
+                .to.be.revertedWith("DEXOracle: invalid token");
+        });
+    });
+
+    describe("Manipulation Resistance", function() {
+        it("should barely move when the spot price is pushed in the last block", async function() {
+            await oracle.update(dex.target);
+            await time.increase(HOUR);
+
+            // Attacker dumps a huge amount of A right before the oracle is read
+            await dex.connect(attacker).swapAForB(ethers.parseEther("10000"));
+            const manipulatedSpot = await dex.getPrice();
+
+            const [priceAAverage] = await oracle.getAveragePrices(dex.target, HOUR);
+
+            // Spot collapsed by ~99%, the one hour average moved by well under 1%
+            expect(manipulatedSpot).to.be.lt(ethers.parseEther("0.01"));
+            expect(priceAAverage).to.be.closeTo(ethers.parseEther("2"), ethers.parseEther("0.01"));
+        });
+
+        it("should only reflect a manipulation in proportion to its duration", async function() {
+            await oracle.update(dex.target);
+            await time.increase(HOUR);
+
+            await dex.connect(attacker).swapAForB(ethers.parseEther("100"));
+            await time.increase(60);
+
+            // 60 seconds at ~0.5 inside a ~3660 second window
+            const [priceAAverage] = await oracle.getAveragePrices(dex.target, HOUR);
+            expect(priceAAverage).to.be.gt(ethers.parseEther("1.95"));
+            expect(priceAAverage).to.be.lt(ethers.parseEther("2"));
+        });
+    });
+});
@@ -0,0 +1,330 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { parse } = require("./helpers");
+
+const OPEN = 0n;
+const FILLED = 1n;
+const CANCELLED = 2n;
+
+describe("DEXOrderBook", function() {
+    let dex, book, tokenA, tokenB;
+    let owner, maker, keeper, trader;
+
+    // Amount of a long-term order executable in the block of `receipt`
+    function vested(order, receipt) {
+        const blocks = BigInt(receipt.blockNumber) - order.startBlock;
+        return (order.amountIn * blocks) / (order.endBlock - order.startBlock) - order.amountSold;
+    }
+
+    beforeEach(async function() {
+        [owner, maker, keeper, trader] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        tokenA = await MockERC20.deploy("Token A", "TKA");
+        tokenB = await MockERC20.deploy("Token B", "TKB");
+
+        // 1 A = 2 B
+        const DEX = await ethers.getContractFactory("DEX");
+        dex = await DEX.deploy(tokenA.target, tokenB.target, 30);
+        await tokenA.approve(dex.target, ethers.MaxUint256);
+        await tokenB.approve(dex.target, ethers.MaxUint256);
+        await dex.addLiquidity(parse("10000"), parse("20000"), 0, 0);
+
+        const DEXOrderBook = await ethers.getContractFactory("DEXOrderBook");
+        book = await DEXOrderBook.deploy(dex.target);
+
+        for (const account of [maker, trader]) {
+            await tokenA.mint(account.address, parse("10000"));
+            await tokenB.mint(account.address, parse("20000"));
+            await tokenA.connect(account).approve(book.target, ethers.MaxUint256);
+            await tokenB.connect(account).approve(book.target, ethers.MaxUint256);
+            await tokenA.connect(account).approve(dex.target, ethers.MaxUint256);
+            await tokenB.connect(account).approve(dex.target, ethers.MaxUint256);
+        }
+    });
+
+    describe("Deployment", function() {
+        it("should bind to the pool and its tokens", async function() {
+            expect(await book.pool()).to.equal(dex.target);
+            expect(await book.tokenA()).to.equal(tokenA.target);
+            expect(await book.tokenB()).to.equal(tokenB.target);
+        });
+
+        it("should reject the zero address as pool", async function() {
+            const DEXOrderBook = await ethers.getContractFactory("DEXOrderBook");
+            await expect(DEXOrderBook.deploy(ethers.ZeroAddress))
+                .to.be.revertedWith("DEXOrderBook: pool is zero address");
+        });
+    });
+
+    describe("Limit Orders", function() {
+        it("should escrow the amount and the tip", async function() {
+            const tx = book.connect(maker).placeLimitOrder(true, parse("100"), parse("2.2"), parse("1"));
+            await expect(tx)
+                .to.emit(book, "OrderPlaced")
+                .withArgs(0, maker.address, true, parse("100"), parse("2.2"), 0, parse("1"));
+            await expect(tx).to.changeTokenBalances(tokenA, [maker, book], [parse("-101"), parse("101")]);
+
+            const order = await book.getOrder(0);
+            expect(order.owner).to.equal(maker.address);
+            expect(order.status).to.equal(OPEN);
+            expect(order.amountIn).to.equal(parse("100"));
+            expect(order.limitPrice).to.equal(parse("2.2"));
+            expect(order.endBlock).to.equal(0);
+            expect(await book.orderCount()).to.equal(1);
+        });
+
+        it("should reject empty orders and a zero limit price", async function() {
+            await expect(book.connect(maker).placeLimitOrder(true, 0, parse("2"), 0))
+                .to.be.revertedWith("DEXOrderBook: insufficient input amount");
+            await expect(book.connect(maker).placeLimitOrder(true, parse("1"), 0, 0))
+                .to.be.revertedWith("DEXOrderBook: zero limit price");
+        });
+
+        it("should not fill before the price is reached", async function() {
+            await book.connect(maker).placeLimitOrder(true, parse("100"), parse("2.2"), parse("1"));
+
+            expect(await book.canFill(0)).to.equal(false);
+            await expect(book.connect(keeper).fillLimitOrder(0))
+                .to.be.revertedWith("DEXOrderBook: price not reached");
+        });
+
+        it("should fill a sell order for A once the price rises past the limit", async function() {
+            await book.connect(maker).placeLimitOrder(true, parse("100"), parse("2.2"), parse("1"));
+
+            // Buying A pushes its price to about 2.4 B
+            await dex.connect(trader).swapBForA(parse("2000"));
+            expect(await book.canFill(0)).to.equal(true);
+
+            const [reserveA, reserveB] = await dex.getReserves();
+            const expectedOut = await dex.getAmountOut(parse("100"), reserveA, reserveB);
+
+            const tx = book.connect(keeper).fillLimitOrder(0);
+            await expect(tx)
+                .to.emit(book, "OrderFilled")
+                .withArgs(0, keeper.address, parse("100"), expectedOut, parse("1"));
+            await expect(tx).to.changeTokenBalances(tokenB, [maker, book], [expectedOut, 0]);
+            expect(await tokenA.balanceOf(keeper.address)).to.equal(parse("1"));
+
+            const order = await book.getOrder(0);
+            expect(order.status).to.equal(FILLED);
+            expect(order.amountSold).to.equal(parse("100"));
+            expect(order.amountOut).to.equal(expectedOut);
+            expect(order.tipPaid).to.equal(parse("1"));
+            expect(expectedOut).to.be.gte(parse("220"));
+
+            await expect(book.connect(keeper).fillLimitOrder(0))
+                .to.be.revertedWith("DEXOrderBook: order not open");
+        });
+
+        it("should fill a sell order for B once the price falls past the limit", async function() {
+            // Sell 360 B for A when A costs 1.8 B or less
+            await book.connect(maker).placeLimitOrder(false, parse("360"), parse("1.8"), parse("2"));
+            await expect(book.connect(keeper).fillLimitOrder(0))
+                .to.be.revertedWith("DEXOrderBook: price not reached");
+
+            await dex.connect(trader).swapAForB(parse("1000"));
+
+            await expect(book.connect(keeper).fillLimitOrder(0))
+                .to.changeTokenBalance(tokenB, keeper, parse("2"));
+            expect(await tokenA.balanceOf(maker.address)).to.be.gte(parse("10200"));
+        });
+
+        it("should not fill below the limit after fee and price impact", async function() {
+            // The spot price crosses the limit, but selling 1000 A moves it far below
+            await book.connect(maker).placeLimitOrder(true, parse("1000"), parse("2.2"), 0);
+            await dex.connect(trader).swapBForA(parse("1000"));
+
+            // The limit is the pool swap's minimum output
+            expect(await book.canFill(0)).to.equal(true);
+            await expect(book.connect(keeper).fillLimitOrder(0))
+                .to.be.revertedWith("DEX: output below minimum");
+        });
+
+        it("should refund the amount and the tip on cancellation", async function() {
+            await book.connect(maker).placeLimitOrder(true, parse("100"), parse("2.2"), parse("1"));
+
+            await expect(book.connect(keeper).cancelOrder(0))
+                .to.be.revertedWith("DEXOrderBook: caller is not the owner");
+
+            const tx = book.connect(maker).cancelOrder(0);
+            await expect(tx)
+                .to.emit(book, "OrderCancelled")
+                .withArgs(0, maker.address, parse("100"), parse("1"));
+            await expect(tx).to.changeTokenBalances(tokenA, [maker, book], [parse("101"), parse("-101")]);
+            expect((await book.getOrder(0)).status).to.equal(CANCELLED);
+
+            await dex.connect(trader).swapBForA(parse("1000"));
+            await expect(book.connect(keeper).fillLimitOrder(0))
+                .to.be.revertedWith("DEXOrderBook: order not open");
+            await expect(book.connect(maker).cancelOrder(0))
+                .to.be.revertedWith("DEXOrderBook: order not open");
+        });
+
+        it("should escrow only what arrives for fee-on-transfer tokens", async function() {
+            const MockFeeOnTransferERC20 = await ethers.getContractFactory("MockFeeOnTransferERC20");
+            const taxed = await MockFeeOnTransferERC20.deploy("Taxed", "TAX", 100);
+            const DEX = await ethers.getContractFactory("DEX");
+            const taxedPool = await DEX.deploy(taxed.target, tokenB.target, 30);
+            const DEXOrderBook = await ethers.getContractFactory("DEXOrderBook");
+            const taxedBook = await DEXOrderBook.deploy(taxedPool.target);
+
+            await taxed.approve(taxedBook.target, ethers.MaxUint256);
+            await taxedBook.placeLimitOrder(true, parse("100"), parse("1"), parse("1"));
+
+            // 1% of the 101 sent is burned on the way in and comes out of the order, not the tip
+            const order = await taxedBook.getOrder(0);
+            expect(order.amountIn).to.equal(parse("98.99"));
+            expect(order.tip).to.equal(parse("1"));
+            expect(await taxed.balanceOf(taxedBook.target)).to.equal(parse("99.99"));
+        });
+    });
+
+    describe("Long-Term Orders", function() {
+        const BLOCKS = 10;
+        // Loose limits around the pool price of 2 B per A, for orders that should always execute
+        const FLOOR = parse("1");
+        const CEILING = parse("4");
+
+        it("should record the block range", async function() {
+            const tx = await book.connect(maker).placeLongTermOrder(true, parse("1000"), BLOCKS, FLOOR, parse("10"));
+            const receipt = await tx.wait();
+
+            await expect(tx).to.emit(book, "OrderPlaced")
+                .withArgs(0, maker.address, true, parse("1000"), FLOOR, BLOCKS, parse("10"));
+
+            const order = await book.getOrder(0);
+            expect(order.startBlock).to.equal(receipt.blockNumber);
+            expect(order.endBlock).to.equal(receipt.blockNumber + BLOCKS);
+        });
+
+        it("should reject a zero duration, a zero limit price and mixing up order types", async function() {
+            await expect(book.connect(maker).placeLongTermOrder(true, parse("1000"), 0, FLOOR, 0))
+                .to.be.revertedWith("DEXOrderBook: zero duration");
+            // Without a limit every part would swap with no minimum output, open to sandwiching
+            await expect(book.connect(maker).placeLongTermOrder(true, parse("1000"), BLOCKS, 0, 0))
+                .to.be.revertedWith("DEXOrderBook: zero limit price");
+
+            await book.connect(maker).placeLongTermOrder(true, parse("1000"), BLOCKS, FLOOR, 0);
+            await book.connect(maker).placeLimitOrder(true, parse("100"), parse("2"), 0);
+            await expect(book.connect(keeper).fillLimitOrder(0))
+                .to.be.revertedWith("DEXOrderBook: not a limit order");
+            await expect(book.connect(keeper).executeLongTermOrder(1))
+                .to.be.revertedWith("DEXOrderBook: not a long-term order");
+        });
+
+        it("should sell in equal parts per block and pay the tip pro rata", async function() {
+            await book.connect(maker).placeLongTermOrder(true, parse("1000"), BLOCKS, FLOOR, parse("10"));
+            await mine(3);
+
+            const order = await book.getOrder(0);
+            const tx = await book.connect(keeper).executeLongTermOrder(0);
+            const receipt = await tx.wait();
+
+            // Four blocks out of ten have passed by the execution's block
+            const sold = vested(order, receipt);
+            expect(sold).to.equal(parse("400"));
+            await expect(tx).to.emit(book, "OrderFilled");
+            expect(await tokenA.balanceOf(keeper.address)).to.equal(parse("4"));
+
+            const updated = await book.getOrder(0);
+            expect(updated.amountSold).to.equal(sold);
+            expect(updated.tipPaid).to.equal(parse("4"));
+            expect(updated.status).to.equal(OPEN);
+            expect(await tokenB.balanceOf(maker.address)).to.equal(parse("20000") + updated.amountOut);
+        });
+
+        it("should complete the order after its last block", async function() {
+            await book.connect(maker).placeLongTermOrder(false, parse("2000"), BLOCKS, CEILING, parse("10"));
+            await mine(2);
+            await book.connect(keeper).executeLongTermOrder(0);
+            await mine(BLOCKS);
+
+            await book.connect(keeper).executeLongTermOrder(0);
+            const order = await book.getOrder(0);
+            expect(order.status).to.equal(FILLED);
+            expect(order.amountSold).to.equal(parse("2000"));
+            expect(order.tipPaid).to.equal(parse("10"));
+            expect(await tokenB.balanceOf(keeper.address)).to.equal(parse("10"));
+            expect(await tokenB.balanceOf(book.target)).to.equal(0);
+
+            await expect(book.connect(keeper).executeLongTermOrder(0))
+                .to.be.revertedWith("DEXOrderBook: order not open");
+        });
+
+        it("should have nothing due twice in the same block", async function() {
+            await book.connect(maker).placeLongTermOrder(true, parse("1000"), BLOCKS, FLOOR, 0);
+            await mine(2);
+            await book.connect(keeper).executeLongTermOrder(0);
+
+            expect(await book.amountDue(0)).to.equal(0);
+        });
+
+        it("should sell at most MAX_BACKLOG_BLOCKS blocks' worth per execution", async function() {
+            await book.connect(maker).placeLongTermOrder(true, parse("3000"), 30, FLOOR, 0);
+            await mine(40);
+
+            // The whole order is due, but one execution only sells ten of its thirty blocks
+            await book.connect(keeper).executeLongTermOrder(0);
+            expect((await book.getOrder(0)).amountSold).to.equal(parse("1000"));
+            expect(await book.amountDue(0)).to.equal(0);
+            await mine(1);
+            expect(await book.amountDue(0)).to.equal(parse("1000"));
+
+            await book.connect(keeper).executeLongTermOrder(0);
+            await book.connect(keeper).executeLongTermOrder(0);
+            expect((await book.getOrder(0)).status).to.equal(FILLED);
+        });
+
+        it("should refund the unsold part and the unpaid tip on cancellation", async function() {
+            await book.connect(maker).placeLongTermOrder(true, parse("1000"), BLOCKS, FLOOR, parse("10"));
+            await mine(1);
+            await book.connect(keeper).executeLongTermOrder(0);
+
+            // Two blocks sold: 200 A and 2 A of tip
+            await expect(book.connect(maker).cancelOrder(0))
+                .to.emit(book, "OrderCancelled")
+                .withArgs(0, maker.address, parse("800"), parse("8"));
+            expect(await tokenA.balanceOf(book.target)).to.equal(0);
+        });
+
+        it("should skip parts while the price is worse than the limit", async function() {
+            await book.connect(maker).placeLongTermOrder(true, parse("1000"), BLOCKS, parse("2.1"), 0);
+            await mine(2);
+
+            await expect(book.connect(keeper).executeLongTermOrder(0))
+                .to.be.revertedWith("DEX: output below minimum");
+
+            // Once A is worth more, the parts that piled up sell together
+            await dex.connect(trader).swapBForA(parse("3000"));
+            const order = await book.getOrder(0);
+            const receipt = await (await book.connect(keeper).executeLongTermOrder(0)).wait();
+            expect((await book.getOrder(0)).amountSold).to.equal(vested(order, receipt));
+            expect(order.amountSold).to.equal(0);
+        });
+
+        it("should pay less price impact than a single swap when arbitrage restores the price", async function() {
+            const amountIn = parse("2000");
+            const [reserveA, reserveB] = await dex.getReserves();
+            const singleSwapOut = await dex.getAmountOut(amountIn, reserveA, reserveB);
+
+            await book.connect(maker).placeLongTermOrder(true, amountIn, BLOCKS, FLOOR, 0);
+            while ((await book.getOrder(0)).status === OPEN) {
+                await book.connect(keeper).executeLongTermOrder(0);
+
+                // An arbitrageur buys the cheap A back until the pool is at 1 A = 2 B again
+                const [a, b] = await dex.getReserves();
+                const target = (a + b / 2n) / 2n;
+                if (a > target) {
+                    const amountBIn = await dex.getAmountIn(a - target, b, a);
+                    await dex.connect(trader).swapBForA(amountBIn);
+                }
+            }
+
+            const order = await book.getOrder(0);
+            expect(order.amountSold).to.equal(amountIn);
+            expect(order.amountOut).to.be.gt((singleSwapOut * 110n) / 100n);
+        });
+    });
+});
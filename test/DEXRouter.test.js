@@ -0,0 +1,492 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { parse, createPool } = require("./helpers");
+
+const SWAP_FEE = 30;
+
+describe("DEXRouter", function() {
+    let factory, router, weth, tokenX, tokenY, tokenZ, poolXY, poolYZ;
+    let owner, trader;
+    let deadline;
+
+    // Pool through the factory with a first deposit from the owner
+    async function createSeededPool(token0, token1, amount0, amount1) {
+        return createPool(token0, token1, {
+            factory, swapFee: SWAP_FEE, approvers: [owner], liquidity: [amount0, amount1]
+        });
+    }
+
+    // Chain DEX.getAmountOut across pools the way the router should
+    async function quoteThroughPools(amountIn, path) {
+        let amount = amountIn;
+        for (let i = 0; i < path.length - 1; i++) {
+            const pool = await ethers.getContractAt("DEX", await factory.getPair(path[i], path[i + 1]));
+            const [reserveA, reserveB] = await pool.getReserves();
+            const aToB = (await pool.tokenA()) === path[i];
+            amount = aToB
+                ? await pool.getAmountOut(amount, reserveA, reserveB)
+                : await pool.getAmountOut(amount, reserveB, reserveA);
+        }
+        return amount;
+    }
+
+    // Signs an EIP-2612 permit for a pool's LP token
+    async function signPermit(pool, signer, spender, value, deadline) {
+        const domain = {
+            name: await pool.name(),
+            version: "1",
+            chainId: (await ethers.provider.getNetwork()).chainId,
+            verifyingContract: pool.target
+        };
+        const types = {
+            Permit: [
+                { name: "owner", type: "address" },
+                { name: "spender", type: "address" },
+                { name: "value", type: "uint256" },
+                { name: "nonce", type: "uint256" },
+                { name: "deadline", type: "uint256" }
+            ]
+        };
+        const message = { owner: signer.address, spender, value, nonce: await pool.nonces(signer.address), deadline };
+        return ethers.Signature.from(await signer.signTypedData(domain, types, message));
+    }
+
+    beforeEach(async function() {
+        [owner, trader] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        tokenX = await MockERC20.deploy("Token X", "TKX");
+        tokenY = await MockERC20.deploy("Token Y", "TKY");
+        tokenZ = await MockERC20.deploy("Token Z", "TKZ");
+
+        const DEXFactory = await ethers.getContractFactory("DEXFactory");
+        factory = await DEXFactory.deploy(owner.address);
+
+        const WETH9 = await ethers.getContractFactory("WETH9");
+        weth = await WETH9.deploy();
+
+        const DEXRouter = await ethers.getContractFactory("DEXRouter");
+        router = await DEXRouter.deploy(factory.target, weth.target);
+
+        poolXY = await createSeededPool(tokenX, tokenY, parse("1000"), parse("2000"));
+        poolYZ = await createSeededPool(tokenY, tokenZ, parse("2000"), parse("500"));
+
+        // The trader approves the router once and never touches the pools directly
+        await tokenX.mint(trader.address, parse("1000"));
+        await tokenZ.mint(trader.address, parse("1000"));
+        await tokenX.connect(trader).approve(router.target, ethers.MaxUint256);
+        await tokenZ.connect(trader).approve(router.target, ethers.MaxUint256);
+
+        deadline = (await time.latest()) + 3600;
+    });
+
+    describe("Quotes", function() {
+        it("should quote multi-hop output with the pool formula", async function() {
+            const path = [tokenX.target, tokenY.target, tokenZ.target];
+            const amountIn = parse("10");
+
+            const amounts = await router.getAmountsOut(amountIn, path);
+
+            expect(amounts.length).to.equal(3);
+            expect(amounts[0]).to.equal(amountIn);
+            expect(amounts[2]).to.equal(await quoteThroughPools(amountIn, path));
+        });
+
+        it("should quote inputs that cover the requested output", async function() {
+            const path = [tokenX.target, tokenY.target, tokenZ.target];
+            const amountOut = parse("5");
+
+            const amounts = await router.getAmountsIn(amountOut, path);
+
+            expect(amounts[2]).to.equal(amountOut);
+            expect(await quoteThroughPools(amounts[0], path)).to.be.gte(amountOut);
+            expect(await quoteThroughPools(amounts[0] - 1n, path)).to.be.lt(amountOut);
+        });
+
+        it("should reject invalid paths and unknown pairs", async function() {
+            await expect(router.getAmountsOut(1000, [tokenX.target]))
+                .to.be.revertedWith("DEXRouter: invalid path");
+            await expect(router.getAmountsOut(1000, [tokenX.target, tokenZ.target]))
+                .to.be.revertedWith("DEXRouter: pair not found");
+        });
+    });
+
+    describe("Exact Input", function() {
+        it("should swap across two pools in one transaction", async function() {
+            const path = [tokenX.target, tokenY.target, tokenZ.target];
+            const amountIn = parse("10");
+            const expectedOut = await quoteThroughPools(amountIn, path);
+
+            await expect(router.connect(trader).swapExactTokensForTokens(amountIn, expectedOut, path, trader.address, deadline))
+                .to.emit(poolXY, "Swap")
+                .and.to.emit(poolYZ, "Swap");
+
+            expect(await tokenZ.balanceOf(trader.address)).to.equal(parse("1000") + expectedOut);
+            expect(await tokenX.balanceOf(trader.address)).to.equal(parse("990"));
+        });
+
+        it("should send output to a different recipient", async function() {
+            const path = [tokenX.target, tokenY.target];
+            const amountIn = parse("10");
+            const [, expectedOut] = await router.getAmountsOut(amountIn, path);
+
+            await router.connect(trader).swapExactTokensForTokens(amountIn, 0, path, owner.address, deadline);
+
+            expect(await tokenY.balanceOf(router.target)).to.equal(0);
+            expect(await tokenY.balanceOf(trader.address)).to.equal(0);
+            expect(await tokenY.balanceOf(owner.address)).to.be.gte(expectedOut);
+        });
+
+        it("should route in the reverse direction", async function() {
+            const path = [tokenZ.target, tokenY.target, tokenX.target];
+            const amountIn = parse("5");
+            const expectedOut = await quoteThroughPools(amountIn, path);
+
+            await router.connect(trader).swapExactTokensForTokens(amountIn, expectedOut, path, trader.address, deadline);
+
+            expect(await tokenX.balanceOf(trader.address)).to.equal(parse("1000") + expectedOut);
+        });
+
+        it("should revert when output is below the minimum", async function() {
+            const path = [tokenX.target, tokenY.target, tokenZ.target];
+            const amountIn = parse("10");
+            const expectedOut = await quoteThroughPools(amountIn, path);
+
+            await expect(router.connect(trader).swapExactTokensForTokens(amountIn, expectedOut + 1n, path, trader.address, deadline))
+                .to.be.revertedWith("DEXRouter: insufficient output amount");
+        });
+
+        it("should revert after the deadline", async function() {
+            const path = [tokenX.target, tokenY.target];
+            const expired = (await time.latest()) - 1;
+
+            await expect(router.connect(trader).swapExactTokensForTokens(1000, 0, path, trader.address, expired))
+                .to.be.revertedWith("DEXRouter: expired");
+        });
+    });
+
+    describe("Exact Output", function() {
+        it("should deliver at least the requested output for the quoted input", async function() {
+            const path = [tokenX.target, tokenY.target, tokenZ.target];
+            const amountOut = parse("5");
+            const [amountIn] = await router.getAmountsIn(amountOut, path);
+
+            const zBefore = await tokenZ.balanceOf(trader.address);
+            await router.connect(trader).swapTokensForExactTokens(amountOut, amountIn, path, trader.address, deadline);
+
+            expect((await tokenZ.balanceOf(trader.address)) - zBefore).to.be.gte(amountOut);
+            expect(await tokenX.balanceOf(trader.address)).to.equal(parse("1000") - amountIn);
+            expect(await tokenY.balanceOf(router.target)).to.equal(0);
+        });
+
+        it("should revert when the required input exceeds the maximum", async function() {
+            const path = [tokenX.target, tokenY.target, tokenZ.target];
+            const amountOut = parse("5");
+            const [amountIn] = await router.getAmountsIn(amountOut, path);
+
+            await expect(router.connect(trader).swapTokensForExactTokens(amountOut, amountIn - 1n, path, trader.address, deadline))
+                .to.be.revertedWith("DEXRouter: excessive input amount");
+        });
+
+        it("should revert when the output exceeds the pool reserves", async function() {
+            const path = [tokenX.target, tokenY.target];
+
+            await expect(router.getAmountsIn(parse("2000"), path))
+                .to.be.revertedWith("DEX: insufficient liquidity");
+        });
+
+        it("should revert after the deadline", async function() {
+            const path = [tokenX.target, tokenY.target];
+            const expired = (await time.latest()) - 1;
+
+            await expect(router.connect(trader).swapTokensForExactTokens(1000, 0, path, trader.address, expired))
+                .to.be.revertedWith("DEXRouter: expired");
+        });
+    });
+
+    describe("Liquidity Removal", function() {
+        let liquidity;
+
+        beforeEach(async function() {
+            liquidity = (await poolXY.balanceOf(owner.address)) / 10n;
+            await poolXY.transfer(trader.address, liquidity);
+        });
+
+        it("should remove liquidity and return amounts in the caller's token order", async function() {
+            await poolXY.connect(trader).approve(router.target, liquidity);
+
+            const [amountY, amountX] = await router.connect(trader).removeLiquidity.staticCall(
+                tokenY.target, tokenX.target, liquidity, 0, 0, trader.address, deadline
+            );
+            // The pool holds twice as much Y as X
+            expect(amountY).to.be.closeTo(amountX * 2n, 10);
+
+            const tx = router.connect(trader).removeLiquidity(
+                tokenY.target, tokenX.target, liquidity, 0, 0, trader.address, deadline
+            );
+            await expect(tx).to.changeTokenBalances(tokenY, [trader, router], [amountY, 0]);
+            await expect(tx).to.changeTokenBalances(tokenX, [trader, router], [amountX, 0]);
+            expect(await poolXY.balanceOf(trader.address)).to.equal(0);
+        });
+
+        it("should enforce the minimums of the caller's token order", async function() {
+            await poolXY.connect(trader).approve(router.target, liquidity);
+            const [amountX, amountY] = await router.connect(trader).removeLiquidity.staticCall(
+                tokenX.target, tokenY.target, liquidity, 0, 0, trader.address, deadline
+            );
+            const xSide = (await poolXY.tokenA()) === tokenX.target ? "A" : "B";
+            const ySide = xSide === "A" ? "B" : "A";
+
+            await expect(router.connect(trader).removeLiquidity(
+                tokenX.target, tokenY.target, liquidity, amountX + 1n, 0, trader.address, deadline
+            )).to.be.revertedWith(`DEX: insufficient ${xSide} amount`);
+            await expect(router.connect(trader).removeLiquidity(
+                tokenX.target, tokenY.target, liquidity, 0, amountY + 1n, trader.address, deadline
+            )).to.be.revertedWith(`DEX: insufficient ${ySide} amount`);
+        });
+
+        it("should remove liquidity with a permit instead of an approval", async function() {
+            const { v, r, s } = await signPermit(poolXY, trader, router.target, liquidity, deadline);
+
+            const [amountX, amountY] = await router.connect(trader).removeLiquidityWithPermit.staticCall(
+                tokenX.target, tokenY.target, liquidity, 0, 0, trader.address, deadline, false, v, r, s
+            );
+            const tx = router.connect(trader).removeLiquidityWithPermit(
+                tokenX.target, tokenY.target, liquidity, 0, 0, trader.address, deadline, false, v, r, s
+            );
+            await expect(tx).to.changeTokenBalance(poolXY, trader, -liquidity);
+            await expect(tx).to.changeTokenBalance(tokenX, trader, amountX);
+            await expect(tx).to.changeTokenBalance(tokenY, trader, amountY);
+            expect(await poolXY.allowance(trader.address, router.target)).to.equal(0);
+
+            // A used signature can't be replayed
+            await poolXY.transfer(trader.address, liquidity);
+            await expect(router.connect(trader).removeLiquidityWithPermit(
+                tokenX.target, tokenY.target, liquidity, 0, 0, trader.address, deadline, false, v, r, s
+            )).to.be.revertedWith("ERC20Permit: invalid signature");
+        });
+
+        it("should accept a permit for the maximum amount with approveMax", async function() {
+            const max = await signPermit(poolXY, trader, router.target, ethers.MaxUint256, deadline);
+            await expect(router.connect(trader).removeLiquidityWithPermit(
+                tokenX.target, tokenY.target, liquidity, 0, 0, trader.address, deadline, false, max.v, max.r, max.s
+            )).to.be.revertedWith("ERC20Permit: invalid signature");
+
+            await router.connect(trader).removeLiquidityWithPermit(
+                tokenX.target, tokenY.target, liquidity, 0, 0, trader.address, deadline, true, max.v, max.r, max.s
+            );
+            expect(await poolXY.balanceOf(trader.address)).to.equal(0);
+        });
+
+        it("should revert after the deadline", async function() {
+            const { v, r, s } = await signPermit(poolXY, trader, router.target, liquidity, deadline);
+            await time.increaseTo(deadline + 1);
+
+            await expect(router.connect(trader).removeLiquidityWithPermit(
+                tokenX.target, tokenY.target, liquidity, 0, 0, trader.address, deadline, false, v, r, s
+            )).to.be.revertedWith("DEXRouter: expired");
+        });
+    });
+
+    describe("Fee-On-Transfer Tokens", function() {
+        let taxed;
+
+        beforeEach(async function() {
+            const MockFeeOnTransferERC20 = await ethers.getContractFactory("MockFeeOnTransferERC20");
+            taxed = await MockFeeOnTransferERC20.deploy("Taxed Token", "TAX", 100); // 1% per transfer
+
+            await createSeededPool(taxed, tokenY, parse("1000"), parse("1000"));
+            await taxed.transfer(trader.address, parse("1000"));
+            await taxed.connect(trader).approve(router.target, ethers.MaxUint256);
+        });
+
+        it("should fail the regular exact input swap when the input is taxed", async function() {
+            const path = [taxed.target, tokenY.target];
+
+            await expect(router.connect(trader).swapExactTokensForTokens(parse("10"), 0, path, trader.address, deadline))
+                .to.be.reverted;
+        });
+
+        it("should swap a taxed input token across two pools", async function() {
+            const path = [taxed.target, tokenY.target, tokenZ.target];
+            const amountIn = parse("10");
+
+            // Only 99% of the input reaches the router and 99% of that the first pool
+            const expectedOut = await quoteThroughPools((((amountIn * 99n) / 100n) * 99n) / 100n, path);
+
+            const zBefore = await tokenZ.balanceOf(trader.address);
+            await router.connect(trader).swapExactTokensForTokensSupportingFeeOnTransferTokens(
+                amountIn, expectedOut, path, trader.address, deadline
+            );
+
+            expect((await tokenZ.balanceOf(trader.address)) - zBefore).to.equal(expectedOut);
+            expect(await taxed.balanceOf(router.target)).to.equal(0);
+            expect(await tokenY.balanceOf(router.target)).to.equal(0);
+        });
+
+        it("should check the minimum against what the recipient receives of a taxed output token", async function() {
+            const path = [tokenY.target, taxed.target];
+            await tokenY.transfer(trader.address, parse("100"));
+            await tokenY.connect(trader).approve(router.target, ethers.MaxUint256);
+
+            const amountIn = parse("10");
+            const poolOut = await quoteThroughPools(amountIn, path);
+            const received = poolOut - poolOut / 100n - (poolOut - poolOut / 100n) / 100n;
+
+            await expect(router.connect(trader).swapExactTokensForTokensSupportingFeeOnTransferTokens(
+                amountIn, received + 1n, path, trader.address, deadline
+            )).to.be.revertedWith("DEXRouter: insufficient output amount");
+
+            const before = await taxed.balanceOf(trader.address);
+            await router.connect(trader).swapExactTokensForTokensSupportingFeeOnTransferTokens(
+                amountIn, received, path, trader.address, deadline
+            );
+            expect((await taxed.balanceOf(trader.address)) - before).to.equal(received);
+        });
+
+        it("should revert after the deadline", async function() {
+            const path = [taxed.target, tokenY.target];
+            const expired = (await time.latest()) - 1;
+
+            await expect(router.connect(trader).swapExactTokensForTokensSupportingFeeOnTransferTokens(1000, 0, path, trader.address, expired))
+                .to.be.revertedWith("DEXRouter: expired");
+        });
+    });
+
+    describe("Native ETH", function() {
+        let poolXW;
+
+        beforeEach(async function() {
+            await weth.deposit({ value: parse("100") });
+            poolXW = await createSeededPool(tokenX, weth, parse("1000"), parse("100"));
+        });
+
+        it("should add liquidity with ETH and refund the unused ETH", async function() {
+            const tx = router.connect(trader).addLiquidityETH(
+                tokenX.target, parse("100"), 0, 0, trader.address, deadline,
+                { value: parse("20") }
+            );
+
+            await expect(tx).to.changeEtherBalances([trader, router], [parse("-10"), 0]);
+            await expect(tx).to.changeTokenBalance(tokenX, trader, parse("-100"));
+            expect(await poolXW.balanceOf(trader.address)).to.be.gt(0);
+            expect(await weth.balanceOf(router.target)).to.equal(0);
+        });
+
+        it("should refund unused tokens when ETH is the limiting side", async function() {
+            const tx = router.connect(trader).addLiquidityETH(
+                tokenX.target, parse("300"), 0, 0, trader.address, deadline,
+                { value: parse("10") }
+            );
+
+            await expect(tx).to.changeTokenBalance(tokenX, trader, parse("-100"));
+            expect(await tokenX.balanceOf(router.target)).to.equal(0);
+        });
+
+        it("should enforce the ETH minimum when adding liquidity", async function() {
+            // The pool names its sides by sorted address
+            const wethSide = (await poolXW.tokenA()) === weth.target ? "A" : "B";
+
+            await expect(router.connect(trader).addLiquidityETH(
+                tokenX.target, parse("100"), 0, parse("11"), trader.address, deadline,
+                { value: parse("20") }
+            )).to.be.revertedWith(`DEX: insufficient ${wethSide} amount`);
+        });
+
+        it("should remove liquidity to ETH", async function() {
+            await router.connect(trader).addLiquidityETH(
+                tokenX.target, parse("100"), 0, 0, trader.address, deadline,
+                { value: parse("10") }
+            );
+            const liquidity = await poolXW.balanceOf(trader.address);
+            await poolXW.connect(trader).approve(router.target, liquidity);
+
+            const [amountToken, amountETH] = await router.connect(trader).removeLiquidityETH.staticCall(
+                tokenX.target, liquidity, 0, 0, trader.address, deadline
+            );
+            expect(amountETH).to.be.closeTo(parse("10"), 1000);
+
+            const tx = router.connect(trader).removeLiquidityETH(tokenX.target, liquidity, 0, 0, trader.address, deadline);
+            await expect(tx).to.changeEtherBalance(trader, amountETH);
+            await expect(tx).to.changeTokenBalance(tokenX, trader, amountToken);
+        });
+
+        it("should remove liquidity to ETH with a permit instead of an approval", async function() {
+            await router.connect(trader).addLiquidityETH(
+                tokenX.target, parse("100"), 0, 0, trader.address, deadline,
+                { value: parse("10") }
+            );
+            const liquidity = await poolXW.balanceOf(trader.address);
+            const { v, r, s } = await signPermit(poolXW, trader, router.target, liquidity, deadline);
+
+            const tx = router.connect(trader).removeLiquidityETHWithPermit(
+                tokenX.target, liquidity, 0, 0, trader.address, deadline, false, v, r, s
+            );
+            await expect(tx).to.changeTokenBalance(poolXW, trader, -liquidity);
+            expect(await ethers.provider.getBalance(router.target)).to.equal(0);
+            expect(await poolXW.allowance(trader.address, router.target)).to.equal(0);
+
+            // A signature for the maximum amount only works with approveMax
+            await router.connect(trader).addLiquidityETH(
+                tokenX.target, parse("100"), 0, 0, trader.address, deadline,
+                { value: parse("10") }
+            );
+            const again = await poolXW.balanceOf(trader.address);
+            const max = await signPermit(poolXW, trader, router.target, ethers.MaxUint256, deadline);
+            await expect(router.connect(trader).removeLiquidityETHWithPermit(
+                tokenX.target, again, 0, 0, trader.address, deadline, false, max.v, max.r, max.s
+            )).to.be.revertedWith("ERC20Permit: invalid signature");
+            await router.connect(trader).removeLiquidityETHWithPermit(
+                tokenX.target, again, 0, 0, trader.address, deadline, true, max.v, max.r, max.s
+            );
+            expect(await poolXW.balanceOf(trader.address)).to.equal(0);
+        });
+
+        it("should swap exact ETH for tokens along a path", async function() {
+            const path = [weth.target, tokenX.target, tokenY.target];
+            const amountIn = parse("1");
+            const expectedOut = await quoteThroughPools(amountIn, path);
+
+            const tx = router.connect(trader).swapExactETHForTokens(expectedOut, path, trader.address, deadline, { value: amountIn });
+            await expect(tx).to.changeEtherBalance(trader, -amountIn);
+            await expect(tx).to.changeTokenBalance(tokenY, trader, expectedOut);
+
+            await expect(router.connect(trader).swapExactETHForTokens(0, [tokenX.target, tokenY.target], trader.address, deadline, { value: amountIn }))
+                .to.be.revertedWith("DEXRouter: invalid path");
+        });
+
+        it("should swap ETH for exact tokens and refund the excess", async function() {
+            const path = [weth.target, tokenX.target];
+            const amountOut = parse("50");
+            const [amountIn] = await router.getAmountsIn(amountOut, path);
+
+            const xBefore = await tokenX.balanceOf(trader.address);
+            await expect(router.connect(trader).swapETHForExactTokens(amountOut, path, trader.address, deadline, {
+                value: amountIn + parse("1")
+            })).to.changeEtherBalances([trader, router], [-amountIn, 0]);
+            expect((await tokenX.balanceOf(trader.address)) - xBefore).to.be.gte(amountOut);
+
+            await expect(router.connect(trader).swapETHForExactTokens(amountOut, path, trader.address, deadline, { value: amountIn - 1n }))
+                .to.be.revertedWith("DEXRouter: excessive input amount");
+        });
+
+        it("should swap exact tokens for ETH", async function() {
+            const path = [tokenX.target, weth.target];
+            const amountIn = parse("10");
+            const expectedOut = await quoteThroughPools(amountIn, path);
+
+            await expect(router.connect(trader).swapExactTokensForETH(amountIn, expectedOut + 1n, path, owner.address, deadline))
+                .to.be.revertedWith("DEXRouter: insufficient output amount");
+
+            await expect(router.connect(trader).swapExactTokensForETH(amountIn, expectedOut, path, owner.address, deadline))
+                .to.changeEtherBalance(owner, expectedOut);
+            expect(await weth.balanceOf(router.target)).to.equal(0);
+        });
+
+        it("should only accept ETH from WETH", async function() {
+            await expect(owner.sendTransaction({ to: router.target, value: 1 }))
+                .to.be.revertedWith("DEXRouter: only WETH");
+        });
+    });
+});
@@ -0,0 +1,469 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { parse } = require("./helpers");
+
+const SWAP_FEE = 4;
+const AMP = 100;
+const DAY = 24 * 60 * 60;
+
+describe("DEXStableSwap", function() {
+    let pool, tokenA, tokenB;
+    let owner, addr1;
+    let deadline;
+
+    // Price impact in basis points of selling `amountIn` at `spotPrice`
+    function priceImpactBps(amountIn, amountOut, spotPrice) {
+        const expected = (amountIn * spotPrice) / parse("1");
+        return Number(((expected - amountOut) * 10000n) / expected);
+    }
+
+    beforeEach(async function() {
+        [owner, addr1] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        tokenA = await MockERC20.deploy("Token A", "TKA");
+        tokenB = await MockERC20.deploy("Token B", "TKB");
+
+        const DEXStableSwap = await ethers.getContractFactory("DEXStableSwap");
+        pool = await DEXStableSwap.deploy(tokenA.target, tokenB.target, SWAP_FEE, AMP);
+
+        await tokenA.approve(pool.target, ethers.MaxUint256);
+        await tokenB.approve(pool.target, ethers.MaxUint256);
+        deadline = (await time.latest()) + 3600;
+    });
+
+    describe("Deployment", function() {
+        it("should store tokens, fee, A and precisions", async function() {
+            expect(await pool.tokenA()).to.equal(tokenA.target);
+            expect(await pool.tokenB()).to.equal(tokenB.target);
+            expect(await pool.swapFee()).to.equal(SWAP_FEE);
+            expect(await pool.getA()).to.equal(AMP);
+            expect(await pool.getAPrecise()).to.equal(AMP * 100);
+            expect(await pool.precisionA()).to.equal(1);
+            expect(await pool.precisionB()).to.equal(1);
+        });
+
+        it("should name the LP token after the pair", async function() {
+            expect(await pool.name()).to.equal("DEX Stable LP TKA-TKB");
+            expect(await pool.symbol()).to.equal("TKA-TKB-SLP");
+        });
+
+        it("should reject invalid parameters", async function() {
+            const DEXStableSwap = await ethers.getContractFactory("DEXStableSwap");
+            await expect(DEXStableSwap.deploy(tokenA.target, tokenA.target, SWAP_FEE, AMP))
+                .to.be.revertedWith("DEXStableSwap: identical tokens");
+            await expect(DEXStableSwap.deploy(tokenA.target, tokenB.target, 0, AMP))
+                .to.be.revertedWith("DEXStableSwap: swap fee out of range");
+            await expect(DEXStableSwap.deploy(tokenA.target, tokenB.target, SWAP_FEE, 0))
+                .to.be.revertedWith("DEXStableSwap: A out of range");
+            await expect(DEXStableSwap.deploy(tokenA.target, tokenB.target, SWAP_FEE, 1000001))
+                .to.be.revertedWith("DEXStableSwap: A out of range");
+        });
+
+        it("should reject tokens with more than 18 decimals", async function() {
+            const MockDecimalsERC20 = await ethers.getContractFactory("MockDecimalsERC20");
+            const token = await MockDecimalsERC20.deploy("Token C", "TKC", 24);
+
+            const DEXStableSwap = await ethers.getContractFactory("DEXStableSwap");
+            await expect(DEXStableSwap.deploy(tokenA.target, token.target, SWAP_FEE, AMP))
+                .to.be.revertedWith("DEXStableSwap: too many decimals");
+        });
+    });
+
+    describe("Liquidity Management", function() {
+        it("should mint the invariant minus MINIMUM_LIQUIDITY on the first deposit", async function() {
+            const minimumLiquidity = await pool.MINIMUM_LIQUIDITY();
+
+            // A balanced deposit has D = x + y
+            await expect(pool.addLiquidity(parse("1000"), parse("1000"), 0, 0))
+                .to.emit(pool, "LiquidityAdded")
+                .withArgs(owner.address, parse("1000"), parse("1000"), parse("2000") - minimumLiquidity);
+
+            expect(await pool.balanceOf("0x000000000000000000000000000000000000dEaD")).to.equal(minimumLiquidity);
+            expect(await pool.totalSupply()).to.equal(parse("2000"));
+            expect(await pool.getReserves()).to.deep.equal([parse("1000"), parse("1000")]);
+        });
+
+        it("should only pull the ratio-matched amounts on later deposits", async function() {
+            await pool.addLiquidity(parse("1000"), parse("1000"), 0, 0);
+
+            await expect(pool.addLiquidity(parse("100"), parse("500"), 0, 0))
+                .to.emit(pool, "LiquidityAdded")
+                .withArgs(owner.address, parse("100"), parse("100"), parse("200"));
+
+            await expect(pool.addLiquidity(parse("100"), parse("500"), 0, parse("200")))
+                .to.be.revertedWith("DEXStableSwap: insufficient B amount");
+        });
+
+        it("should check deposit minimums against the amount actually received", async function() {
+            const MockFeeOnTransferERC20 = await ethers.getContractFactory("MockFeeOnTransferERC20");
+            const taxed = await MockFeeOnTransferERC20.deploy("Taxed Token", "TAX", 100); // 1% per transfer
+            const DEXStableSwap = await ethers.getContractFactory("DEXStableSwap");
+            const taxedPool = await DEXStableSwap.deploy(taxed.target, tokenB.target, SWAP_FEE, AMP);
+            await taxed.approve(taxedPool.target, ethers.MaxUint256);
+            await tokenB.approve(taxedPool.target, ethers.MaxUint256);
+
+            // The first deposit has no ratio to match, but 1% of it is still lost in transfer
+            await expect(taxedPool.addLiquidity(parse("100"), parse("100"), parse("100"), 0))
+                .to.be.revertedWith("DEXStableSwap: insufficient A amount");
+            await taxedPool.addLiquidity(parse("100"), parse("100"), parse("99"), 0);
+            expect(await taxedPool.getReserves()).to.deep.equal([parse("99"), parse("100")]);
+
+            // The ratio-matched amount meets the minimum, but what arrives does not
+            await expect(taxedPool.addLiquidity(parse("9.9"), parse("100"), parse("9.9"), 0))
+                .to.be.revertedWith("DEXStableSwap: insufficient A amount");
+            await expect(taxedPool.addLiquidity(parse("9.9"), parse("100"), parse("9.801"), 0))
+                .to.emit(taxedPool, "LiquidityAdded");
+        });
+
+        it("should return a proportional share on removal", async function() {
+            await pool.addLiquidity(parse("1000"), parse("1000"), 0, 0);
+            await pool.swapAForB(parse("200"));
+
+            const [reserveA, reserveB] = await pool.getReserves();
+            const supply = await pool.totalSupply();
+            const shares = (await pool.balanceOf(owner.address)) / 2n;
+
+            await expect(pool.removeLiquidity(shares))
+                .to.emit(pool, "LiquidityRemoved")
+                .withArgs(owner.address, (shares * reserveA) / supply, (shares * reserveB) / supply, shares);
+        });
+
+        it("should enforce limits when removing liquidity", async function() {
+            await pool.addLiquidity(parse("1000"), parse("1000"), 0, 0);
+            const shares = await pool.balanceOf(owner.address);
+
+            await expect(pool.removeLiquidityWithLimits(shares, parse("1000"), 0, deadline))
+                .to.be.revertedWith("DEXStableSwap: insufficient A amount");
+            await expect(pool.removeLiquidityWithLimits(shares, 0, 0, (await time.latest()) - 1))
+                .to.be.revertedWith("DEXStableSwap: expired");
+            await expect(pool.connect(addr1).removeLiquidity(1))
+                .to.be.revertedWith("DEXStableSwap: insufficient liquidity balance");
+        });
+    });
+
+    describe("Swaps", function() {
+        beforeEach(async function() {
+            await pool.addLiquidity(parse("100000"), parse("100000"), 0, 0);
+        });
+
+        it("should swap balanced pegged tokens close to 1:1", async function() {
+            const amountIn = parse("1000");
+            const [reserveA, reserveB] = await pool.getReserves();
+            const quote = await pool.getAmountOut(tokenA.target, amountIn, reserveA, reserveB);
+
+            // Only the 0.04% fee and a sliver of slippage
+            expect(quote).to.be.gt(parse("999.5"));
+            expect(quote).to.be.lt(parse("999.6"));
+
+            await expect(pool.swapExactAForB(amountIn, quote, deadline))
+                .to.emit(pool, "Swap")
+                .withArgs(owner.address, tokenA.target, tokenB.target, amountIn, quote);
+            expect(await pool.getReserves()).to.deep.equal([reserveA + amountIn, reserveB - quote]);
+        });
+
+        it("should enforce the minimum output and deadline", async function() {
+            const [reserveA, reserveB] = await pool.getReserves();
+            const quote = await pool.getAmountOut(tokenB.target, parse("1000"), reserveB, reserveA);
+
+            await expect(pool.swapExactBForA(parse("1000"), quote + 1n, deadline))
+                .to.be.revertedWith("DEXStableSwap: output below minimum");
+            await expect(pool.swapExactBForA(parse("1000"), quote, (await time.latest()) - 1))
+                .to.be.revertedWith("DEXStableSwap: expired");
+        });
+
+        it("should quote exact output swaps that cover the requested amount", async function() {
+            const [reserveA, reserveB] = await pool.getReserves();
+
+            for (const amount of ["0.000001", "1", "1234.5678", "50000"]) {
+                const amountOut = parse(amount);
+                const amountIn = await pool.getAmountIn(tokenA.target, amountOut, reserveA, reserveB);
+                expect(await pool.getAmountOut(tokenA.target, amountIn, reserveA, reserveB)).to.be.gte(amountOut);
+            }
+        });
+
+        it("should swap for an exact output", async function() {
+            const [reserveA, reserveB] = await pool.getReserves();
+            const amountOut = parse("500");
+            const amountIn = await pool.getAmountIn(tokenB.target, amountOut, reserveB, reserveA);
+
+            await expect(pool.swapBForExactA(amountOut, amountIn - 1n, deadline))
+                .to.be.revertedWith("DEXStableSwap: input above maximum");
+            await expect(pool.swapBForExactA(amountOut, amountIn, deadline))
+                .to.changeTokenBalances(tokenA, [owner, pool], [amountOut, -amountOut]);
+        });
+
+        it("should never decrease the invariant per LP share", async function() {
+            const supply = await pool.totalSupply();
+            const before = await pool.getReserves();
+
+            for (let i = 0; i < 5; i++) {
+                await pool.swapAForB(parse("20000"));
+                await pool.swapBForA(parse("20000"));
+            }
+
+            // The fees stay in the pool, so a full round trip leaves more value per share
+            const after = await pool.getReserves();
+            expect(await pool.totalSupply()).to.equal(supply);
+            expect(after[0] + after[1]).to.be.gt(before[0] + before[1]);
+        });
+
+        it("should price tokens back towards the peg when the pool is unbalanced", async function() {
+            expect(await pool.getPrice()).to.equal(parse("1"));
+
+            await pool.swapAForB(parse("80000"));
+
+            // Token A is now plentiful, so it is worth less than one B
+            const price = await pool.getPrice();
+            expect(price).to.be.lt(parse("1"));
+            expect(price).to.be.gt(parse("0.5"));
+        });
+    });
+
+    describe("Price Impact Against DEX", function() {
+        let dex;
+
+        beforeEach(async function() {
+            const DEX = await ethers.getContractFactory("DEX");
+            dex = await DEX.deploy(tokenA.target, tokenB.target, SWAP_FEE);
+            await tokenA.approve(dex.target, ethers.MaxUint256);
+            await tokenB.approve(dex.target, ethers.MaxUint256);
+
+            await dex.addLiquidity(parse("100000"), parse("100000"), 0, 0);
+            await pool.addLiquidity(parse("100000"), parse("100000"), 0, 0);
+        });
+
+        it("should have far less price impact on equal reserves", async function() {
+            const reserves = [parse("100000"), parse("100000")];
+
+            for (const amount of ["1000", "10000", "50000"]) {
+                const amountIn = parse(amount);
+                const stableOut = await pool.getAmountOut(tokenA.target, amountIn, ...reserves);
+                const dexOut = await dex.getAmountOut(amountIn, ...reserves);
+
+                const stableImpact = priceImpactBps(amountIn, stableOut, parse("1"));
+                const dexImpact = priceImpactBps(amountIn, dexOut, parse("1"));
+                expect(stableOut).to.be.gt(dexOut);
+                expect(stableImpact * 10).to.be.lt(dexImpact);
+            }
+        });
+
+        it("should keep executed swaps within a few bps of the peg", async function() {
+            const amountIn = parse("10000");
+            const stableOut = await pool.swapAForB.staticCall(amountIn);
+            const dexOut = await dex.swapAForB.staticCall(amountIn);
+
+            // 10% of the pool moves a constant product price by ~9%, the curve barely past the fee
+            expect(priceImpactBps(amountIn, dexOut, parse("1"))).to.be.gt(900);
+            expect(priceImpactBps(amountIn, stableOut, parse("1"))).to.be.lt(SWAP_FEE + 10);
+        });
+
+        it("should fall back towards constant product pricing at low A", async function() {
+            const DEXStableSwap = await ethers.getContractFactory("DEXStableSwap");
+            const flatPool = await DEXStableSwap.deploy(tokenA.target, tokenB.target, SWAP_FEE, 1);
+            await tokenA.approve(flatPool.target, ethers.MaxUint256);
+            await tokenB.approve(flatPool.target, ethers.MaxUint256);
+            await flatPool.addLiquidity(parse("100000"), parse("100000"), 0, 0);
+
+            const amountIn = parse("10000");
+            const reserves = [parse("100000"), parse("100000")];
+            const flatOut = await flatPool.getAmountOut(tokenA.target, amountIn, ...reserves);
+            const stableOut = await pool.getAmountOut(tokenA.target, amountIn, ...reserves);
+            const dexOut = await dex.getAmountOut(amountIn, ...reserves);
+
+            expect(flatOut).to.be.lt(stableOut);
+            expect(flatOut).to.be.gt(dexOut);
+        });
+    });
+
+    describe("Different Decimals", function() {
+        let usdc;
+
+        beforeEach(async function() {
+            const MockDecimalsERC20 = await ethers.getContractFactory("MockDecimalsERC20");
+            usdc = await MockDecimalsERC20.deploy("USD Coin", "USDC", 6);
+
+            const DEXStableSwap = await ethers.getContractFactory("DEXStableSwap");
+            pool = await DEXStableSwap.deploy(usdc.target, tokenB.target, SWAP_FEE, AMP);
+            await usdc.approve(pool.target, ethers.MaxUint256);
+            await tokenB.approve(pool.target, ethers.MaxUint256);
+
+            await pool.addLiquidity(ethers.parseUnits("100000", 6), parse("100000"), 0, 0);
+        });
+
+        it("should scale both tokens to 18 decimals", async function() {
+            expect(await pool.precisionA()).to.equal(10n ** 12n);
+            expect(await pool.precisionB()).to.equal(1);
+
+            // The invariant is counted in 18 decimals, so the pool holds 200000 worth of LP
+            expect(await pool.totalSupply()).to.equal(parse("200000"));
+            // Like DEX.getPrice, in raw units: one USDC unit is worth 1e12 units of token B
+            expect(await pool.getPrice()).to.equal(parse("1") * 10n ** 12n);
+        });
+
+        it("should swap across decimals close to 1:1", async function() {
+            const amountIn = ethers.parseUnits("1000", 6);
+
+            await expect(pool.swapAForB(amountIn)).to.changeTokenBalance(usdc, owner, -amountIn);
+            const [, reserveB] = await pool.getReserves();
+            const received = parse("100000") - reserveB;
+            expect(received).to.be.gt(parse("999.5"));
+            expect(received).to.be.lt(parse("999.6"));
+
+            const amountOut = await pool.swapBForA.staticCall(parse("1000"));
+            expect(amountOut).to.be.gt(ethers.parseUnits("999.5", 6));
+            expect(amountOut).to.be.lt(ethers.parseUnits("1000.5", 6));
+        });
+
+        it("should quote each direction by its input token", async function() {
+            const [reserveA, reserveB] = await pool.getReserves();
+
+            const aForB = await pool.getAmountOut(usdc.target, ethers.parseUnits("100", 6), reserveA, reserveB);
+            const bForA = await pool.getAmountOut(tokenB.target, parse("100"), reserveB, reserveA);
+            expect(aForB).to.be.closeTo(parse("100"), parse("0.1"));
+            expect(bForA).to.be.closeTo(ethers.parseUnits("100", 6), ethers.parseUnits("0.1", 6));
+
+            // Reserves the pool does not hold, as when a route is simulated hop by hop
+            const hypothetical = await pool.getAmountOut(tokenB.target, parse("100"), parse("50000"), ethers.parseUnits("50000", 6));
+            expect(hypothetical).to.be.closeTo(ethers.parseUnits("100", 6), ethers.parseUnits("0.1", 6));
+
+            await expect(pool.getAmountOut(tokenA.target, parse("100"), reserveA, reserveB))
+                .to.be.revertedWith("DEXStableSwap: invalid token");
+            await expect(pool.getAmountIn(tokenA.target, parse("100"), reserveA, reserveB))
+                .to.be.revertedWith("DEXStableSwap: invalid token");
+        });
+
+        it("should quote both directions when the raw reserves are equal", async function() {
+            // 17 and 18 decimals with the same raw reserves, so the reserves alone do not tell the direction
+            const MockDecimalsERC20 = await ethers.getContractFactory("MockDecimalsERC20");
+            const token17 = await MockDecimalsERC20.deploy("Token 17", "T17", 17);
+            await token17.mint(owner.address, parse("1000000"));
+            const DEXStableSwap = await ethers.getContractFactory("DEXStableSwap");
+            const mixed = await DEXStableSwap.deploy(token17.target, tokenB.target, SWAP_FEE, AMP);
+            await token17.approve(mixed.target, ethers.MaxUint256);
+            await tokenB.approve(mixed.target, ethers.MaxUint256);
+            await mixed.addLiquidity(parse("100000"), parse("100000"), 0, 0);
+
+            const [reserveA, reserveB] = await mixed.getReserves();
+            expect(reserveA).to.equal(reserveB);
+
+            const aForB = await mixed.getAmountOut(token17.target, parse("100"), reserveA, reserveB);
+            const bForA = await mixed.getAmountOut(tokenB.target, parse("100"), reserveB, reserveA);
+            expect(aForB).to.equal(await mixed.swapAForB.staticCall(parse("100")));
+            expect(bForA).to.equal(await mixed.swapBForA.staticCall(parse("100")));
+            // Token B is the scarce side: 100 B buy a bit more than 100 of the other token,
+            // and 1000 of the other token (1e20 raw units) buy less than 1000 B
+            expect(bForA).to.be.gt(ethers.parseUnits("100", 17));
+            expect(bForA).to.be.lt(ethers.parseUnits("150", 17));
+            expect(aForB).to.be.lt(parse("1000"));
+
+            const amountIn = await mixed.getAmountIn(tokenB.target, parse("500"), reserveB, reserveA);
+            await expect(mixed.swapBForExactA(parse("500"), amountIn, deadline))
+                .to.changeTokenBalance(tokenB, owner, -amountIn);
+        });
+
+        it("should quote exact output swaps across decimals", async function() {
+            const [reserveA, reserveB] = await pool.getReserves();
+            const amountOut = parse("250");
+            const amountIn = await pool.getAmountIn(usdc.target, amountOut, reserveA, reserveB);
+
+            await expect(pool.swapAForExactB(amountOut, amountIn, deadline))
+                .to.changeTokenBalances(usdc, [owner, pool], [-amountIn, amountIn]);
+        });
+    });
+
+    describe("Amplification Ramp", function() {
+        beforeEach(async function() {
+            await pool.addLiquidity(parse("100000"), parse("100000"), 0, 0);
+        });
+
+        it("should move A linearly to its target and stay there", async function() {
+            const start = (await time.latest()) + 1;
+            await time.setNextBlockTimestamp(start);
+            await expect(pool.rampA(200, start + 2 * DAY))
+                .to.emit(pool, "RampA")
+                .withArgs(AMP * 100, 200 * 100, start, start + 2 * DAY);
+
+            await time.increaseTo(start + DAY);
+            expect(await pool.getA()).to.equal(150);
+
+            await time.increaseTo(start + 3 * DAY);
+            expect(await pool.getA()).to.equal(200);
+        });
+
+        it("should ramp A down as well", async function() {
+            const start = (await time.latest()) + 1;
+            await time.setNextBlockTimestamp(start);
+            await pool.rampA(20, start + 4 * DAY);
+
+            await time.increaseTo(start + DAY);
+            expect(await pool.getA()).to.equal(80);
+        });
+
+        it("should make swaps slip more as A falls", async function() {
+            const amountIn = parse("20000");
+            const [reserveA, reserveB] = await pool.getReserves();
+            const before = await pool.getAmountOut(tokenA.target, amountIn, reserveA, reserveB);
+
+            const start = await time.latest();
+            await pool.rampA(10, start + 2 * DAY);
+            await time.increase(2 * DAY);
+
+            expect(await pool.getAmountOut(tokenA.target, amountIn, reserveA, reserveB)).to.be.lt(before);
+        });
+
+        it("should freeze A when the ramp is stopped", async function() {
+            const start = (await time.latest()) + 1;
+            await time.setNextBlockTimestamp(start);
+            await pool.rampA(200, start + 2 * DAY);
+
+            await time.setNextBlockTimestamp(start + DAY);
+            await expect(pool.stopRampA())
+                .to.emit(pool, "StopRampA")
+                .withArgs(150 * 100, start + DAY);
+
+            await time.increase(2 * DAY);
+            expect(await pool.getA()).to.equal(150);
+        });
+
+        it("should bound the size, length and frequency of ramps", async function() {
+            const now = await time.latest();
+
+            await expect(pool.rampA(200, now + DAY - 10))
+                .to.be.revertedWith("DEXStableSwap: ramp too short");
+            await expect(pool.rampA(1001, now + 2 * DAY))
+                .to.be.revertedWith("DEXStableSwap: A change too large");
+            await expect(pool.rampA(9, now + 2 * DAY))
+                .to.be.revertedWith("DEXStableSwap: A change too large");
+
+            await pool.rampA(200, now + 2 * DAY);
+            await expect(pool.rampA(300, now + 4 * DAY))
+                .to.be.revertedWith("DEXStableSwap: ramp too soon");
+        });
+
+        it("should only let the admin ramp A", async function() {
+            const now = await time.latest();
+            const adminRole = await pool.DEFAULT_ADMIN_ROLE();
+
+            await expect(pool.connect(addr1).rampA(200, now + 2 * DAY))
+                .to.be.revertedWith(`AccessControl: account ${addr1.address.toLowerCase()} is missing role ${adminRole}`);
+            await expect(pool.connect(addr1).stopRampA())
+                .to.be.revertedWith(`AccessControl: account ${addr1.address.toLowerCase()} is missing role ${adminRole}`);
+        });
+    });
+
+    describe("Fee Management", function() {
+        it("should let the fee manager change the swap fee", async function() {
+            await expect(pool.setSwapFee(10))
+                .to.emit(pool, "SwapFeeUpdated")
+                .withArgs(SWAP_FEE, 10);
+            await expect(pool.setSwapFee(101))
+                .to.be.revertedWith("DEXStableSwap: swap fee out of range");
+
+            const feeManagerRole = await pool.FEE_MANAGER_ROLE();
+            await expect(pool.connect(addr1).setSwapFee(10))
+                .to.be.revertedWith(`AccessControl: account ${addr1.address.toLowerCase()} is missing role ${feeManagerRole}`);
+        });
+    });
+});
@@ -0,0 +1,317 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { parse } = require("./helpers");
+
+const DURATION = 1000;
+
+describe("DEXStakingRewards", function() {
+    let dex, staking, tokenA, tokenB, rewardToken;
+    let owner, alice, bob, carol;
+
+    // Send the next transaction `seconds` after `start`
+    async function at(start, seconds) {
+        await time.setNextBlockTimestamp(start + seconds);
+    }
+
+    // Start a period paying 1 reward token per second and return its start time
+    async function startPeriod() {
+        const start = (await time.latest()) + 1;
+        await time.setNextBlockTimestamp(start);
+        await staking.notifyRewardAmount(parse(String(DURATION)));
+        return start;
+    }
+
+    beforeEach(async function() {
+        [owner, alice, bob, carol] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        tokenA = await MockERC20.deploy("Token A", "TKA");
+        tokenB = await MockERC20.deploy("Token B", "TKB");
+        rewardToken = await MockERC20.deploy("Reward", "RWD");
+
+        const DEX = await ethers.getContractFactory("DEX");
+        dex = await DEX.deploy(tokenA.target, tokenB.target, 30);
+        await tokenA.approve(dex.target, ethers.MaxUint256);
+        await tokenB.approve(dex.target, ethers.MaxUint256);
+        await dex.addLiquidity(parse("10000"), parse("10000"), 0, 0);
+
+        const DEXStakingRewards = await ethers.getContractFactory("DEXStakingRewards");
+        staking = await DEXStakingRewards.deploy(dex.target, rewardToken.target, DURATION);
+        await rewardToken.approve(staking.target, ethers.MaxUint256);
+
+        // Hand out LP tokens to the stakers
+        for (const account of [alice, bob, carol]) {
+            await dex.transfer(account.address, parse("1000"));
+            await dex.connect(account).approve(staking.target, ethers.MaxUint256);
+        }
+    });
+
+    describe("Deployment", function() {
+        it("should store the tokens, duration and owner", async function() {
+            expect(await staking.stakingToken()).to.equal(dex.target);
+            expect(await staking.rewardsToken()).to.equal(rewardToken.target);
+            expect(await staking.rewardsDuration()).to.equal(DURATION);
+            expect(await staking.owner()).to.equal(owner.address);
+        });
+
+        it("should reject invalid parameters", async function() {
+            const DEXStakingRewards = await ethers.getContractFactory("DEXStakingRewards");
+            await expect(DEXStakingRewards.deploy(ethers.ZeroAddress, rewardToken.target, DURATION))
+                .to.be.revertedWith("DEXStakingRewards: staking token is zero address");
+            await expect(DEXStakingRewards.deploy(dex.target, dex.target, DURATION))
+                .to.be.revertedWith("DEXStakingRewards: identical tokens");
+            await expect(DEXStakingRewards.deploy(dex.target, rewardToken.target, 0))
+                .to.be.revertedWith("DEXStakingRewards: zero duration");
+        });
+    });
+
+    describe("Staking", function() {
+        it("should take in LP tokens and track the stake", async function() {
+            const tx = staking.connect(alice).stake(parse("100"));
+            await expect(tx)
+                .to.emit(staking, "Staked")
+                .withArgs(alice.address, parse("100"));
+            await expect(tx).to.changeTokenBalances(dex, [alice, staking], [parse("-100"), parse("100")]);
+
+            expect(await staking.balanceOf(alice.address)).to.equal(parse("100"));
+            expect(await staking.totalStaked()).to.equal(parse("100"));
+        });
+
+        it("should reject zero amounts and overdrawn withdrawals", async function() {
+            await expect(staking.connect(alice).stake(0))
+                .to.be.revertedWith("DEXStakingRewards: cannot stake zero");
+            await staking.connect(alice).stake(parse("100"));
+            await expect(staking.connect(alice).withdraw(0))
+                .to.be.revertedWith("DEXStakingRewards: cannot withdraw zero");
+            await expect(staking.connect(alice).withdraw(parse("101")))
+                .to.be.revertedWith("DEXStakingRewards: insufficient stake");
+        });
+
+        it("should return the stake on withdraw", async function() {
+            await staking.connect(alice).stake(parse("100"));
+
+            const tx = staking.connect(alice).withdraw(parse("40"));
+            await expect(tx)
+                .to.emit(staking, "Withdrawn")
+                .withArgs(alice.address, parse("40"));
+            await expect(tx).to.changeTokenBalance(dex, alice, parse("40"));
+            expect(await staking.totalStaked()).to.equal(parse("60"));
+        });
+    });
+
+    describe("Rewards", function() {
+        it("should let only the owner top up rewards", async function() {
+            await expect(staking.connect(alice).notifyRewardAmount(parse("1000")))
+                .to.be.revertedWith("Ownable: caller is not the owner");
+            await expect(staking.notifyRewardAmount(0))
+                .to.be.revertedWith("DEXStakingRewards: zero reward");
+        });
+
+        it("should pull the top-up and stream it over the period", async function() {
+            const start = (await time.latest()) + 1;
+            await time.setNextBlockTimestamp(start);
+
+            const tx = staking.notifyRewardAmount(parse("1000"));
+            await expect(tx)
+                .to.emit(staking, "RewardAdded")
+                .withArgs(parse("1000"), parse("1"), start + DURATION);
+            await expect(tx).to.changeTokenBalance(rewardToken, staking, parse("1000"));
+
+            expect(await staking.rewardRate()).to.equal(parse("1"));
+            expect(await staking.periodFinish()).to.equal(start + DURATION);
+            expect(await staking.getRewardForDuration()).to.equal(parse("1000"));
+        });
+
+        it("should give a lone staker the whole emission", async function() {
+            await staking.connect(alice).stake(parse("100"));
+            const start = await startPeriod();
+
+            await at(start, 250);
+            const tx = staking.connect(alice).getReward();
+            await expect(tx)
+                .to.emit(staking, "RewardPaid")
+                .withArgs(alice.address, parse("250"));
+            await expect(tx).to.changeTokenBalance(rewardToken, alice, parse("250"));
+            expect(await staking.rewards(alice.address)).to.equal(0);
+        });
+
+        it("should keep the rewards streamed before the first stake for restreaming", async function() {
+            const start = await startPeriod();
+
+            // Nobody is staked for the first 100 seconds
+            await at(start, 100);
+            await staking.connect(alice).stake(parse("100"));
+            expect(await staking.forfeitedRewards()).to.equal(parse("100"));
+
+            await at(start, 400);
+            await staking.notifyForfeitedRewards();
+            expect(await staking.forfeitedRewards()).to.equal(0);
+
+            // Alice ends up with every reward token the contract was given
+            await time.increase(DURATION);
+            await staking.connect(alice).exit();
+            expect(await rewardToken.balanceOf(alice.address)).to.be.closeTo(parse(String(DURATION)), parse("0.001"));
+        });
+
+        it("should count the rewards streamed while everyone had left", async function() {
+            await staking.connect(alice).stake(parse("100"));
+            const start = await startPeriod();
+
+            await at(start, 100);
+            await staking.connect(alice).withdraw(parse("100"));
+            await at(start, 300);
+            await staking.connect(bob).stake(parse("100"));
+
+            expect(await staking.forfeitedRewards()).to.equal(parse("200"));
+            expect(await staking.earned(alice.address)).to.equal(parse("100"));
+        });
+
+        it("should split rewards between stakers who joined at different times", async function() {
+            await staking.connect(alice).stake(parse("100"));
+            const start = await startPeriod();
+
+            // Alice alone for 100s, then Bob triples the stake
+            await at(start, 100);
+            await staking.connect(bob).stake(parse("300"));
+
+            // Carol joins at 300s, doubling the stake again
+            await at(start, 300);
+            await staking.connect(carol).stake(parse("400"));
+
+            // At 400s Alice has 100 + 200 / 4 + 100 / 8, Bob 200 * 3/4 + 100 * 3/8 and Carol 100 / 2.
+            // Claims land one second apart, which adds 3/8 for Bob and 2/2 for Carol
+            await at(start, 400);
+            await expect(staking.connect(alice).getReward()).to.changeTokenBalance(rewardToken, alice, parse("162.5"));
+            await at(start, 401);
+            await expect(staking.connect(bob).getReward()).to.changeTokenBalance(rewardToken, bob, parse("187.875"));
+            await at(start, 402);
+            await expect(staking.connect(carol).getReward()).to.changeTokenBalance(rewardToken, carol, parse("51"));
+        });
+
+        it("should keep rewards claimable after a withdrawal", async function() {
+            await staking.connect(alice).stake(parse("100"));
+            await staking.connect(bob).stake(parse("100"));
+            const start = await startPeriod();
+
+            await at(start, 200);
+            await staking.connect(alice).withdraw(parse("100"));
+
+            // Alice earned half of 200s and nothing after leaving, Bob gets everything since
+            await at(start, 500);
+            await expect(staking.connect(alice).getReward()).to.changeTokenBalance(rewardToken, alice, parse("100"));
+            await at(start, 600);
+            await expect(staking.connect(bob).getReward()).to.changeTokenBalance(rewardToken, bob, parse("500"));
+        });
+
+        it("should stop emitting when the period ends", async function() {
+            await staking.connect(alice).stake(parse("100"));
+            const start = await startPeriod();
+
+            await time.increaseTo(start + DURATION * 3);
+            expect(await staking.lastTimeRewardApplicable()).to.equal(start + DURATION);
+            expect(await staking.earned(alice.address)).to.equal(parse("1000"));
+
+            await expect(staking.connect(alice).exit())
+                .to.changeTokenBalance(rewardToken, alice, parse("1000"));
+            expect(await dex.balanceOf(alice.address)).to.equal(parse("1000"));
+            expect(await staking.balanceOf(alice.address)).to.equal(0);
+        });
+
+        it("should roll undistributed rewards into a mid-period top-up", async function() {
+            await staking.connect(alice).stake(parse("100"));
+            const start = await startPeriod();
+
+            // 500 left of the first top-up plus 1000 new, spread over a fresh period
+            await at(start, 500);
+            await expect(staking.notifyRewardAmount(parse("1000")))
+                .to.emit(staking, "RewardAdded")
+                .withArgs(parse("1000"), parse("1.5"), start + 500 + DURATION);
+
+            await at(start, 700);
+            await expect(staking.connect(alice).getReward()).to.changeTokenBalance(rewardToken, alice, parse("800"));
+        });
+
+        it("should only change the duration between periods", async function() {
+            const start = await startPeriod();
+            await expect(staking.setRewardsDuration(2000))
+                .to.be.revertedWith("DEXStakingRewards: period not finished");
+            await expect(staking.connect(alice).setRewardsDuration(2000))
+                .to.be.revertedWith("Ownable: caller is not the owner");
+
+            await time.increaseTo(start + DURATION + 1);
+            await expect(staking.setRewardsDuration(2000))
+                .to.emit(staking, "RewardsDurationUpdated")
+                .withArgs(2000);
+            expect(await staking.rewardsDuration()).to.equal(2000);
+        });
+    });
+
+    describe("Emergency Withdraw", function() {
+        it("should return the stake and forfeit the rewards", async function() {
+            await staking.connect(alice).stake(parse("100"));
+            await staking.connect(bob).stake(parse("100"));
+            const start = await startPeriod();
+
+            // Settle Alice's earnings so far into `rewards`, then bail out
+            await at(start, 100);
+            await staking.connect(alice).stake(parse("100"));
+            await at(start, 200);
+            const tx = staking.connect(alice).emergencyWithdraw();
+            // 50 settled plus two thirds of the 100 streamed since, everything she earned
+            const sinceSettled = (parse("200") * ((parse("100") * 10n ** 18n) / parse("300"))) / 10n ** 18n;
+            await expect(tx)
+                .to.emit(staking, "EmergencyWithdrawn")
+                .withArgs(alice.address, parse("200"), parse("50") + sinceSettled);
+            await expect(tx).to.changeTokenBalance(dex, alice, parse("200"));
+
+            expect(await staking.balanceOf(alice.address)).to.equal(0);
+            expect(await staking.earned(alice.address)).to.equal(0);
+            expect(await staking.totalStaked()).to.equal(parse("100"));
+
+            await expect(staking.connect(alice).emergencyWithdraw())
+                .to.be.revertedWith("DEXStakingRewards: nothing staked");
+        });
+
+        it("should not hand the leaver's share of the current interval to the others", async function() {
+            await staking.connect(alice).stake(parse("100"));
+            await staking.connect(bob).stake(parse("100"));
+            const start = await startPeriod();
+
+            await at(start, 100);
+            await staking.connect(alice).emergencyWithdraw();
+            expect(await staking.forfeitedRewards()).to.equal(parse("50"));
+
+            // Half of the first 100 seconds, then all of the next 100
+            await at(start, 200);
+            await expect(staking.connect(bob).getReward())
+                .to.changeTokenBalance(rewardToken, bob, parse("150"));
+        });
+
+        it("should let the owner stream forfeited rewards again", async function() {
+            await staking.connect(alice).stake(parse("100"));
+            await staking.connect(bob).stake(parse("100"));
+            const start = await startPeriod();
+            await at(start, 100);
+            await staking.connect(alice).emergencyWithdraw();
+
+            await expect(staking.connect(bob).notifyForfeitedRewards())
+                .to.be.revertedWith("Ownable: caller is not the owner");
+
+            // The 800 left of the period and the 50 forfeited are spread over a new one
+            await at(start, 200);
+            await expect(staking.notifyForfeitedRewards())
+                .to.emit(staking, "RewardAdded")
+                .withArgs(parse("50"), parse("0.85"), start + 200 + DURATION);
+            expect(await staking.forfeitedRewards()).to.equal(0);
+
+            await expect(staking.notifyForfeitedRewards())
+                .to.be.revertedWith("DEXStakingRewards: zero reward");
+
+            // Bob ends up with every reward token the contract was given
+            await time.increase(DURATION);
+            await staking.connect(bob).exit();
+            expect(await rewardToken.balanceOf(bob.address)).to.be.closeTo(parse(String(DURATION)), parse("0.001"));
+        });
+    });
+});
@@ -0,0 +1,301 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const deploy = require("../deploy");
+const sdk = require("../sdk");
+const { parse } = require("./helpers");
+
+const { ethers } = hre;
+
+describe("Deploy pipeline", function() {
+    let owner, other;
+    let workDir, file, records;
+
+    // Plain config with mock tokens, in the format of deploy/config/<network>.js
+    function mockConfig(overrides = {}) {
+        return deploy.validateConfig({
+            weth: { mock: {} },
+            tokens: {
+                TKA: { mock: { name: "Token A", mint: "100000" } },
+                TKB: { mock: { name: "Token B", mint: "100000" } }
+            },
+            pools: [{ tokens: ["TKA", "TKB"], swapFee: 30, liquidity: ["1000", "2000"] }],
+            ...overrides
+        });
+    }
+
+    // One run as scripts/deploy.js does it, from the records on disk
+    async function run(config, redeploy = [], setFees = false) {
+        records = deploy.loadRecords(file, "hardhat", 31337);
+        const result = await deploy.deployNetwork(hre, config, { records, redeploy, setFees });
+        result.checks = await deploy.runChecks(hre, config, records, result);
+        deploy.saveRecords(file, records);
+        return result;
+    }
+
+    const actions = (result, action) => result.actions.filter((entry) => entry.action === action).map((entry) => entry.name);
+    const failed = (result) => result.checks.filter((check) => !check.ok).map((check) => check.name);
+
+    beforeEach(async function() {
+        [owner, other] = await ethers.getSigners();
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), "dex-deploy-"));
+        file = deploy.recordsFile("hardhat", workDir);
+    });
+
+    afterEach(function() {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    describe("First run", function() {
+        it("should deploy and seed everything in the hardhat config", async function() {
+            const config = deploy.loadConfig("hardhat");
+            const result = await run(config);
+
+            expect(actions(result, "deploy")).to.deep.equal(["TKA", "TKB", "TKC", "WETH9", "DEXFactory", "DEXRouter"]);
+            expect(actions(result, "createPool")).to.deep.equal(["TKA/TKB", "TKB/TKC", "TKA/TKC"]);
+            expect(actions(result, "seed")).to.deep.equal(["TKA/TKB", "TKB/TKC", "TKA/TKC"]);
+            expect(failed(result)).to.deep.equal([]);
+
+            const pool = await ethers.getContractAt("DEX", records.pools["TKA/TKB"].address);
+            const expected = {
+                [records.contracts.TKA.address]: parse("10000"),
+                [records.contracts.TKB.address]: parse("20000")
+            };
+            expect(await pool.reserveA()).to.equal(expected[await pool.tokenA()]);
+            expect(await pool.reserveB()).to.equal(expected[await pool.tokenB()]);
+        });
+
+        it("should write a deployment info file the SDK can read", async function() {
+            const config = deploy.loadConfig("hardhat");
+            await run(config);
+
+            const infoFile = path.join(workDir, "deployment-info.json");
+            fs.writeFileSync(infoFile, JSON.stringify(deploy.deploymentInfo(records, config), null, 2));
+            const deployment = sdk.loadDeployment(infoFile);
+            expect(deployment.router).to.equal(records.contracts.DEXRouter.address);
+
+            const pools = await sdk.fetchPoolStates(deployment, ethers.provider);
+            expect(pools.map((pool) => pool.name)).to.deep.equal(["TKA/TKB", "TKB/TKC", "TKA/TKC"]);
+            for (const pool of pools) {
+                expect(pool.totalSupply > 0n).to.equal(true);
+            }
+        });
+
+        it("should use existing tokens and scale liquidity to their decimals", async function() {
+            const MockDecimalsERC20 = await ethers.getContractFactory("MockDecimalsERC20");
+            const usdc = await MockDecimalsERC20.deploy("USD Coin", "USDC", 6);
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const dai = await MockERC20.deploy("Dai", "DAI");
+            await usdc.mint(owner.address, 10n ** 12n);
+            await dai.mint(owner.address, parse("1000000"));
+
+            const config = mockConfig({
+                tokens: {
+                    DAI: { address: dai.target },
+                    USDC: { address: usdc.target }
+                },
+                pools: [{ tokens: ["DAI", "USDC"], swapFee: 5, liquidity: ["5000", "5000.5"] }]
+            });
+            const result = await run(config);
+
+            expect(actions(result, "use")).to.deep.equal(["DAI", "USDC"]);
+            expect(actions(result, "deploy")).to.deep.equal(["WETH9", "DEXFactory", "DEXRouter"]);
+            expect(failed(result)).to.deep.equal([]);
+
+            const pool = await ethers.getContractAt("DEX", records.pools["DAI/USDC"].address);
+            expect(await usdc.balanceOf(pool.target)).to.equal(5000500000n);
+            expect(await dai.balanceOf(pool.target)).to.equal(parse("5000"));
+        });
+
+        it("should refuse a configured address without code", async function() {
+            const config = mockConfig({ weth: { address: other.address } });
+            try {
+                await run(config);
+                expect.fail("deploy should have failed");
+            } catch (error) {
+                expect(error.message).to.include(`Deploy: no contract at ${other.address} for WETH9`);
+            }
+        });
+    });
+
+    describe("Reruns", function() {
+        it("should skip contracts and pools that are already deployed", async function() {
+            const config = mockConfig();
+            const first = await run(config);
+            const pool = records.pools["TKA/TKB"].address;
+            const supply = await (await ethers.getContractAt("DEX", pool)).totalSupply();
+
+            const second = await run(config);
+            expect(actions(second, "deploy")).to.deep.equal([]);
+            expect(actions(second, "createPool")).to.deep.equal([]);
+            expect(actions(second, "seed")).to.deep.equal([]);
+            expect(actions(second, "skip")).to.deep.equal(["TKA", "TKB", "WETH9", "DEXFactory", "DEXRouter", "TKA/TKB"]);
+            expect(failed(second)).to.deep.equal([]);
+
+            const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+            expect(saved.history.map((entry) => entry.actions.length)).to.deep.equal([first.actions.length, second.actions.length]);
+            expect(saved.pools["TKA/TKB"].address).to.equal(pool);
+            expect(saved.pools["TKA/TKB"].seeded.amountA).to.not.equal(undefined);
+            expect(await (await ethers.getContractAt("DEX", pool)).totalSupply()).to.equal(supply);
+        });
+
+        it("should only redeploy what is asked for and what depends on it", async function() {
+            const config = mockConfig();
+            await run(config);
+            const before = JSON.parse(JSON.stringify(records.contracts));
+
+            const router = await run(config, ["DEXRouter"]);
+            expect(actions(router, "deploy")).to.deep.equal(["DEXRouter"]);
+            expect(records.contracts.DEXRouter.address).to.not.equal(before.DEXRouter.address);
+            expect(failed(router)).to.deep.equal([]);
+
+            // The router takes the factory as an argument, and the new factory has no pools yet
+            const factory = await run(config, ["DEXFactory"]);
+            expect(actions(factory, "deploy")).to.deep.equal(["DEXFactory", "DEXRouter"]);
+            expect(actions(factory, "createPool")).to.deep.equal(["TKA/TKB"]);
+            expect(actions(factory, "seed")).to.deep.equal(["TKA/TKB"]);
+            expect(records.contracts.TKA.address).to.equal(before.TKA.address);
+            expect(failed(factory)).to.deep.equal([]);
+        });
+
+        it("should redeploy recorded contracts that no longer have code", async function() {
+            const config = mockConfig();
+            await run(config);
+            records.contracts.WETH9.address = other.address;
+            deploy.saveRecords(file, records);
+
+            const result = await run(config);
+            expect(actions(result, "deploy")).to.deep.equal(["WETH9", "DEXRouter"]);
+            expect(failed(result)).to.deep.equal([]);
+        });
+
+        it("should report a pool whose fee differs from the config without changing it", async function() {
+            await run(mockConfig());
+            const config = mockConfig({ pools: [{ tokens: ["TKA", "TKB"], swapFee: 50, liquidity: ["1000", "2000"] }] });
+
+            const result = await run(config);
+            expect(actions(result, "setSwapFee")).to.deep.equal([]);
+            const pool = await ethers.getContractAt("DEX", records.pools["TKA/TKB"].address);
+            expect(await pool.swapFee()).to.equal(30);
+            expect(failed(result)).to.deep.equal(["TKA/TKB swap fee"]);
+        });
+
+        it("should bring a pool's fee in line with the config when asked to", async function() {
+            await run(mockConfig());
+            const config = mockConfig({ pools: [{ tokens: ["TKA", "TKB"], swapFee: 50, liquidity: ["1000", "2000"] }] });
+
+            const result = await run(config, [], true);
+            expect(result.actions.find((entry) => entry.action === "setSwapFee")).to.include({ from: 30, to: 50 });
+            const pool = await ethers.getContractAt("DEX", records.pools["TKA/TKB"].address);
+            expect(await pool.swapFee()).to.equal(50);
+            expect(failed(result)).to.deep.equal([]);
+        });
+
+        it("should only report the price drift of a pool seeded in an earlier run", async function() {
+            const config = mockConfig();
+            await run(config);
+            const pool = await ethers.getContractAt("DEX", records.pools["TKA/TKB"].address);
+            const token = await ethers.getContractAt("MockERC20", await pool.tokenA());
+            await token.approve(pool.target, parse("100"));
+            await pool.swapExactAForB(parse("100"), 0, (await time.latest()) + 3600);
+
+            // Trading moved the price well past priceTolerance, which must not fail the rerun
+            const result = await run(config);
+            expect(failed(result)).to.deep.equal([]);
+            expect(actions(result, "seed")).to.deep.equal([]);
+            const price = result.checks.find((check) => check.name === "TKA/TKB price");
+            expect(price.info).to.equal(true);
+            expect(price.detail).to.match(/\(\d+ bps off, seeded in an earlier run/);
+            expect(Number(price.detail.match(/(\d+) bps off/)[1])).to.be.gt(config.priceTolerance);
+        });
+
+        it("should refuse records from another chain", async function() {
+            await run(mockConfig());
+            try {
+                deploy.loadRecords(file, "hardhat", 1);
+                expect.fail("loading should have failed");
+            } catch (error) {
+                expect(error.message).to.include("is for chain 31337, hardhat is on chain 1");
+            }
+        });
+    });
+
+    describe("Config", function() {
+        function expectInvalid(overrides, message) {
+            try {
+                mockConfig(overrides);
+                expect.fail("config should have been rejected");
+            } catch (error) {
+                expect(error.message).to.equal(`Deploy config: ${message}`);
+            }
+        }
+
+        it("should reject invalid configs before anything is sent", async function() {
+            expectInvalid({ tokens: {} }, "no tokens");
+            expectInvalid({ weth: { address: "0x1234" } }, "weth address \"0x1234\" is not an address");
+            expectInvalid({ weth: { address: other.address, mock: {} } }, "weth needs either an address or mock settings");
+            expectInvalid(
+                { pools: [{ tokens: ["TKA", "TKX"], swapFee: 30 }] },
+                "pool TKA/TKX needs two different configured tokens"
+            );
+            expectInvalid(
+                { pools: [{ tokens: ["TKA", "TKB"], swapFee: 30 }, { tokens: ["TKB", "TKA"], swapFee: 5 }] },
+                "pool TKB/TKA is configured twice, the factory allows one pool per pair"
+            );
+            expectInvalid(
+                { pools: [{ tokens: ["TKA", "TKB"], swapFee: 101 }] },
+                "pool TKA/TKB swap fee must be an integer from 1 to 100 basis points"
+            );
+            expectInvalid(
+                { pools: [{ tokens: ["TKA", "TKB"], swapFee: 30, liquidity: ["1000", "0"] }] },
+                "pool TKA/TKB liquidity must be two positive amounts"
+            );
+        });
+
+        it("should fail clearly for a network without a config", async function() {
+            try {
+                deploy.loadConfig("sepolia");
+                expect.fail("loading should have failed");
+            } catch (error) {
+                expect(error.message).to.include("Deploy config: no config for network \"sepolia\"");
+            }
+        });
+
+        it("should convert amounts to base units", async function() {
+            expect(deploy.parseUnits("1.5", 6)).to.equal(1500000n);
+            expect(deploy.parseUnits("20000", 18)).to.equal(20000n * 10n ** 18n);
+            expect(() => deploy.parseUnits("0.0000001", 6)).to.throw("more than 6 decimals");
+        });
+
+        it("should build network entries from the environment", async function() {
+            const networks = deploy.networksFromEnv({
+                NETWORKS: "sepolia, base-sepolia",
+                SEPOLIA_RPC_URL: "https://sepolia.example",
+                SEPOLIA_CHAIN_ID: "11155111",
+                SEPOLIA_PRIVATE_KEY: "0x01",
+                BASE_SEPOLIA_RPC_URL: "https://base-sepolia.example",
+                DEPLOYER_PRIVATE_KEY: "0x02"
+            });
+            expect(networks).to.deep.equal({
+                sepolia: { url: "https://sepolia.example", chainId: 11155111, accounts: ["0x01"] },
+                "base-sepolia": { url: "https://base-sepolia.example", accounts: ["0x02"] }
+            });
+        });
+
+        it("should only reject a network missing its URL once it is selected", async function() {
+            const networks = deploy.networksFromEnv({
+                NETWORKS: "sepolia,holesky",
+                HOLESKY_RPC_URL: "https://holesky.example"
+            });
+            expect(networks.sepolia).to.deep.equal({ url: "", missingEnv: "SEPOLIA_RPC_URL" });
+
+            expect(() => deploy.requireNetworkEnv({ name: "holesky", config: networks.holesky })).to.not.throw();
+            expect(() => deploy.requireNetworkEnv({ name: "hardhat", config: { chainId: 31337 } })).to.not.throw();
+            expect(() => deploy.requireNetworkEnv({ name: "sepolia", config: networks.sepolia }))
+                .to.throw("Network sepolia is listed in NETWORKS but SEPOLIA_RPC_URL is not set");
+        });
+    });
+});
@@ -0,0 +1,74 @@
+// Helpers shared by the test suites
+
+const { ethers } = require("hardhat");
+
+/**
+ * Amount of an 18 decimal token in base units, e.g. parse("1.5").
+ * @param {string} amount
+ * @returns {bigint}
+ */
+const parse = (amount) => ethers.parseEther(amount);
+
+/**
+ * Small seeded PRNG (mulberry32), so fuzzed runs can be replayed from their seed.
+ * @param {number} seed
+ * @returns {function(): number} Next number in [0, 1) on each call
+ */
+function random(seed) {
+    let state = seed >>> 0;
+    return function next() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Amounts for `token0` and the other token in the pool's sorted order, since pools
+ * order their tokens by address.
+ * @returns {Promise<bigint[]>} [amountA, amountB]
+ */
+async function sortedAmounts(pool, token0, amount0, amount1) {
+    return (await pool.tokenA()) === token0.target ? [amount0, amount1] : [amount1, amount0];
+}
+
+/**
+ * Create a pool for two tokens through `factory`, or deploy one directly without a factory.
+ * @param {object} token0
+ * @param {object} token1
+ * @param {object} [options]
+ * @param {object} [options.factory] DEXFactory to create the pool with
+ * @param {number} [options.swapFee=30] Fee in basis points
+ * @param {object[]} [options.approvers=[]] Signers that let the pool spend both tokens
+ * @param {bigint[]} [options.liquidity] First deposit by the first approver, in token0/token1 order
+ * @returns {Promise<object>} The DEX pool
+ */
+async function createPool(token0, token1, { factory, swapFee = 30, approvers = [], liquidity } = {}) {
+    let pool;
+    if (factory) {
+        await factory.createPair(token0.target, token1.target, swapFee);
+        pool = await ethers.getContractAt("DEX", await factory.getPair(token0.target, token1.target));
+    } else {
+        const DEX = await ethers.getContractFactory("DEX");
+        pool = await DEX.deploy(token0.target, token1.target, swapFee);
+    }
+
+    for (const signer of approvers) {
+        await token0.connect(signer).approve(pool.target, ethers.MaxUint256);
+        await token1.connect(signer).approve(pool.target, ethers.MaxUint256);
+    }
+    if (liquidity) {
+        const [amountA, amountB] = await sortedAmounts(pool, token0, ...liquidity);
+        await pool.connect(approvers[0]).addLiquidity(amountA, amountB, 0, 0);
+    }
+    return pool;
+}
+
+module.exports = {
+    parse,
+    random,
+    sortedAmounts,
+    createPool
+};
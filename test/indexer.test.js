@@ -0,0 +1,400 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { time, mine, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const indexer = require("../indexer");
+const { parse, createPool } = require("./helpers");
+
+const DAY = 86400;
+const HOUR = 3600;
+
+describe("Indexer", function() {
+    let tokenA, tokenB, tokenC, poolAB, poolBC;
+    let owner, alice, bob, trader;
+    let deployment, workDir, sessionStart;
+    // What the session did, recorded from the contracts to check the indexer against
+    let trades;
+
+    async function deadline() {
+        return (await time.latest()) + HOUR;
+    }
+
+    // Swap on a pool directly and record the trade as the contract reports it
+    async function swap(pool, aForB, amount, swapFee) {
+        const amountIn = parse(amount);
+        const method = aForB ? "swapExactAForB" : "swapExactBForA";
+        const amountOut = await pool.connect(trader)[method].staticCall(amountIn, 0, await deadline());
+        await pool.connect(trader)[method](amountIn, 0, await deadline());
+        await record(pool, aForB, amountIn, amountOut, swapFee);
+    }
+
+    async function record(pool, aForB, amountIn, amountOut, swapFee) {
+        trades.push({
+            pool: pool.target,
+            timestamp: await time.latest(),
+            amountA: aForB ? amountIn : amountOut,
+            amountB: aForB ? amountOut : amountIn,
+            feeA: aForB ? (amountIn * BigInt(swapFee)) / 10000n : 0n,
+            feeB: aForB ? 0n : (amountIn * BigInt(swapFee)) / 10000n,
+            price: await pool.getPrice()
+        });
+    }
+
+    async function sync(store) {
+        return indexer.syncStore(store, ethers.provider);
+    }
+
+    // Rebuilt reserves, supply and every LP balance must match the chain
+    async function expectStateMatchesChain(state) {
+        for (const pool of [poolAB, poolBC]) {
+            const replayed = state.pools.find((candidate) => candidate.address === pool.target);
+            const [reserveA, reserveB] = await pool.getReserves();
+            expect(replayed.reserveA).to.equal(reserveA);
+            expect(replayed.reserveB).to.equal(reserveB);
+            expect(replayed.totalSupply).to.equal(await pool.totalSupply());
+            for (const [account, position] of Object.entries(replayed.positions)) {
+                expect(position.liquidity).to.equal(await pool.balanceOf(account), account);
+            }
+        }
+    }
+
+    beforeEach(async function() {
+        [owner, alice, bob, trader] = await ethers.getSigners();
+        trades = [];
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        tokenA = await MockERC20.deploy("Token A", "TKA");
+        tokenB = await MockERC20.deploy("Token B", "TKB");
+        tokenC = await MockERC20.deploy("Token C", "TKC");
+        for (const token of [tokenA, tokenB, tokenC]) {
+            for (const account of [alice, bob, trader]) {
+                await token.mint(account.address, parse("100000"));
+            }
+        }
+
+        const approvers = [owner, alice, bob, trader];
+        poolAB = await createPool(tokenA, tokenB, { swapFee: 30, approvers });
+        poolBC = await createPool(tokenB, tokenC, { swapFee: 5, approvers });
+
+        deployment = {
+            pools: [
+                { name: "TKA/TKB", address: poolAB.target },
+                { name: "TKB/TKC", address: poolBC.target }
+            ]
+        };
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), "dex-indexer-"));
+
+        // Start the session ten minutes into a fresh UTC day, so day and hour buckets are known
+        const now = await time.latest();
+        sessionStart = now - (now % DAY) + DAY + 600;
+        await time.increaseTo(sessionStart);
+    });
+
+    afterEach(function() {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    // Two days of trading: deposits, swaps in both directions, an LP transfer, a fee
+    // change, a two-hop trade and a withdrawal
+    async function tradingSession() {
+        await poolAB.addLiquidity(parse("1000"), parse("2000"), 0, 0);
+        await poolBC.addLiquidity(parse("2000"), parse("500"), 0, 0);
+        await poolAB.connect(alice).addLiquidity(parse("100"), parse("200"), 0, 0);
+
+        await swap(poolAB, true, "10", 30);
+        await swap(poolAB, false, "35", 30);
+        await swap(poolBC, true, "40", 5);
+
+        // Second hour: Alice hands half her position to Bob, the fee goes up
+        await time.increaseTo(sessionStart + HOUR);
+        const aliceLiquidity = await poolAB.balanceOf(alice.address);
+        await poolAB.connect(alice).transfer(bob.address, aliceLiquidity / 2n);
+        await poolAB.setSwapFee(50);
+        await swap(poolAB, true, "25", 50);
+        await swap(poolAB, true, "5", 50);
+
+        // Next day: a C -> B -> A trade and Alice's exit
+        await time.increaseTo(sessionStart + DAY);
+        await swap(poolBC, false, "20", 5);
+        await swap(poolAB, false, "15", 50);
+
+        await poolAB.connect(alice).removeLiquidity(await poolAB.balanceOf(alice.address));
+    }
+
+    describe("Replay", function() {
+        it("should rebuild reserves, LP supply and every LP balance", async function() {
+            const store = await indexer.initStore(deployment.pools, ethers.provider);
+            await tradingSession();
+
+            const result = await sync(store);
+            expect(result.reorg).to.equal(null);
+            expect(result.events).to.equal(store.events.length);
+
+            const state = indexer.replay(store);
+            await expectStateMatchesChain(state);
+
+            // The locked minimum liquidity shows up as a position of its own
+            const ab = state.pools.find((pool) => pool.address === poolAB.target);
+            expect(ab.positions["0x000000000000000000000000000000000000dEaD"].liquidity).to.equal(1000n);
+            expect(ab.swapFee).to.equal(50n);
+        });
+
+        it("should track LP cost basis and profit through transfers and withdrawals", async function() {
+            const store = await indexer.initStore(deployment.pools, ethers.provider);
+            await tradingSession();
+            await sync(store);
+            const ab = indexer.replay(store).pools.find((pool) => pool.address === poolAB.target);
+
+            const alicePosition = ab.positions[alice.address];
+            const bobPosition = ab.positions[bob.address];
+            expect(alicePosition.liquidity).to.equal(0n);
+            expect(alicePosition.depositedA).to.equal(parse("100"));
+            expect(alicePosition.depositedB).to.equal(parse("200"));
+
+            // Half the deposit moved to Bob with the LP tokens, the other half was realized by the withdrawal
+            const [added] = await poolAB.queryFilter(poolAB.filters.LiquidityAdded(alice.address));
+            const [removed] = await poolAB.queryFilter(poolAB.filters.LiquidityRemoved(alice.address));
+            const minted = added.args.liquidityMinted;
+            const movedA = (parse("100") * (minted / 2n)) / minted;
+            expect(bobPosition.costA).to.equal(movedA);
+            expect(alicePosition.costA).to.equal(0n);
+            expect(alicePosition.withdrawnA).to.equal(removed.args.amountA);
+            expect(alicePosition.realizedA).to.equal(removed.args.amountA - (parse("100") - movedA));
+
+            // Profit is value plus withdrawals minus deposits, valued at the closing price
+            const [reserveA, reserveB] = await poolAB.getReserves();
+            const price = (reserveB * 10n ** 18n) / reserveA;
+            const report = indexer.positionReport(ab);
+            const bobRow = report.find((row) => row.account === bob.address);
+            const valueA = (bobPosition.liquidity * reserveA) / ab.totalSupply;
+            const valueB = (bobPosition.liquidity * reserveB) / ab.totalSupply;
+            expect(bobRow.valueA).to.equal(valueA);
+            expect(bobRow.pnlB).to.equal(((valueA - bobPosition.costA) * price) / 10n ** 18n + valueB - bobPosition.costB);
+
+            // Alice is fully out, so all of her profit is realized
+            const aliceRow = report.find((row) => row.account === alice.address);
+            expect(aliceRow.unrealizedB).to.equal(0n);
+            expect(aliceRow.pnlB).to.equal(aliceRow.realizedB);
+        });
+    });
+
+    describe("Export", function() {
+        it("should build daily volume and fee summaries that match the session", async function() {
+            const store = await indexer.initStore(deployment.pools, ethers.provider);
+            await tradingSession();
+            await sync(store);
+            const state = indexer.replay(store);
+
+            for (const pool of [poolAB, poolBC]) {
+                const daily = indexer.dailySummaries(state.pools.find((candidate) => candidate.address === pool.target));
+                expect(daily.map((row) => row.date)).to.deep.equal([0, 1].map(
+                    (day) => new Date((sessionStart - 600 + day * DAY) * 1000).toISOString().slice(0, 10)
+                ));
+
+                for (const [index, row] of daily.entries()) {
+                    const dayStart = sessionStart - 600 + index * DAY;
+                    const dayTrades = trades.filter(
+                        (trade) => trade.pool === pool.target && trade.timestamp >= dayStart && trade.timestamp < dayStart + DAY
+                    );
+                    const sum = (key) => dayTrades.reduce((total, trade) => total + trade[key], 0n);
+                    expect(row.swaps).to.equal(dayTrades.length);
+                    expect(row.volumeA).to.equal(sum("amountA"));
+                    expect(row.volumeB).to.equal(sum("amountB"));
+                    expect(row.feesA).to.equal(sum("feeA"));
+                    expect(row.feesB).to.equal(sum("feeB"));
+                }
+
+                // The last day closes on the pool's current reserves
+                const [reserveA, reserveB] = await pool.getReserves();
+                const last = daily[daily.length - 1];
+                expect(last.reserveA).to.equal(reserveA);
+                expect(last.reserveB).to.equal(reserveB);
+                expect(last.tvlB).to.equal(reserveA * await pool.getPrice() / 10n ** 18n + reserveB);
+            }
+        });
+
+        it("should build hourly OHLC candles from the prices after each swap", async function() {
+            const store = await indexer.initStore(deployment.pools, ethers.provider);
+            await tradingSession();
+            await sync(store);
+            const ab = indexer.replay(store).pools.find((pool) => pool.address === poolAB.target);
+
+            const candles = indexer.candles(ab, HOUR);
+            const abTrades = trades.filter((trade) => trade.pool === poolAB.target);
+            const buckets = [...new Set(abTrades.map((trade) => trade.timestamp - (trade.timestamp % HOUR)))];
+            expect(candles.map((candle) => candle.time)).to.deep.equal(buckets);
+
+            for (const candle of candles) {
+                const prices = abTrades
+                    .filter((trade) => trade.timestamp - (trade.timestamp % HOUR) === candle.time)
+                    .map((trade) => trade.price);
+                expect(candle.open).to.equal(prices[0]);
+                expect(candle.close).to.equal(prices[prices.length - 1]);
+                expect(candle.high).to.equal(prices.reduce((a, b) => (a > b ? a : b)));
+                expect(candle.low).to.equal(prices.reduce((a, b) => (a < b ? a : b)));
+                expect(candle.swaps).to.equal(prices.length);
+            }
+        });
+
+        it("should write CSV and JSON files for every pool", async function() {
+            const store = await indexer.initStore(deployment.pools, ethers.provider);
+            await tradingSession();
+            await sync(store);
+
+            const files = indexer.exportState(indexer.replay(store), workDir, { interval: HOUR });
+            expect(files.length).to.equal(2 * 3 * 2);
+
+            const csv = fs.readFileSync(path.join(workDir, "TKA-TKB-daily.csv"), "utf8").trim().split("\n");
+            expect(csv[0]).to.equal(
+                "date,swaps,volumeA,volumeB,feesA,feesB,liquidityAdds,liquidityRemoves,reserveA,reserveB,price,tvlB"
+            );
+            expect(csv.length).to.equal(3);
+
+            const candles = JSON.parse(fs.readFileSync(path.join(workDir, "TKA-TKB-candles-3600s.json"), "utf8"));
+            expect(candles[0].swaps).to.equal(2);
+            expect(BigInt(candles[0].close)).to.equal(trades[1].price);
+        });
+    });
+
+    describe("Persistence", function() {
+        it("should resume from the saved store without duplicating events", async function() {
+            const file = path.join(workDir, "store.json");
+            let store = await indexer.initStore(deployment.pools, ethers.provider);
+            await tradingSession();
+            await sync(store);
+            const indexed = store.events.length;
+            indexer.saveStore(file, store, indexer.replay(store));
+
+            // Nothing new: the reloaded store syncs to the same place
+            store = indexer.loadStore(file);
+            expect(store.state).to.equal(undefined);
+            expect((await sync(store)).events).to.equal(0);
+
+            await swap(poolAB, true, "3", 50);
+            const result = await sync(store);
+            // Sync and Swap
+            expect(result.events).to.equal(2);
+            expect(store.events.length).to.equal(indexed + 2);
+            await expectStateMatchesChain(indexer.replay(store));
+        });
+
+        it("should refuse a store from another chain", async function() {
+            const store = await indexer.initStore(deployment.pools, ethers.provider);
+            store.chainId = 1;
+            let error;
+            try {
+                await sync(store);
+            } catch (caught) {
+                error = caught;
+            }
+            expect(error.message).to.include("Indexer: store is for chain 1");
+        });
+    });
+
+    describe("Reorgs", function() {
+        // Provider that lets `reorg` switch the node to another branch right after it
+        // answers the first log query, so the logs it returned are already orphaned
+        function reorgDuringFirstLogQuery(reorg) {
+            let done = false;
+            return new Proxy(ethers.provider, {
+                get(target, property) {
+                    if (property === "getLogs") {
+                        return async (filter) => {
+                            const logs = await target.getLogs(filter);
+                            if (!done) {
+                                done = true;
+                                await reorg();
+                            }
+                            return logs;
+                        };
+                    }
+                    const value = target[property];
+                    return typeof value === "function" ? value.bind(target) : value;
+                }
+            });
+        }
+
+        it("should drop events from blocks replaced by a reorg", async function() {
+            const store = await indexer.initStore(deployment.pools, ethers.provider);
+            await poolAB.addLiquidity(parse("1000"), parse("2000"), 0, 0);
+            await sync(store);
+
+            // Trades on a branch that the node later abandons
+            const fork = await takeSnapshot();
+            await swap(poolAB, true, "50", 30);
+            await swap(poolAB, true, "50", 30);
+            await sync(store);
+            const orphaned = store.events.filter((event) => event.event === "Swap").map((event) => event.tx);
+            expect(orphaned.length).to.equal(2);
+
+            // The replacing branch trades the other way and is longer
+            await fork.restore();
+            await swap(poolAB, false, "20", 30);
+            await mine(3);
+
+            const result = await sync(store);
+            expect(result.reorg).to.not.equal(null);
+            const swaps = store.events.filter((event) => event.event === "Swap");
+            expect(swaps.length).to.equal(1);
+            expect(orphaned).to.not.include(swaps[0].tx);
+            await expectStateMatchesChain(indexer.replay(store));
+        });
+
+        it("should not keep logs from a branch abandoned in the middle of a sync", async function() {
+            const store = await indexer.initStore(deployment.pools, ethers.provider);
+            await poolAB.addLiquidity(parse("1000"), parse("2000"), 0, 0);
+            await sync(store);
+
+            const fork = await takeSnapshot();
+            const orphaned = [];
+            for (let i = 0; i < 2; i++) {
+                await swap(poolAB, true, "50", 30);
+                orphaned.push((await ethers.provider.getBlock("latest")).hash);
+            }
+
+            // The node switches branches after reading the swaps above, before the tip
+            const provider = reorgDuringFirstLogQuery(async () => {
+                await fork.restore();
+                await swap(poolAB, false, "20", 30);
+                await mine(3);
+            });
+            const result = await indexer.syncStore(store, provider);
+
+            expect(result.toBlock).to.equal(await ethers.provider.getBlockNumber());
+            const swaps = store.events.filter((event) => event.event === "Swap");
+            expect(swaps.length).to.equal(1);
+            expect(swaps[0].args.tokenIn).to.equal(tokenB.target);
+            const stored = Object.values(store.blocks).map((block) => block.hash);
+            for (const hash of orphaned) {
+                expect(stored).to.not.include(hash);
+            }
+            expect(store.tip.hash).to.equal((await ethers.provider.getBlock("latest")).hash);
+            await expectStateMatchesChain(indexer.replay(store));
+
+            // Later syncs have nothing to roll back
+            await mine(1);
+            expect((await sync(store)).reorg).to.equal(null);
+        });
+
+        it("should recover when the new chain is shorter than the indexed one", async function() {
+            const store = await indexer.initStore(deployment.pools, ethers.provider);
+            await poolAB.addLiquidity(parse("1000"), parse("2000"), 0, 0);
+            await sync(store);
+            const before = store.events.length;
+
+            const fork = await takeSnapshot();
+            await swap(poolAB, true, "50", 30);
+            await mine(5);
+            await sync(store);
+            await fork.restore();
+
+            const result = await sync(store);
+            expect(result.reorg).to.not.equal(null);
+            expect(store.events.length).to.equal(before);
+            expect(store.tip.number).to.equal(await ethers.provider.getBlockNumber());
+            await expectStateMatchesChain(indexer.replay(store));
+        });
+    });
+});
@@ -0,0 +1,342 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const sdk = require("../sdk");
+const { parse, random, createPool } = require("./helpers");
+
+// Fuzz runs are reproducible: set SDK_FUZZ_SEED to replay or vary a run
+const SEED = Number(process.env.SDK_FUZZ_SEED || 17);
+
+// Same tokens and pools as scripts/deploy.js, with liquidity seeded so that the
+// two-hop TKA -> TKB -> TKC route is cheap but shallow and the direct pool deep
+const TOKENS = ["TKA", "TKB", "TKC"];
+const POOLS = [
+    { tokens: ["TKA", "TKB"], swapFee: 30, liquidity: ["1000", "1000"] },
+    { tokens: ["TKB", "TKC"], swapFee: 5, liquidity: ["1000", "1000"] },
+    { tokens: ["TKA", "TKC"], swapFee: 100, liquidity: ["100000", "100000"] }
+];
+
+describe("SDK", function() {
+    let factory, router, pools, tokens, deployment, deploymentFile;
+    let owner, treasury;
+    let rand;
+
+    // Random amount up to `max`, spread evenly over orders of magnitude so tiny,
+    // ordinary and pool-draining amounts all come up
+    function randomAmount(max) {
+        const bits = 1 + Math.floor(rand() * max.toString(2).length);
+        let value = 0n;
+        for (let i = 0; i < bits; i++) {
+            value = (value << 1n) | (rand() < 0.5 ? 1n : 0n);
+        }
+        return (value % max) + 1n;
+    }
+
+    function pick(items) {
+        return items[Math.floor(rand() * items.length)];
+    }
+
+    // Run `predict`; if it throws, the transaction or call must revert with the same reason
+    async function expectParity(predict, send, check) {
+        let prediction;
+        try {
+            prediction = predict();
+        } catch (error) {
+            await expect(send()).to.be.revertedWith(error.message);
+            return false;
+        }
+        await check(prediction, await send());
+        return true;
+    }
+
+    async function poolStates() {
+        return sdk.fetchPoolStates(deployment, ethers.provider);
+    }
+
+    beforeEach(async function() {
+        [owner, treasury] = await ethers.getSigners();
+        rand = random(SEED);
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        tokens = {};
+        for (const symbol of TOKENS) {
+            tokens[symbol] = await MockERC20.deploy(`Token ${symbol}`, symbol);
+            // Random sessions can trade several times the deepest pool
+            await tokens[symbol].mint(owner.address, parse("10000000"));
+        }
+
+        const DEXFactory = await ethers.getContractFactory("DEXFactory");
+        factory = await DEXFactory.deploy(owner.address);
+        const WETH9 = await ethers.getContractFactory("WETH9");
+        const weth = await WETH9.deploy();
+        const DEXRouter = await ethers.getContractFactory("DEXRouter");
+        router = await DEXRouter.deploy(factory.target, weth.target);
+
+        pools = [];
+        for (const { tokens: [symbolA, symbolB], swapFee, liquidity } of POOLS) {
+            const tokenA = tokens[symbolA];
+            const tokenB = tokens[symbolB];
+            const pool = await createPool(tokenA, tokenB, {
+                factory, swapFee, approvers: [owner], liquidity: liquidity.map(parse)
+            });
+
+            pools.push({ name: `${symbolA}/${symbolB}`, tokenA: tokenA.target, tokenB: tokenB.target, swapFee, pool });
+        }
+        for (const token of Object.values(tokens)) {
+            await token.approve(router.target, ethers.MaxUint256);
+        }
+
+        // Write the file the way scripts/deploy.js does
+        deploymentFile = path.join(os.tmpdir(), `dex-sdk-deployment-${process.pid}.json`);
+        fs.writeFileSync(deploymentFile, JSON.stringify({
+            network: "hardhat",
+            deployer: owner.address,
+            tokens: Object.fromEntries(TOKENS.map((symbol) => [symbol, tokens[symbol].target])),
+            weth: weth.target,
+            factory: factory.target,
+            router: router.target,
+            pools: pools.map(({ name, tokenA, tokenB, swapFee, pool }) => ({
+                name, tokenA, tokenB, swapFee, address: pool.target
+            })),
+            timestamp: new Date().toISOString()
+        }, null, 2));
+        deployment = sdk.loadDeployment(deploymentFile);
+    });
+
+    afterEach(function() {
+        fs.rmSync(deploymentFile, { force: true });
+    });
+
+    describe("Deployment", function() {
+        it("should load addresses and read pool state", async function() {
+            expect(deployment.router).to.equal(router.target);
+            expect(deployment.tokens.TKA).to.equal(tokens.TKA.target);
+
+            const states = await poolStates();
+            expect(states.length).to.equal(POOLS.length);
+            for (let i = 0; i < states.length; i++) {
+                const pool = pools[i].pool;
+                const [reserveA, reserveB] = await pool.getReserves();
+                expect(states[i].name).to.equal(pools[i].name);
+                expect(states[i].tokenA).to.equal(await pool.tokenA());
+                expect(states[i].reserveA).to.equal(reserveA);
+                expect(states[i].reserveB).to.equal(reserveB);
+                expect(states[i].swapFee).to.equal(BigInt(POOLS[i].swapFee));
+                expect(states[i].totalSupply).to.equal(await pool.totalSupply());
+            }
+        });
+
+        it("should reject a file without pools", function() {
+            fs.writeFileSync(deploymentFile, JSON.stringify({ network: "hardhat" }));
+            expect(() => sdk.loadDeployment(deploymentFile)).to.throw("SDK: no pools");
+        });
+    });
+
+    describe("Math Parity", function() {
+        it("should match getAmountOut and getAmountIn on random inputs", async function() {
+            const MAX = parse("1000000000");
+
+            for (const { pool, swapFee } of pools) {
+                const fee = BigInt(swapFee);
+                for (let i = 0; i < 25; i++) {
+                    // Now and then hit the zero-reserve and zero-amount edges
+                    const amount = rand() < 0.05 ? 0n : randomAmount(MAX);
+                    const reserveIn = rand() < 0.05 ? 0n : randomAmount(MAX);
+                    const reserveOut = rand() < 0.05 ? 0n : randomAmount(MAX);
+                    const args = [amount, reserveIn, reserveOut];
+
+                    await expectParity(
+                        () => sdk.getAmountOut(amount, reserveIn, reserveOut, fee),
+                        () => pool.getAmountOut(...args),
+                        (expected, actual) => expect(actual).to.equal(expected, `seed ${SEED}`)
+                    );
+                    await expectParity(
+                        () => sdk.getAmountIn(amount, reserveIn, reserveOut, fee),
+                        () => pool.getAmountIn(...args),
+                        (expected, actual) => expect(actual).to.equal(expected, `seed ${SEED}`)
+                    );
+                }
+            }
+        });
+
+        it("should price the pool like getPrice and grow the impact with trade size", async function() {
+            const [state] = await poolStates();
+            expect(sdk.getPrice(state.reserveA, state.reserveB)).to.equal(await pools[0].pool.getPrice());
+
+            // A tiny trade only pays the fee, larger trades pay more and more on top
+            const fee = (state.swapFee * sdk.WAD) / sdk.FEE_DENOMINATOR;
+            const small = sdk.priceImpact(parse("0.001"), state.reserveA, state.reserveB, state.swapFee);
+            const medium = sdk.priceImpact(parse("10"), state.reserveA, state.reserveB, state.swapFee);
+            const large = sdk.priceImpact(parse("500"), state.reserveA, state.reserveB, state.swapFee);
+            expect(small >= fee && small < fee + fee / 100n).to.be.true;
+            expect(medium > small && large > medium).to.be.true;
+            expect(large < sdk.WAD).to.be.true;
+        });
+
+        it("should predict every step of a random trading session", async function() {
+            // Let the protocol fee mint on one pool so that path is covered too
+            const feePool = pools[0].pool;
+            await feePool.setProtocolFee(treasury.address, 1667);
+            await feePool.setProtocolFeeEnabled(true);
+
+            let succeeded = 0;
+            for (let step = 0; step < 40; step++) {
+                const index = Math.floor(rand() * pools.length);
+                const pool = pools[index].pool;
+                const [state] = await sdk.fetchPoolStates({ pools: [deployment.pools[index]] }, ethers.provider);
+                const treasuryBefore = await pool.balanceOf(treasury.address);
+                const deadline = (await time.latest()) + 3600;
+                let after;
+
+                const action = pick(["swapExactIn", "swapExactOut", "add", "remove"]);
+                const aForB = rand() < 0.5;
+                const [reserveIn, reserveOut] = aForB ? [state.reserveA, state.reserveB] : [state.reserveB, state.reserveA];
+
+                if (action === "swapExactIn") {
+                    const amountIn = randomAmount(reserveIn);
+                    const swap = aForB ? "swapExactAForB" : "swapExactBForA";
+                    const ok = await expectParity(
+                        () => sdk.swapExactIn(state, aForB, amountIn),
+                        () => pool[swap].staticCall(amountIn, 0, deadline),
+                        (expected, actual) => {
+                            expect(actual).to.equal(expected.amountOut, `seed ${SEED}, step ${step}`);
+                            after = { reserveA: expected.reserveA, reserveB: expected.reserveB, supply: state.totalSupply };
+                        }
+                    );
+                    if (ok) await pool[swap](amountIn, 0, deadline);
+                } else if (action === "swapExactOut") {
+                    const amountOut = randomAmount(reserveOut);
+                    const swap = aForB ? "swapAForExactB" : "swapBForExactA";
+                    const ok = await expectParity(
+                        () => sdk.getAmountIn(amountOut, reserveIn, reserveOut, state.swapFee),
+                        () => pool[swap].staticCall(amountOut, ethers.MaxUint256, deadline),
+                        (expected, actual) => {
+                            expect(actual).to.equal(expected, `seed ${SEED}, step ${step}`);
+                            after = aForB
+                                ? { reserveA: state.reserveA + expected, reserveB: state.reserveB - amountOut }
+                                : { reserveA: state.reserveA - amountOut, reserveB: state.reserveB + expected };
+                            after.supply = state.totalSupply;
+                        }
+                    );
+                    if (ok) await pool[swap](amountOut, ethers.MaxUint256, deadline);
+                } else if (action === "add") {
+                    const amountA = randomAmount(state.reserveA);
+                    const amountB = randomAmount(state.reserveB);
+                    const ok = await expectParity(
+                        () => sdk.quoteAddLiquidity(state, amountA, amountB),
+                        () => pool.addLiquidity.staticCall(amountA, amountB, 0, 0),
+                        (expected, actual) => {
+                            expect(actual[0]).to.equal(expected.amountA, `seed ${SEED}, step ${step}`);
+                            expect(actual[1]).to.equal(expected.amountB, `seed ${SEED}, step ${step}`);
+                            expect(actual[2]).to.equal(expected.liquidity, `seed ${SEED}, step ${step}`);
+                            after = {
+                                reserveA: state.reserveA + expected.amountA,
+                                reserveB: state.reserveB + expected.amountB,
+                                supply: state.totalSupply + expected.protocolFee + expected.liquidity,
+                                protocolFee: expected.protocolFee
+                            };
+                        }
+                    );
+                    if (ok) await pool.addLiquidity(amountA, amountB, 0, 0);
+                } else {
+                    const balance = await pool.balanceOf(owner.address);
+                    const liquidity = randomAmount(balance / 2n);
+                    const ok = await expectParity(
+                        () => sdk.quoteRemoveLiquidity(state, liquidity),
+                        () => pool.removeLiquidity.staticCall(liquidity),
+                        (expected, actual) => {
+                            expect(actual[0]).to.equal(expected.amountA, `seed ${SEED}, step ${step}`);
+                            expect(actual[1]).to.equal(expected.amountB, `seed ${SEED}, step ${step}`);
+                            after = {
+                                reserveA: state.reserveA - expected.amountA,
+                                reserveB: state.reserveB - expected.amountB,
+                                supply: state.totalSupply + expected.protocolFee - liquidity,
+                                protocolFee: expected.protocolFee
+                            };
+                        }
+                    );
+                    if (ok) await pool.removeLiquidity(liquidity);
+                }
+
+                if (after) {
+                    succeeded++;
+                    const [reserveA, reserveB] = await pool.getReserves();
+                    expect(reserveA).to.equal(after.reserveA, `seed ${SEED}, step ${step}`);
+                    expect(reserveB).to.equal(after.reserveB, `seed ${SEED}, step ${step}`);
+                    expect(await pool.totalSupply()).to.equal(after.supply, `seed ${SEED}, step ${step}`);
+                    expect(await pool.balanceOf(treasury.address) - treasuryBefore)
+                        .to.equal(after.protocolFee || 0n, `seed ${SEED}, step ${step}`);
+                }
+            }
+
+            // Guard against a session where everything reverted and nothing was compared
+            expect(succeeded).to.be.greaterThan(20);
+            expect(await feePool.balanceOf(treasury.address)).to.be.gt(0);
+        });
+    });
+
+    describe("Routing", function() {
+        it("should quote paths like the router", async function() {
+            const states = await poolStates();
+            const route = sdk.findRoutes(states, tokens.TKA.target, tokens.TKC.target)
+                .find((candidate) => candidate.path.length === 3);
+            const amountIn = parse("7");
+
+            const expected = await router.getAmountsOut(amountIn, route.path);
+            expect(sdk.getAmountsOut(amountIn, route.path, route.pools)).to.deep.equal(expected);
+
+            const amountOut = parse("3");
+            const expectedIn = await router.getAmountsIn(amountOut, route.path);
+            expect(sdk.getAmountsIn(amountOut, route.path, route.pools)).to.deep.equal(expectedIn);
+        });
+
+        it("should find every simple route within the hop limit", async function() {
+            const states = await poolStates();
+            const routes = sdk.findRoutes(states, tokens.TKA.target, tokens.TKC.target);
+            expect(routes.map((route) => route.path.length).sort()).to.deep.equal([2, 3]);
+            expect(sdk.findRoutes(states, tokens.TKA.target, tokens.TKC.target, 1).length).to.equal(1);
+            expect(sdk.findRoutes(states, tokens.TKA.target, tokens.TKA.target).length).to.equal(0);
+        });
+
+        it("should pick the cheap route for small trades and the deep one for large trades", async function() {
+            const states = await poolStates();
+            const small = sdk.findBestRoute(states, tokens.TKA.target, tokens.TKC.target, parse("1"));
+            const large = sdk.findBestRoute(states, tokens.TKA.target, tokens.TKC.target, parse("500"));
+            expect(small.path.length).to.equal(3);
+            expect(large.path.length).to.equal(2);
+
+            // For the small trade the two-hop route also fills closer to the spot price
+            const direct = sdk.getAmountsOut(small.amounts[0], large.path, large.pools);
+            expect(sdk.routePriceImpact(small.path, small.pools, small.amounts)
+                < sdk.routePriceImpact(large.path, large.pools, direct)).to.be.true;
+
+            // Executing the chosen route pays exactly the quote
+            for (const best of [small, large]) {
+                const deadline = (await time.latest()) + 3600;
+                await expect(router.swapExactTokensForTokens(
+                    best.amounts[0], best.amountOut, best.path, owner.address, deadline
+                )).to.changeTokenBalance(tokens.TKC, owner, best.amountOut);
+            }
+        });
+
+        it("should pick the cheapest route for an exact output", async function() {
+            const states = await poolStates();
+            const amountOut = parse("2");
+            const best = sdk.findBestRouteExactOut(states, tokens.TKA.target, tokens.TKC.target, amountOut);
+
+            for (const route of sdk.findRoutes(states, tokens.TKA.target, tokens.TKC.target)) {
+                const quote = await router.getAmountsIn(amountOut, route.path);
+                expect(best.amountIn <= quote[0]).to.be.true;
+            }
+
+            // Asking for more than the shallow pools hold leaves only the direct route
+            const deep = sdk.findBestRouteExactOut(states, tokens.TKA.target, tokens.TKC.target, parse("5000"));
+            expect(deep.path.length).to.equal(2);
+            expect(sdk.findBestRouteExactOut(states, tokens.TKA.target, tokens.TKC.target, parse("200000")))
+                .to.equal(null);
+        });
+    });
+});